@@ -0,0 +1,88 @@
+import { APPLICATION_STATUS_LABELS } from '../utils/jobStatus'
+
+const formatPrice = (price) => (price ? `¥${Number(price).toLocaleString()}` : '未入力')
+
+const formatRating = (candidate) => (
+  candidate.averageRating !== null
+    ? `★${candidate.averageRating.toFixed(1)}（${candidate.reviewCount}件）`
+    : 'レビューなし'
+)
+
+// 比較表の行（ラベルと、候補者ごとの表示内容）
+const ROWS = [
+  { label: 'マッチ度', render: (candidate) => `${candidate.score}%`, highlightTop: true },
+  {
+    label: 'スキル一致',
+    render: (candidate, job) => (job.skills.length > 0
+      ? `${candidate.matchedSkills.length}/${job.skills.length}${candidate.matchedSkills.length > 0 ? `（${candidate.matchedSkills.join('、')}）` : ''}`
+      : '指定なし')
+  },
+  { label: '関連経験年数', render: (candidate) => candidate.application.experience || '未回答' },
+  { label: '対応可能時間/週', render: (candidate) => candidate.application.availability || '未回答' },
+  {
+    label: '希望報酬',
+    render: (candidate, job) => {
+      const price = candidate.application.proposedPrice
+      if (!price || !job.budget) return formatPrice(price)
+      return `${formatPrice(price)}（予算の${Math.round((price / job.budget) * 100)}%）`
+    }
+  },
+  { label: 'レビュー評価', render: (candidate) => formatRating(candidate) },
+  { label: 'ステータス', render: (candidate) => APPLICATION_STATUS_LABELS[candidate.application.status] || candidate.application.status },
+  { label: '提案内容', render: (candidate) => candidate.application.proposalText || '提案内容なし', className: 'text-xs text-gray-600 whitespace-pre-wrap' }
+]
+
+// 応募者管理画面の候補者比較（比較リストに追加した応募者を横並びで表示する）
+export default function ApplicantComparison({ job, candidates, onRemove, onClear }) {
+  if (candidates.length === 0) return null
+
+  const topScore = Math.max(...candidates.map(candidate => candidate.score))
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-xl mb-8">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-bold text-gray-800">候補者の比較（{candidates.length}名）</h3>
+        <button onClick={onClear} className="text-sm text-gray-500 hover:text-gray-700">
+          比較リストをクリア
+        </button>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-gray-200">
+              <th className="text-left py-3 pr-4 font-medium text-gray-500 w-32"></th>
+              {candidates.map(candidate => (
+                <th key={candidate.application.id} className="text-left py-3 px-4 align-top">
+                  <div className="font-semibold text-gray-800">{candidate.application.applicantName}</div>
+                  <button
+                    onClick={() => onRemove(candidate.application.id)}
+                    className="text-xs font-normal text-gray-400 hover:text-red-600"
+                  >
+                    比較から外す
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {ROWS.map(row => (
+              <tr key={row.label} className="border-b border-gray-100">
+                <td className="py-3 pr-4 font-medium text-gray-700 align-top">{row.label}</td>
+                {candidates.map(candidate => (
+                  <td
+                    key={candidate.application.id}
+                    className={`py-3 px-4 align-top ${row.className || 'text-gray-900'} ${
+                      row.highlightTop && candidate.score === topScore ? 'font-bold text-green-700' : ''
+                    }`}
+                  >
+                    {row.render(candidate, job)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
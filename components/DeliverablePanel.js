@@ -0,0 +1,270 @@
+import { useState, useRef } from 'react'
+import Link from 'next/link'
+import { apiFetch } from '../lib/apiClient'
+import { uploadAttachment, ATTACHMENT_ACCEPT } from '../lib/attachments'
+import MessageAttachment from './MessageAttachment'
+import { JOB_STATUS } from '../utils/jobStatus'
+import { MILESTONE_STATUS, getMilestoneParticipant, getAssigneeMilestones, isPlanAgreed } from '../utils/milestoneUtils'
+import {
+  DELIVERABLE_STATUS,
+  DELIVERABLE_STATUS_LABELS,
+  DELIVERABLE_STATUS_COLORS,
+  MAX_REVISION_ROUNDS,
+  MAX_DELIVERABLE_FILES,
+  DELIVERABLE_NOTE_MAX,
+  getDeliverables,
+  getRevisionCount,
+  getDeliverableTargetTitle
+} from '../utils/deliverableUtils'
+
+const formatDateTime = (date) => (date ? new Date(date).toLocaleString('ja-JP') : '')
+
+// 納品できるマイルストーン（提出前・修正依頼中のもの）
+const SUBMITTABLE_MILESTONE_STATUSES = [MILESTONE_STATUS.PLANNED, MILESTONE_STATUS.IN_PROGRESS, MILESTONE_STATUS.REVISION_REQUESTED]
+
+// 案件詳細画面の納品（フリーランサーが納品し、クライアントが検収・修正依頼する。検収で案件が完了するとレビューできる）
+export default function DeliverablePanel({ job, userEmail, onJobUpdated }) {
+  const [milestoneId, setMilestoneId] = useState('')
+  const [note, setNote] = useState('')
+  const [files, setFiles] = useState([])
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+  const fileInputRef = useRef(null)
+
+  const deliverables = job.deliverables || []
+  const participant = userEmail ? getMilestoneParticipant(job, [userEmail]) : null
+  if (!participant || (job.status !== JOB_STATUS.IN_PROGRESS && deliverables.length === 0)) return null
+
+  const agreed = isPlanAgreed(job)
+  const inProgress = job.status === JOB_STATUS.IN_PROGRESS
+  // 複数人を採用した案件では、自分が担当するマイルストーンにだけ納品できる
+  const submittableMilestones = agreed && participant.role === 'freelancer'
+    ? getAssigneeMilestones(job, participant.participantId).filter(milestone => SUBMITTABLE_MILESTONE_STATUSES.includes(milestone.status))
+    : []
+  // 作業計画の合意待ちの間は納品できない（合意後はマイルストーンごと、計画がなければ案件全体に納品する）
+  const waitingForPlan = !agreed && (job.milestones || []).length > 0
+  // 複数人を採用した案件では、フリーランサーごとに案件全体へ納品する
+  const jobLevelPending = !agreed && getDeliverables(job, null, participant.participantId).some(deliverable => (
+    deliverable.status !== DELIVERABLE_STATUS.REVISION_REQUESTED
+  ))
+  const canSubmit = inProgress && participant.role === 'freelancer' && !waitingForPlan &&
+    (agreed ? submittableMilestones.length > 0 : !jobLevelPending)
+  const selectedMilestoneId = agreed ? (milestoneId || submittableMilestones[0]?.id || '') : ''
+
+  const sortedDeliverables = [...deliverables].sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt))
+
+  // 操作を実行し、案件を更新して相手に通知する
+  const run = async (action) => {
+    try {
+      setSaving(true)
+      setError('')
+      await action()
+    } catch (err) {
+      console.error('納品物の更新エラー:', err)
+      setError(err.message || '納品物の更新に失敗しました')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleFilesSelected = (e) => {
+    const selected = Array.from(e.target.files || [])
+    e.target.value = ''
+    setFiles(prev => [...prev, ...selected].slice(0, MAX_DELIVERABLE_FILES))
+  }
+
+  const handleSubmit = () => run(async () => {
+    const attachments = []
+    for (const file of files) {
+      attachments.push(await uploadAttachment(file, { jobId: job.id }))
+    }
+
+    const { job: updated } = await apiFetch(`/api/jobs/${job.id}/deliverables`, {
+      method: 'POST',
+      body: {
+        milestoneId: selectedMilestoneId || null,
+        note,
+        attachmentIds: attachments.map(attachment => attachment.id)
+      }
+    })
+
+    setMilestoneId('')
+    setNote('')
+    setFiles([])
+    onJobUpdated(updated)
+  })
+
+  const handleReview = (deliverable, toStatus) => {
+    let comment = null
+    if (toStatus === DELIVERABLE_STATUS.ACCEPTED) {
+      if (!confirm('この納品物を検収しますか？')) return
+    } else {
+      comment = prompt('修正してほしい内容を入力してください', '')
+      if (comment === null || !comment.trim()) return
+    }
+
+    run(async () => {
+      const action = toStatus === DELIVERABLE_STATUS.ACCEPTED ? 'accept' : 'request-revision'
+      const { job: updated } = await apiFetch(`/api/jobs/${job.id}/deliverables/${deliverable.id}/${action}`, {
+        method: 'POST',
+        body: { comment }
+      })
+      if (updated.status === JOB_STATUS.COMPLETED) {
+        alert('全員の納品物を検収したため、案件を完了にしました')
+      }
+      onJobUpdated(updated)
+    })
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-xl p-8 mt-8">
+      <h2 className="text-xl font-bold text-gray-800 mb-4">納品</h2>
+
+      {job.status === JOB_STATUS.COMPLETED && (
+        <div className="mb-4 p-4 bg-green-50 rounded-lg flex items-center justify-between">
+          <p className="text-sm text-green-800">検収が完了し、案件が完了しました。</p>
+          <Link
+            href={`/review/${job.id}`}
+            className="bg-green-500 text-white px-4 py-2 rounded-lg text-sm hover:bg-green-600"
+          >
+            レビューを書く
+          </Link>
+        </div>
+      )}
+
+      {waitingForPlan && inProgress && (
+        <p className="mb-4 text-sm text-yellow-800 bg-yellow-50 rounded-lg p-3">
+          作業計画の合意後に、マイルストーンごとに納品できます。
+        </p>
+      )}
+
+      {canSubmit && (
+        <div className="mb-6 space-y-3 border border-gray-200 rounded-lg p-4">
+          {agreed && (
+            <select
+              value={selectedMilestoneId}
+              onChange={(e) => setMilestoneId(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+            >
+              {submittableMilestones.map(milestone => (
+                <option key={milestone.id} value={milestone.id}>{milestone.title}</option>
+              ))}
+            </select>
+          )}
+          <textarea
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            maxLength={DELIVERABLE_NOTE_MAX}
+            rows={4}
+            placeholder="納品物の説明・確認してほしい点など"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+          />
+          {files.length > 0 && (
+            <ul className="space-y-1 text-sm text-gray-700">
+              {files.map((file, index) => (
+                <li key={`${file.name}-${index}`} className="flex items-center justify-between bg-gray-50 rounded px-3 py-1">
+                  <span className="truncate">{file.name}</span>
+                  <button
+                    type="button"
+                    onClick={() => setFiles(prev => prev.filter((_, fileIndex) => fileIndex !== index))}
+                    className="text-gray-400 hover:text-red-600"
+                  >
+                    削除
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="flex items-center justify-between">
+            <div>
+              <input
+                ref={fileInputRef}
+                type="file"
+                multiple
+                accept={ATTACHMENT_ACCEPT}
+                onChange={handleFilesSelected}
+                className="hidden"
+              />
+              <button
+                type="button"
+                onClick={() => fileInputRef.current?.click()}
+                disabled={saving || files.length >= MAX_DELIVERABLE_FILES}
+                className="text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50"
+              >
+                📎 ファイルを添付（{files.length}/{MAX_DELIVERABLE_FILES}）
+              </button>
+            </div>
+            <button
+              onClick={handleSubmit}
+              disabled={saving || (!note.trim() && files.length === 0)}
+              className="bg-gradient-to-r from-blue-500 to-purple-500 text-white px-6 py-2 rounded-lg hover:from-blue-600 hover:to-purple-600 disabled:opacity-50"
+            >
+              {saving ? '送信中...' : '納品する'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {sortedDeliverables.length === 0 ? (
+        !canSubmit && !waitingForPlan && <p className="text-gray-600 text-sm">まだ納品物はありません。</p>
+      ) : (
+        <ul className="space-y-3">
+          {sortedDeliverables.map(deliverable => (
+            <li key={deliverable.id} className="border border-gray-200 rounded-lg p-4">
+              <div className="flex items-start justify-between">
+                <div>
+                  <p className="font-semibold text-gray-800">{getDeliverableTargetTitle(job, deliverable)}</p>
+                  <p className="text-xs text-gray-500">
+                    {deliverable.submittedByName} ・ {formatDateTime(deliverable.submittedAt)}
+                    {deliverable.round > 1 && ` ・ 再提出（${deliverable.round}回目）`}
+                  </p>
+                </div>
+                <span className={`px-2 py-1 rounded-full text-xs font-medium ${DELIVERABLE_STATUS_COLORS[deliverable.status] || 'bg-gray-100 text-gray-800'}`}>
+                  {DELIVERABLE_STATUS_LABELS[deliverable.status] || deliverable.status}
+                </span>
+              </div>
+              {deliverable.note && (
+                <p className="mt-2 text-sm text-gray-700 whitespace-pre-wrap">{deliverable.note}</p>
+              )}
+              {deliverable.attachments.length > 0 && (
+                <div className="mt-2 space-y-1">
+                  {deliverable.attachments.map(attachment => (
+                    <MessageAttachment key={attachment.id} attachment={attachment} />
+                  ))}
+                </div>
+              )}
+              {deliverable.reviewComment && (
+                <p className="mt-2 text-sm text-orange-800 bg-orange-50 rounded p-2 whitespace-pre-wrap">
+                  修正依頼: {deliverable.reviewComment}
+                </p>
+              )}
+              {inProgress && participant.role === 'client' && deliverable.status === DELIVERABLE_STATUS.SUBMITTED && (
+                <div className="mt-3 flex flex-wrap items-center gap-2">
+                  <button
+                    onClick={() => handleReview(deliverable, DELIVERABLE_STATUS.ACCEPTED)}
+                    disabled={saving}
+                    className="px-4 py-1.5 rounded-lg text-sm font-medium bg-green-500 hover:bg-green-600 text-white disabled:opacity-50"
+                  >
+                    検収する
+                  </button>
+                  <button
+                    onClick={() => handleReview(deliverable, DELIVERABLE_STATUS.REVISION_REQUESTED)}
+                    disabled={saving || getRevisionCount(job, deliverable.milestoneId, deliverable.submittedBy) >= MAX_REVISION_ROUNDS}
+                    className="px-4 py-1.5 rounded-lg text-sm font-medium bg-white border border-orange-300 text-orange-700 hover:bg-orange-50 disabled:opacity-50"
+                  >
+                    修正を依頼
+                  </button>
+                  <span className="text-xs text-gray-500">
+                    修正依頼 {getRevisionCount(job, deliverable.milestoneId, deliverable.submittedBy)}/{MAX_REVISION_ROUNDS}回
+                  </span>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {error && <p className="mt-4 text-sm text-red-600">{error}</p>}
+    </div>
+  )
+}
@@ -0,0 +1,199 @@
+import { useState, useEffect } from 'react'
+import { apiFetch, apiFetchBlob } from '../lib/apiClient'
+import {
+  ISSUER_NAME_MAX,
+  normalizeRegistrationNumber,
+  isValidRegistrationNumber
+} from '../utils/invoiceUtils'
+
+const INVOICE_ROLES = [
+  { id: 'issued', label: '発行した請求書' },
+  { id: 'received', label: '受け取った請求書' }
+]
+
+const formatPrice = (amount) => `¥${Number(amount || 0).toLocaleString()}`
+const formatDate = (date) => new Date(date).toLocaleDateString('ja-JP')
+
+// プロフィール画面の「請求書」タブ（適格請求書の登録番号と、検収ごとに発行された請求書の一覧・PDF）
+export default function InvoiceSettings() {
+  const [settings, setSettings] = useState(null)
+  const [role, setRole] = useState('issued')
+  const [invoices, setInvoices] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [downloadingId, setDownloadingId] = useState(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    apiFetch('/api/invoices/settings')
+      .then(result => setSettings(result.settings))
+      .catch(err => {
+        console.error('請求書設定の読み込みエラー:', err)
+        setError('請求書の設定を読み込めませんでした')
+      })
+      .finally(() => setLoading(false))
+  }, [])
+
+  useEffect(() => {
+    apiFetch(`/api/invoices?role=${role}`)
+      .then(result => setInvoices(result.invoices))
+      .catch(err => {
+        console.error('請求書一覧の読み込みエラー:', err)
+        setInvoices([])
+      })
+  }, [role])
+
+  const handleSave = async () => {
+    const registrationNumber = normalizeRegistrationNumber(settings.registrationNumber)
+    if (registrationNumber && !isValidRegistrationNumber(registrationNumber)) {
+      setError('登録番号は「T」と13桁の数字で入力してください')
+      return
+    }
+
+    try {
+      setSaving(true)
+      setError('')
+      const result = await apiFetch('/api/invoices/settings', {
+        method: 'PUT',
+        body: { registrationNumber, issuerName: settings.issuerName }
+      })
+      setSettings(result.settings)
+      alert('請求書の設定を保存しました')
+    } catch (err) {
+      console.error('請求書設定の保存エラー:', err)
+      setError(err.message || '請求書の設定の保存に失敗しました')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDownload = async (invoice) => {
+    try {
+      setDownloadingId(invoice.id)
+      const blob = await apiFetchBlob(`/api/invoices/${invoice.id}/pdf`)
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `invoice-${invoice.number}.pdf`
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      console.error('請求書のダウンロードエラー:', err)
+      alert(err.message || '請求書をダウンロードできませんでした')
+    } finally {
+      setDownloadingId(null)
+    }
+  }
+
+  if (loading) {
+    return <p className="text-gray-500">読み込み中...</p>
+  }
+
+  if (!settings) {
+    return <p className="text-red-600">{error}</p>
+  }
+
+  return (
+    <div className="space-y-8">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900 mb-2">適格請求書の発行</h3>
+        <p className="text-sm text-gray-500 mb-4">
+          検収された案件・マイルストーンごとに、クライアント宛ての請求書が自動で発行されます。
+          登録番号を設定すると、インボイス制度の適格請求書として発行されます。
+        </p>
+        <div className="space-y-4 max-w-lg">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">登録番号</label>
+            <input
+              type="text"
+              value={settings.registrationNumber}
+              onChange={(e) => setSettings(prev => ({ ...prev, registrationNumber: e.target.value }))}
+              placeholder="T1234567890123"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">請求書に記載する名前（氏名・屋号）</label>
+            <input
+              type="text"
+              value={settings.issuerName}
+              onChange={(e) => setSettings(prev => ({ ...prev, issuerName: e.target.value }))}
+              maxLength={ISSUER_NAME_MAX}
+              placeholder="未入力の場合はアカウント名"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+            />
+          </div>
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="bg-gradient-to-r from-blue-500 to-purple-500 text-white px-6 py-2 rounded-lg hover:from-blue-600 hover:to-purple-600 disabled:opacity-50"
+          >
+            {saving ? '保存中...' : '保存する'}
+          </button>
+          {error && <p className="text-sm text-red-600">{error}</p>}
+        </div>
+      </div>
+
+      <div>
+        <div className="flex space-x-2 mb-4">
+          {INVOICE_ROLES.map(item => (
+            <button
+              key={item.id}
+              onClick={() => setRole(item.id)}
+              className={`px-4 py-2 rounded-lg text-sm font-medium ${
+                role === item.id ? 'bg-blue-500 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {item.label}
+            </button>
+          ))}
+        </div>
+
+        {invoices.length === 0 ? (
+          <p className="text-sm text-gray-500">請求書はまだありません。</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200 text-left">
+                  <th className="py-3 pr-4 font-medium text-gray-700">請求書番号</th>
+                  <th className="py-3 pr-4 font-medium text-gray-700">発行日</th>
+                  <th className="py-3 pr-4 font-medium text-gray-700">{role === 'issued' ? '宛先' : '発行者'}</th>
+                  <th className="py-3 pr-4 font-medium text-gray-700">内容</th>
+                  <th className="py-3 pr-4 font-medium text-gray-700 text-right">金額（税込）</th>
+                  <th className="py-3" />
+                </tr>
+              </thead>
+              <tbody>
+                {invoices.map(invoice => (
+                  <tr key={invoice.id} className="border-b border-gray-100">
+                    <td className="py-3 pr-4 text-gray-900">
+                      {invoice.number}
+                      {!invoice.qualified && <span className="ml-2 text-xs text-gray-400">（登録番号なし）</span>}
+                    </td>
+                    <td className="py-3 pr-4 text-gray-600">{formatDate(invoice.issuedAt)}</td>
+                    <td className="py-3 pr-4 text-gray-600">{role === 'issued' ? invoice.recipientName : invoice.issuerName}</td>
+                    <td className="py-3 pr-4 text-gray-900">{invoice.lines[0]?.description}</td>
+                    <td className="py-3 pr-4 text-right text-gray-900">
+                      {formatPrice(invoice.total)}
+                      <span className="block text-xs text-gray-400">うち消費税 {formatPrice(invoice.tax)}</span>
+                    </td>
+                    <td className="py-3 text-right">
+                      <button
+                        onClick={() => handleDownload(invoice)}
+                        disabled={downloadingId === invoice.id}
+                        className="text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                      >
+                        {downloadingId === invoice.id ? '作成中...' : 'PDF'}
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
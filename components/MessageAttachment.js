@@ -0,0 +1,88 @@
+import { useState, useEffect } from 'react'
+import { apiFetchBlob } from '../lib/apiClient'
+import { formatFileSize, getAttachmentPath } from '../lib/attachments'
+
+// メッセージ内の添付ファイル表示（画像はサムネイル、それ以外はダウンロードリンク）
+// ファイルは認証付きで取得し、オブジェクト URL にして表示する
+export default function MessageAttachment({ attachment, isMine = false }) {
+  const [thumbnailUrl, setThumbnailUrl] = useState(null)
+  const isImage = attachment?.kind === 'image'
+  const thumbnailPath = attachment && isImage
+    ? getAttachmentPath(attachment, attachment.thumbnailUrl ? 'thumbnail' : 'file')
+    : null
+
+  useEffect(() => {
+    if (!thumbnailPath) return
+
+    let objectUrl = null
+    let cancelled = false
+    apiFetchBlob(thumbnailPath)
+      .then(blob => {
+        if (cancelled) return
+        objectUrl = URL.createObjectURL(blob)
+        setThumbnailUrl(objectUrl)
+      })
+      .catch(error => console.warn('添付ファイルの読み込みエラー:', error.message))
+
+    return () => {
+      cancelled = true
+      if (objectUrl) URL.revokeObjectURL(objectUrl)
+    }
+  }, [thumbnailPath])
+
+  if (!attachment) return null
+
+  const handleOpen = async (e) => {
+    e.preventDefault()
+    try {
+      const blob = await apiFetchBlob(getAttachmentPath(attachment))
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      if (isImage) {
+        link.target = '_blank'
+        link.rel = 'noopener noreferrer'
+      } else {
+        link.download = attachment.name
+      }
+      link.click()
+      // 新しいタブでの読み込みが終わるまで URL を残す
+      setTimeout(() => URL.revokeObjectURL(url), 60 * 1000)
+    } catch (error) {
+      console.error('添付ファイルのダウンロードエラー:', error)
+      alert(error.message || '添付ファイルを開けませんでした')
+    }
+  }
+
+  if (isImage) {
+    return (
+      <a href="#" onClick={handleOpen} className="block mb-1">
+        {thumbnailUrl ? (
+          <img
+            src={thumbnailUrl}
+            alt={attachment.name}
+            className="rounded-md max-w-full max-h-60 object-contain"
+          />
+        ) : (
+          <span className="block w-40 h-24 rounded-md bg-gray-200 animate-pulse" />
+        )}
+      </a>
+    )
+  }
+
+  return (
+    <a
+      href="#"
+      onClick={handleOpen}
+      className={`flex items-center space-x-2 mb-1 p-2 rounded-md border ${
+        isMine ? 'border-white/40 hover:bg-white/10' : 'border-gray-300 hover:bg-gray-100'
+      }`}
+    >
+      <span className="text-lg">📎</span>
+      <span className="text-sm break-all">
+        <span className="underline">{attachment.name}</span>
+        <span className="ml-1 opacity-75">({formatFileSize(attachment.size)})</span>
+      </span>
+    </a>
+  )
+}
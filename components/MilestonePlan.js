@@ -0,0 +1,288 @@
+import { useState } from 'react'
+import { apiFetch } from '../lib/apiClient'
+import { JOB_STATUS, getAssignedFreelancers, getAssigneeId } from '../utils/jobStatus'
+import {
+  MILESTONE_STATUS,
+  MILESTONE_STATUS_LABELS,
+  MILESTONE_STATUS_COLORS,
+  MILESTONE_STATUS_TRANSITIONS,
+  MAX_MILESTONES,
+  getMilestoneParticipant,
+  getPendingApprovers,
+  getMilestoneTotal,
+  isPlanAgreed
+} from '../utils/milestoneUtils'
+
+const formatPrice = (amount) => `¥${Number(amount || 0).toLocaleString()}`
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('ja-JP') : '未設定')
+
+const emptyRow = (job) => ({ title: '', amount: job.budget || '', dueDate: (job.deadline || '').slice(0, 10), assigneeId: '' })
+
+// 案件詳細画面の作業計画（採用決定後にクライアントとフリーランサーがマイルストーンに合意し、進捗を管理する）
+export default function MilestonePlan({ job, userEmail, onJobUpdated }) {
+  const [editing, setEditing] = useState(false)
+  const [rows, setRows] = useState([])
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  const milestones = job.milestones || []
+  const participant = userEmail ? getMilestoneParticipant(job, [userEmail]) : null
+  if (!participant || (job.status !== JOB_STATUS.IN_PROGRESS && milestones.length === 0)) return null
+
+  const agreed = isPlanAgreed(job)
+  const pendingApprovers = getPendingApprovers(job)
+  const canChangePlan = job.status === JOB_STATUS.IN_PROGRESS && !agreed
+  const acceptedMilestones = milestones.filter(milestone => milestone.status === MILESTONE_STATUS.ACCEPTED)
+  // 複数人を採用した案件では、マイルストーンごとに担当のフリーランサーを決める
+  const assignees = getAssignedFreelancers(job)
+  const needsAssignee = assignees.length > 1
+  const nameOf = (participantId) => {
+    if (participantId === (job.clientEmail || job.clientId)) return `${job.clientName}（クライアント）`
+    const assignee = getAssignedFreelancers(job).find(item => getAssigneeId(item) === participantId)
+    return assignee?.name || participantId
+  }
+
+  const startEditing = () => {
+    setRows(milestones.length > 0
+      ? milestones.map(({ title, amount, dueDate, assigneeId }) => ({ title, amount, dueDate, assigneeId: assigneeId || '' }))
+      : [emptyRow(job)])
+    setError('')
+    setEditing(true)
+  }
+
+  const updateRow = (index, field, value) => {
+    setRows(prev => prev.map((row, rowIndex) => (rowIndex === index ? { ...row, [field]: value } : row)))
+  }
+
+  // 操作を実行し、案件を更新して相手に通知する
+  const run = async (action) => {
+    try {
+      setSaving(true)
+      setError('')
+      await action()
+    } catch (err) {
+      console.error('作業計画の更新エラー:', err)
+      setError(err.message || '作業計画の更新に失敗しました')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handlePropose = () => run(async () => {
+    const { job: updated } = await apiFetch(`/api/jobs/${job.id}/milestones`, {
+      method: 'PUT',
+      body: {
+        milestones: rows.map(row => ({
+          ...row,
+          amount: row.amount === '' ? null : Number(row.amount)
+        }))
+      }
+    })
+    setEditing(false)
+    onJobUpdated(updated)
+  })
+
+  const handleAgree = () => run(async () => {
+    const { job: updated } = await apiFetch(`/api/jobs/${job.id}/milestones/agree`, { method: 'POST' })
+    onJobUpdated(updated)
+  })
+
+  const handleStart = (milestone) => run(async () => {
+    const { job: updated } = await apiFetch(`/api/jobs/${job.id}/milestones/${milestone.id}/start`, { method: 'POST' })
+    onJobUpdated(updated)
+  })
+
+  return (
+    <div className="bg-white rounded-xl shadow-xl p-8 mt-8">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold text-gray-800">作業計画（マイルストーン）</h2>
+        {milestones.length > 0 && (
+          <span className={`px-3 py-1 rounded-full text-sm font-medium ${agreed ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'}`}>
+            {agreed ? '合意済み' : '合意待ち'}
+          </span>
+        )}
+      </div>
+
+      {editing ? (
+        <div className="space-y-3">
+          {rows.map((row, index) => (
+            <div key={index} className="grid grid-cols-1 md:grid-cols-12 gap-2 items-center">
+              <input
+                type="text"
+                value={row.title}
+                onChange={(e) => updateRow(index, 'title', e.target.value)}
+                placeholder={`マイルストーン${index + 1}（例：デザイン案の提出）`}
+                className={`${needsAssignee ? 'md:col-span-3' : 'md:col-span-6'} px-3 py-2 border border-gray-300 rounded-lg`}
+              />
+              {needsAssignee && (
+                <select
+                  value={row.assigneeId}
+                  onChange={(e) => updateRow(index, 'assigneeId', e.target.value)}
+                  className="md:col-span-3 px-3 py-2 border border-gray-300 rounded-lg"
+                >
+                  <option value="">担当者を選択</option>
+                  {assignees.map(assignee => (
+                    <option key={getAssigneeId(assignee)} value={getAssigneeId(assignee)}>
+                      {assignee.name || getAssigneeId(assignee)}
+                    </option>
+                  ))}
+                </select>
+              )}
+              <input
+                type="number"
+                min="0"
+                value={row.amount}
+                onChange={(e) => updateRow(index, 'amount', e.target.value)}
+                placeholder="金額"
+                className="md:col-span-2 px-3 py-2 border border-gray-300 rounded-lg"
+              />
+              <input
+                type="date"
+                value={row.dueDate}
+                onChange={(e) => updateRow(index, 'dueDate', e.target.value)}
+                className="md:col-span-3 px-3 py-2 border border-gray-300 rounded-lg"
+              />
+              <button
+                type="button"
+                onClick={() => setRows(prev => prev.filter((_, rowIndex) => rowIndex !== index))}
+                disabled={rows.length === 1}
+                className="md:col-span-1 text-sm text-gray-400 hover:text-red-600 disabled:opacity-30"
+              >
+                削除
+              </button>
+            </div>
+          ))}
+          <div className="flex items-center justify-between text-sm">
+            <button
+              type="button"
+              onClick={() => setRows(prev => [...prev, emptyRow({})])}
+              disabled={rows.length >= MAX_MILESTONES}
+              className="text-blue-600 hover:text-blue-800 disabled:opacity-50"
+            >
+              ＋ マイルストーンを追加
+            </button>
+            <span className="text-gray-600">
+              合計 {formatPrice(getMilestoneTotal(rows))}
+              {job.budget ? `（予算 ${formatPrice(job.budget)}）` : ''}
+            </span>
+          </div>
+          <div className="flex space-x-3 pt-2">
+            <button
+              onClick={handlePropose}
+              disabled={saving}
+              className="bg-gradient-to-r from-blue-500 to-purple-500 text-white px-6 py-2 rounded-lg hover:from-blue-600 hover:to-purple-600 disabled:opacity-50"
+            >
+              {saving ? '送信中...' : 'この計画を提案する'}
+            </button>
+            <button
+              onClick={() => setEditing(false)}
+              disabled={saving}
+              className="px-6 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+            >
+              キャンセル
+            </button>
+          </div>
+          <p className="text-xs text-gray-500">提案すると、他の当事者が合意するまで計画は確定しません。</p>
+        </div>
+      ) : milestones.length === 0 ? (
+        <div className="text-center py-4">
+          <p className="text-gray-600 mb-4">
+            マイルストーン（作業の区切り・金額・期日）を決めて、進捗と検収を管理しましょう。
+          </p>
+          <button
+            onClick={startEditing}
+            className="bg-gradient-to-r from-blue-500 to-purple-500 text-white px-6 py-2 rounded-lg hover:from-blue-600 hover:to-purple-600"
+          >
+            作業計画を作成する
+          </button>
+        </div>
+      ) : (
+        <div>
+          {/* 進捗 */}
+          <div className="mb-4">
+            <div className="flex justify-between text-sm text-gray-600 mb-1">
+              <span>検収済み {acceptedMilestones.length}/{milestones.length}</span>
+              <span>{formatPrice(getMilestoneTotal(acceptedMilestones))} / {formatPrice(getMilestoneTotal(milestones))}</span>
+            </div>
+            <div className="h-2 bg-gray-200 rounded-full">
+              <div
+                className="h-2 bg-green-500 rounded-full"
+                style={{ width: `${Math.round((acceptedMilestones.length / milestones.length) * 100)}%` }}
+              />
+            </div>
+          </div>
+
+          <ol className="space-y-3">
+            {milestones.map((milestone, index) => (
+              <li key={milestone.id} className="border border-gray-200 rounded-lg p-4">
+                <div className="flex items-start justify-between">
+                  <div>
+                    <p className="font-semibold text-gray-800">{index + 1}. {milestone.title}</p>
+                    <p className="text-sm text-gray-600">
+                      {formatPrice(milestone.amount)} ・ 期日 {formatDate(milestone.dueDate)}
+                      {needsAssignee && milestone.assigneeId && ` ・ 担当 ${nameOf(milestone.assigneeId)}`}
+                    </p>
+                  </div>
+                  <span className={`px-2 py-1 rounded-full text-xs font-medium ${MILESTONE_STATUS_COLORS[milestone.status] || 'bg-gray-100 text-gray-800'}`}>
+                    {MILESTONE_STATUS_LABELS[milestone.status] || milestone.status}
+                  </span>
+                </div>
+                {milestone.note && (
+                  <p className="mt-2 text-sm text-gray-700 bg-gray-50 rounded p-2 whitespace-pre-wrap">{milestone.note}</p>
+                )}
+                {agreed && job.status === JOB_STATUS.IN_PROGRESS && participant.role === 'freelancer' &&
+                  (!milestone.assigneeId || milestone.assigneeId === participant.participantId) &&
+                  (MILESTONE_STATUS_TRANSITIONS[milestone.status] || []).includes(MILESTONE_STATUS.IN_PROGRESS) && (
+                  <div className="mt-3">
+                    <button
+                      onClick={() => handleStart(milestone)}
+                      disabled={saving}
+                      className="px-4 py-1.5 rounded-lg text-sm font-medium bg-blue-500 hover:bg-blue-600 text-white disabled:opacity-50"
+                    >
+                      作業を開始
+                    </button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ol>
+
+          {agreed && job.status === JOB_STATUS.IN_PROGRESS && (
+            <p className="mt-3 text-xs text-gray-500">マイルストーンの提出・検収は下の「納品」から行います。</p>
+          )}
+
+          {!agreed && (
+            <div className="mt-4 p-4 bg-yellow-50 rounded-lg">
+              <p className="text-sm text-yellow-800 mb-3">
+                {nameOf(job.milestonePlan?.proposedBy)}さんが提案した計画です。
+                合意待ち: {pendingApprovers.map(nameOf).join('、')}
+              </p>
+              <div className="flex space-x-3">
+                {pendingApprovers.includes(participant.participantId) && (
+                  <button
+                    onClick={handleAgree}
+                    disabled={saving}
+                    className="bg-green-500 text-white px-6 py-2 rounded-lg hover:bg-green-600 disabled:opacity-50"
+                  >
+                    {saving ? '処理中...' : 'この計画に合意する'}
+                  </button>
+                )}
+                {canChangePlan && (
+                  <button
+                    onClick={startEditing}
+                    disabled={saving}
+                    className="px-6 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+                  >
+                    計画を修正して提案し直す
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {error && <p className="mt-4 text-sm text-red-600">{error}</p>}
+    </div>
+  )
+}
@@ -0,0 +1,216 @@
+import { useState, useEffect } from 'react'
+import { apiFetch } from '../lib/apiClient'
+import { pushNotificationService } from '../lib/pushNotificationService'
+import {
+  NOTIFICATION_TYPE_LABELS,
+  NOTIFICATION_TEMPLATES,
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_CHANNEL_LABELS
+} from '../utils/notificationUtils'
+
+const CHANNELS = Object.values(NOTIFICATION_CHANNELS)
+
+// プロフィール画面の「通知設定」タブ（通知タイプ × チャネルのオン・オフとおやすみ時間）
+export default function NotificationPreferences() {
+  const [preferences, setPreferences] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+  const [pushSupported, setPushSupported] = useState(false)
+  const [pushSubscribed, setPushSubscribed] = useState(false)
+  const [pushUpdating, setPushUpdating] = useState(false)
+
+  useEffect(() => {
+    const supported = pushNotificationService.isSupported()
+    setPushSupported(supported)
+    if (supported) {
+      pushNotificationService.getSubscription()
+        .then(subscription => setPushSubscribed(!!subscription))
+        .catch(() => setPushSubscribed(false))
+    }
+  }, [])
+
+  useEffect(() => {
+    apiFetch('/api/notifications/preferences')
+      .then(result => setPreferences(result.preferences))
+      .catch(err => {
+        console.error('通知設定の読み込みエラー:', err)
+        setError('通知設定を読み込めませんでした')
+      })
+      .finally(() => setLoading(false))
+  }, [])
+
+  const toggleChannel = (type, channel) => {
+    setPreferences(prev => ({
+      ...prev,
+      channels: {
+        ...prev.channels,
+        [type]: { ...prev.channels[type], [channel]: !prev.channels[type][channel] }
+      }
+    }))
+  }
+
+  const updateQuietHours = (field, value) => {
+    setPreferences(prev => ({
+      ...prev,
+      quietHours: { ...prev.quietHours, [field]: value }
+    }))
+  }
+
+  const handleSave = async () => {
+    try {
+      setSaving(true)
+      setError('')
+      const result = await apiFetch('/api/notifications/preferences', {
+        method: 'PUT',
+        body: {
+          channels: preferences.channels,
+          quietHours: preferences.quietHours
+        }
+      })
+      setPreferences(result.preferences)
+      alert('通知設定を保存しました')
+    } catch (err) {
+      console.error('通知設定の保存エラー:', err)
+      setError(err.message || '通知設定の保存に失敗しました')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  // このブラウザでのプッシュ通知の受け取り
+  const togglePush = async () => {
+    try {
+      setPushUpdating(true)
+      setError('')
+      if (pushSubscribed) {
+        await pushNotificationService.disable()
+        setPushSubscribed(false)
+      } else {
+        const enabled = await pushNotificationService.enable()
+        if (!enabled) {
+          setError('プッシュ通知を有効にできませんでした。ブラウザの通知の許可を確認してください')
+        }
+        setPushSubscribed(enabled)
+      }
+    } catch (err) {
+      console.error('プッシュ通知の設定エラー:', err)
+      setError(err.message || 'プッシュ通知の設定に失敗しました')
+    } finally {
+      setPushUpdating(false)
+    }
+  }
+
+  if (loading) {
+    return <p className="text-gray-500">読み込み中...</p>
+  }
+
+  if (!preferences) {
+    return <p className="text-red-600">{error}</p>
+  }
+
+  return (
+    <div className="space-y-8">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">通知の受け取り方法</h3>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200">
+                <th className="text-left py-3 pr-4 font-medium text-gray-700">通知</th>
+                {CHANNELS.map(channel => (
+                  <th key={channel} className="py-3 px-4 font-medium text-gray-700 text-center">
+                    {NOTIFICATION_CHANNEL_LABELS[channel]}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {Object.keys(preferences.channels).map(type => (
+                <tr key={type} className="border-b border-gray-100">
+                  <td className="py-3 pr-4 text-gray-900">
+                    {NOTIFICATION_TEMPLATES[type]?.icon} {NOTIFICATION_TYPE_LABELS[type] || type}
+                  </td>
+                  {CHANNELS.map(channel => (
+                    <td key={channel} className="py-3 px-4 text-center">
+                      <input
+                        type="checkbox"
+                        checked={!!preferences.channels[type][channel]}
+                        onChange={() => toggleChannel(type, channel)}
+                        className="h-4 w-4 text-blue-600 rounded"
+                        aria-label={`${NOTIFICATION_TYPE_LABELS[type] || type}（${NOTIFICATION_CHANNEL_LABELS[channel]}）`}
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {pushSupported && (
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 mb-2">このブラウザのプッシュ通知</h3>
+          <p className="text-sm text-gray-500 mb-4">
+            {pushSubscribed
+              ? 'このブラウザでプッシュ通知を受け取ります。'
+              : 'プッシュ通知を受け取るには、このブラウザで通知を許可してください。'}
+          </p>
+          <button
+            type="button"
+            onClick={togglePush}
+            disabled={pushUpdating}
+            className="px-6 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors font-medium disabled:opacity-50"
+          >
+            {pushUpdating ? '設定中...' : pushSubscribed ? 'このブラウザで受け取らない' : 'このブラウザで受け取る'}
+          </button>
+        </div>
+      )}
+
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900 mb-2">おやすみ時間</h3>
+        <p className="text-sm text-gray-500 mb-4">
+          設定した時間帯はメール・プッシュ通知を送らず、アプリ内通知のみ届きます。
+        </p>
+        <label className="flex items-center space-x-2 mb-4">
+          <input
+            type="checkbox"
+            checked={preferences.quietHours.enabled}
+            onChange={(e) => updateQuietHours('enabled', e.target.checked)}
+            className="h-4 w-4 text-blue-600 rounded"
+          />
+          <span className="text-gray-700">おやすみ時間を有効にする</span>
+        </label>
+        <div className="flex items-center space-x-3">
+          <input
+            type="time"
+            value={preferences.quietHours.start}
+            onChange={(e) => updateQuietHours('start', e.target.value)}
+            disabled={!preferences.quietHours.enabled}
+            className="px-3 py-2 border border-gray-300 rounded-lg disabled:bg-gray-100"
+          />
+          <span className="text-gray-500">〜</span>
+          <input
+            type="time"
+            value={preferences.quietHours.end}
+            onChange={(e) => updateQuietHours('end', e.target.value)}
+            disabled={!preferences.quietHours.enabled}
+            className="px-3 py-2 border border-gray-300 rounded-lg disabled:bg-gray-100"
+          />
+          <span className="text-sm text-gray-500">（{preferences.quietHours.timezone}）</span>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <button
+        onClick={handleSave}
+        disabled={saving}
+        className="bg-gradient-to-r from-blue-500 to-purple-500 text-white px-8 py-3 rounded-lg hover:from-blue-600 hover:to-purple-600 transition-all shadow-md hover:shadow-lg font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {saving ? '保存中...' : '通知設定を保存'}
+      </button>
+    </div>
+  )
+}
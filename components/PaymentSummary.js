@@ -0,0 +1,113 @@
+import { useState, useEffect } from 'react'
+import Link from 'next/link'
+import { apiFetch } from '../lib/apiClient'
+import { getMilestoneParticipant } from '../utils/milestoneUtils'
+
+const formatPrice = (amount) => `¥${Number(amount || 0).toLocaleString()}`
+const formatDateTime = (date) => (date ? new Date(date).toLocaleString('ja-JP') : '')
+
+const TRANSACTION_LABELS = {
+  deposit: '仮払い',
+  release: '支払い',
+  refund: '返金'
+}
+
+// 案件詳細画面の支払い状況（オファー承諾時の仮払い・検収ごとの支払い・キャンセル時の返金。当事者のみ表示）
+// 支払いごとにフリーランサーの請求書が発行され、プロフィール画面の「請求書」タブから確認できる
+export default function PaymentSummary({ job, userEmail }) {
+  const [ledger, setLedger] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  const participant = userEmail ? getMilestoneParticipant(job, [userEmail]) : null
+  // 検収・完了・キャンセルのたびに取り直す（支払いはサーバー側で検収に続いて行われる）
+  const reviewedCount = (job.deliverables || []).filter(deliverable => deliverable.reviewedAt).length
+
+  const loadLedger = async () => {
+    try {
+      setLoading(true)
+      setError('')
+      setLedger(await apiFetch(`/api/jobs/${job.id}/payments`))
+    } catch (err) {
+      console.error('支払い状況の読み込みエラー:', err)
+      setError('支払い状況を読み込めませんでした')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    if (participant) loadLedger()
+  }, [job.id, job.status, reviewedCount, !!participant])
+
+  if (!participant || !ledger || ledger.transactions.length === 0) {
+    return error ? <p className="mt-8 text-sm text-red-600">{error}</p> : null
+  }
+
+  const { summary, transactions } = ledger
+  const sortedTransactions = [...transactions].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+  const items = participant.role === 'client'
+    ? [
+      { label: '仮払い済み', amount: summary.deposited },
+      { label: '預かり中', amount: summary.escrow },
+      { label: '支払い済み', amount: summary.released },
+      { label: '返金', amount: summary.refunded }
+    ]
+    : [
+      { label: '預かり中', amount: summary.escrow },
+      { label: '支払い済み', amount: summary.released },
+      { label: '手数料', amount: summary.fees },
+      { label: '受取額', amount: summary.released - summary.fees }
+    ]
+
+  return (
+    <div className="bg-white rounded-xl shadow-xl p-8 mt-8">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold text-gray-800">支払い状況</h2>
+        <button
+          onClick={loadLedger}
+          disabled={loading}
+          className="text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50"
+        >
+          {loading ? '更新中...' : '最新の状態に更新'}
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+        {items.map(item => (
+          <div key={item.label} className="bg-gray-50 rounded-lg p-3">
+            <p className="text-xs text-gray-500">{item.label}</p>
+            <p className="text-lg font-bold text-gray-800">{formatPrice(item.amount)}</p>
+          </div>
+        ))}
+      </div>
+
+      <ul className="divide-y divide-gray-100 text-sm">
+        {sortedTransactions.map(transaction => (
+          <li key={transaction.id} className="py-2 flex items-center justify-between">
+            <div>
+              <span className="font-medium text-gray-800">{TRANSACTION_LABELS[transaction.type] || transaction.type}</span>
+              {transaction.reason && <span className="ml-2 text-gray-600">{transaction.reason}</span>}
+              <p className="text-xs text-gray-500">{formatDateTime(transaction.createdAt)}</p>
+            </div>
+            <span className="font-semibold text-gray-800">{formatPrice(transaction.amount)}</span>
+          </li>
+        ))}
+      </ul>
+
+      {summary.released > 0 && (
+        <div className="mt-4 p-4 bg-blue-50 rounded-lg flex items-center justify-between">
+          <p className="text-sm text-blue-800">
+            {participant.role === 'client' ? '支払いごとの請求書を受け取っています。' : '支払いごとに請求書を発行しました。'}
+          </p>
+          <Link
+            href="/profile?tab=invoices"
+            className="bg-blue-500 text-white px-4 py-2 rounded-lg text-sm hover:bg-blue-600"
+          >
+            請求書を見る
+          </Link>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -58,18 +58,64 @@ CREATE TABLE IF NOT EXISTS crowdwork_applications (
 );
 
 -- 4. メッセージテーブル
+-- 応募ごとの会話（受信箱・チャットルーム共通）の履歴。sender_id / receiver_id は API サーバーのユーザーID（UUID またはメールアドレス）
 CREATE TABLE IF NOT EXISTS crowdwork_messages (
   id SERIAL PRIMARY KEY,
-  job_id INTEGER REFERENCES crowdwork_jobs(id) ON DELETE CASCADE,
-  sender_id INTEGER REFERENCES crowdwork_users(id) ON DELETE CASCADE,
-  receiver_id INTEGER REFERENCES crowdwork_users(id) ON DELETE CASCADE,
+  application_id TEXT,
+  match_id TEXT,
+  job_id TEXT,
+  sender_id TEXT NOT NULL,
+  sender_name VARCHAR(100),
+  receiver_id TEXT,
   message TEXT NOT NULL,
   message_type VARCHAR(20) DEFAULT 'text',
   read_status BOOLEAN DEFAULT FALSE,
-  sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  read_at TIMESTAMP,
+  attachment JSONB,
+  sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 既存のメッセージテーブルにチャット用のカラムを追加
+ALTER TABLE crowdwork_messages ADD COLUMN IF NOT EXISTS application_id TEXT;
+ALTER TABLE crowdwork_messages ADD COLUMN IF NOT EXISTS match_id TEXT;
+ALTER TABLE crowdwork_messages ADD COLUMN IF NOT EXISTS sender_name VARCHAR(100);
+ALTER TABLE crowdwork_messages ADD COLUMN IF NOT EXISTS read_at TIMESTAMP;
+ALTER TABLE crowdwork_messages ADD COLUMN IF NOT EXISTS attachment JSONB;
+ALTER TABLE crowdwork_messages ADD COLUMN IF NOT EXISTS created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE crowdwork_messages ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+-- 旧スキーマ（INTEGER の外部キー）で作成済みのテーブルは、API サーバーのユーザーID・案件ID を保存できるよう TEXT に変更する
+ALTER TABLE crowdwork_messages DROP CONSTRAINT IF EXISTS crowdwork_messages_job_id_fkey;
+ALTER TABLE crowdwork_messages DROP CONSTRAINT IF EXISTS crowdwork_messages_sender_id_fkey;
+ALTER TABLE crowdwork_messages DROP CONSTRAINT IF EXISTS crowdwork_messages_receiver_id_fkey;
+ALTER TABLE crowdwork_messages ALTER COLUMN job_id TYPE TEXT USING job_id::text;
+ALTER TABLE crowdwork_messages ALTER COLUMN sender_id TYPE TEXT USING sender_id::text;
+ALTER TABLE crowdwork_messages ALTER COLUMN receiver_id TYPE TEXT USING receiver_id::text;
+
+-- 5. 通知テーブル
+-- recipient_id は API サーバーのユーザーID（UUID またはメールアドレス）。タイトル・本文は NOTIFICATION_TEMPLATES から生成
+CREATE TABLE IF NOT EXISTS crowdwork_notifications (
+  id SERIAL PRIMARY KEY,
+  type VARCHAR(50) NOT NULL,
+  recipient_id TEXT NOT NULL,
+  title VARCHAR(200) NOT NULL,
+  message TEXT NOT NULL,
+  icon VARCHAR(20),
+  color VARCHAR(20),
+  priority VARCHAR(10) DEFAULT 'normal',
+  data JSONB DEFAULT '{}',
+  read_status BOOLEAN DEFAULT FALSE,
+  read_at TIMESTAMP,
+  archived_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- 5. インデックス作成（パフォーマンス向上）
+ALTER TABLE crowdwork_notifications ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP;
+
+-- 6. インデックス作成（パフォーマンス向上）
 CREATE INDEX IF NOT EXISTS idx_jobs_client ON crowdwork_jobs(client_id);
 CREATE INDEX IF NOT EXISTS idx_jobs_status ON crowdwork_jobs(status);
 CREATE INDEX IF NOT EXISTS idx_applications_job ON crowdwork_applications(job_id);
@@ -77,14 +123,18 @@ CREATE INDEX IF NOT EXISTS idx_applications_worker ON crowdwork_applications(wor
 CREATE INDEX IF NOT EXISTS idx_messages_job ON crowdwork_messages(job_id);
 CREATE INDEX IF NOT EXISTS idx_messages_sender ON crowdwork_messages(sender_id);
 CREATE INDEX IF NOT EXISTS idx_messages_receiver ON crowdwork_messages(receiver_id);
+CREATE INDEX IF NOT EXISTS idx_messages_match ON crowdwork_messages(match_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_messages_application ON crowdwork_messages(application_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_notifications_recipient ON crowdwork_notifications(recipient_id, read_status);
 
--- 6. Row Level Security (RLS) 有効化
+-- 7. Row Level Security (RLS) 有効化
 ALTER TABLE crowdwork_users ENABLE ROW LEVEL SECURITY;
 ALTER TABLE crowdwork_jobs ENABLE ROW LEVEL SECURITY;
 ALTER TABLE crowdwork_applications ENABLE ROW LEVEL SECURITY;
 ALTER TABLE crowdwork_messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE crowdwork_notifications ENABLE ROW LEVEL SECURITY;
 
--- 7. 基本的なRLSポリシー（ユーザーは自分のデータのみアクセス可能）
+-- 8. 基本的なRLSポリシー（ユーザーは自分のデータのみアクセス可能）
 CREATE POLICY IF NOT EXISTS "Users can view own profile" ON crowdwork_users
   FOR SELECT USING (auth.uid()::text = id::text);
 
@@ -0,0 +1,75 @@
+import { useEffect, useState } from 'react'
+import { apiFetch } from '../lib/apiClient'
+import { getSocket } from '../lib/socketClient'
+
+// 「○分前」などの表示を更新するため定期的に再取得する
+const REFRESH_INTERVAL = 60 * 1000
+
+/**
+ * オンライン状態の表示用テキスト
+ * @param {{ online: boolean, lastSeenAt: string | null } | null | undefined} presence
+ * @returns {string} - 「オンライン」「3時間前にオンライン」など（不明な場合は空文字）
+ */
+export const formatPresence = (presence) => {
+  if (!presence) return ''
+  if (presence.online) return 'オンライン'
+  if (!presence.lastSeenAt) return ''
+
+  const minutes = Math.floor((Date.now() - new Date(presence.lastSeenAt).getTime()) / 60000)
+  if (minutes < 1) return 'たった今までオンライン'
+  if (minutes < 60) return `${minutes}分前にオンライン`
+  if (minutes < 60 * 24) return `${Math.floor(minutes / 60)}時間前にオンライン`
+  return `${Math.floor(minutes / (60 * 24))}日前にオンライン`
+}
+
+/**
+ * マッチング相手・応募を通じた相手（案件の応募者・応募先の投稿者）のオンライン状態を取得し、変化はリアルタイムに反映する
+ * @param {string[]} ids - ユーザーID またはメールアドレス（相手以外は結果に含まれない）
+ * @returns {Object<string, { online: boolean, lastSeenAt: string | null }>} - id ごとのオンライン状態
+ */
+export function usePresence(ids) {
+  const key = [...new Set((ids || []).filter(Boolean).map(String))].sort().join(',')
+  const [presence, setPresence] = useState({})
+
+  useEffect(() => {
+    if (!key) return
+
+    const targetIds = key.split(',')
+    let socket = null
+    let cancelled = false
+
+    const load = () => {
+      apiFetch(`/api/presence?ids=${encodeURIComponent(key)}`)
+        .then(result => {
+          if (!cancelled) setPresence(result.presence)
+        })
+        .catch(error => console.warn('オンライン状態の取得エラー:', error.message))
+    }
+
+    const handlePresenceChanged = (data) => {
+      const changed = [data.userId, data.email].filter(id => id && targetIds.includes(String(id)))
+      if (changed.length === 0) return
+      setPresence(prev => changed.reduce((next, id) => ({
+        ...next,
+        [id]: { online: data.online, lastSeenAt: data.lastSeenAt }
+      }), prev))
+    }
+
+    load()
+    const timer = setInterval(load, REFRESH_INTERVAL)
+
+    getSocket().then((connection) => {
+      if (cancelled || !connection) return
+      socket = connection
+      socket.on('presenceChanged', handlePresenceChanged)
+    })
+
+    return () => {
+      cancelled = true
+      clearInterval(timer)
+      if (socket) socket.off('presenceChanged', handlePresenceChanged)
+    }
+  }, [key])
+
+  return presence
+}
@@ -0,0 +1,30 @@
+import { useEffect, useState } from 'react'
+import { useSession } from 'next-auth/react'
+import { getSocket } from '../lib/socketClient'
+
+// メッセージの未読件数（合計・応募の会話ごと）をリアルタイムに購読する（受信箱とチャットルームで共通）
+export function useUnreadCount() {
+  const { data: session } = useSession()
+  const [counts, setCounts] = useState({ total: 0, byApplication: {} })
+
+  useEffect(() => {
+    if (!session) return
+
+    let socket = null
+    let cancelled = false
+
+    getSocket().then((connection) => {
+      if (cancelled || !connection) return
+      socket = connection
+      socket.on('unreadCounts', setCounts)
+      socket.emit('getUnreadCounts')
+    })
+
+    return () => {
+      cancelled = true
+      if (socket) socket.off('unreadCounts', setCounts)
+    }
+  }, [session])
+
+  return counts
+}
@@ -0,0 +1,95 @@
+// API サーバー（server/app.js）へのリクエスト
+
+export const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3002'
+
+// 有効期限の少し前に取り直す
+const TOKEN_REFRESH_MARGIN = 30 * 1000
+
+let tokenPromise = null
+let tokenExpiresAt = 0
+
+/**
+ * API サーバーの認証に使う短命のアクセストークンを取得する（未ログインの場合は null）
+ * @returns {Promise<string|null>}
+ */
+export const getApiToken = () => {
+  if (!tokenPromise || Date.now() >= tokenExpiresAt) {
+    tokenExpiresAt = Infinity
+    tokenPromise = fetch('/api/auth/token')
+      .then(res => res.ok ? res.json() : null)
+      .then(result => {
+        if (!result?.token) {
+          tokenPromise = null
+          return null
+        }
+        tokenExpiresAt = Date.now() + result.expiresIn * 1000 - TOKEN_REFRESH_MARGIN
+        return result.token
+      })
+      .catch((error) => {
+        tokenPromise = null
+        throw error
+      })
+  }
+  return tokenPromise
+}
+
+// ログアウト時にキャッシュを破棄する
+export const clearApiToken = () => {
+  tokenPromise = null
+  tokenExpiresAt = 0
+}
+
+/**
+ * 認証付きで API を呼び出す
+ * @param {string} path - /api/... のパス
+ * @param {object} options - fetch のオプション（body が FormData 以外のオブジェクトなら JSON として送る。
+ *   auth: false の場合はトークンなしで呼び出す（案件一覧など公開の API 用））
+ * @returns {Promise<object>} - レスポンスの JSON
+ */
+export const apiFetch = async (path, options = {}) => {
+  const { body, headers = {}, auth = true, ...rest } = options
+
+  const token = auth ? await getApiToken() : null
+  if (auth && !token) {
+    throw new Error('ログインが必要です')
+  }
+
+  const isJsonBody = body && !(body instanceof FormData) && typeof body !== 'string'
+
+  const res = await fetch(`${API_URL}${path}`, {
+    ...rest,
+    headers: {
+      ...headers,
+      ...(isJsonBody ? { 'Content-Type': 'application/json' } : {}),
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: isJsonBody ? JSON.stringify(body) : body
+  })
+
+  const result = await res.json().catch(() => ({}))
+  if (!res.ok || result.success === false) {
+    throw new Error(result.message || `リクエストに失敗しました (${res.status})`)
+  }
+  return result
+}
+
+/**
+ * 認証付きでファイルを取得する（請求書の PDF・添付ファイルなど）
+ * @param {string} path - /api/... のパス
+ * @returns {Promise<Blob>}
+ */
+export const apiFetchBlob = async (path) => {
+  const token = await getApiToken()
+  if (!token) {
+    throw new Error('ログインが必要です')
+  }
+
+  const res = await fetch(`${API_URL}${path}`, {
+    headers: { Authorization: `Bearer ${token}` }
+  })
+  if (!res.ok) {
+    const result = await res.json().catch(() => ({}))
+    throw new Error(result.message || `リクエストに失敗しました (${res.status})`)
+  }
+  return res.blob()
+}
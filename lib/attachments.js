@@ -0,0 +1,49 @@
+// チャットの添付ファイル（アップロードは API サーバーの /api/uploads）
+
+import { apiFetch } from './apiClient'
+
+// サーバー側（server/services/attachmentService.js）の許可形式・上限と合わせる
+export const ATTACHMENT_ACCEPT = [
+  'image/jpeg', 'image/png', 'image/gif', 'image/webp',
+  'application/pdf', 'application/zip', '.zip',
+  '.docx', '.xlsx', '.pptx',
+  'text/plain', 'text/csv'
+].join(',')
+
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024
+
+export const formatFileSize = (size) => {
+  if (!size && size !== 0) return ''
+  if (size < 1024) return `${size} B`
+  if (size < 1024 * 1024) return `${(size / 1024).toFixed(1)} KB`
+  return `${(size / (1024 * 1024)).toFixed(1)} MB`
+}
+
+/**
+ * 添付ファイルを取得する API のパス（以前に保存された url に関わらず ID から決める）
+ * @param {string} variant - file / thumbnail
+ */
+export const getAttachmentPath = (attachment, variant = 'file') => (
+  `/api/uploads/${encodeURIComponent(attachment.id)}${variant === 'thumbnail' ? '/thumbnail' : ''}`
+)
+
+/**
+ * 添付ファイルをアップロードする
+ * @param {File} file
+ * @param {object} context - { matchId } または { jobId, applicationId }
+ * @returns {Promise<object>} - メッセージに添付する情報 { id, kind, name, url, thumbnailUrl, ... }
+ */
+export const uploadAttachment = async (file, context = {}) => {
+  if (file.size > MAX_ATTACHMENT_SIZE) {
+    throw new Error(`ファイルサイズは${MAX_ATTACHMENT_SIZE / (1024 * 1024)}MB以下にしてください`)
+  }
+
+  const formData = new FormData()
+  Object.keys(context).forEach(key => {
+    if (context[key]) formData.append(key, context[key])
+  })
+  formData.append('file', file)
+
+  const { attachment } = await apiFetch('/api/uploads', { method: 'POST', body: formData })
+  return attachment
+}
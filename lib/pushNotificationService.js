@@ -1,10 +1,16 @@
+import { apiFetch, API_URL } from './apiClient'
+
 export class PushNotificationService {
   constructor() {
     this.registration = null
   }
 
+  isSupported() {
+    return typeof window !== 'undefined' && 'serviceWorker' in navigator && 'PushManager' in window
+  }
+
   async initialize() {
-    if (!('serviceWorker' in navigator) || !('PushManager' in window)) {
+    if (!this.isSupported()) {
       console.warn('Push notifications are not supported')
       return false
     }
@@ -32,9 +38,7 @@ export class PushNotificationService {
     try {
       const subscription = await this.registration.pushManager.subscribe({
         userVisibleOnly: true,
-        applicationServerKey: this.urlBase64ToUint8Array(
-          process.env.NEXT_PUBLIC_VAPID_PUBLIC_KEY
-        )
+        applicationServerKey: this.urlBase64ToUint8Array(await this.getPublicKey())
       })
 
       return subscription
@@ -44,6 +48,57 @@ export class PushNotificationService {
     }
   }
 
+  // 未設定の場合は API サーバーの VAPID 公開鍵を使う
+  async getPublicKey() {
+    if (process.env.NEXT_PUBLIC_VAPID_PUBLIC_KEY) {
+      return process.env.NEXT_PUBLIC_VAPID_PUBLIC_KEY
+    }
+    const res = await fetch(`${API_URL}/api/push/vapid-public-key`)
+    const result = await res.json()
+    if (!res.ok) {
+      throw new Error(result.message || 'プッシュ通知は利用できません')
+    }
+    return result.publicKey
+  }
+
+  // このブラウザの現在の購読（未購読の場合は null）
+  async getSubscription() {
+    if (!this.isSupported()) return null
+    const registration = this.registration || await navigator.serviceWorker.getRegistration('/sw.js')
+    return registration ? registration.pushManager.getSubscription() : null
+  }
+
+  /**
+   * 通知の許可を求めて購読し、API サーバーに登録する
+   * @returns {Promise<boolean>} - 登録できたか
+   */
+  async enable() {
+    if (!(await this.initialize()) || !(await this.requestPermission())) {
+      return false
+    }
+
+    const subscription = await this.subscribe()
+    if (!subscription) return false
+
+    await apiFetch('/api/push/subscriptions', {
+      method: 'POST',
+      body: subscription.toJSON()
+    })
+    return true
+  }
+
+  // API サーバーの登録を削除して購読を解除する
+  async disable() {
+    const subscription = await this.getSubscription()
+    if (!subscription) return
+
+    await apiFetch('/api/push/subscriptions', {
+      method: 'DELETE',
+      body: { endpoint: subscription.endpoint }
+    }).catch(error => console.warn('購読の登録解除に失敗しました:', error))
+    await subscription.unsubscribe()
+  }
+
   async showNotification(title, options = {}) {
     if (!this.registration) {
       return
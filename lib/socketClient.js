@@ -0,0 +1,73 @@
+// ブラウザ側の Socket.IO 接続（タブごとに 1 本を共有する）
+
+import { API_URL, getApiToken, clearApiToken, apiFetch } from './apiClient'
+
+const SOCKET_URL = process.env.NEXT_PUBLIC_SOCKET_URL || API_URL
+
+let socketPromise = null
+
+// ハンドシェイク専用の短命トークン
+const fetchSocketToken = async () => {
+  const { token } = await apiFetch('/api/auth/socket-token', { method: 'POST' })
+  return token
+}
+
+/**
+ * ハンドシェイク専用のトークンで接続したソケットを返す
+ * 未ログイン・接続できない場合は null
+ * @returns {Promise<object|null>}
+ */
+export const getSocket = () => {
+  if (typeof window === 'undefined') return Promise.resolve(null)
+
+  if (!socketPromise) {
+    socketPromise = Promise.all([
+      getApiToken(),
+      import('socket.io-client')
+    ])
+      .then(([token, io]) => {
+        if (!token) {
+          socketPromise = null
+          return null
+        }
+
+        // 再接続のたびにトークンを取り直す
+        const socket = io.default(SOCKET_URL, {
+          auth: (callback) => {
+            fetchSocketToken()
+              .then(socketToken => callback({ token: socketToken }))
+              .catch((error) => {
+                console.warn('Socketトークンの取得エラー:', error.message)
+                callback({})
+              })
+          }
+        })
+
+        // userId はサーバーがトークンから決定する
+        socket.on('authenticated', (data) => {
+          socket.userId = data.userId
+        })
+        socket.on('connect_error', (error) => {
+          console.warn('Socket認証エラー:', error.message)
+        })
+
+        return socket
+      })
+      .catch((error) => {
+        console.warn('Socket.IO connection failed:', error)
+        socketPromise = null
+        return null
+      })
+  }
+
+  return socketPromise
+}
+
+// ログアウト時などに接続を閉じる
+export const disconnectSocket = async () => {
+  clearApiToken()
+  if (!socketPromise) return
+  const socket = await socketPromise
+  socketPromise = null
+  if (socket) socket.disconnect()
+}
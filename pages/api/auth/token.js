@@ -0,0 +1,39 @@
+import { getToken } from 'next-auth/jwt'
+import { API_URL } from '../../../lib/apiClient'
+
+// API サーバーの認証に使う短命のアクセストークンを返す
+// セッション JWT（httpOnly Cookie）はブラウザに渡さず、サーバー間で API サーバーのトークンと引き換える
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ success: false, message: 'Method not allowed' })
+  }
+
+  const sessionToken = await getToken({ req, secret: process.env.NEXTAUTH_SECRET, raw: true })
+
+  if (!sessionToken) {
+    return res.status(401).json({ success: false, message: '認証が必要です' })
+  }
+
+  try {
+    const response = await fetch(`${API_URL}/api/auth/session-token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sessionToken })
+    })
+    const result = await response.json().catch(() => ({}))
+
+    if (!response.ok || !result.accessToken) {
+      return res.status(response.status === 401 ? 401 : 502).json({
+        success: false,
+        message: result.message || 'API サーバーのトークンを取得できませんでした'
+      })
+    }
+
+    res.setHeader('Cache-Control', 'no-store')
+    res.status(200).json({ success: true, token: result.accessToken, expiresIn: result.expiresIn })
+  } catch (error) {
+    console.error('API サーバーのトークン取得エラー:', error)
+    res.status(502).json({ success: false, message: 'API サーバーに接続できませんでした' })
+  }
+}
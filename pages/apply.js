@@ -2,6 +2,8 @@ import { useState, useEffect } from 'react'
 import { useSession } from 'next-auth/react'
 import { useRouter } from 'next/router'
 import Link from 'next/link'
+import { apiFetch } from '../lib/apiClient'
+import { EXPERIENCE_YEARS_OPTIONS, AVAILABILITY_OPTIONS } from '../utils/matchingUtils'
 
 export default function Apply() {
   const { data: session } = useSession()
@@ -47,18 +49,14 @@ export default function Apply() {
     }
   }, [jobId, session])
 
-  const loadJobData = () => {
+  const loadJobData = async () => {
     try {
-      const savedJobs = localStorage.getItem('crowdwork_jobs')
-      if (savedJobs) {
-        const jobs = JSON.parse(savedJobs)
-        const job = jobs.find(j => j.id.toString() === jobId)
-        if (job) {
-          setJobData(job)
-        } else {
-          // 案件が見つからない場合
-          router.push('/')
-        }
+      const { job } = await apiFetch(`/api/jobs/${jobId}`, { auth: false })
+      if (job) {
+        setJobData(job)
+      } else {
+        // 案件が見つからない場合
+        router.push('/')
       }
     } catch (error) {
       console.error('案件データの読み込みエラー:', error)
@@ -66,15 +64,11 @@ export default function Apply() {
     }
   }
 
-  const checkAlreadyApplied = () => {
+  const checkAlreadyApplied = async () => {
     try {
-      const savedApplications = localStorage.getItem('crowdwork_applications')
-      if (savedApplications && session) {
-        const applications = JSON.parse(savedApplications)
-        const existingApplication = applications.find(
-          app => app.jobId.toString() === jobId && app.applicantEmail === session.user?.email
-        )
-        setAlreadyApplied(!!existingApplication)
+      if (session) {
+        const { applications } = await apiFetch('/api/applications')
+        setAlreadyApplied(applications.some(application => String(application.jobId) === String(jobId)))
       }
     } catch (error) {
       console.error('応募状況の確認エラー:', error)
@@ -86,44 +80,19 @@ export default function Apply() {
     setLoading(true)
 
     try {
-      // 応募データを作成
-      const applicationData = {
-        id: Date.now(),
-        jobId: parseInt(jobId),
-        jobTitle: jobData?.title || '',
-        applicantEmail: session.user?.email,
-        applicantName: session.user?.name || session.user?.email,
-        proposalText: formData.proposalText,
-        proposedPrice: formData.proposedPrice,
-        proposedDeadline: formData.proposedDeadline,
-        portfolio: formData.portfolio,
-        experience: formData.experience,
-        availability: formData.availability,
-        appliedAt: new Date().toISOString(),
-        status: 'pending'
-      }
-
-      // 既存の応募データを取得
-      const savedApplications = localStorage.getItem('crowdwork_applications')
-      let applications = []
-      if (savedApplications) {
-        applications = JSON.parse(savedApplications)
-      }
-
-      // 重複チェック（念のため）
-      const existingApplication = applications.find(
-        app => app.jobId.toString() === jobId && app.applicantEmail === session.user?.email
-      )
-
-      if (existingApplication) {
-        alert('この案件にはすでに応募済みです。')
-        setLoading(false)
-        return
-      }
-
-      // 新しい応募を追加
-      applications.push(applicationData)
-      localStorage.setItem('crowdwork_applications', JSON.stringify(applications))
+      // 応募データを作成（応募者はトークンから決まり、重複チェック・応募通知はサーバー側で実施）
+      await apiFetch('/api/applications', {
+        method: 'POST',
+        body: {
+          jobId: jobData.id,
+          proposalText: formData.proposalText,
+          proposedPrice: formData.proposedPrice,
+          proposedDeadline: formData.proposedDeadline,
+          portfolio: formData.portfolio,
+          experience: formData.experience,
+          availability: formData.availability
+        }
+      })
 
       // 成功メッセージと画面遷移
       setTimeout(() => {
@@ -134,7 +103,7 @@ export default function Apply() {
 
     } catch (error) {
       console.error('応募エラー:', error)
-      alert('応募に失敗しました。もう一度お試しください。')
+      alert(error.message || '応募に失敗しました。もう一度お試しください。')
       setLoading(false)
     }
   }
@@ -217,7 +186,9 @@ export default function Apply() {
               <span className="bg-blue-100 text-blue-600 px-3 py-1 rounded-full text-sm font-medium">
                 {jobData.category}
               </span>
-              <span className="text-2xl font-bold text-green-600">{jobData.budget}</span>
+              <span className="text-2xl font-bold text-green-600">
+                {jobData.budget ? `¥${jobData.budget.toLocaleString()}` : '予算相談'}
+              </span>
             </div>
             <h3 className="text-xl font-semibold text-gray-900 mb-3">{jobData.title}</h3>
             <p className="text-gray-700 mb-4">{jobData.description}</p>
@@ -315,10 +286,9 @@ export default function Apply() {
                   onChange={handleChange}
                 >
                   <option value="">選択してください</option>
-                  <option value="1年未満">1年未満</option>
-                  <option value="1-2年">1-2年</option>
-                  <option value="3-4年">3-4年</option>
-                  <option value="5年以上">5年以上</option>
+                  {EXPERIENCE_YEARS_OPTIONS.map(option => (
+                    <option key={option} value={option}>{option}</option>
+                  ))}
                 </select>
               </div>
 
@@ -332,10 +302,9 @@ export default function Apply() {
                   onChange={handleChange}
                 >
                   <option value="">選択してください</option>
-                  <option value="10時間未満">10時間未満</option>
-                  <option value="10-20時間">10-20時間</option>
-                  <option value="20-30時間">20-30時間</option>
-                  <option value="30時間以上">30時間以上</option>
+                  {AVAILABILITY_OPTIONS.map(option => (
+                    <option key={option} value={option}>{option}</option>
+                  ))}
                 </select>
               </div>
             </div>
@@ -0,0 +1,437 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useSession } from 'next-auth/react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+
+import { apiFetch } from '../lib/apiClient';
+import { getSocket } from '../lib/socketClient';
+import { uploadAttachment, ATTACHMENT_ACCEPT } from '../lib/attachments';
+import MessageAttachment from '../components/MessageAttachment';
+import { APPLICATION_STATUS_LABELS } from '../utils/jobStatus';
+
+// 会話一覧・スレッドを再読み込みする間隔（ミリ秒。Socket.IO に接続できない場合の予備）
+const REFRESH_INTERVAL = 15000;
+
+// 一覧に表示する最新メッセージの要約
+const summarizeMessage = (message) => {
+  if (!message) return 'まだメッセージがありません';
+  if (message.message) return message.message;
+  if (message.messageType === 'system') return 'システムメッセージ';
+  return message.messageType === 'image' ? '🖼 画像' : '📎 ファイル';
+};
+
+// 会話は応募ごと（マッチングのチャットルームと同じ履歴）
+const isSameConversation = (conversation, applicationId) => (
+  !!conversation && String(conversation.applicationId) === String(applicationId)
+);
+
+export default function Inbox() {
+  const { data: session, status } = useSession();
+  const router = useRouter();
+  const { applicationId } = router.query;
+
+  const [conversations, setConversations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [messages, setMessages] = useState([]);
+  const [viewerId, setViewerId] = useState(null);
+  const [newMessage, setNewMessage] = useState('');
+  const [sendingMessage, setSendingMessage] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const userEmail = session?.user?.email;
+  const activeConversation = conversations.find(conversation =>
+    isSameConversation(conversation, applicationId)
+  ) || null;
+
+  const loadConversations = useCallback(async () => {
+    if (!userEmail) return;
+    try {
+      const result = await apiFetch('/api/messages/conversations');
+      setConversations(result.conversations);
+    } catch (error) {
+      console.error('会話一覧の取得エラー:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [userEmail]);
+
+  // スレッドのメッセージを読み込み、自分宛ての未読を既読にする
+  const loadThread = useCallback(async () => {
+    if (!userEmail || !applicationId) return;
+    try {
+      const result = await apiFetch(`/api/messages/conversations/${applicationId}`);
+      setMessages(result.messages);
+      setViewerId(result.viewerId);
+
+      const hasUnread = result.messages.some(msg => msg.senderId !== result.viewerId && msg.receiverId && !msg.isRead);
+      if (hasUnread) {
+        await apiFetch(`/api/messages/conversations/${applicationId}/read`, { method: 'POST', body: {} });
+        setConversations(prev => prev.map(conversation =>
+          isSameConversation(conversation, applicationId)
+            ? { ...conversation, unreadCount: 0 }
+            : conversation
+        ));
+      }
+    } catch (error) {
+      console.error('メッセージ取得エラー:', error);
+    }
+  }, [userEmail, applicationId]);
+
+  useEffect(() => {
+    if (status === 'unauthenticated') {
+      setLoading(false);
+      return;
+    }
+    loadConversations();
+    const timer = setInterval(loadConversations, REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, [status, loadConversations]);
+
+  useEffect(() => {
+    setMessages([]);
+    loadThread();
+    const timer = setInterval(loadThread, REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, [loadThread]);
+
+  // チャットルームからの送信・既読も同じ会話に届くため、受信したら再読み込みする
+  useEffect(() => {
+    if (!session) return;
+
+    let socket = null;
+    let cancelled = false;
+
+    const handleNewMessage = (message) => {
+      loadConversations();
+      if (isSameConversation(message, applicationId)) loadThread();
+    };
+    const handleMessagesRead = (data) => {
+      if (!isSameConversation(data, applicationId)) return;
+      setMessages(prev => prev.map(msg => (
+        data.messageIds.includes(msg.id) ? { ...msg, isRead: true, readAt: data.readAt } : msg
+      )));
+    };
+
+    getSocket().then((connection) => {
+      if (cancelled || !connection) return;
+      socket = connection;
+      socket.on('newMessage', handleNewMessage);
+      socket.on('messagesRead', handleMessagesRead);
+    });
+
+    return () => {
+      cancelled = true;
+      if (socket) {
+        socket.off('newMessage', handleNewMessage);
+        socket.off('messagesRead', handleMessagesRead);
+      }
+    };
+  }, [session, applicationId, loadConversations, loadThread]);
+
+  const openConversation = (conversation) => {
+    router.push(
+      { pathname: '/inbox', query: { jobId: conversation.jobId, applicationId: conversation.applicationId } },
+      undefined,
+      { shallow: true }
+    );
+  };
+
+  // メッセージ送信（クライアント・フリーランサー共通。宛先はサーバーが会話から決める）
+  const sendToConversation = async ({ text, attachmentId = null }) => {
+    const result = await apiFetch(`/api/messages/conversations/${activeConversation.applicationId}`, {
+      method: 'POST',
+      body: { message: text, attachmentId }
+    });
+
+    setMessages(prev => (
+      prev.some(msg => msg.id === result.message.id) ? prev : [...prev, result.message]
+    ));
+    setNewMessage('');
+    loadConversations();
+  };
+
+  const handleSendMessage = async () => {
+    if (!newMessage.trim() || !activeConversation || sendingMessage) return;
+
+    try {
+      setSendingMessage(true);
+      await sendToConversation({ text: newMessage.trim() });
+    } catch (error) {
+      console.error('メッセージ送信エラー:', error);
+      alert(error.message || 'メッセージの送信に失敗しました');
+    } finally {
+      setSendingMessage(false);
+    }
+  };
+
+  // 添付ファイルをアップロードし、入力中の本文と一緒に送信する
+  const handleFileSelected = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file || !activeConversation || sendingMessage) return;
+
+    try {
+      setSendingMessage(true);
+      const attachment = await uploadAttachment(file, {
+        jobId: activeConversation.jobId,
+        applicationId: activeConversation.applicationId
+      });
+      await sendToConversation({ text: newMessage.trim(), attachmentId: attachment.id });
+    } catch (error) {
+      console.error('添付ファイルの送信エラー:', error);
+      alert(error.message || 'ファイルの送信に失敗しました');
+    } finally {
+      setSendingMessage(false);
+    }
+  };
+
+  // Enterキーでメッセージ送信
+  const handleKeyPress = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      handleSendMessage();
+    }
+  };
+
+  const formatActivity = (timestamp) => {
+    if (!timestamp) return '';
+    const date = new Date(timestamp);
+    const isToday = date.toDateString() === new Date().toDateString();
+    return isToday
+      ? date.toLocaleTimeString('ja-JP', { hour: '2-digit', minute: '2-digit' })
+      : date.toLocaleDateString('ja-JP', { month: 'short', day: 'numeric' });
+  };
+
+  const normalizedSearch = searchTerm.trim().toLowerCase();
+  const filteredConversations = conversations.filter(conversation => {
+    if (!normalizedSearch) return true;
+    return [
+      conversation.job.title,
+      conversation.counterpart.name,
+      conversation.counterpart.email,
+      conversation.lastMessage?.message,
+      conversation.lastMessage?.attachment?.name
+    ].some(value => value && value.toLowerCase().includes(normalizedSearch));
+  });
+
+  const totalUnread = conversations.reduce((sum, conversation) => sum + conversation.unreadCount, 0);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-purple-50 flex items-center justify-center">
+        <div className="text-xl">読み込み中...</div>
+      </div>
+    );
+  }
+
+  if (!session) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-purple-50 flex items-center justify-center">
+        <div className="bg-white p-8 rounded-xl shadow-xl text-center">
+          <p className="text-gray-600 mb-4">メッセージを見るにはログインしてください</p>
+          <Link href="/" className="text-blue-600 hover:text-blue-800">ホームに戻る</Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-purple-50">
+      <div className="container mx-auto px-4 py-8">
+        {/* ヘッダー */}
+        <div className="mb-8">
+          <Link
+            href="/"
+            className="text-blue-600 hover:text-blue-800 mb-4 inline-block"
+          >
+            ← ホームに戻る
+          </Link>
+          <h1 className="text-3xl font-bold text-gray-800 mb-2">
+            メッセージ
+            {totalUnread > 0 && (
+              <span className="ml-3 align-middle px-2 py-1 bg-red-500 text-white text-sm rounded-full">
+                未読 {totalUnread}
+              </span>
+            )}
+          </h1>
+          <p className="text-gray-600">
+            案件ごとのクライアント・フリーランサーとのやり取りを確認できます
+          </p>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          {/* 会話一覧 */}
+          <div className="lg:col-span-1 bg-white rounded-xl shadow-xl overflow-hidden">
+            <div className="p-4 border-b">
+              <input
+                type="text"
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                placeholder="案件名・相手・メッセージで検索"
+                className="w-full border rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-blue-500"
+              />
+            </div>
+
+            {filteredConversations.length === 0 ? (
+              <p className="p-6 text-center text-gray-500">
+                {conversations.length === 0 ? 'まだ会話がありません' : '該当する会話がありません'}
+              </p>
+            ) : (
+              <ul className="divide-y max-h-[70vh] overflow-y-auto">
+                {filteredConversations.map((conversation) => {
+                  const isActive = isSameConversation(activeConversation, conversation.applicationId);
+
+                  return (
+                    <li key={conversation.applicationId}>
+                      <button
+                        onClick={() => openConversation(conversation)}
+                        className={`w-full text-left p-4 hover:bg-blue-50 transition-colors ${isActive ? 'bg-blue-50' : ''}`}
+                      >
+                        <div className="flex justify-between items-start mb-1">
+                          <span className="font-semibold text-gray-800 truncate">
+                            {conversation.counterpart.name || conversation.counterpart.email}
+                          </span>
+                          <span className="text-xs text-gray-500 ml-2 whitespace-nowrap">
+                            {formatActivity(conversation.lastActivityAt)}
+                          </span>
+                        </div>
+                        <p className="text-xs text-blue-600 truncate mb-1">
+                          {conversation.job.title}
+                          <span className="ml-2 text-gray-400">
+                            {conversation.role === 'client' ? '（応募者）' : '（クライアント）'}
+                          </span>
+                        </p>
+                        <div className="flex justify-between items-center">
+                          <p className="text-sm text-gray-600 truncate">
+                            {summarizeMessage(conversation.lastMessage)}
+                          </p>
+                          {conversation.unreadCount > 0 && (
+                            <span className="ml-2 min-w-[1.25rem] h-5 px-1 bg-red-500 text-white text-xs font-bold rounded-full flex items-center justify-center">
+                              {conversation.unreadCount}
+                            </span>
+                          )}
+                        </div>
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </div>
+
+          {/* スレッド */}
+          <div className="lg:col-span-2">
+            {activeConversation ? (
+              <div className="bg-white rounded-xl shadow-xl p-6">
+                <div className="flex items-center justify-between mb-4">
+                  <div>
+                    <h4 className="text-lg font-semibold text-gray-800">
+                      {activeConversation.counterpart.name || activeConversation.counterpart.email}
+                      <span className="ml-2 text-sm font-normal text-gray-500">
+                        {activeConversation.role === 'client' ? '応募者' : 'クライアント'}
+                      </span>
+                    </h4>
+                    <p className="text-sm text-gray-600">
+                      {activeConversation.job.title}
+                      <span className="ml-2 px-2 py-0.5 bg-gray-100 rounded-full text-xs">
+                        {APPLICATION_STATUS_LABELS[activeConversation.application.status] || activeConversation.application.status}
+                      </span>
+                    </p>
+                  </div>
+                  <Link
+                    href={activeConversation.role === 'client'
+                      ? `/job/${activeConversation.jobId}/applicants`
+                      : `/job/${activeConversation.jobId}`}
+                    className="text-sm text-blue-600 hover:text-blue-800"
+                  >
+                    {activeConversation.role === 'client' ? '応募者一覧へ' : '案件詳細へ'}
+                  </Link>
+                </div>
+
+                {/* メッセージ履歴 */}
+                <div className="h-96 overflow-y-auto mb-4 border rounded-lg p-3 bg-gray-50">
+                  {messages.length === 0 ? (
+                    <p className="text-gray-500 text-center">まだメッセージがありません</p>
+                  ) : (
+                    messages.map((msg) => {
+                      const isMine = msg.senderId === viewerId;
+
+                      return (
+                        <div
+                          key={msg.id}
+                          className={`mb-3 ${isMine ? 'text-right' : 'text-left'}`}
+                        >
+                          <div
+                            className={`inline-block p-3 rounded-lg max-w-md text-left ${
+                              isMine ? 'bg-blue-500 text-white' : 'bg-white border'
+                            }`}
+                          >
+                            <MessageAttachment attachment={msg.attachment} isMine={isMine} />
+                            {msg.message && (
+                              <p className="text-sm whitespace-pre-wrap">{msg.message}</p>
+                            )}
+                            <p className={`text-xs mt-1 ${isMine ? 'text-blue-100' : 'text-gray-500'}`}>
+                              {new Date(msg.timestamp).toLocaleString('ja-JP', {
+                                month: 'short',
+                                day: 'numeric',
+                                hour: '2-digit',
+                                minute: '2-digit'
+                              })}
+                              {isMine && (
+                                <span className="ml-2">{msg.isRead ? '✓✓ 既読' : '✓ 配信済み'}</span>
+                              )}
+                            </p>
+                          </div>
+                        </div>
+                      );
+                    })
+                  )}
+                </div>
+
+                {/* メッセージ入力 */}
+                <div className="flex space-x-2">
+                  <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept={ATTACHMENT_ACCEPT}
+                    onChange={handleFileSelected}
+                    className="hidden"
+                  />
+                  <button
+                    onClick={() => fileInputRef.current?.click()}
+                    disabled={sendingMessage}
+                    title="ファイルを添付"
+                    className="px-3 py-2 border rounded-lg hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    📎
+                  </button>
+                  <textarea
+                    value={newMessage}
+                    onChange={(e) => setNewMessage(e.target.value)}
+                    onKeyPress={handleKeyPress}
+                    placeholder="メッセージを入力..."
+                    className="flex-1 border rounded-lg p-2 text-sm resize-none"
+                    rows="2"
+                    disabled={sendingMessage}
+                  />
+                  <button
+                    onClick={handleSendMessage}
+                    disabled={!newMessage.trim() || sendingMessage}
+                    className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {sendingMessage ? '送信中...' : '送信'}
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <div className="bg-white rounded-xl shadow-xl p-6 text-center text-gray-500">
+                会話を選択してください
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,35 +1,39 @@
 import { useSession, signOut, signIn } from 'next-auth/react'
 import Link from 'next/link'
 import { useState, useEffect } from 'react'
-import { supabase } from '../lib/supabase'
+import { apiFetch } from '../lib/apiClient'
+import { useUnreadCount } from '../hooks/useUnreadCount'
+import { disconnectSocket } from '../lib/socketClient'
+import { JOB_STATUS } from '../utils/jobStatus'
 
 const categories = ['すべて', 'プログラミング', 'デザイン', '動画・映像', 'ライティング', 'マーケティング']
 
 export default function Home() {
   const { data: session } = useSession()
+  const unreadCount = useUnreadCount()
   const [selectedCategory, setSelectedCategory] = useState('すべて')
   const [searchTerm, setSearchTerm] = useState('')
   const [jobs, setJobs] = useState([])
   const [loading, setLoading] = useState(true)
+  const [recommendations, setRecommendations] = useState([])
 
   useEffect(() => {
     loadJobs()
   }, [])
 
+  useEffect(() => {
+    if (session?.user?.email) {
+      loadRecommendations()
+    } else {
+      setRecommendations([])
+    }
+  }, [session?.user?.email])
+
   const loadJobs = async () => {
     try {
       setLoading(true)
-      const { data, error } = await supabase
-        .from('jobs')
-        .select('*')
-        .eq('status', '募集中')
-        .order('created_at', { ascending: false })
-
-      if (error) {
-        throw error
-      }
-
-      setJobs(data || [])
+      const { jobs: data } = await apiFetch(`/api/jobs?status=${JOB_STATUS.RECRUITING}&limit=100`, { auth: false })
+      setJobs(data)
     } catch (error) {
       console.error('案件取得エラー:', error)
       setJobs([])
@@ -38,6 +42,16 @@ export default function Home() {
     }
   }
 
+  const loadRecommendations = async () => {
+    try {
+      const { recommendations: data } = await apiFetch('/api/matching/recommendations?limit=3')
+      setRecommendations(data)
+    } catch (error) {
+      console.error('おすすめ案件取得エラー:', error)
+      setRecommendations([])
+    }
+  }
+
   const filteredJobs = jobs.filter(job => {
     const matchesCategory = selectedCategory === 'すべて' || job.category === selectedCategory
     const matchesSearch = job.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
@@ -77,7 +91,14 @@ export default function Home() {
               {session && (
                 <Link href="/post-job" className="text-gray-700 hover:text-blue-600 transition-colors">案件投稿</Link>
               )}
-              <Link href="/messages" className="text-gray-700 hover:text-blue-600 transition-colors">💬 メッセージ</Link>
+              <Link href="/inbox" className="relative text-gray-700 hover:text-blue-600 transition-colors">
+                💬 メッセージ
+                {unreadCount.total > 0 && (
+                  <span className="absolute -top-2 -right-4 min-w-[1.25rem] h-5 px-1 bg-red-500 text-white text-xs font-bold rounded-full flex items-center justify-center">
+                    {unreadCount.total > 99 ? '99+' : unreadCount.total}
+                  </span>
+                )}
+              </Link>
             </nav>
 
             <div className="flex items-center space-x-4">
@@ -99,7 +120,7 @@ export default function Home() {
                     </span>
                   </Link>
                   <button
-                    onClick={() => signOut()}
+                    onClick={() => disconnectSocket().then(() => signOut())}
                     className="bg-red-500 hover:bg-red-600 text-white px-4 py-2 rounded-lg transition-colors"
                   >
                     ログアウト
@@ -157,6 +178,43 @@ export default function Home() {
           </div>
         </div>
 
+        {/* おすすめ案件（ログイン中のみ） */}
+        {recommendations.length > 0 && (
+          <section className="mb-10">
+            <div className="flex items-baseline justify-between mb-4">
+              <h2 className="text-xl font-bold text-gray-800">✨ おすすめ案件</h2>
+              <Link href="/profile" className="text-sm text-blue-600 hover:text-blue-700">
+                スキルを登録して精度を上げる →
+              </Link>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              {recommendations.map(({ job, score, reasons }) => (
+                <Link
+                  key={job.id}
+                  href={`/job/${job.id}`}
+                  className="block bg-white rounded-xl shadow-sm hover:shadow-md transition-shadow border border-blue-100 p-5"
+                >
+                  <div className="flex items-start justify-between mb-2">
+                    <span className="px-2 py-1 bg-gradient-to-r from-blue-100 to-purple-100 text-blue-700 rounded-full text-xs font-medium">
+                      {job.category}
+                    </span>
+                    <span className="text-sm font-bold text-purple-600">マッチ度 {score}%</span>
+                  </div>
+                  <h3 className="font-bold text-gray-800 mb-1 line-clamp-2">{job.title}</h3>
+                  <p className="text-sm text-gray-500 mb-3">{formatBudget(job.budget)}</p>
+                  {reasons.length > 0 && (
+                    <ul className="space-y-1">
+                      {reasons.map(reason => (
+                        <li key={reason} className="text-xs text-gray-600">✓ {reason}</li>
+                      ))}
+                    </ul>
+                  )}
+                </Link>
+              ))}
+            </div>
+          </section>
+        )}
+
         {/* 案件一覧 */}
         {loading ? (
           <div className="text-center py-12">
@@ -206,6 +264,7 @@ export default function Home() {
                   <div className="flex items-center justify-between pt-4 border-t border-gray-100">
                     <span className="text-sm text-gray-500">
                       📅 {formatDeadline(job.deadline)}
+                      {job.headcount > 1 && <span className="ml-3">👥 {job.headcount}名募集</span>}
                     </span>
                     <Link
                       href={`/job/${job.id}`}
@@ -3,27 +3,68 @@ import { useRouter } from 'next/router';
 import { useSession } from 'next-auth/react';
 import Link from 'next/link';
 
-// ユーティリティ関数をインライン定義（確実に動作するように）
-const getApplications = () => {
-  if (typeof window === 'undefined') return [];
-  const data = localStorage.getItem('crowdwork_applications');
-  return data ? JSON.parse(data) : [];
+import { apiFetch } from '../../../lib/apiClient';
+import { usePresence, formatPresence } from '../../../hooks/usePresence';
+import {
+  JOB_STATUS,
+  JOB_STATUS_LABELS,
+  JOB_STATUS_COLORS,
+  APPLICATION_STATUS,
+  APPLICATION_STATUS_LABELS,
+  APPLICATION_STATUS_COLORS,
+  ACTIVE_APPLICATION_STATUSES,
+  CONVERSATION_APPLICATION_STATUSES,
+  canTransitionApplication,
+  getOpenSlots
+} from '../../../utils/jobStatus';
+import ApplicantComparison from '../../../components/ApplicantComparison';
+
+const MAX_SHORTLIST = 4;
+
+// 一覧の並び順
+const SORT_OPTIONS = {
+  score: { label: 'マッチ度が高い順', compare: (a, b) => b.score - a.score },
+  appliedAt: { label: '応募が早い順', compare: (a, b) => new Date(a.application.createdAt) - new Date(b.application.createdAt) },
+  price: {
+    label: '希望報酬が低い順',
+    compare: (a, b) => (a.application.proposedPrice || Infinity) - (b.application.proposedPrice || Infinity)
+  },
+  rating: { label: 'レビュー評価が高い順', compare: (a, b) => (b.averageRating ?? -1) - (a.averageRating ?? -1) }
 };
 
-const updateApplications = (applications) => {
-  if (typeof window === 'undefined') return;
-  localStorage.setItem('crowdwork_applications', JSON.stringify(applications));
+// ステータスの絞り込み（選考中 = ACTIVE_APPLICATION_STATUSES）
+const STATUS_FILTERS = [
+  { value: 'all', label: 'すべて' },
+  { value: 'active', label: '選考中' },
+  ...Object.values(APPLICATION_STATUS).map(status => ({ value: status, label: APPLICATION_STATUS_LABELS[status] }))
+];
+
+const matchesStatusFilter = (status, filter) => {
+  if (filter === 'all') return true;
+  if (filter === 'active') return ACTIVE_APPLICATION_STATUSES.includes(status);
+  return status === filter;
 };
 
-const getJobs = () => {
-  if (typeof window === 'undefined') return [];
-  const data = localStorage.getItem('crowdwork_jobs');
-  return data ? JSON.parse(data) : [];
+// 案件投稿者が応募を進める選考ステージ（却下は別ボタン）。action は POST /api/applications/:id/{action}
+const STAGE_ACTIONS = [
+  { status: APPLICATION_STATUS.SHORTLISTED, action: 'shortlist', label: '📌 書類選考通過', className: 'from-indigo-500 to-indigo-600 hover:from-indigo-600 hover:to-indigo-700' },
+  { status: APPLICATION_STATUS.INTERVIEWING, action: 'interview', label: '🗓️ 面談に進む', className: 'from-blue-500 to-blue-600 hover:from-blue-600 hover:to-blue-700' },
+  { status: APPLICATION_STATUS.OFFERED, action: 'offer', label: '📨 オファーを送る', className: 'from-green-500 to-green-600 hover:from-green-600 hover:to-green-700' }
+];
+
+// 案件の応募一覧（案件の投稿者のみ取得できる）
+const loadApplications = async (jobId) => {
+  const { applications } = await apiFetch(`/api/applications?jobId=${jobId}`);
+  return applications;
 };
 
-const updateJobs = (jobs) => {
-  if (typeof window === 'undefined') return;
-  localStorage.setItem('crowdwork_jobs', JSON.stringify(jobs));
+// スコア内訳の表示名
+const BREAKDOWN_LABELS = {
+  skills: 'スキル',
+  experience: '経験',
+  availability: '稼働',
+  price: '報酬',
+  reviews: '評価'
 };
 
 export default function JobApplicants() {
@@ -34,27 +75,30 @@ export default function JobApplicants() {
   const [job, setJob] = useState(null);
   const [applications, setApplications] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [candidates, setCandidates] = useState([]);
+  const [sortKey, setSortKey] = useState('score');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [skillMatchOnly, setSkillMatchOnly] = useState(false);
+  const [shortlist, setShortlist] = useState([]);
+  const presence = usePresence(applications.map(application => application.applicantEmail));
 
   // データ読み込み
   useEffect(() => {
     if (!id) return;
 
-    const loadData = () => {
+    const loadData = async () => {
       try {
-        // 案件データ取得（ID型不整合対応）
-        const jobs = getJobs();
-        const currentJob = jobs.find(j => String(j.id) === String(id));
+        const { job: currentJob } = await apiFetch(`/api/jobs/${id}`, { auth: false });
         
         if (!currentJob) {
           console.error('案件が見つかりません:', id);
+          setLoading(false);
           return;
         }
 
         setJob(currentJob);
 
-        // 応募データ取得（ID型不整合対応）
-        const allApplications = getApplications();
-        const jobApplications = allApplications.filter(app => String(app.jobId) === String(id));
+        const jobApplications = await loadApplications(id);
         
         console.log('読み込んだ応募データ:', jobApplications);
         setApplications(jobApplications);
@@ -68,95 +112,81 @@ export default function JobApplicants() {
     loadData();
   }, [id]);
 
-  // 承認処理
-  const handleApprove = async (applicationId) => {
-    console.log('承認処理開始 - applicationId:', applicationId);
-    
-    try {
-      setLoading(true);
+  // 応募者の採点（案件・応募が更新されるたびに計算し直す）
+  useEffect(() => {
+    if (!job) return;
+
+    apiFetch(`/api/matching/jobs/${job.id}/applicants`)
+      .then(({ candidates: ranked }) => setCandidates(ranked))
+      .catch(error => {
+        console.error('応募者の採点エラー:', error);
+        setCandidates(applications.map(application => ({
+          application,
+          score: 0,
+          breakdown: {},
+          matchedSkills: [],
+          averageRating: null,
+          reviewCount: 0
+        })));
+      });
+  }, [job, applications]);
 
-      // 現在のデータを取得
-      const allApplications = getApplications();
-      const allJobs = getJobs();
+  const visibleCandidates = candidates
+    .filter(candidate => matchesStatusFilter(candidate.application.status, statusFilter))
+    .filter(candidate => !skillMatchOnly || candidate.matchedSkills.length > 0)
+    .sort(SORT_OPTIONS[sortKey].compare);
 
-      console.log('承認前のデータ:', { allApplications, allJobs });
+  const shortlistedCandidates = shortlist
+    .map(applicationId => candidates.find(candidate => String(candidate.application.id) === String(applicationId)))
+    .filter(Boolean);
 
-      // 対象の応募を承認に変更
-      const updatedApplications = allApplications.map(app => {
-        if (app.id === applicationId) {
-          console.log('承認対象:', app);
-          return { ...app, status: 'approved' };
-        }
-        // 同じ案件の他の応募を自動却下（ID型不整合対応）
-        if (String(app.jobId) === String(id) && app.id !== applicationId) {
-          console.log('自動却下対象:', app);
-          return { ...app, status: 'rejected' };
-        }
-        return app;
-      });
-
-      // 案件ステータスを「進行中」に変更
-      const updatedJobs = allJobs.map(job => {
-        if (String(job.id) === String(id)) {
-          console.log('案件ステータス更新:', job);
-          return { ...job, status: 'in_progress' };
-        }
-        return job;
-      });
+  const toggleShortlist = (applicationId) => {
+    setShortlist(prev => {
+      if (prev.some(id => String(id) === String(applicationId))) {
+        return prev.filter(id => String(id) !== String(applicationId));
+      }
+      if (prev.length >= MAX_SHORTLIST) {
+        alert(`比較できるのは${MAX_SHORTLIST}名までです`);
+        return prev;
+      }
+      return [...prev, applicationId];
+    });
+  };
 
-      // データ保存
-      updateApplications(updatedApplications);
-      updateJobs(updatedJobs);
+  // 選考を進める（書類選考通過・面談・オファー）
+  const handleAdvance = async (application, stage) => {
+    try {
+      setLoading(true);
 
-      console.log('更新後のデータ:', { updatedApplications, updatedJobs });
+      await apiFetch(`/api/applications/${application.id}/${stage.action}`, { method: 'POST' });
 
       // 状態更新
-      const jobApplications = updatedApplications.filter(app => String(app.jobId) === String(id));
-      setApplications(jobApplications);
-      
-      const updatedJob = updatedJobs.find(j => String(j.id) === String(id));
-      setJob(updatedJob);
-
-      alert('承認が完了しました！');
-      
+      setApplications(await loadApplications(id));
     } catch (error) {
-      console.error('承認処理エラー:', error);
-      alert('承認処理でエラーが発生しました');
+      console.error('選考ステータス更新エラー:', error);
+      alert(error.message || '選考ステータスの更新でエラーが発生しました');
     } finally {
       setLoading(false);
     }
   };
 
   // 却下処理
-  const handleReject = async (applicationId) => {
-    console.log('却下処理開始 - applicationId:', applicationId);
+  const handleReject = async (application) => {
+    console.log('却下処理開始 - applicationId:', application.id);
     
     try {
       setLoading(true);
 
-      const allApplications = getApplications();
-
-      // 対象の応募を却下に変更
-      const updatedApplications = allApplications.map(app => {
-        if (app.id === applicationId) {
-          console.log('却下対象:', app);
-          return { ...app, status: 'rejected' };
-        }
-        return app;
-      });
-
-      // データ保存
-      updateApplications(updatedApplications);
+      await apiFetch(`/api/applications/${application.id}/reject`, { method: 'POST' });
 
       // 状態更新
-      const jobApplications = updatedApplications.filter(app => String(app.jobId) === String(id));
-      setApplications(jobApplications);
+      setApplications(await loadApplications(id));
 
       alert('却下が完了しました');
       
     } catch (error) {
       console.error('却下処理エラー:', error);
-      alert('却下処理でエラーが発生しました');
+      alert(error.message || '却下処理でエラーが発生しました');
     } finally {
       setLoading(false);
     }
@@ -198,29 +228,78 @@ export default function JobApplicants() {
           <div className="bg-white p-4 rounded-lg shadow-md">
             <p><strong>案件ステータス:</strong> 
               <span className={`ml-2 px-3 py-1 rounded-full text-sm ${
-                job.status === 'active' ? 'bg-green-100 text-green-800' :
-                job.status === 'in_progress' ? 'bg-blue-100 text-blue-800' :
-                'bg-gray-100 text-gray-800'
+                JOB_STATUS_COLORS[job.status] || 'bg-gray-100 text-gray-800'
               }`}>
-                {job.status === 'active' ? '募集中' :
-                 job.status === 'in_progress' ? '進行中' : '完了'}
+                {JOB_STATUS_LABELS[job.status] || job.status}
               </span>
             </p>
+            <p className="mt-2">
+              <strong>採用状況:</strong>
+              <span className="ml-2">{job.assignedFreelancers.length} / {job.headcount}名</span>
+              {job.status === JOB_STATUS.RECRUITING && getOpenSlots(job) > 0 && (
+                <span className="ml-2 text-sm text-gray-500">（残り{getOpenSlots(job)}枠。オファーが承諾されるたびに枠が埋まります）</span>
+              )}
+            </p>
           </div>
         </div>
 
+        {/* 候補者の比較 */}
+        <ApplicantComparison
+          job={job}
+          candidates={shortlistedCandidates}
+          onRemove={toggleShortlist}
+          onClear={() => setShortlist([])}
+        />
+
         {/* 応募者一覧 */}
         <div className="space-y-6">
-          <h3 className="text-2xl font-bold text-gray-800">
-            応募者一覧 ({applications.length}名)
-          </h3>
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <h3 className="text-2xl font-bold text-gray-800">
+              応募者一覧 ({applications.length}名)
+            </h3>
+            <div className="flex flex-wrap items-center gap-3 text-sm">
+              <select
+                value={statusFilter}
+                onChange={(e) => setStatusFilter(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg bg-white"
+                aria-label="ステータスで絞り込み"
+              >
+                {STATUS_FILTERS.map(filter => (
+                  <option key={filter.value} value={filter.value}>{filter.label}</option>
+                ))}
+              </select>
+              <select
+                value={sortKey}
+                onChange={(e) => setSortKey(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg bg-white"
+                aria-label="並び順"
+              >
+                {Object.entries(SORT_OPTIONS).map(([key, option]) => (
+                  <option key={key} value={key}>{option.label}</option>
+                ))}
+              </select>
+              <label className="flex items-center space-x-2 text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={skillMatchOnly}
+                  onChange={(e) => setSkillMatchOnly(e.target.checked)}
+                  className="h-4 w-4 text-blue-600 rounded"
+                />
+                <span>スキルが一致する応募者のみ</span>
+              </label>
+            </div>
+          </div>
 
           {applications.length === 0 ? (
             <div className="bg-white p-8 rounded-xl shadow-xl text-center">
               <p className="text-gray-600">まだ応募者がいません</p>
             </div>
+          ) : visibleCandidates.length === 0 ? (
+            <div className="bg-white p-8 rounded-xl shadow-xl text-center">
+              <p className="text-gray-600">条件に一致する応募者がいません</p>
+            </div>
           ) : (
-            applications.map((application) => (
+            visibleCandidates.map(({ application, score, breakdown, matchedSkills, averageRating, reviewCount }) => (
               <div 
                 key={application.id} 
                 className="bg-white p-6 rounded-xl shadow-xl border-2 border-gray-100"
@@ -233,21 +312,49 @@ export default function JobApplicants() {
                     <p className="text-gray-600">
                       {application.applicantEmail || 'メール未設定'}
                     </p>
+                    {formatPresence(presence[application.applicantEmail]) && (
+                      <p className={`text-sm ${presence[application.applicantEmail].online ? 'text-green-600' : 'text-gray-400'}`}>
+                        {presence[application.applicantEmail].online ? '● ' : ''}
+                        {formatPresence(presence[application.applicantEmail])}
+                      </p>
+                    )}
                   </div>
-                  <div className="text-right">
+                  <div className="text-right space-y-2">
+                    <div className="text-2xl font-bold text-purple-600">{score}%</div>
                     <span className={`px-3 py-2 rounded-full text-sm font-medium ${
-                      application.status === 'pending' ? 'bg-yellow-100 text-yellow-800' :
-                      application.status === 'approved' ? 'bg-green-100 text-green-800' :
-                      application.status === 'rejected' ? 'bg-red-100 text-red-800' :
-                      'bg-gray-100 text-gray-800'
+                      APPLICATION_STATUS_COLORS[application.status] || 'bg-gray-100 text-gray-800'
                     }`}>
-                      {application.status === 'pending' ? '審査中' :
-                       application.status === 'approved' ? '承認済み' :
-                       application.status === 'rejected' ? '却下済み' : application.status}
+                      {APPLICATION_STATUS_LABELS[application.status] || application.status}
                     </span>
                   </div>
                 </div>
 
+                {/* マッチ度の内訳と応募フォームの回答 */}
+                <div className="mb-4 grid grid-cols-2 md:grid-cols-5 gap-2">
+                  {Object.entries(BREAKDOWN_LABELS).map(([key, label]) => (
+                    <div key={key} className="text-xs text-gray-600">
+                      <div className="flex justify-between mb-1">
+                        <span>{label}</span>
+                        <span>{Math.round((breakdown[key] || 0) * 100)}</span>
+                      </div>
+                      <div className="h-1.5 bg-gray-100 rounded-full">
+                        <div
+                          className="h-1.5 bg-gradient-to-r from-blue-500 to-purple-500 rounded-full"
+                          style={{ width: `${Math.round((breakdown[key] || 0) * 100)}%` }}
+                        />
+                      </div>
+                    </div>
+                  ))}
+                </div>
+
+                <div className="mb-4 flex flex-wrap gap-x-6 gap-y-1 text-sm text-gray-600">
+                  <span>希望報酬: {application.proposedPrice ? `¥${application.proposedPrice.toLocaleString()}` : '未入力'}</span>
+                  <span>関連経験年数: {application.experience || '未回答'}</span>
+                  <span>対応可能時間/週: {application.availability || '未回答'}</span>
+                  <span>レビュー評価: {averageRating !== null ? `★${averageRating.toFixed(1)}（${reviewCount}件）` : 'レビューなし'}</span>
+                  {matchedSkills.length > 0 && <span>一致スキル: {matchedSkills.join('、')}</span>}
+                </div>
+
                 <div className="mb-4">
                   <h5 className="font-medium text-gray-700 mb-2">提案内容：</h5>
                   <p className="text-gray-600 bg-gray-50 p-3 rounded-lg">
@@ -255,22 +362,36 @@ export default function JobApplicants() {
                   </p>
                 </div>
 
-                <div className="mb-4 text-sm text-gray-500">
-                  応募日時: {new Date(application.createdAt).toLocaleString('ja-JP')}
+                <div className="mb-4 flex items-center justify-between text-sm text-gray-500">
+                  <span>応募日時: {new Date(application.createdAt).toLocaleString('ja-JP')}</span>
+                  <label className="flex items-center space-x-2 text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={shortlist.some(id => String(id) === String(application.id))}
+                      onChange={() => toggleShortlist(application.id)}
+                      className="h-4 w-4 text-blue-600 rounded"
+                    />
+                    <span>比較リストに追加</span>
+                  </label>
                 </div>
 
-                {/* アクションボタン - 審査中の場合のみ表示 */}
-                {application.status === 'pending' && (
-                  <div className="flex space-x-4">
-                    <button
-                      onClick={() => handleApprove(application.id)}
-                      disabled={loading}
-                      className="flex-1 bg-gradient-to-r from-green-500 to-green-600 text-white px-6 py-3 rounded-lg font-medium hover:from-green-600 hover:to-green-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 shadow-lg"
-                    >
-                      {loading ? '処理中...' : '✅ 承認'}
-                    </button>
+                {/* 選考ステージのアクション - 選考中の場合のみ表示 */}
+                {job.status === JOB_STATUS.RECRUITING && STAGE_ACTIONS.some(action => canTransitionApplication(application.status, action.status)) && (
+                  <div className="flex flex-wrap gap-3">
+                    {STAGE_ACTIONS
+                      .filter(action => canTransitionApplication(application.status, action.status))
+                      .map(action => (
+                        <button
+                          key={action.status}
+                          onClick={() => handleAdvance(application, action)}
+                          disabled={loading}
+                          className={`flex-1 bg-gradient-to-r ${action.className} text-white px-6 py-3 rounded-lg font-medium disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 shadow-lg`}
+                        >
+                          {loading ? '処理中...' : action.label}
+                        </button>
+                      ))}
                     <button
-                      onClick={() => handleReject(application.id)}
+                      onClick={() => handleReject(application)}
                       disabled={loading}
                       className="flex-1 bg-gradient-to-r from-red-500 to-red-600 text-white px-6 py-3 rounded-lg font-medium hover:from-red-600 hover:to-red-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 shadow-lg"
                     >
@@ -279,12 +400,32 @@ export default function JobApplicants() {
                   </div>
                 )}
 
-                {/* 処理済みの場合の表示 */}
-                {application.status !== 'pending' && (
+                {application.status === APPLICATION_STATUS.OFFERED && (
+                  <p className="mt-3 text-center text-sm text-purple-700">
+                    📨 オファーを送信済みです。応募者の承諾をお待ちください（募集人数に達すると他の選考中の応募は自動的に却下されます）
+                  </p>
+                )}
+
+                {/* 面談中・オファー中・採用決定の応募者とはメッセージでやり取りできる */}
+                {CONVERSATION_APPLICATION_STATUSES.includes(application.status) && (
                   <div className="text-center py-2">
-                    <span className="text-gray-500">
-                      {application.status === 'approved' ? '✅ 承認済み' : '❌ 却下済み'}
-                    </span>
+                    {application.status === APPLICATION_STATUS.APPROVED && (
+                      <span className="text-gray-500 mr-4">✅ 採用決定</span>
+                    )}
+                    <Link
+                      href={{ pathname: '/inbox', query: { jobId: application.jobId, applicationId: application.id } }}
+                      className="text-blue-600 hover:text-blue-800"
+                    >
+                      💬 メッセージ
+                    </Link>
+                    {application.status === APPLICATION_STATUS.APPROVED && (
+                      <Link
+                        href={{ pathname: '/messages', query: { applicationId: application.id } }}
+                        className="text-green-600 hover:text-green-800 ml-4"
+                      >
+                        🗂 チャットルーム
+                      </Link>
+                    )}
                   </div>
                 )}
               </div>
@@ -302,9 +443,7 @@ export default function JobApplicants() {
             onClick={() => {
               console.log('現在のデータ:', {
                 job,
-                applications,
-                allApplications: getApplications(),
-                allJobs: getJobs()
+                applications
               });
             }}
             className="mt-2 px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600"
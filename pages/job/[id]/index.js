@@ -3,23 +3,11 @@ import { useRouter } from 'next/router';
 import { useSession } from 'next-auth/react';
 import Link from 'next/link';
 
-// ユーティリティ関数
-const getJobs = () => {
-  if (typeof window === 'undefined') return [];
-  const data = localStorage.getItem('crowdwork_jobs');
-  return data ? JSON.parse(data) : [];
-};
-
-const getApplications = () => {
-  if (typeof window === 'undefined') return [];
-  const data = localStorage.getItem('crowdwork_applications');
-  return data ? JSON.parse(data) : [];
-};
-
-const saveApplications = (applications) => {
-  if (typeof window === 'undefined') return;
-  localStorage.setItem('crowdwork_applications', JSON.stringify(applications));
-};
+import { apiFetch } from '../../../lib/apiClient';
+import MilestonePlan from '../../../components/MilestonePlan';
+import DeliverablePanel from '../../../components/DeliverablePanel';
+import PaymentSummary from '../../../components/PaymentSummary';
+import { getOpenSlots } from '../../../utils/jobStatus';
 
 export default function JobDetail() {
   const router = useRouter();
@@ -54,26 +42,23 @@ export default function JobDetail() {
   useEffect(() => {
     if (!id) return;
 
-    const loadJob = () => {
+    const loadJob = async () => {
       try {
-        const jobs = getJobs();
-        const currentJob = jobs.find(j => String(j.id) === String(id));
+        const { job: currentJob } = await apiFetch(`/api/jobs/${id}`, { auth: false });
         
         if (!currentJob) {
           console.error('案件が見つかりません:', id);
+          setLoading(false);
           return;
         }
 
         setJob(currentJob);
 
-        // 既に応募しているかチェック
-        const applications = getApplications();
-        const userEmail = session?.user?.email || 'freelancer1@example.com';
-        const existingApplication = applications.find(app => 
-          String(app.jobId) === String(id) && app.applicantEmail === userEmail
-        );
-        
-        setHasApplied(!!existingApplication);
+        // 既に応募しているかチェック（ログイン中のみ）
+        if (session) {
+          const { applications } = await apiFetch('/api/applications');
+          setHasApplied(applications.some(application => String(application.jobId) === String(id)));
+        }
         setLoading(false);
       } catch (error) {
         console.error('データ読み込みエラー:', error);
@@ -93,33 +78,11 @@ export default function JobDetail() {
     try {
       setIsApplying(true);
 
-      const applications = getApplications();
-      const userEmail = session?.user?.email || 'freelancer1@example.com';
-      
-      // 重複応募チェック
-      const existingApplication = applications.find(app => 
-        String(app.jobId) === String(id) && app.applicantEmail === userEmail
-      );
-
-      if (existingApplication) {
-        alert('既にこの案件に応募済みです');
-        setHasApplied(true);
-        return;
-      }
-
-      const newApplication = {
-        id: Date.now().toString(),
-        jobId: id,
-        jobTitle: job.title,
-        applicantEmail: userEmail,
-        applicantName: session?.user?.name || 'ユーザー名未設定',
-        proposalText: proposalText.trim(),
-        status: 'pending',
-        createdAt: new Date().toISOString()
-      };
-
-      const updatedApplications = [...applications, newApplication];
-      saveApplications(updatedApplications);
+      // 応募者はトークンから決まり、重複チェック・応募通知はサーバー側で実施
+      await apiFetch('/api/applications', {
+        method: 'POST',
+        body: { jobId: job.id, proposalText: proposalText.trim() }
+      });
 
       setHasApplied(true);
       setProposalText('');
@@ -127,7 +90,7 @@ export default function JobDetail() {
 
     } catch (error) {
       console.error('応募エラー:', error);
-      alert('応募に失敗しました');
+      alert(error.message || '応募に失敗しました');
     } finally {
       setIsApplying(false);
     }
@@ -198,7 +161,7 @@ export default function JobDetail() {
               </h1>
 
               {/* 基本情報 */}
-              <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8 p-6 bg-gray-50 rounded-lg">
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8 p-6 bg-gray-50 rounded-lg">
                 <div className="text-center">
                   <p className="text-gray-600 text-sm">予算</p>
                   <p className="text-xl font-bold text-green-600">
@@ -211,6 +174,17 @@ export default function JobDetail() {
                     {job.deadline ? new Date(job.deadline).toLocaleDateString('ja-JP') : '要相談'}
                   </p>
                 </div>
+                <div className="text-center">
+                  <p className="text-gray-600 text-sm">募集人数</p>
+                  <p className="text-lg font-semibold text-gray-800">
+                    {job.headcount}名
+                    {job.headcount > 1 && (
+                      <span className="block text-sm font-normal text-gray-500">
+                        残り{getOpenSlots(job)}名
+                      </span>
+                    )}
+                  </p>
+                </div>
                 <div className="text-center">
                   <p className="text-gray-600 text-sm">提案数</p>
                   <p className="text-lg font-semibold text-gray-800">
@@ -276,6 +250,26 @@ export default function JobDetail() {
                 </div>
               )}
             </div>
+
+            {/* 採用決定後の作業計画（当事者のみ表示） */}
+            <MilestonePlan
+              job={job}
+              userEmail={session?.user?.email}
+              onJobUpdated={setJob}
+            />
+
+            {/* 納品・検収（当事者のみ表示） */}
+            <DeliverablePanel
+              job={job}
+              userEmail={session?.user?.email}
+              onJobUpdated={setJob}
+            />
+
+            {/* 仮払い・支払い・返金と請求書への導線（当事者のみ表示） */}
+            <PaymentSummary
+              job={job}
+              userEmail={session?.user?.email}
+            />
           </div>
 
           {/* サイドバー */}
@@ -1,138 +1,282 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useRouter } from 'next/router';
+import { useSession } from 'next-auth/react';
+import { getSocket } from '../lib/socketClient';
+import { apiFetch } from '../lib/apiClient';
+import { uploadAttachment, ATTACHMENT_ACCEPT } from '../lib/attachments';
+import MessageAttachment from '../components/MessageAttachment';
+import { usePresence, formatPresence } from '../hooks/usePresence';
+import { JOB_STATUS_LABELS } from '../utils/jobStatus';
 
 interface Message {
   id: string;
+  matchId?: string;
   senderId: string;
   senderName: string;
   message: string;
   timestamp: string;
   isRead: boolean;
+  readAt?: string | null;
+  messageType?: 'text' | 'image' | 'file' | 'system';
+  attachment?: {
+    id: string;
+    kind: 'image' | 'file';
+    name: string;
+    mimeType: string;
+    size: number;
+    url: string;
+    thumbnailUrl: string | null;
+  } | null;
 }
 
 interface Match {
   id: string;
   jobTitle: string;
+  clientId: string;
   clientName: string;
+  freelancerId: string;
   freelancerName: string;
   status: string;
 }
 
+// GET /api/matching の1件（案件の詳細付き）
+interface MatchSummary {
+  id: string;
+  jobId: string;
+  jobTitle: string;
+  applicationId?: string;
+  employerId: string;
+  employerName?: string;
+  applicantId: string;
+  applicantName?: string;
+  status: string;
+  createdAt: string;
+  job: {
+    id: string;
+    title: string;
+    category?: string;
+    budget?: number;
+    deadline?: string;
+    status?: string;
+    headcount?: number;
+  } | null;
+}
+
+interface ChatHistory {
+  matchId: string;
+  messages: Message[];
+  nextCursor: string | null;
+  hasMore: boolean;
+}
+
 const MessagesPage: React.FC = () => {
   const router = useRouter();
-  const { match: matchId } = router.query;
+  const { match: matchId, applicationId } = router.query;
+  const { data: session } = useSession();
   
   const [messages, setMessages] = useState<Message[]>([]);
   const [newMessage, setNewMessage] = useState('');
   const [currentUser, setCurrentUser] = useState({
-    id: 'user1',
-    name: '田中太郎',
+    id: '',
+    name: '',
     type: 'freelancer'
   });
   const [matchInfo, setMatchInfo] = useState<Match | null>(null);
+  const [matches, setMatches] = useState<MatchSummary[]>([]);
+  const [matchesLoaded, setMatchesLoaded] = useState(false);
+  const [historyCursor, setHistoryCursor] = useState<string | null>(null);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const fileInputRef = useRef<HTMLInputElement>(null);
   const [socket, setSocket] = useState<any>(null);
   const [isConnected, setIsConnected] = useState(false);
   const [mounted, setMounted] = useState(false);
 
+  // チャット相手のオンライン状態
+  const partnerId = matchInfo
+    ? (currentUser.type === 'freelancer' ? matchInfo.clientId : matchInfo.freelancerId)
+    : '';
+  const presence = usePresence([partnerId]);
+  const partnerPresence = partnerId ? presence[partnerId] : null;
+
+  const currentMatch = matches.find(match => match.id === matchId) || null;
+
   // クライアントサイドでのみ実行
   useEffect(() => {
     setMounted(true);
   }, []);
 
+  // 自分が当事者のマッチング（採用決定時に作成される）
+  const loadMatches = async () => {
+    try {
+      const result = await apiFetch('/api/matching') as { matches: MatchSummary[] };
+      setMatches(result.matches);
+    } catch (error) {
+      console.error('マッチング一覧の取得エラー:', error);
+    } finally {
+      setMatchesLoaded(true);
+    }
+  };
+
+  useEffect(() => {
+    if (!mounted || !session) return;
+    loadMatches();
+  }, [mounted, session]);
+
+  // 応募IDで開いた場合は、その応募のマッチングのチャットルームに切り替える
+  useEffect(() => {
+    if (matchId || !applicationId || !matchesLoaded) return;
+    const match = matches.find(item => String(item.applicationId) === String(applicationId));
+    if (match) {
+      router.replace({ pathname: '/messages', query: { match: match.id } });
+    }
+  }, [matchId, applicationId, matches, matchesLoaded]);
+
   // Socket.IO接続（オプショナル）
   useEffect(() => {
-    if (!mounted) return;
-    
-    // Socket.IOの動的インポート
-    import('socket.io-client').then((io) => {
-      const socketConnection = io.default('http://localhost:3002');
-      setSocket(socketConnection);
-
-      // 認証
-      socketConnection.emit('authenticate', {
-        userId: currentUser.id,
-        token: 'mock_token_123'
-      });
+    if (!mounted || !session) return;
 
-      // 接続状態の管理
-      socketConnection.on('authenticated', (data) => {
-        console.log('認証成功:', data);
-        setIsConnected(true);
-      });
+    let socketConnection: any = null;
+    let cancelled = false;
 
-      socketConnection.on('connect', () => {
-        console.log('Socket接続成功');
-        setIsConnected(true);
-      });
+    // 自分宛てのメッセージを既読にする（表示中のみ）
+    const markRead = (messageIds?: string[]) => {
+      if (!socketConnection || !matchId || document.visibilityState !== 'visible') return;
+      socketConnection.emit('markRead', { matchId, messageIds });
+    };
 
-      socketConnection.on('disconnect', () => {
-        console.log('Socket切断');
-        setIsConnected(false);
-      });
+    // 接続状態の管理（userId はサーバーがトークンから決定する）
+    const handleAuthenticated = (data: { userId: string }) => {
+      setCurrentUser(prev => ({ ...prev, id: data.userId }));
+      setIsConnected(true);
+
+      if (matchId) {
+        socketConnection.emit('joinChatRoom', { matchId });
+      }
+    };
 
-      // メッセージ受信
-      socketConnection.on('newMessage', (message: Message) => {
-        setMessages(prev => [...prev, message]);
+    const handleDisconnect = () => {
+      console.log('Socket切断');
+      setIsConnected(false);
+    };
+
+    const handleChatError = (data: { message: string }) => {
+      setLoadingOlder(false);
+      alert(data.message);
+    };
+
+    // 参加時に最新の履歴とマッチング情報を受け取る
+    const handleChatHistory = (data: ChatHistory & { match: any }) => {
+      if (data.matchId !== matchId) return;
+      const { match } = data;
+      setMatchInfo({
+        id: match.id,
+        jobTitle: match.jobTitle,
+        clientId: match.employerId,
+        clientName: match.employerName || '',
+        freelancerId: match.applicantId,
+        freelancerName: match.applicantName || '',
+        status: match.status
       });
+      setCurrentUser(prev => ({
+        ...prev,
+        type: [prev.id, session.user?.email].includes(match.employerId) ? 'client' : 'freelancer'
+      }));
+      setMessages(data.messages);
+      setHistoryCursor(data.hasMore ? data.nextCursor : null);
+      markRead();
+    };
 
-      return () => {
-        socketConnection.disconnect();
-      };
-    }).catch((error) => {
-      console.warn('Socket.IO connection failed:', error);
-      // Socket.IOが使用できない場合でもチャット機能は動作
-    });
-  }, [currentUser.id, mounted]);
+    // さらに古い履歴を先頭に追加
+    const handleOlderMessages = (data: ChatHistory) => {
+      if (data.matchId !== matchId) return;
+      setMessages(prev => [...data.messages, ...prev]);
+      setHistoryCursor(data.hasMore ? data.nextCursor : null);
+      setLoadingOlder(false);
+    };
 
-  // 模擬データの読み込み
-  useEffect(() => {
-    if (!mounted) return;
-    
-    // 模擬マッチング情報
-    setMatchInfo({
-      id: matchId as string || 'match1',
-      jobTitle: 'Webサイト制作プロジェクト',
-      clientName: '株式会社サンプル',
-      freelancerName: '田中太郎',
-      status: 'active'
+    // メッセージ受信
+    const handleNewMessage = (message: Message) => {
+      if (message.matchId !== matchId) return;
+      setMessages(prev => [...prev, message]);
+      if (message.senderId !== socketConnection.userId) {
+        markRead([message.id]);
+      }
+    };
+
+    // 相手が既読にしたメッセージを更新
+    const handleMessagesRead = (data: { matchId: string; messageIds: string[]; readAt: string }) => {
+      if (data.matchId !== matchId) return;
+      setMessages(prev => prev.map(message => (
+        data.messageIds.includes(message.id)
+          ? { ...message, isRead: true, readAt: data.readAt }
+          : message
+      )));
+    };
+
+    // タブに戻ってきたときに未読を既読にする
+    const handleVisibilityChange = () => markRead();
+
+    // 新しいマッチング（採用決定）が作成されたら一覧を更新する
+    const handleMatchCreated = () => loadMatches();
+
+    const handlers: Record<string, (...args: any[]) => void> = {
+      authenticated: handleAuthenticated,
+      disconnect: handleDisconnect,
+      chatError: handleChatError,
+      chatHistory: handleChatHistory,
+      olderMessages: handleOlderMessages,
+      newMessage: handleNewMessage,
+      messagesRead: handleMessagesRead,
+      matchCreated: handleMatchCreated
+    };
+
+    getSocket().then((connection: any) => {
+      if (cancelled || !connection) return;
+
+      socketConnection = connection;
+      setSocket(connection);
+      Object.keys(handlers).forEach(event => connection.on(event, handlers[event]));
+      document.addEventListener('visibilitychange', handleVisibilityChange);
+
+      // 既に認証済みの接続を再利用する場合
+      if (connection.connected && connection.userId) {
+        handleAuthenticated({ userId: connection.userId });
+      }
     });
 
-    // 模擬メッセージ履歴
-    const mockMessages: Message[] = [
-      {
-        id: '1',
-        senderId: 'client1',
-        senderName: '株式会社サンプル',
-        message: 'はじめまして！Webサイト制作の件でご連絡いたします。',
-        timestamp: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
-        isRead: true
-      },
-      {
-        id: '2',
-        senderId: 'user1',
-        senderName: '田中太郎',
-        message: 'こんにちは！よろしくお願いいたします。プロジェクトの詳細について教えていただけますでしょうか？',
-        timestamp: new Date(Date.now() - 45 * 60 * 1000).toISOString(),
-        isRead: true
-      },
-      {
-        id: '3',
-        senderId: 'client1',
-        senderName: '株式会社サンプル',
-        message: 'コーポレートサイトのリニューアルを予定しています。現在のサイトの問題点を解決し、よりモダンなデザインにしたいと考えています。',
-        timestamp: new Date(Date.now() - 30 * 60 * 1000).toISOString(),
-        isRead: true
+    return () => {
+      cancelled = true;
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      if (socketConnection) {
+        Object.keys(handlers).forEach(event => socketConnection.off(event, handlers[event]));
       }
-    ];
-    setMessages(mockMessages);
-  }, [matchId, mounted]);
+    };
+  }, [session, matchId, mounted]);
+
+  // ログイン中のユーザー情報
+  useEffect(() => {
+    if (!session?.user) return;
+    setCurrentUser(prev => ({
+      ...prev,
+      id: prev.id || (session.user as any).id || session.user?.email || '',
+      name: session.user?.name || session.user?.email || ''
+    }));
+  }, [session]);
+
+  // さらに古い履歴の読み込み
+  const loadOlderMessages = () => {
+    if (!socket || !historyCursor || loadingOlder) return;
+    setLoadingOlder(true);
+    socket.emit('loadOlderMessages', { matchId, cursor: historyCursor });
+  };
 
   // メッセージ送信（Socket.IO無しでも動作）
   const sendMessage = () => {
     if (!newMessage.trim()) return;
 
     const messageData = {
-      id: Date.now().toString(),
+      id: `local_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`,
       senderId: currentUser.id,
       senderName: currentUser.name,
       message: newMessage,
@@ -140,14 +284,10 @@ const MessagesPage: React.FC = () => {
       isRead: false
     };
 
-    // ローカルに追加（必ず実行）
-    setMessages(prev => [...prev, messageData]);
-
-    // Socket.IOで送信（利用可能な場合のみ）
+    // Socket.IOで送信（利用可能な場合のみ。送信者にも newMessage が届く）
     if (socket && isConnected) {
       try {
         socket.emit('sendMessage', {
-          targetUserId: currentUser.type === 'freelancer' ? 'client1' : 'user1',
           message: newMessage,
           matchId: matchId
         });
@@ -156,12 +296,37 @@ const MessagesPage: React.FC = () => {
         console.warn('Socket.IO送信エラー:', error);
       }
     } else {
+      // ローカルに追加
+      setMessages(prev => [...prev, messageData]);
       console.log('ローカルモードでメッセージ送信');
     }
 
     setNewMessage('');
   };
 
+  // 添付ファイルをアップロードし、入力中の本文と一緒に送信する
+  const handleFileSelected = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file || !socket || !isConnected || !matchId) return;
+
+    try {
+      setUploading(true);
+      const attachment = await uploadAttachment(file, { matchId }) as { id: string };
+      socket.emit('sendMessage', {
+        message: newMessage,
+        attachmentId: attachment.id,
+        matchId
+      });
+      setNewMessage('');
+    } catch (error: any) {
+      console.error('添付ファイルのアップロードエラー:', error);
+      alert(error.message || 'ファイルのアップロードに失敗しました');
+    } finally {
+      setUploading(false);
+    }
+  };
+
   // Enterキーでメッセージ送信
   const handleKeyPress = (e: React.KeyboardEvent) => {
     if (e.key === 'Enter' && !e.shiftKey) {
@@ -192,6 +357,54 @@ const MessagesPage: React.FC = () => {
     );
   }
 
+  // マッチング未選択時はチャットルームの一覧を表示する
+  if (!matchId) {
+    return (
+      <div className="min-h-screen bg-gray-50">
+        <div className="max-w-4xl mx-auto px-4 py-8">
+          <h1 className="text-2xl font-bold text-gray-900 mb-6">チャットルーム</h1>
+          {!matchesLoaded || (applicationId && matches.some(match => String(match.applicationId) === String(applicationId))) ? (
+            <p className="text-gray-600">読み込み中...</p>
+          ) : matches.length === 0 ? (
+            <div className="bg-white p-8 rounded-lg shadow-sm text-center text-gray-600">
+              {applicationId
+                ? 'この応募のチャットルームはまだありません。オファーが承諾されると開設されます'
+                : '採用が決定すると、案件ごとのチャットルームがここに表示されます'}
+            </div>
+          ) : (
+            <div className="space-y-3">
+              {matches.map(match => {
+                const isEmployer = [currentUser.id, session?.user?.email].includes(match.employerId);
+                return (
+                  <button
+                    key={match.id}
+                    onClick={() => router.push({ pathname: '/messages', query: { match: match.id } })}
+                    className="w-full text-left bg-white p-4 rounded-lg shadow-sm hover:shadow-md transition-shadow"
+                  >
+                    <div className="flex items-center justify-between">
+                      <h2 className="font-semibold text-gray-900">{match.job?.title || match.jobTitle}</h2>
+                      {match.job?.status && (
+                        <span className="px-2 py-1 text-xs font-semibold rounded-full bg-green-100 text-green-800">
+                          {(JOB_STATUS_LABELS as Record<string, string>)[match.job.status] || match.job.status}
+                        </span>
+                      )}
+                    </div>
+                    <p className="text-sm text-gray-600 mt-1">
+                      {isEmployer
+                        ? `フリーランサー: ${match.applicantName || match.applicantId}`
+                        : `クライアント: ${match.employerName || match.employerId}`}
+                      {match.job?.budget ? ` ・ 予算 ¥${Number(match.job.budget).toLocaleString()}` : ''}
+                    </p>
+                  </button>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gray-50">
       {/* ヘッダー */}
@@ -214,6 +427,11 @@ const MessagesPage: React.FC = () => {
                     ? `クライアント: ${matchInfo?.clientName}`
                     : `フリーランサー: ${matchInfo?.freelancerName}`
                   }
+                  {formatPresence(partnerPresence) && (
+                    <span className={`ml-2 text-xs ${partnerPresence?.online ? 'text-green-600' : 'text-gray-400'}`}>
+                      {partnerPresence?.online ? '● ' : ''}{formatPresence(partnerPresence)}
+                    </span>
+                  )}
                 </p>
               </div>
             </div>
@@ -234,7 +452,25 @@ const MessagesPage: React.FC = () => {
           <div className="flex-1 flex flex-col bg-white">
             {/* メッセージ一覧 */}
             <div className="flex-1 overflow-y-auto p-4 space-y-4">
-              {messages.map((message) => (
+              {historyCursor && (
+                <div className="text-center">
+                  <button
+                    onClick={loadOlderMessages}
+                    disabled={loadingOlder}
+                    className="text-sm text-blue-600 hover:underline disabled:opacity-50"
+                  >
+                    {loadingOlder ? '読み込み中...' : '以前のメッセージを読み込む'}
+                  </button>
+                </div>
+              )}
+              {messages.map((message) => message.messageType === 'system' ? (
+                <div key={message.id} className="flex justify-center">
+                  <p className="max-w-md px-4 py-2 rounded-lg bg-yellow-50 text-yellow-800 text-xs text-center whitespace-pre-wrap">
+                    {message.message}
+                    <span className="block mt-1 text-yellow-600">{formatTime(message.timestamp)}</span>
+                  </p>
+                </div>
+              ) : (
                 <div
                   key={message.id}
                   className={`flex ${message.senderId === currentUser.id ? 'justify-end' : 'justify-start'}`}
@@ -249,13 +485,25 @@ const MessagesPage: React.FC = () => {
                         {message.senderName}
                       </p>
                     )}
-                    <p className="text-sm whitespace-pre-wrap">{message.message}</p>
+                    <MessageAttachment
+                      attachment={message.attachment}
+                      isMine={message.senderId === currentUser.id}
+                    />
+                    {message.message && (
+                      <p className="text-sm whitespace-pre-wrap">{message.message}</p>
+                    )}
                     <p className={`text-xs mt-1 ${
                       message.senderId === currentUser.id 
                         ? 'text-blue-100' 
                         : 'text-gray-500'
                     }`}>
                       {formatTime(message.timestamp)}
+                      {/* 自分のメッセージの配信・既読表示（ローカルモードのメッセージは除く） */}
+                      {message.senderId === currentUser.id && !message.id.startsWith('local_') && (
+                        <span className="ml-2" title={message.isRead ? '既読' : '配信済み'}>
+                          {message.isRead ? '✓✓ 既読' : '✓ 配信済み'}
+                        </span>
+                      )}
                     </p>
                   </div>
                 </div>
@@ -265,6 +513,21 @@ const MessagesPage: React.FC = () => {
             {/* メッセージ入力エリア */}
             <div className="p-4 border-t">
               <div className="flex space-x-2">
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  accept={ATTACHMENT_ACCEPT}
+                  onChange={handleFileSelected}
+                  className="hidden"
+                />
+                <button
+                  onClick={() => fileInputRef.current?.click()}
+                  disabled={!isConnected || uploading}
+                  title="ファイルを添付"
+                  className="px-3 py-2 border border-gray-300 rounded-lg hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {uploading ? '…' : '📎'}
+                </button>
                 <textarea
                   value={newMessage}
                   onChange={(e) => setNewMessage(e.target.value)}
@@ -308,9 +571,28 @@ const MessagesPage: React.FC = () => {
                 <div className="bg-white p-3 rounded-lg">
                   <h4 className="font-medium text-gray-700 mb-2">ステータス</h4>
                   <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-green-100 text-green-800">
-                    進行中
+                    {currentMatch?.job?.status
+                      ? (JOB_STATUS_LABELS as Record<string, string>)[currentMatch.job.status] || currentMatch.job.status
+                      : '進行中'}
                   </span>
                 </div>
+
+                {currentMatch?.job && (
+                  <div className="bg-white p-3 rounded-lg">
+                    <h4 className="font-medium text-gray-700 mb-2">案件の詳細</h4>
+                    <div className="text-sm text-gray-600 space-y-1">
+                      {currentMatch.job.category && <p>カテゴリ: {currentMatch.job.category}</p>}
+                      {currentMatch.job.budget ? <p>予算: ¥{Number(currentMatch.job.budget).toLocaleString()}</p> : null}
+                      {currentMatch.job.deadline && <p>納期: {new Date(currentMatch.job.deadline).toLocaleDateString('ja-JP')}</p>}
+                    </div>
+                    <button
+                      onClick={() => router.push(`/job/${currentMatch.jobId}`)}
+                      className="mt-2 text-sm text-blue-600 hover:underline"
+                    >
+                      案件ページを見る
+                    </button>
+                  </div>
+                )}
                 
                 <div className="bg-white p-3 rounded-lg">
                   <h4 className="font-medium text-gray-700 mb-2">参加者</h4>
@@ -2,61 +2,21 @@ import { useState, useEffect } from 'react';
 import { useSession } from 'next-auth/react';
 import Link from 'next/link';
 
-// ユーティリティ関数
-const getApplications = () => {
-  if (typeof window === 'undefined') return [];
-  const data = localStorage.getItem('crowdwork_applications');
-  return data ? JSON.parse(data) : [];
-};
-
-const getJobs = () => {
-  if (typeof window === 'undefined') return [];
-  const data = localStorage.getItem('crowdwork_jobs');
-  return data ? JSON.parse(data) : [];
-};
-
-const getMessages = () => {
-  if (typeof window === 'undefined') return [];
-  const data = localStorage.getItem('crowdwork_messages');
-  return data ? JSON.parse(data) : [];
-};
-
-const saveMessages = (messages) => {
-  if (typeof window === 'undefined') return;
-  localStorage.setItem('crowdwork_messages', JSON.stringify(messages));
-};
-
-const getConversationMessages = (jobId, applicationId) => {
-  const messages = getMessages();
-  return messages.filter(msg => 
-    String(msg.jobId) === String(jobId) && 
-    String(msg.applicationId) === String(applicationId)
-  ).sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
-};
-
-const sendMessage = (messageData) => {
-  const messages = getMessages();
-  const newMessage = {
-    id: 'msg_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
-    ...messageData,
-    createdAt: new Date().toISOString(),
-    isRead: false
-  };
-  
-  const updatedMessages = [...messages, newMessage];
-  saveMessages(updatedMessages);
-  return newMessage;
-};
+import { apiFetch } from '../lib/apiClient';
+import {
+  APPLICATION_STATUS,
+  APPLICATION_STATUS_LABELS,
+  APPLICATION_STATUS_COLORS,
+  ACTIVE_APPLICATION_STATUSES,
+  CONVERSATION_APPLICATION_STATUSES
+} from '../utils/jobStatus';
 
 export default function MyApplications() {
   const { data: session } = useSession();
   const [applications, setApplications] = useState([]);
   const [jobs, setJobs] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [activeChat, setActiveChat] = useState(null);
-  const [messages, setMessages] = useState([]);
-  const [newMessage, setNewMessage] = useState('');
-  const [sendingMessage, setSendingMessage] = useState(false);
+  const [updatingId, setUpdatingId] = useState(null);
 
   // 金額を正しくフォーマットする関数
   const formatBudget = (budget) => {
@@ -78,19 +38,16 @@ export default function MyApplications() {
   }
 
   useEffect(() => {
-    const loadData = () => {
+    const loadData = async () => {
       try {
-        const allApplications = getApplications();
-        const allJobs = getJobs();
-        
-        // 現在のユーザーの応募のみフィルタ
-        const userEmail = session?.user?.email || 'freelancer1@example.com'; // テスト用デフォルト
-        const userApplications = allApplications.filter(app => 
-          app.applicantEmail === userEmail
+        // 現在のユーザーの応募のみ取得（応募者はトークンから決まる）
+        const { applications: userApplications } = await apiFetch('/api/applications');
+        const relatedJobs = await Promise.all(
+          userApplications.map(app => apiFetch(`/api/jobs/${app.jobId}`, { auth: false }).then(result => result.job).catch(() => null))
         );
 
         setApplications(userApplications);
-        setJobs(allJobs);
+        setJobs(relatedJobs.filter(Boolean));
         setLoading(false);
         
         console.log('読み込んだ応募データ:', userApplications);
@@ -100,60 +57,48 @@ export default function MyApplications() {
       }
     };
 
-    loadData();
+    if (session) loadData();
   }, [session]);
 
-  // チャット表示時のメッセージ読み込み
-  useEffect(() => {
-    if (activeChat) {
-      const conversationMessages = getConversationMessages(activeChat.jobId, activeChat.id);
-      setMessages(conversationMessages);
-    }
-  }, [activeChat]);
-
-  // チャット開始
-  const startChat = (application) => {
-    const job = jobs.find(j => String(j.id) === String(application.jobId));
-    setActiveChat({ ...application, job });
-    const conversationMessages = getConversationMessages(application.jobId, application.id);
-    setMessages(conversationMessages);
+  const replaceApplication = (updated) => {
+    setApplications(prev => prev.map(app => (String(app.id) === String(updated.id) ? updated : app)));
   };
 
-  // メッセージ送信
-  const handleSendMessage = async () => {
-    if (!newMessage.trim() || !activeChat || sendingMessage) return;
+  // オファーを承諾する（同じ案件の他の選考中の応募は自動却下され、案件が進行中になる）
+  const handleAcceptOffer = async (application, job) => {
+    if (!confirm(`「${job?.title || '案件'}」のオファーを承諾しますか？`)) return;
 
     try {
-      setSendingMessage(true);
-
-      const messageData = {
-        jobId: activeChat.jobId,
-        applicationId: activeChat.id,
-        senderId: session?.user?.email || activeChat.applicantEmail,
-        senderName: session?.user?.name || activeChat.applicantName,
-        senderType: 'applicant',
-        receiverId: activeChat.job?.clientId || activeChat.job?.clientEmail || 'client1@example.com',
-        receiverName: activeChat.job?.clientName || 'クライアント',
-        message: newMessage.trim()
-      };
+      setUpdatingId(application.id);
+      // 採用決定のイベントから、マッチング（チャットルーム）の開設とエスクローへの預かりが行われる
+      const result = await apiFetch(`/api/applications/${application.id}/accept`, { method: 'POST' });
 
-      const sentMessage = sendMessage(messageData);
-      setMessages(prev => [...prev, sentMessage]);
-      setNewMessage('');
-      
+      replaceApplication(result.application);
+      setJobs(prev => prev.map(item => (String(item.id) === String(result.job.id) ? result.job : item)));
+      alert('オファーを承諾しました。クライアントとメッセージでやり取りを始めましょう');
     } catch (error) {
-      console.error('メッセージ送信エラー:', error);
-      alert('メッセージの送信に失敗しました');
+      console.error('オファー承諾エラー:', error);
+      alert(error.message || 'オファーの承諾でエラーが発生しました');
     } finally {
-      setSendingMessage(false);
+      setUpdatingId(null);
     }
   };
 
-  // Enterキーでメッセージ送信
-  const handleKeyPress = (e) => {
-    if (e.key === 'Enter' && !e.shiftKey) {
-      e.preventDefault();
-      handleSendMessage();
+  // オファーの辞退・応募の取り下げ
+  const handleClose = async (application, toStatus) => {
+    const message = toStatus === APPLICATION_STATUS.DECLINED ? 'オファーを辞退しますか？' : '応募を取り下げますか？';
+    if (!confirm(message)) return;
+
+    try {
+      setUpdatingId(application.id);
+      const action = toStatus === APPLICATION_STATUS.DECLINED ? 'decline' : 'withdraw';
+      const { application: updated } = await apiFetch(`/api/applications/${application.id}/${action}`, { method: 'POST' });
+      replaceApplication(updated);
+    } catch (error) {
+      console.error('応募ステータス更新エラー:', error);
+      alert(error.message || '応募ステータスの更新でエラーが発生しました');
+    } finally {
+      setUpdatingId(null);
     }
   };
 
@@ -177,16 +122,16 @@ export default function MyApplications() {
             ← ホームに戻る
           </Link>
           <h1 className="text-3xl font-bold text-gray-800 mb-2">
-            応募履歴・メッセージ
+            応募履歴
           </h1>
           <p className="text-gray-600">
-            あなたの応募状況とクライアントとのメッセージを確認できます
+            あなたの応募状況を確認できます。クライアントとのやり取りは<Link href="/inbox" className="text-blue-600 hover:text-blue-800">メッセージ</Link>から行えます
           </p>
         </div>
 
-        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        <div className="max-w-4xl">
           {/* 応募一覧 */}
-          <div className="lg:col-span-2 space-y-6">
+          <div className="space-y-6">
             <h3 className="text-2xl font-bold text-gray-800">
               応募一覧 ({applications.length}件)
             </h3>
@@ -224,14 +169,9 @@ export default function MyApplications() {
                       </div>
                       <div className="text-right">
                         <span className={`px-3 py-2 rounded-full text-sm font-medium ${
-                          application.status === 'pending' ? 'bg-yellow-100 text-yellow-800' :
-                          application.status === 'approved' ? 'bg-green-100 text-green-800' :
-                          application.status === 'rejected' ? 'bg-red-100 text-red-800' :
-                          'bg-gray-100 text-gray-800'
+                          APPLICATION_STATUS_COLORS[application.status] || 'bg-gray-100 text-gray-800'
                         }`}>
-                          {application.status === 'pending' ? '審査中' :
-                           application.status === 'approved' ? '承認済み' :
-                           application.status === 'rejected' ? '却下済み' : application.status}
+                          {APPLICATION_STATUS_LABELS[application.status] || application.status}
                         </span>
                       </div>
                     </div>
@@ -247,6 +187,29 @@ export default function MyApplications() {
                       応募日時: {new Date(application.createdAt).toLocaleString('ja-JP')}
                     </div>
 
+                    {/* オファーへの返答 */}
+                    {application.status === APPLICATION_STATUS.OFFERED && (
+                      <div className="mb-4 p-4 bg-purple-50 border border-purple-200 rounded-lg">
+                        <p className="text-purple-800 font-medium mb-3">📨 クライアントからオファーが届いています</p>
+                        <div className="flex space-x-4">
+                          <button
+                            onClick={() => handleAcceptOffer(application, job)}
+                            disabled={updatingId === application.id}
+                            className="flex-1 bg-gradient-to-r from-green-500 to-green-600 text-white px-6 py-3 rounded-lg font-medium hover:from-green-600 hover:to-green-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 shadow-lg"
+                          >
+                            {updatingId === application.id ? '処理中...' : '🤝 オファーを承諾'}
+                          </button>
+                          <button
+                            onClick={() => handleClose(application, APPLICATION_STATUS.DECLINED)}
+                            disabled={updatingId === application.id}
+                            className="flex-1 bg-white border border-gray-300 text-gray-700 px-6 py-3 rounded-lg font-medium hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+                          >
+                            辞退する
+                          </button>
+                        </div>
+                      </div>
+                    )}
+
                     {/* アクションボタン */}
                     <div className="flex space-x-4">
                       <Link
@@ -256,13 +219,34 @@ export default function MyApplications() {
                         案件詳細を見る
                       </Link>
 
-                      {/* 承認済みの場合のメッセージボタン */}
-                      {application.status === 'approved' && (
-                        <button
-                          onClick={() => startChat(application)}
-                          className="flex-1 bg-gradient-to-r from-blue-500 to-blue-600 text-white px-6 py-3 rounded-lg font-medium hover:from-blue-600 hover:to-blue-700 transition-all duration-200 shadow-lg"
+                      {/* 面談中・オファー中・採用決定の場合のメッセージボタン（受信箱のスレッドを開く） */}
+                      {CONVERSATION_APPLICATION_STATUSES.includes(application.status) && (
+                        <Link
+                          href={{ pathname: '/inbox', query: { jobId: application.jobId, applicationId: application.id } }}
+                          className="flex-1 text-center bg-gradient-to-r from-blue-500 to-blue-600 text-white px-6 py-3 rounded-lg font-medium hover:from-blue-600 hover:to-blue-700 transition-all duration-200 shadow-lg"
                         >
                           💬 メッセージ
+                        </Link>
+                      )}
+
+                      {/* 採用決定後は案件のチャットルームで作業を進める */}
+                      {application.status === APPLICATION_STATUS.APPROVED && (
+                        <Link
+                          href={{ pathname: '/messages', query: { applicationId: application.id } }}
+                          className="flex-1 text-center bg-gradient-to-r from-green-500 to-green-600 text-white px-6 py-3 rounded-lg font-medium hover:from-green-600 hover:to-green-700 transition-all duration-200 shadow-lg"
+                        >
+                          🗂 チャットルーム
+                        </Link>
+                      )}
+
+                      {/* オファー前の選考中の応募は取り下げられる */}
+                      {ACTIVE_APPLICATION_STATUSES.includes(application.status) && application.status !== APPLICATION_STATUS.OFFERED && (
+                        <button
+                          onClick={() => handleClose(application, APPLICATION_STATUS.WITHDRAWN)}
+                          disabled={updatingId === application.id}
+                          className="px-6 py-3 bg-white border border-gray-300 text-gray-700 rounded-lg font-medium hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+                        >
+                          応募を取り下げる
                         </button>
                       )}
                     </div>
@@ -271,88 +255,6 @@ export default function MyApplications() {
               })
             )}
           </div>
-
-          {/* チャット機能 */}
-          <div className="lg:col-span-1">
-            {activeChat ? (
-              <div className="bg-white rounded-xl shadow-xl p-6 sticky top-8">
-                <div className="flex items-center justify-between mb-4">
-                  <div>
-                    <h4 className="text-lg font-semibold text-gray-800">
-                      クライアントとのチャット
-                    </h4>
-                    <p className="text-sm text-gray-600">
-                      {activeChat.job?.title}
-                    </p>
-                  </div>
-                  <button
-                    onClick={() => setActiveChat(null)}
-                    className="text-gray-500 hover:text-gray-700"
-                  >
-                    ✕
-                  </button>
-                </div>
-
-                {/* メッセージ履歴 */}
-                <div className="h-64 overflow-y-auto mb-4 border rounded-lg p-3 bg-gray-50">
-                  {messages.length === 0 ? (
-                    <p className="text-gray-500 text-center">まだメッセージがありません</p>
-                  ) : (
-                    messages.map((msg) => (
-                      <div
-                        key={msg.id}
-                        className={`mb-3 ${
-                          msg.senderType === 'applicant' ? 'text-right' : 'text-left'
-                        }`}
-                      >
-                        <div
-                          className={`inline-block p-3 rounded-lg max-w-xs ${
-                            msg.senderType === 'applicant'
-                              ? 'bg-green-500 text-white'
-                              : 'bg-white border'
-                          }`}
-                        >
-                          <p className="text-sm">{msg.message}</p>
-                          <p className={`text-xs mt-1 ${
-                            msg.senderType === 'applicant' ? 'text-green-100' : 'text-gray-500'
-                          }`}>
-                            {new Date(msg.createdAt).toLocaleTimeString('ja-JP', {
-                              hour: '2-digit',
-                              minute: '2-digit'
-                            })}
-                          </p>
-                        </div>
-                      </div>
-                    ))
-                  )}
-                </div>
-
-                {/* メッセージ入力 */}
-                <div className="flex space-x-2">
-                  <textarea
-                    value={newMessage}
-                    onChange={(e) => setNewMessage(e.target.value)}
-                    onKeyPress={handleKeyPress}
-                    placeholder="メッセージを入力..."
-                    className="flex-1 border rounded-lg p-2 text-sm resize-none"
-                    rows="2"
-                    disabled={sendingMessage}
-                  />
-                  <button
-                    onClick={handleSendMessage}
-                    disabled={!newMessage.trim() || sendingMessage}
-                    className="px-4 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600 disabled:opacity-50 disabled:cursor-not-allowed"
-                  >
-                    {sendingMessage ? '送信中...' : '送信'}
-                  </button>
-                </div>
-              </div>
-            ) : (
-              <div className="bg-white rounded-xl shadow-xl p-6 text-center text-gray-500">
-                承認済みの案件を選択してメッセージを開始してください
-              </div>
-            )}
-          </div>
         </div>
       </div>
     </div>
@@ -2,7 +2,8 @@ import { useSession } from 'next-auth/react'
 import { useRouter } from 'next/router'
 import Link from 'next/link'
 import { useState } from 'react'
-import { supabase } from '../lib/supabase'
+import { apiFetch } from '../lib/apiClient'
+import { useUnreadCount } from '../hooks/useUnreadCount'
 
 // スキル一覧（カテゴリ別）
 const skillsData = {
@@ -47,6 +48,7 @@ const popularSkills = [
 
 export default function PostJob() {
   const { data: session } = useSession()
+  const unreadCount = useUnreadCount()
   const router = useRouter()
   const [loading, setLoading] = useState(false)
   const [formData, setFormData] = useState({
@@ -56,7 +58,8 @@ export default function PostJob() {
     deadline: '',
     description: '',
     skills: [], // 配列に変更
-    experience_level: '初級'
+    experienceLevel: '初級',
+    headcount: 1
   })
   
   const [skillSearch, setSkillSearch] = useState('')
@@ -144,27 +147,20 @@ export default function PostJob() {
     setLoading(true)
 
     try {
-      const { data, error } = await supabase
-        .from('jobs')
-        .insert([
-          {
-            title: formData.title,
-            category: formData.category,
-            budget: formData.budget,
-            deadline: formData.deadline || null,
-            description: formData.description,
-            skills: formData.skills, // 既に配列
-            experience_level: formData.experience_level,
-            client_email: session.user.email,
-            client_name: session.user.name || session.user.email,
-            status: '募集中'
-          }
-        ])
-        .select()
-
-      if (error) {
-        throw error
-      }
+      // 入力値の検証と投稿者の設定は API サーバー（server/validators/jobValidator.js）で行う
+      await apiFetch('/api/jobs', {
+        method: 'POST',
+        body: {
+          title: formData.title,
+          category: formData.category,
+          budget: Number(formData.budget),
+          deadline: formData.deadline || null,
+          description: formData.description,
+          skills: formData.skills, // 既に配列
+          experienceLevel: formData.experienceLevel,
+          headcount: parseInt(formData.headcount, 10) || 1
+        }
+      })
 
       alert('案件を投稿しました！')
       router.push('/')
@@ -188,7 +184,14 @@ export default function PostJob() {
             <div className="flex items-center space-x-4">
               <Link href="/" className="text-gray-700 hover:text-blue-600 transition-colors">ホーム</Link>
               <Link href="/profile" className="text-gray-700 hover:text-blue-600 transition-colors">プロフィール</Link>
-              <Link href="/messages" className="text-gray-700 hover:text-blue-600 transition-colors">💬 メッセージ</Link>
+              <Link href="/inbox" className="relative text-gray-700 hover:text-blue-600 transition-colors">
+                💬 メッセージ
+                {unreadCount.total > 0 && (
+                  <span className="absolute -top-2 -right-4 min-w-[1.25rem] h-5 px-1 bg-red-500 text-white text-xs font-bold rounded-full flex items-center justify-center">
+                    {unreadCount.total > 99 ? '99+' : unreadCount.total}
+                  </span>
+                )}
+              </Link>
             </div>
           </div>
         </div>
@@ -299,8 +302,8 @@ export default function PostJob() {
                 経験レベル
               </label>
               <select
-                name="experience_level"
-                value={formData.experience_level}
+                name="experienceLevel"
+                value={formData.experienceLevel}
                 onChange={handleInputChange}
                 className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               >
@@ -310,6 +313,28 @@ export default function PostJob() {
               </select>
             </div>
 
+            {/* 募集人数 */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                募集人数
+              </label>
+              <div className="flex items-center space-x-2">
+                <input
+                  type="number"
+                  name="headcount"
+                  min="1"
+                  max="100"
+                  value={formData.headcount}
+                  onChange={handleInputChange}
+                  className="w-32 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <span className="text-gray-700">名</span>
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                データ入力や大量の撮影など、複数のワーカーに依頼する場合に指定します。募集人数に達すると募集が締め切られます
+              </p>
+            </div>
+
             {/* 必要なスキル（タグ選択式） */}
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
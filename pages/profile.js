@@ -2,7 +2,12 @@ import { useSession, signOut } from 'next-auth/react'
 import { useRouter } from 'next/router'
 import Link from 'next/link'
 import { useState, useEffect } from 'react'
-import { supabase } from '../lib/supabase'
+import { apiFetch } from '../lib/apiClient'
+import { useUnreadCount } from '../hooks/useUnreadCount'
+import { disconnectSocket } from '../lib/socketClient'
+import NotificationPreferences from '../components/NotificationPreferences'
+import InvoiceSettings from '../components/InvoiceSettings'
+import { JOB_STATUS, JOB_STATUS_LABELS, JOB_STATUS_COLORS } from '../utils/jobStatus'
 
 // 都道府県リスト
 const PREFECTURES = [
@@ -58,6 +63,7 @@ const popularSkills = [
 
 export default function Profile() {
   const { data: session } = useSession()
+  const unreadCount = useUnreadCount()
   const router = useRouter()
   const [loading, setLoading] = useState(true)
   const [saving, setSaving] = useState(false)
@@ -83,6 +89,11 @@ export default function Profile() {
     completedJobs: 0
   })
 
+  // 案件詳細画面の「請求書を見る」などから ?tab= でタブを指定して開く
+  useEffect(() => {
+    if (router.query.tab) setActiveTab(router.query.tab)
+  }, [router.query.tab])
+
   useEffect(() => {
     if (session) {
       loadProfile()
@@ -94,25 +105,17 @@ export default function Profile() {
     try {
       setLoading(true)
       
-      const { data, error } = await supabase
-        .from('profiles')
-        .select('*')
-        .eq('email', session.user.email)
-        .maybeSingle()
-
-      if (error && error.code !== 'PGRST116') {
-        console.error('プロフィール読み込みエラー:', error)
-      }
+      const { profile: data } = await apiFetch('/api/profiles/me')
 
       if (data) {
         setProfile({
-          full_name: data.full_name || session.user.name || '',
+          full_name: data.fullName || session.user.name || '',
           email: data.email || session.user.email || '',
-          bio: data.bio || '',
-          skills: data.skills || [],
-          location: data.location || '',
-          portfolio_url: data.portfolio_url || '',
-          avatar_url: data.avatar_url || session.user.image || ''
+          bio: data.bio,
+          skills: data.skills,
+          location: data.location,
+          portfolio_url: data.portfolioUrl,
+          avatar_url: data.avatarUrl || session.user.image || ''
         })
       } else {
         setProfile({
@@ -134,24 +137,14 @@ export default function Profile() {
 
   const loadPostedJobs = async () => {
     try {
-      const { data, error } = await supabase
-        .from('jobs')
-        .select('*')
-        .eq('client_email', session.user.email)
-        .order('created_at', { ascending: false })
-
-      if (error) throw error
+      const { jobs: data } = await apiFetch('/api/jobs/mine')
 
-      setPostedJobs(data || [])
-      
-      const total = data?.length || 0
-      const active = data?.filter(job => job.status === '募集中').length || 0
-      const completed = data?.filter(job => job.status === '完了').length || 0
+      setPostedJobs(data)
       
       setStats({
-        totalJobs: total,
-        activeJobs: active,
-        completedJobs: completed
+        totalJobs: data.length,
+        activeJobs: data.filter(job => job.status === JOB_STATUS.RECRUITING).length,
+        completedJobs: data.filter(job => job.status === JOB_STATUS.COMPLETED).length
       })
     } catch (error) {
       console.error('案件読み込みエラー:', error)
@@ -199,52 +192,17 @@ export default function Profile() {
     try {
       setSaving(true)
 
-      // プロフィールが存在するか確認
-      const { data: existingProfile, error: fetchError } = await supabase
-        .from('profiles')
-        .select('id, email')
-        .eq('email', session.user.email)
-        .maybeSingle()
-
-      if (fetchError) {
-        console.error('プロフィール確認エラー:', fetchError)
-        throw fetchError
-      }
-
-      if (existingProfile) {
-        // 更新
-        const { error } = await supabase
-          .from('profiles')
-          .update({
-            full_name: profile.full_name,
-            bio: profile.bio,
-            skills: profile.skills,
-            location: profile.location,
-            portfolio_url: profile.portfolio_url,
-            updated_at: new Date().toISOString()
-          })
-          .eq('email', session.user.email)
-
-        if (error) throw error
-      } else {
-        // 新規作成（idは自動生成される）
-        const { error } = await supabase
-          .from('profiles')
-          .insert([
-            {
-              // idは削除（自動生成される）
-              email: profile.email,
-              full_name: profile.full_name,
-              bio: profile.bio,
-              skills: profile.skills,
-              location: profile.location,
-              portfolio_url: profile.portfolio_url,
-              avatar_url: session.user.image || ''
-            }
-          ])
-
-        if (error) throw error
-      }
+      await apiFetch('/api/profiles/me', {
+        method: 'PUT',
+        body: {
+          fullName: profile.full_name,
+          bio: profile.bio,
+          skills: profile.skills,
+          location: profile.location,
+          portfolioUrl: profile.portfolio_url,
+          avatarUrl: profile.avatar_url || session.user.image || ''
+        }
+      })
 
       alert('プロフィールを保存しました！')
       await loadProfile()
@@ -258,6 +216,7 @@ export default function Profile() {
   }
 
   const handleLogout = async () => {
+    await disconnectSocket()
     await signOut({ callbackUrl: '/' })
   }
 
@@ -306,7 +265,14 @@ export default function Profile() {
             <div className="flex items-center space-x-6">
               <Link href="/" className="text-gray-700 hover:text-blue-600 transition-colors">案件一覧</Link>
               <Link href="/post-job" className="text-gray-700 hover:text-blue-600 transition-colors">案件投稿</Link>
-              <Link href="/messages" className="text-gray-700 hover:text-blue-600 transition-colors">💬 メッセージ</Link>
+              <Link href="/inbox" className="relative text-gray-700 hover:text-blue-600 transition-colors">
+                💬 メッセージ
+                {unreadCount.total > 0 && (
+                  <span className="absolute -top-2 -right-4 min-w-[1.25rem] h-5 px-1 bg-red-500 text-white text-xs font-bold rounded-full flex items-center justify-center">
+                    {unreadCount.total > 99 ? '99+' : unreadCount.total}
+                  </span>
+                )}
+              </Link>
               <button
                 onClick={handleLogout}
                 className="bg-gradient-to-r from-red-500 to-pink-500 text-white px-4 py-2 rounded-lg hover:from-red-600 hover:to-pink-600 transition-all shadow-md"
@@ -347,7 +313,9 @@ export default function Profile() {
               {[
                 { id: 'overview', label: '概要', icon: '📊' },
                 { id: 'posted-jobs', label: '投稿した案件', icon: '📝' },
-                { id: 'edit', label: 'プロフィール編集', icon: '✏️' }
+                { id: 'edit', label: 'プロフィール編集', icon: '✏️' },
+                { id: 'notifications', label: '通知設定', icon: '🔔' },
+                { id: 'invoices', label: '請求書', icon: '🧾' }
               ].map((tab) => (
                 <button
                   key={tab.id}
@@ -449,12 +417,10 @@ export default function Profile() {
                             <div className="flex items-center space-x-3 mb-2">
                               <h4 className="text-lg font-semibold text-gray-800">{job.title}</h4>
                               <span className={`px-3 py-1 rounded-full text-sm font-medium ${
-                                job.status === '募集中' ? 'bg-green-100 text-green-800' :
-                                job.status === '進行中' ? 'bg-blue-100 text-blue-800' :
-                                job.status === '完了' ? 'bg-gray-100 text-gray-800' :
+                                JOB_STATUS_COLORS[job.status] ||
                                 'bg-yellow-100 text-yellow-800'
                               }`}>
-                                {job.status || '募集中'}
+                                {JOB_STATUS_LABELS[job.status] || job.status}
                               </span>
                             </div>
                             <p className="text-gray-600 mb-3 line-clamp-2">{job.description}</p>
@@ -699,6 +665,12 @@ export default function Profile() {
                 </div>
               </div>
             )}
+
+            {/* 通知設定タブ */}
+            {activeTab === 'notifications' && <NotificationPreferences />}
+
+            {/* 請求書タブ */}
+            {activeTab === 'invoices' && <InvoiceSettings />}
           </div>
         </div>
       </div>
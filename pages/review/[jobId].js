@@ -2,11 +2,13 @@ import { useState, useEffect } from 'react'
 import { useSession, getSession } from 'next-auth/react'
 import { useRouter } from 'next/router'
 import Link from 'next/link'
+import { apiFetch } from '../../lib/apiClient'
+import { APPLICATION_STATUS, JOB_STATUS } from '../../utils/jobStatus'
 
 export default function ReviewJob() {
   const { data: session, status } = useSession()
   const router = useRouter()
-  const { jobId } = router.query
+  const { jobId, applicationId } = router.query
   const [job, setJob] = useState(null)
   const [application, setApplication] = useState(null)
   const [loading, setLoading] = useState(true)
@@ -38,41 +40,35 @@ export default function ReviewJob() {
     if (jobId && session) {
       loadJobAndApplication()
     }
-  }, [jobId, session])
+  }, [jobId, applicationId, session])
 
   const loadJobAndApplication = async () => {
     try {
       // 案件データを取得
-      const savedJobs = localStorage.getItem('crowdwork_jobs')
-      if (savedJobs) {
-        const jobs = JSON.parse(savedJobs)
-        const foundJob = jobs.find(j => j.id.toString() === jobId)
-        if (foundJob) {
-          setJob(foundJob)
-        } else {
-          router.push('/')
-          return
-        }
+      const { job: foundJob } = await apiFetch(`/api/jobs/${jobId}`, { auth: false })
+      if (!foundJob) {
+        router.push('/')
+        return
       }
+      setJob(foundJob)
 
       // 応募データを取得（この案件に関する応募を確認）
-      const savedApplications = localStorage.getItem('crowdwork_applications')
-      if (savedApplications) {
-        const applications = JSON.parse(savedApplications)
-        // 案件投稿者が評価する場合：応募者を評価
-        // 応募者が評価する場合：案件投稿者を評価
-        const relatedApplication = applications.find(app => 
-          app.jobId.toString() === jobId && 
-          (app.applicantEmail === session.user?.email || foundJob?.createdBy === session.user?.email)
-        )
-        
-        if (relatedApplication) {
-          setApplication(relatedApplication)
-        } else {
-          // 関連する応募がない場合はホームに戻る
-          router.push('/')
-          return
-        }
+      // 案件投稿者が評価する場合：採用した応募者を評価（複数名採用した案件は ?applicationId= で指定）
+      // 応募者が評価する場合：自分の応募を起点に案件投稿者を評価
+      const isClient = foundJob.clientEmail === session.user?.email
+      const { applications } = await apiFetch(isClient ? `/api/applications?jobId=${jobId}` : '/api/applications')
+      const relatedApplication = applications.find(app =>
+        isClient
+          ? app.status === APPLICATION_STATUS.APPROVED && (!applicationId || String(app.id) === String(applicationId))
+          : String(app.jobId) === String(jobId)
+      )
+
+      if (relatedApplication) {
+        setApplication(relatedApplication)
+      } else {
+        // 関連する応募がない場合はホームに戻る
+        router.push('/')
+        return
       }
 
     } catch (error) {
@@ -96,50 +92,22 @@ export default function ReviewJob() {
     setSubmitting(true)
 
     try {
-      // レビューデータを作成
-      const review = {
-        id: Date.now(),
-        jobId: parseInt(jobId),
-        jobTitle: job.title,
-        reviewerId: session.user?.email,
-        reviewerName: session.user?.name || session.user?.email,
-        // 案件投稿者が評価する場合：応募者を評価
-        // 応募者が評価する場合：案件投稿者を評価
-        revieweeId: job.createdBy === session.user?.email ? application.applicantEmail : job.createdBy,
-        revieweeName: job.createdBy === session.user?.email ? application.applicantName : job.createdBy,
-        reviewerType: job.createdBy === session.user?.email ? 'client' : 'freelancer',
-        rating: reviewData.rating,
-        comment: reviewData.comment,
-        communication: reviewData.communication,
-        quality: reviewData.quality,
-        timeliness: reviewData.timeliness,
-        overall: reviewData.overall,
-        createdAt: new Date().toISOString(),
-        status: 'published'
-      }
-
-      // 既存のレビューを取得
-      const savedReviews = localStorage.getItem('crowdwork_reviews')
-      let reviews = []
-      if (savedReviews) {
-        reviews = JSON.parse(savedReviews)
-      }
-
-      // 重複チェック
-      const existingReview = reviews.find(r => 
-        r.jobId.toString() === jobId && 
-        r.reviewerId === session.user?.email
-      )
-
-      if (existingReview) {
-        alert('この案件に対するレビューは既に投稿済みです。')
-        setSubmitting(false)
-        return
-      }
-
-      // 新しいレビューを追加
-      reviews.push(review)
-      localStorage.setItem('crowdwork_reviews', JSON.stringify(reviews))
+      // レビューデータを作成（評価対象と重複の確認はサーバー側で行い、相手にレビュー投稿を通知する）
+      // 案件投稿者が評価する場合：応募者を評価
+      // 応募者が評価する場合：案件投稿者を評価
+      await apiFetch('/api/reviews', {
+        method: 'POST',
+        body: {
+          jobId: job.id,
+          applicationId: application.id,
+          rating: reviewData.rating,
+          comment: reviewData.comment,
+          communication: reviewData.communication,
+          quality: reviewData.quality,
+          timeliness: reviewData.timeliness,
+          overall: reviewData.overall
+        }
+      })
 
       // 成功メッセージ
       setTimeout(() => {
@@ -150,7 +118,7 @@ export default function ReviewJob() {
 
     } catch (error) {
       console.error('レビュー投稿エラー:', error)
-      alert('レビューの投稿に失敗しました。')
+      alert(error.message || 'レビューの投稿に失敗しました。')
       setSubmitting(false)
     }
   }
@@ -180,8 +148,26 @@ export default function ReviewJob() {
     )
   }
 
-  const isClientReviewing = job.createdBy === session.user?.email
-  const targetUser = isClientReviewing ? application.applicantName : job.createdBy
+  // レビューは納品物の検収で案件が完了してから
+  if (job.status !== JOB_STATUS.COMPLETED) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50 flex items-center justify-center">
+        <div className="bg-white rounded-2xl shadow-xl p-8 max-w-md w-full text-center">
+          <h2 className="text-2xl font-bold text-gray-900 mb-4">まだレビューできません</h2>
+          <p className="text-gray-600 mb-6">案件の完了（納品物の検収）後にレビューできます。</p>
+          <Link
+            href={`/job/${job.id}`}
+            className="bg-gradient-to-r from-blue-600 to-purple-600 text-white px-6 py-3 rounded-lg hover:from-blue-700 hover:to-purple-700"
+          >
+            案件に戻る
+          </Link>
+        </div>
+      </div>
+    )
+  }
+
+  const isClientReviewing = job.clientEmail === session.user?.email
+  const targetUser = isClientReviewing ? application.applicantName : job.clientName
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50">
@@ -0,0 +1,52 @@
+// Web プッシュ通知の Service Worker（lib/pushNotificationService.js が登録する）
+// payload は server/services/pushNotificationService.js の send() が送る { title, body, tag, url, notificationId, type }
+
+self.addEventListener('install', () => {
+  self.skipWaiting()
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim())
+})
+
+self.addEventListener('push', (event) => {
+  let payload = {}
+  try {
+    payload = event.data ? event.data.json() : {}
+  } catch (error) {
+    payload = { body: event.data ? event.data.text() : '' }
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(payload.title || 'CrowdMVP', {
+      body: payload.body || '',
+      tag: payload.tag,
+      renotify: !!payload.tag,
+      data: {
+        url: payload.url || '/',
+        notificationId: payload.notificationId || null
+      }
+    })
+  )
+})
+
+// 通知のクリックで案件・スレッドを開く（同じ画面のタブがあればそれを使う）
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close()
+  const url = new URL(event.notification.data?.url || '/', self.location.origin).href
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+    const existing = windows.find(client => client.url === url)
+    if (existing) {
+      return existing.focus()
+    }
+
+    const sameOrigin = windows.find(client => new URL(client.url).origin === self.location.origin)
+    if (sameOrigin && 'navigate' in sameOrigin) {
+      await sameOrigin.navigate(url)
+      return sameOrigin.focus()
+    }
+    return self.clients.openWindow(url)
+  })())
+})
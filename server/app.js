@@ -1,9 +1,7 @@
 const express = require('express');
 const http = require('http');
-const socketIo = require('socket.io');
 const cors = require('cors');
 const dotenv = require('dotenv');
-const path = require('path');
 
 // 環境変数の読み込み
 dotenv.config();
@@ -13,19 +11,60 @@ const authRoutes = require('./routes/auth');
 const notificationRoutes = require('./routes/notifications');
 const messageRoutes = require('./routes/messages');
 const matchingRoutes = require('./routes/matching');
+const jobRoutes = require('./routes/jobs');
+const applicationRoutes = require('./routes/applications');
+const uploadRoutes = require('./routes/uploads');
+const presenceRoutes = require('./routes/presence');
+const emailRoutes = require('./routes/email');
+const pushRoutes = require('./routes/push');
+const invoiceRoutes = require('./routes/invoices');
+const reviewRoutes = require('./routes/reviews');
+const profileRoutes = require('./routes/profiles');
+const registerNotificationSubscribers = require('./events/notificationSubscribers');
+const registerMatchSubscribers = require('./events/matchSubscribers');
+const registerPaymentSubscribers = require('./events/paymentSubscribers');
+const registerInvoiceSubscribers = require('./events/invoiceSubscribers');
+const matchService = require('./services/matchService');
+const chatService = require('./services/chatService');
+const conversationService = require('./services/conversationService');
+const presenceService = require('./services/presenceService');
+const notificationService = require('./services/notificationService');
+const emailNotificationService = require('./services/emailNotificationService');
+const pushNotificationService = require('./services/pushNotificationService');
+const socketHandler = require('./socket/socketHandler');
+const ApiError = require('./utils/ApiError');
+const errorHandler = require('./middleware/errorHandler');
+const { NOTIFICATION_CHANNELS } = require('../utils/notificationUtils');
 
 // Express アプリケーションの作成
 const app = express();
 const server = http.createServer(app);
 
-// Socket.IO の設定
-const io = socketIo(server, {
-  cors: {
-    origin: process.env.CLIENT_URL || "http://localhost:3000",
-    methods: ["GET", "POST"],
-    credentials: true
-  }
-});
+// Socket.IO の設定（ハンドシェイク時にトークンを検証する）
+const io = socketHandler.initialize(server);
+
+// ドメインイベント（応募・承認・メッセージなど）から通知を作成する
+registerNotificationSubscribers();
+
+// 採用決定時にマッチングとチャットルームを開設する
+registerMatchSubscribers();
+
+// 採用決定・検収・完了・キャンセルに合わせてエスクローの預かり・支払い・返金を行う
+registerPaymentSubscribers();
+
+// エスクローからの支払いごとに請求書を発行する
+registerInvoiceSubscribers();
+
+// メール通知（SMTP_HOST 未設定の場合はアプリ内通知のみ）
+if (emailNotificationService.isEnabled()) {
+  notificationService.registerChannel(NOTIFICATION_CHANNELS.EMAIL, (recipientId, notification) => emailNotificationService.send(recipientId, notification));
+  emailNotificationService.startDigestSchedule();
+}
+
+// Web プッシュ通知（VAPID の鍵が未設定の場合は送らない）
+if (pushNotificationService.isEnabled()) {
+  notificationService.registerChannel(NOTIFICATION_CHANNELS.PUSH, (recipientId, notification) => pushNotificationService.send(recipientId, notification));
+}
 
 // ミドルウェアの設定
 app.use(cors({
@@ -36,14 +75,20 @@ app.use(cors({
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// 静的ファイルの配信
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
-
 // APIルートの設定
 app.use('/api/auth', authRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/matching', matchingRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/applications', applicationRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/presence', presenceRoutes);
+app.use('/api/email', emailRoutes);
+app.use('/api/push', pushRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/profiles', profileRoutes);
 
 // ヘルスチェックエンドポイント
 app.get('/api/health', (req, res) => {
@@ -55,149 +100,152 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-// チャット用のストレージ
-const chatRooms = new Map(); // matchId -> messages[]
-const connectedUsers = new Map(); // userId -> socketId
-const userSockets = new Map(); // socketId -> userId
-const userRooms = new Map(); // userId -> Set<roomId>
-
-// Socket.IO接続の管理
+// Socket.IO接続の管理（認証はハンドシェイク時に済んでいる）
 io.on('connection', (socket) => {
-  console.log(`🔌 New client connected: ${socket.id}`);
+  const { userId } = socket;
+  console.log(`🔌 New client connected: ${socket.id} (user ${userId})`);
 
-  // ユーザー認証・登録
-  socket.on('authenticate', (data) => {
-    const { userId, token } = data;
-    
-    if (userId && token) {
-      connectedUsers.set(userId, socket.id);
-      userSockets.set(socket.id, userId);
-      
-      socket.join(`user_${userId}`);
-      
-      console.log(`✅ User ${userId} authenticated and joined room`);
-      
-      socket.emit('authenticated', { 
-        success: true, 
-        userId,
-        message: 'Successfully authenticated'
-      });
-      
-      // オンライン状態を他のユーザーに通知
-      socket.broadcast.emit('userOnline', { userId });
-    } else {
-      socket.emit('authError', { message: 'Invalid credentials' });
-    }
+  socket.emit('authenticated', {
+    success: true,
+    userId,
+    message: 'Successfully authenticated'
   });
 
-  // チャットルームに参加
-  socket.on('joinChatRoom', (data) => {
-    const { matchId } = data;
-    const userId = userSockets.get(socket.id);
-    
-    if (userId && matchId) {
+  // オンライン状態をマッチング相手に通知（最初のタブの接続時のみ）
+  presenceService.connect(socket)
+    .catch(error => console.error('❌ Presence error:', error));
+
+  chatService.getUnreadCounts(socket.user)
+    .then(counts => socket.emit('unreadCounts', counts))
+    .catch(error => console.error('❌ Unread count error:', error));
+
+  // 参加済みのチャットルームか（joinChatRoom で当事者であることを確認済み）
+  const isInChatRoom = (matchId) => socket.rooms.has(`chat_${matchId}`);
+
+  // ソケットイベント内のエラーをクライアントに返す
+  const emitChatError = (matchId, error, fallbackMessage) => {
+    if (!(error instanceof ApiError)) {
+      console.error('❌ Chat error:', error);
+    }
+    socket.emit('chatError', {
+      matchId,
+      message: error instanceof ApiError ? error.message : fallbackMessage
+    });
+  };
+
+  // チャットルームに参加（マッチングの当事者のみ）し、最新の履歴を返す
+  socket.on('joinChatRoom', async (data) => {
+    const { matchId, limit } = data || {};
+    if (!matchId) return;
+
+    try {
+      const match = await matchService.getParticipatingMatch(matchId, socket.user);
+      // 応募時からの会話（受信箱と共通）の履歴
+      const history = await chatService.getHistory(match.applicationId, { limit });
+
       socket.join(`chat_${matchId}`);
-      
-      // ユーザーのルーム情報を更新
-      if (!userRooms.has(userId)) {
-        userRooms.set(userId, new Set());
-      }
-      userRooms.get(userId).add(matchId);
-      
       console.log(`👥 User ${userId} joined chat room: ${matchId}`);
-      
-      // チャット履歴を送信
-      const messages = chatRooms.get(matchId) || [];
-      socket.emit('chatHistory', { matchId, messages });
+
+      socket.emit('chatHistory', { matchId, match, ...history });
+    } catch (error) {
+      emitChatError(matchId, error, 'チャットルームに参加できませんでした');
     }
   });
 
-  // チャットメッセージ送信
-  socket.on('sendMessage', (data) => {
-    const { targetUserId, message, matchId } = data;
-    const senderUserId = userSockets.get(socket.id);
-    
-    if (senderUserId && message && matchId) {
-      const messageData = {
-        id: Date.now().toString(),
-        senderId: senderUserId,
-        senderName: getSenderName(senderUserId),
-        targetUserId,
-        matchId,
-        message,
-        timestamp: new Date().toISOString(),
-        isRead: false
-      };
-      
-      // チャット履歴に保存
-      if (!chatRooms.has(matchId)) {
-        chatRooms.set(matchId, []);
-      }
-      chatRooms.get(matchId).push(messageData);
-      
-      // チャットルームの全参加者にメッセージを送信
-      io.to(`chat_${matchId}`).emit('newMessage', messageData);
-      
+  // さらに古い履歴の読み込み
+  socket.on('loadOlderMessages', async (data) => {
+    const { matchId, cursor, limit } = data || {};
+    if (!matchId || !cursor || !isInChatRoom(matchId)) return;
+
+    try {
+      const match = await matchService.getParticipatingMatch(matchId, socket.user);
+      const history = await chatService.getHistory(match.applicationId, { cursor, limit });
+      socket.emit('olderMessages', { matchId, ...history });
+    } catch (error) {
+      emitChatError(matchId, error, '履歴の読み込みに失敗しました');
+    }
+  });
+
+  // チャットメッセージ送信（attachmentId は /api/uploads で取得したもの）
+  socket.on('sendMessage', async (data) => {
+    const { message, attachmentId, matchId } = data || {};
+    if (!matchId || !isInChatRoom(matchId)) return;
+
+    try {
+      const match = await matchService.getParticipatingMatch(matchId, socket.user);
+      // 送信者・受信者の全タブ（受信箱を含む）に newMessage と未読件数が届く
+      const messageData = await chatService.send(conversationService.fromMatch(match), socket.user, { message, attachmentId });
+
       // 送信者に確認を返す
-      socket.emit('messageSent', { 
-        success: true, 
-        messageId: messageData.id 
+      socket.emit('messageSent', {
+        success: true,
+        messageId: messageData.id
       });
-      
-      console.log(`💬 Message sent in room ${matchId} from ${senderUserId}`);
+
+      console.log(`💬 Message sent in room ${matchId} from ${userId}`);
+    } catch (error) {
+      emitChatError(matchId, error, 'メッセージの送信に失敗しました');
+    }
+  });
+
+  // 未読件数の再取得
+  socket.on('getUnreadCounts', async () => {
+    try {
+      socket.emit('unreadCounts', await chatService.getUnreadCounts(socket.user));
+    } catch (error) {
+      console.error('❌ Unread count error:', error);
+    }
+  });
+
+  // 既読にする（messageIds を省略すると会話内の未読をすべて既読にする）
+  socket.on('markRead', async (data) => {
+    const { matchId, messageIds } = data || {};
+    if (!matchId || !isInChatRoom(matchId)) return;
+
+    try {
+      const match = await matchService.getParticipatingMatch(matchId, socket.user);
+      // 送信者側に messagesRead、本人に未読件数が届く
+      await chatService.markRead(conversationService.fromMatch(match), socket.user, messageIds);
+    } catch (error) {
+      emitChatError(matchId, error, '既読の更新に失敗しました');
     }
   });
 
   // タイピング状態の送信
   socket.on('typing', (data) => {
-    const { matchId } = data;
-    const userId = userSockets.get(socket.id);
+    const { matchId } = data || {};
     
-    if (userId && matchId) {
+    if (matchId && isInChatRoom(matchId)) {
       socket.to(`chat_${matchId}`).emit('userTyping', { 
         userId, 
         matchId 
       });
-      
-      console.log(`⌨️ User ${userId} is typing in room ${matchId}`);
     }
   });
 
   // テスト通知の送信
   socket.on('sendTestNotification', () => {
-    const userId = userSockets.get(socket.id);
+    const testNotification = {
+      id: `test_${Date.now()}`,
+      title: '🧪 テスト通知',
+      message: `送信時刻: ${new Date().toLocaleString('ja-JP')}`,
+      type: 'info',
+      isRead: false,
+      createdAt: new Date().toISOString(),
+      data: { test: true }
+    };
     
-    if (userId) {
-      const testNotification = {
-        id: `test_${Date.now()}`,
-        title: '🧪 テスト通知',
-        message: `送信時刻: ${new Date().toLocaleString('ja-JP')}`,
-        type: 'info',
-        isRead: false,
-        createdAt: new Date().toISOString(),
-        data: { test: true }
-      };
-      
-      socket.emit('newNotification', testNotification);
-      console.log(`🧪 Test notification sent to user ${userId}`);
-    }
+    socket.emit('newNotification', testNotification);
+    console.log(`🧪 Test notification sent to user ${userId}`);
   });
 
   // 切断処理
   socket.on('disconnect', () => {
-    const userId = userSockets.get(socket.id);
-    
-    if (userId) {
-      connectedUsers.delete(userId);
-      userSockets.delete(socket.id);
-      userRooms.delete(userId);
-      
-      // オフライン状態を他のユーザーに通知
-      socket.broadcast.emit('userOffline', { userId });
-      
-      console.log(`👋 User ${userId} disconnected`);
-    }
-    
+    // オフライン状態をマッチング相手に通知（最後のタブの切断時のみ）
+    presenceService.disconnect(socket)
+      .catch(error => console.error('❌ Presence error:', error));
+
+    console.log(`👋 User ${userId} disconnected`);
     console.log(`🔌 Client disconnected: ${socket.id}`);
   });
 
@@ -207,24 +255,8 @@ io.on('connection', (socket) => {
   });
 });
 
-// ヘルパー関数：送信者名を取得
-function getSenderName(userId) {
-  const userNames = {
-    'user1': '田中太郎',
-    'client1': '株式会社サンプル',
-    'freelancer1': '佐藤花子'
-  };
-  return userNames[userId] || `User ${userId}`;
-}
-
 // グローバルエラーハンドリング
-app.use((err, req, res, next) => {
-  console.error('❌ Global error:', err);
-  res.status(500).json({ 
-    error: 'Internal Server Error',
-    message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong'
-  });
-});
+app.use(errorHandler);
 
 // 404 ハンドリング
 app.use((req, res) => {
@@ -240,6 +272,8 @@ server.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📡 Socket.IO server ready`);
   console.log(`💬 Chat system enabled`);
+  console.log(`🔔 Web push: ${pushNotificationService.isEnabled() ? 'enabled' : 'disabled'}`);
+  console.log(`📧 Email notifications: ${emailNotificationService.isEnabled() ? `${process.env.SMTP_HOST}:${process.env.SMTP_PORT || 1025}` : 'disabled'}`);
   console.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔗 Client URL: ${process.env.CLIENT_URL || 'http://localhost:3000'}`);
 });
@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const { compareNewestFirst, isAfterCursor } = require('../utils/cursor');
+
+// 条件オブジェクトに一致するか判定（配列を渡した場合は IN 条件）
+const matches = (record, where) => {
+  return Object.keys(where).every(key => {
+    const expected = where[key];
+    if (expected === undefined) return true;
+    if (Array.isArray(expected)) {
+      return expected.map(String).includes(String(record[key]));
+    }
+    return String(record[key]) === String(expected);
+  });
+};
+
+// ローカル開発用：テーブルごとに JSON ファイルへ保存するストア
+class FileStore {
+  constructor(directory) {
+    this.directory = directory;
+    this.tables = new Map(); // table -> records[]
+    this.writeQueues = new Map(); // table -> Promise
+  }
+
+  filePath(table) {
+    return path.join(this.directory, `${table}.json`);
+  }
+
+  load(table) {
+    if (!this.tables.has(table)) {
+      let records = [];
+      try {
+        records = JSON.parse(fs.readFileSync(this.filePath(table), 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error(`❌ ${table} の読み込みに失敗しました:`, error);
+        }
+      }
+      this.tables.set(table, records);
+    }
+    return this.tables.get(table);
+  }
+
+  // 書き込みはテーブル単位で直列化する
+  persist(table) {
+    const previous = this.writeQueues.get(table) || Promise.resolve();
+    const next = previous.then(async () => {
+      await fs.promises.mkdir(this.directory, { recursive: true });
+      const tmpPath = `${this.filePath(table)}.tmp`;
+      await fs.promises.writeFile(tmpPath, JSON.stringify(this.load(table), null, 2));
+      await fs.promises.rename(tmpPath, this.filePath(table));
+    });
+    this.writeQueues.set(table, next.catch(error => {
+      console.error(`❌ ${table} の保存に失敗しました:`, error);
+    }));
+    return next;
+  }
+
+  async find(table, where = {}, options = {}) {
+    const { orderBy, ascending = true, limit } = options;
+    let records = this.load(table).filter(record => matches(record, where));
+
+    if (orderBy) {
+      records = [...records].sort((a, b) => {
+        if (a[orderBy] === b[orderBy]) return 0;
+        const result = a[orderBy] < b[orderBy] ? -1 : 1;
+        return ascending ? result : -result;
+      });
+    }
+
+    if (limit) {
+      records = records.slice(0, limit);
+    }
+
+    return records.map(record => ({ ...record }));
+  }
+
+  /**
+   * 新しい順（同時刻は ID 降順）にカーソル以降を limit 件まで取得する
+   * @param {object} options - { cursor: decodeCursor の戻り値, limit }
+   */
+  async findPage(table, where = {}, { cursor, limit } = {}) {
+    const records = this.load(table)
+      .filter(record => matches(record, where))
+      .filter(record => !cursor || isAfterCursor(record, cursor))
+      .sort(compareNewestFirst);
+
+    return (limit ? records.slice(0, limit) : records).map(record => ({ ...record }));
+  }
+
+  async findOne(table, where = {}) {
+    const record = this.load(table).find(item => matches(item, where));
+    return record ? { ...record } : null;
+  }
+
+  async findById(table, id) {
+    return this.findOne(table, { id });
+  }
+
+  async count(table, where = {}) {
+    return this.load(table).filter(record => matches(record, where)).length;
+  }
+
+  async insert(table, data) {
+    const now = new Date().toISOString();
+    const record = {
+      id: randomUUID(),
+      createdAt: now,
+      updatedAt: now,
+      ...data
+    };
+    this.load(table).push(record);
+    await this.persist(table);
+    return { ...record };
+  }
+
+  async update(table, id, patch) {
+    const records = this.load(table);
+    const index = records.findIndex(record => String(record.id) === String(id));
+    if (index === -1) return null;
+
+    records[index] = {
+      ...records[index],
+      ...patch,
+      id: records[index].id,
+      updatedAt: new Date().toISOString()
+    };
+    await this.persist(table);
+    return { ...records[index] };
+  }
+
+  async updateWhere(table, where, patch) {
+    const now = new Date().toISOString();
+    const updated = [];
+    this.load(table).forEach((record, index, records) => {
+      if (matches(record, where)) {
+        records[index] = { ...record, ...patch, id: record.id, updatedAt: now };
+        updated.push({ ...records[index] });
+      }
+    });
+    if (updated.length > 0) {
+      await this.persist(table);
+    }
+    return updated;
+  }
+
+  // id が一致するレコードがあれば更新し、なければ追加する（確認と書き込みの間に他の処理が割り込まない）
+  async upsert(table, data) {
+    const records = this.load(table);
+    const now = new Date().toISOString();
+    const index = records.findIndex(record => String(record.id) === String(data.id));
+    const record = index === -1
+      ? { createdAt: now, ...data, updatedAt: now }
+      : { ...records[index], ...data, id: records[index].id, updatedAt: now };
+
+    if (index === -1) {
+      records.push(record);
+    } else {
+      records[index] = record;
+    }
+    await this.persist(table);
+    return { ...record };
+  }
+
+  async remove(table, id) {
+    const records = this.load(table);
+    const index = records.findIndex(record => String(record.id) === String(id));
+    if (index === -1) return false;
+
+    records.splice(index, 1);
+    await this.persist(table);
+    return true;
+  }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,23 @@
+const path = require('path');
+const FileStore = require('./fileStore');
+const SupabaseStore = require('./supabaseStore');
+
+// DB_DRIVER=supabase の場合は Supabase、それ以外はローカルの JSON ファイルに保存
+const createStore = () => {
+  if (process.env.DB_DRIVER === 'supabase') {
+    const url = process.env.NEXT_PUBLIC_SUPABASE_URL;
+    const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+    if (!url || !serviceKey) {
+      throw new Error('DB_DRIVER=supabase には NEXT_PUBLIC_SUPABASE_URL と SUPABASE_SERVICE_ROLE_KEY が必要です');
+    }
+    console.log('🗄️ Storage: Supabase');
+    return new SupabaseStore(url, serviceKey);
+  }
+
+  const directory = process.env.DATA_DIR || path.join(__dirname, '../data');
+  console.log(`🗄️ Storage: JSON files (${directory})`);
+  return new FileStore(directory);
+};
+
+module.exports = createStore();
@@ -0,0 +1,145 @@
+const { createClient } = require('@supabase/supabase-js');
+
+const toSnake = (key) => key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+const toCamel = (key) => key.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+
+// camelCase のレコードを snake_case の行に変換
+const toRow = (record) => {
+  return Object.keys(record).reduce((row, key) => {
+    if (record[key] !== undefined) {
+      row[toSnake(key)] = record[key];
+    }
+    return row;
+  }, {});
+};
+
+// snake_case の行を camelCase のレコードに変換
+const fromRow = (row) => {
+  if (!row) return null;
+  return Object.keys(row).reduce((record, key) => {
+    record[toCamel(key)] = row[key];
+    return record;
+  }, {});
+};
+
+const applyWhere = (query, where) => {
+  return Object.keys(where).reduce((q, key) => {
+    const value = where[key];
+    if (value === undefined) return q;
+    if (value === null) return q.is(toSnake(key), null);
+    return Array.isArray(value) ? q.in(toSnake(key), value) : q.eq(toSnake(key), value);
+  }, query);
+};
+
+// Supabase（サービスロールキー）を利用するストア
+class SupabaseStore {
+  constructor(url, serviceKey) {
+    this.client = createClient(url, serviceKey);
+  }
+
+  async find(table, where = {}, options = {}) {
+    const { orderBy, ascending = true, limit } = options;
+    let query = applyWhere(this.client.from(table).select('*'), where);
+
+    if (orderBy) query = query.order(toSnake(orderBy), { ascending });
+    if (limit) query = query.limit(limit);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return (data || []).map(fromRow);
+  }
+
+  /**
+   * 新しい順（同時刻は ID 降順）にカーソル以降を limit 件まで取得する（並べ替え・絞り込みはクエリで行う）
+   * @param {object} options - { cursor: decodeCursor の戻り値, limit }
+   */
+  async findPage(table, where = {}, { cursor, limit } = {}) {
+    let query = applyWhere(this.client.from(table).select('*'), where);
+
+    if (cursor) {
+      query = query.or(`created_at.lt."${cursor.createdAt}",and(created_at.eq."${cursor.createdAt}",id.lt."${cursor.id}")`);
+    }
+    query = query
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false });
+    if (limit) query = query.limit(limit);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return (data || []).map(fromRow);
+  }
+
+  async findOne(table, where = {}) {
+    const { data, error } = await applyWhere(this.client.from(table).select('*'), where)
+      .limit(1)
+      .maybeSingle();
+    if (error) throw error;
+    return fromRow(data);
+  }
+
+  async findById(table, id) {
+    return this.findOne(table, { id });
+  }
+
+  async count(table, where = {}) {
+    const { count, error } = await applyWhere(
+      this.client.from(table).select('id', { count: 'exact', head: true }),
+      where
+    );
+    if (error) throw error;
+    return count || 0;
+  }
+
+  async insert(table, data) {
+    const now = new Date().toISOString();
+    const { data: inserted, error } = await this.client
+      .from(table)
+      .insert([toRow({ createdAt: now, updatedAt: now, ...data })])
+      .select()
+      .single();
+    if (error) throw error;
+    return fromRow(inserted);
+  }
+
+  async update(table, id, patch) {
+    const { data, error } = await this.client
+      .from(table)
+      .update(toRow({ ...patch, updatedAt: new Date().toISOString() }))
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    return fromRow(data);
+  }
+
+  async updateWhere(table, where, patch) {
+    const { data, error } = await applyWhere(
+      this.client.from(table).update(toRow({ ...patch, updatedAt: new Date().toISOString() })),
+      where
+    ).select();
+    if (error) throw error;
+    return (data || []).map(fromRow);
+  }
+
+  // id が一致する行があれば更新し、なければ追加する（1 回の upsert で行う）
+  async upsert(table, data) {
+    const { data: saved, error } = await this.client
+      .from(table)
+      .upsert([toRow({ ...data, updatedAt: new Date().toISOString() })], { onConflict: 'id' })
+      .select()
+      .single();
+    if (error) throw error;
+    return fromRow(saved);
+  }
+
+  async remove(table, id) {
+    const { error, count } = await this.client
+      .from(table)
+      .delete({ count: 'exact' })
+      .eq('id', id);
+    if (error) throw error;
+    return count > 0;
+  }
+}
+
+module.exports = SupabaseStore;
@@ -0,0 +1,57 @@
+// ドメインイベントの種類
+const DOMAIN_EVENTS = {
+  APPLICATION_SUBMITTED: 'application.submitted', // { application, job, actor }
+  APPLICATION_STAGE_CHANGED: 'application.stage_changed', // { application, job, actor }（書類選考通過・面談・オファー・辞退・取り下げ）
+  APPLICATION_APPROVED: 'application.approved',   // { application, job, actor, rejected }（オファー承諾。rejected は自動却下された応募）
+  APPLICATION_REJECTED: 'application.rejected',   // { application, job, actor, reason }
+  MESSAGE_SENT: 'message.sent',                   // { message, actor }
+  MILESTONE_PLAN_UPDATED: 'milestone.plan_updated', // { job, actor }（作業計画の提案・合意）
+  DELIVERABLE_SUBMITTED: 'deliverable.submitted', // { job, deliverable, actor }
+  DELIVERABLE_REVIEWED: 'deliverable.reviewed',   // { job, deliverable, actor }（検収・修正依頼）
+  JOB_COMPLETED: 'job.completed',                 // { job, actor }
+  JOB_CANCELLED: 'job.cancelled',                 // { job, actor }
+  REVIEW_PUBLISHED: 'review.published',           // { review, job, actor }
+  PAYMENT_RELEASED: 'payment.released'            // { job, transaction }（エスクローからフリーランサーへの支払い）
+};
+
+/**
+ * プロセス内のイベントバス
+ * 購読側（通知など）の失敗は発行側の処理に影響させず、ログに残すだけにする
+ */
+class DomainEventBus {
+  constructor() {
+    this.handlers = new Map(); // イベント名 -> handler[]
+  }
+
+  /**
+   * @param {string} event - DOMAIN_EVENTS の値
+   * @param {Function} handler - async (payload) => void
+   * @returns {Function} - 購読を解除する関数
+   */
+  subscribe(event, handler) {
+    if (!this.handlers.has(event)) this.handlers.set(event, []);
+    this.handlers.get(event).push(handler);
+
+    return () => {
+      this.handlers.set(event, this.handlers.get(event).filter(item => item !== handler));
+    };
+  }
+
+  /**
+   * イベントを発行する（呼び出し側は完了を待たなくてよい）
+   * @returns {Promise<void>} - すべての購読側の処理が終わると解決する
+   */
+  async publish(event, payload) {
+    const handlers = this.handlers.get(event) || [];
+    const results = await Promise.allSettled(handlers.map(async handler => handler(payload)));
+
+    results
+      .filter(result => result.status === 'rejected')
+      .forEach(result => console.error(`❌ Domain event handler error (${event}):`, result.reason));
+  }
+}
+
+const domainEvents = new DomainEventBus();
+
+module.exports = domainEvents;
+module.exports.DOMAIN_EVENTS = DOMAIN_EVENTS;
@@ -0,0 +1,15 @@
+const domainEvents = require('./domainEvents');
+const { DOMAIN_EVENTS } = require('./domainEvents');
+const invoiceService = require('../services/invoiceService');
+
+/**
+ * エスクローからの支払い（案件・マイルストーンの検収）ごとに請求書を発行する購読を登録する
+ * @param {object} bus - イベントバス（既定は domainEvents）
+ */
+const registerInvoiceSubscribers = (bus = domainEvents) => {
+  bus.subscribe(DOMAIN_EVENTS.PAYMENT_RELEASED, async ({ job, transaction }) => {
+    await invoiceService.issueForRelease(job, transaction);
+  });
+};
+
+module.exports = registerInvoiceSubscribers;
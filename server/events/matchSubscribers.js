@@ -0,0 +1,15 @@
+const domainEvents = require('./domainEvents');
+const { DOMAIN_EVENTS } = require('./domainEvents');
+const matchService = require('../services/matchService');
+
+/**
+ * 採用決定（オファー承諾）の際にマッチングとチャットルームを開設する購読を登録する
+ * @param {object} bus - イベントバス（既定は domainEvents）
+ */
+const registerMatchSubscribers = (bus = domainEvents) => {
+  bus.subscribe(DOMAIN_EVENTS.APPLICATION_APPROVED, async ({ application, job }) => {
+    await matchService.openForApplication({ application, job });
+  });
+};
+
+module.exports = registerMatchSubscribers;
@@ -0,0 +1,170 @@
+const domainEvents = require('./domainEvents');
+const { DOMAIN_EVENTS } = require('./domainEvents');
+const notificationService = require('../services/notificationService');
+const { NOTIFICATION_TYPES } = require('../../utils/notificationUtils');
+const { APPLICATION_STATUS, getAssignedFreelancers, getAssigneeId } = require('../../utils/jobStatus');
+const { getParticipantIds, getMilestoneParticipant } = require('../../utils/milestoneUtils');
+const { DELIVERABLE_STATUS, getDeliverableTargetTitle } = require('../../utils/deliverableUtils');
+
+// 宛先のユーザー（通知はユーザーID・メールアドレスのどちらでも届くため、マッチング・会話と同じくメールアドレスに揃える）
+const jobOwnerOf = (job) => job.clientEmail || job.clientId;
+const applicantOf = (application) => application.applicantEmail || application.applicantId;
+const freelancersOf = (job) => getAssignedFreelancers(job).map(getAssigneeId).filter(Boolean);
+
+const actorName = (actor) => (actor && (actor.name || actor.email)) || '';
+
+// 納品物のステータスごとの通知（to: 宛先が案件投稿者か採用したフリーランサーか）
+const DELIVERABLE_NOTIFICATIONS = {
+  [DELIVERABLE_STATUS.SUBMITTED]: { type: NOTIFICATION_TYPES.DELIVERABLE_SUBMITTED, to: 'client' },
+  [DELIVERABLE_STATUS.ACCEPTED]: { type: NOTIFICATION_TYPES.DELIVERABLE_ACCEPTED, to: 'freelancer' },
+  [DELIVERABLE_STATUS.REVISION_REQUESTED]: { type: NOTIFICATION_TYPES.DELIVERABLE_REVISION_REQUESTED, to: 'freelancer' }
+};
+
+// 選考ステージの変更ごとの通知（to: 宛先が応募者か案件投稿者か）
+const STAGE_NOTIFICATIONS = {
+  [APPLICATION_STATUS.SHORTLISTED]: { type: NOTIFICATION_TYPES.APPLICATION_SHORTLISTED, to: 'applicant' },
+  [APPLICATION_STATUS.INTERVIEWING]: { type: NOTIFICATION_TYPES.INTERVIEW_REQUESTED, to: 'applicant', priority: 'high' },
+  [APPLICATION_STATUS.OFFERED]: { type: NOTIFICATION_TYPES.OFFER_SENT, to: 'applicant', priority: 'high' },
+  [APPLICATION_STATUS.DECLINED]: { type: NOTIFICATION_TYPES.OFFER_DECLINED, to: 'client', priority: 'high' },
+  [APPLICATION_STATUS.WITHDRAWN]: { type: NOTIFICATION_TYPES.APPLICATION_WITHDRAWN, to: 'client' }
+};
+
+/**
+ * ドメインイベントを NOTIFICATION_TEMPLATES の通知に変換する購読を登録する
+ * @param {object} bus - イベントバス（既定は domainEvents）
+ */
+const registerNotificationSubscribers = (bus = domainEvents) => {
+  bus.subscribe(DOMAIN_EVENTS.APPLICATION_SUBMITTED, async ({ application, job, actor }) => {
+    await notificationService.createNotification(jobOwnerOf(job), NOTIFICATION_TYPES.JOB_APPLICATION, {
+      worker_name: application.applicantName || actorName(actor),
+      job_title: job.title,
+      jobId: job.id,
+      applicationId: application.id
+    }, { priority: 'high' });
+  });
+
+  bus.subscribe(DOMAIN_EVENTS.APPLICATION_STAGE_CHANGED, async ({ application, job }) => {
+    const stage = STAGE_NOTIFICATIONS[application.status];
+    if (!stage) return;
+
+    const recipientId = stage.to === 'client' ? jobOwnerOf(job) : applicantOf(application);
+    await notificationService.createNotification(recipientId, stage.type, {
+      worker_name: application.applicantName,
+      job_title: job.title,
+      jobId: job.id,
+      applicationId: application.id
+    }, { priority: stage.priority });
+  });
+
+  // オファー承諾：案件投稿者への通知と、同じ案件で選考中だった応募者への結果通知
+  bus.subscribe(DOMAIN_EVENTS.APPLICATION_APPROVED, async ({ application, job, rejected = [] }) => {
+    await notificationService.createNotification(jobOwnerOf(job), NOTIFICATION_TYPES.OFFER_ACCEPTED, {
+      worker_name: application.applicantName,
+      job_title: job.title,
+      jobId: job.id,
+      applicationId: application.id
+    }, { priority: 'high' });
+
+    for (const item of rejected) {
+      await notificationService.createNotification(applicantOf(item), NOTIFICATION_TYPES.APPLICATION_REJECTED, {
+        job_title: job.title,
+        jobId: job.id,
+        applicationId: item.id
+      });
+    }
+  });
+
+  bus.subscribe(DOMAIN_EVENTS.APPLICATION_REJECTED, async ({ application, job }) => {
+    await notificationService.createNotification(applicantOf(application), NOTIFICATION_TYPES.APPLICATION_REJECTED, {
+      job_title: job.title,
+      jobId: job.id,
+      applicationId: application.id
+    });
+  });
+
+  bus.subscribe(DOMAIN_EVENTS.MESSAGE_SENT, async ({ message, actor }) => {
+    if (!message.receiverId) return;
+
+    await notificationService.createNotification(message.receiverId, NOTIFICATION_TYPES.NEW_MESSAGE, {
+      sender_name: message.senderName || actorName(actor),
+      matchId: message.matchId || null,
+      jobId: message.jobId || null,
+      applicationId: message.applicationId || null
+    }, { priority: 'low' });
+  });
+
+  // 作業計画：提案されたら他の当事者に合意を依頼し、全員が合意したら操作した人以外に知らせる
+  bus.subscribe(DOMAIN_EVENTS.MILESTONE_PLAN_UPDATED, async ({ job, actor }) => {
+    const plan = job.milestonePlan;
+    if (!plan) return;
+
+    const actorParticipant = actor ? getMilestoneParticipant(job, [actor.userId, actor.email].filter(Boolean)) : null;
+    const recipients = getParticipantIds(job).filter(id => !actorParticipant || String(id) !== String(actorParticipant.participantId));
+
+    let type = null;
+    if (plan.agreedAt) {
+      type = NOTIFICATION_TYPES.MILESTONE_PLAN_AGREED;
+    } else if ((plan.approvals || []).length === 1) {
+      type = NOTIFICATION_TYPES.MILESTONE_PLAN_PROPOSED;
+    }
+    if (!type) return;
+
+    for (const recipientId of recipients) {
+      await notificationService.createNotification(recipientId, type, {
+        actor_name: actorName(actor),
+        job_title: job.title,
+        milestone_count: (job.milestones || []).length,
+        jobId: job.id
+      });
+    }
+  });
+
+  // 納品・検収・修正依頼
+  const notifyDeliverable = async ({ job, deliverable, actor }) => {
+    const definition = DELIVERABLE_NOTIFICATIONS[deliverable.status];
+    if (!definition) return;
+
+    const recipients = definition.to === 'client' ? [jobOwnerOf(job)] : freelancersOf(job);
+    for (const recipientId of recipients) {
+      await notificationService.createNotification(recipientId, definition.type, {
+        actor_name: actorName(actor),
+        job_title: job.title,
+        target_title: getDeliverableTargetTitle(job, deliverable),
+        round: deliverable.round,
+        jobId: job.id
+      }, { priority: 'high' });
+    }
+  };
+
+  bus.subscribe(DOMAIN_EVENTS.DELIVERABLE_SUBMITTED, notifyDeliverable);
+  bus.subscribe(DOMAIN_EVENTS.DELIVERABLE_REVIEWED, notifyDeliverable);
+
+  bus.subscribe(DOMAIN_EVENTS.JOB_COMPLETED, async ({ job }) => {
+    for (const freelancerId of freelancersOf(job)) {
+      await notificationService.createNotification(freelancerId, NOTIFICATION_TYPES.JOB_COMPLETED, {
+        job_title: job.title,
+        jobId: job.id
+      });
+    }
+  });
+
+  // レビュー投稿：評価された相手に知らせる
+  bus.subscribe(DOMAIN_EVENTS.REVIEW_PUBLISHED, async ({ review, job, actor }) => {
+    await notificationService.createNotification(review.revieweeId, NOTIFICATION_TYPES.REVIEW_PUBLISHED, {
+      reviewer_name: review.reviewerName || actorName(actor),
+      job_title: job.title,
+      jobId: job.id
+    });
+  });
+
+  // エスクローからの支払い：受け取った額（手数料を差し引いた額）をフリーランサーに通知する
+  bus.subscribe(DOMAIN_EVENTS.PAYMENT_RELEASED, async ({ job, transaction }) => {
+    await notificationService.createNotification(transaction.freelancerId, NOTIFICATION_TYPES.PAYMENT_RECEIVED, {
+      job_title: job.title,
+      amount: (transaction.amount - transaction.fee).toLocaleString(),
+      jobId: job.id
+    }, { priority: 'high' });
+  });
+};
+
+module.exports = registerNotificationSubscribers;
@@ -0,0 +1,26 @@
+const domainEvents = require('./domainEvents');
+const { DOMAIN_EVENTS } = require('./domainEvents');
+const paymentService = require('../services/paymentService');
+const { DELIVERABLE_STATUS } = require('../../utils/deliverableUtils');
+
+/**
+ * エスクロー決済の購読を登録する
+ * 検収・案件完了で支払い、キャンセルで返金する（預かりはオファーの承諾の中で行う）
+ * @param {object} bus - イベントバス（既定は domainEvents）
+ */
+const registerPaymentSubscribers = (bus = domainEvents) => {
+  bus.subscribe(DOMAIN_EVENTS.DELIVERABLE_REVIEWED, async ({ job, deliverable }) => {
+    if (deliverable.status !== DELIVERABLE_STATUS.ACCEPTED) return;
+    await paymentService.releaseForDeliverable(job.id, deliverable.id);
+  });
+
+  bus.subscribe(DOMAIN_EVENTS.JOB_COMPLETED, async ({ job }) => {
+    await paymentService.releaseRemaining(job.id);
+  });
+
+  bus.subscribe(DOMAIN_EVENTS.JOB_CANCELLED, async ({ job }) => {
+    await paymentService.refundRemaining(job.id);
+  });
+};
+
+module.exports = registerPaymentSubscribers;
@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
+const tokenService = require('../services/tokenService');
 
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -11,17 +12,27 @@ const authenticateToken = (req, res, next) => {
     });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
+  try {
+    req.user = await tokenService.authenticate(token);
+    req.token = token;
+  } catch (err) {
+    if (err instanceof jwt.TokenExpiredError) {
+      return res.status(401).json({
+        success: false,
+        code: 'TOKEN_EXPIRED',
+        message: 'トークンの有効期限が切れています'
+      });
+    }
+    if (err instanceof jwt.JsonWebTokenError) {
       return res.status(403).json({
         success: false,
         message: '無効なトークンです'
       });
     }
-    
-    req.user = user;
-    next();
-  });
+    return next(err);
+  }
+
+  next();
 };
 
 module.exports = authenticateToken;
@@ -0,0 +1,20 @@
+const ApiError = require('../utils/ApiError');
+
+// グローバルエラーハンドリング（ApiError はそのステータスとメッセージを返す）
+const errorHandler = (err, req, res, next) => {
+  if (err instanceof ApiError) {
+    return res.status(err.status).json({
+      success: false,
+      message: err.message,
+      ...(err.details ? { errors: err.details } : {})
+    });
+  }
+
+  console.error('❌ Global error:', err);
+  res.status(500).json({ 
+    error: 'Internal Server Error',
+    message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong'
+  });
+};
+
+module.exports = errorHandler;
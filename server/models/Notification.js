@@ -1,34 +0,0 @@
-const mongoose = require('mongoose');
-
-const notificationSchema = new mongoose.Schema({
-  userId: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  },
-  title: {
-    type: String,
-    required: true
-  },
-  message: {
-    type: String,
-    required: true
-  },
-  type: {
-    type: String,
-    enum: ['info', 'warning', 'error', 'success'],
-    default: 'info'
-  },
-  isRead: {
-    type: Boolean,
-    default: false
-  },
-  data: {
-    type: Object,
-    default: {}
-  }
-}, {
-  timestamps: true
-});
-
-module.exports = mongoose.model('Notification', notificationSchema);
\ No newline at end of file
@@ -0,0 +1,55 @@
+const { randomUUID } = require('crypto');
+
+/**
+ * 開発・テスト用の決済プロバイダー（実際の送金は行わず、プロセス内に記録するだけ）
+ * 同じ idempotencyKey の操作は最初の結果を返す
+ */
+class FakePaymentProvider {
+  constructor() {
+    this.name = 'fake';
+    this.operations = new Map(); // idempotencyKey -> 操作結果
+    this.failures = [];          // failNext で指定した、次の操作で発生させるエラー
+  }
+
+  // 次の操作を失敗させる（失敗時の動作確認用）
+  failNext(message = '決済に失敗しました') {
+    this.failures.push(message);
+  }
+
+  async execute(kind, params) {
+    if (params.idempotencyKey && this.operations.has(params.idempotencyKey)) {
+      return this.operations.get(params.idempotencyKey);
+    }
+    if (this.failures.length > 0) {
+      throw new Error(this.failures.shift());
+    }
+    if (!Number.isInteger(params.amount) || params.amount <= 0) {
+      throw new Error('金額は1円以上の整数で指定してください');
+    }
+
+    const result = {
+      reference: `fake_${kind}_${randomUUID()}`,
+      status: 'succeeded',
+      amount: params.amount,
+      createdAt: new Date().toISOString()
+    };
+    if (params.idempotencyKey) {
+      this.operations.set(params.idempotencyKey, result);
+    }
+    return result;
+  }
+
+  async charge(params) {
+    return this.execute('charge', params);
+  }
+
+  async payout(params) {
+    return this.execute('payout', params);
+  }
+
+  async refund(params) {
+    return this.execute('refund', params);
+  }
+}
+
+module.exports = FakePaymentProvider;
@@ -0,0 +1,27 @@
+const FakePaymentProvider = require('./fakeProvider');
+
+/**
+ * 決済プロバイダーのインターフェース（実際のプロバイダーを追加する場合も同じメソッドを実装する）
+ *   name: string
+ *   charge({ amount, payerId, description, idempotencyKey })  クライアントから預かる（エスクローへの入金）
+ *   payout({ amount, recipientId, description, idempotencyKey }) フリーランサーへ支払う（エスクローからの解放）
+ *   refund({ amount, chargeReference, payerId, description, idempotencyKey }) クライアントへ返金する
+ * いずれも { reference, status, amount, createdAt } を返し、失敗した場合は例外を投げる
+ */
+const PROVIDERS = {
+  fake: () => new FakePaymentProvider()
+};
+
+// PAYMENT_PROVIDER で選択する（未設定の場合は開発用の fake）
+const createProvider = () => {
+  const name = process.env.PAYMENT_PROVIDER || 'fake';
+  const factory = PROVIDERS[name];
+
+  if (!factory) {
+    throw new Error(`PAYMENT_PROVIDER=${name} には対応していません（${Object.keys(PROVIDERS).join('、')} のいずれかを指定してください）`);
+  }
+  console.log(`💳 Payment provider: ${name}`);
+  return factory();
+};
+
+module.exports = createProvider();
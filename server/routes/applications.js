@@ -0,0 +1,85 @@
+const express = require('express');
+const router = express.Router();
+const authenticateToken = require('../middleware/auth');
+const applicationService = require('../services/applicationService');
+const { APPLICATION_STATUS } = require('../../utils/jobStatus');
+
+router.use(authenticateToken);
+
+// 応募一覧取得（jobId 指定時は案件投稿者向け、未指定時は自分の応募一覧）
+router.get('/', async (req, res) => {
+  const { jobId } = req.query;
+
+  const applications = jobId
+    ? await applicationService.listForJob(jobId, req.user)
+    : await applicationService.listForApplicant(req.user);
+
+  res.json({
+    success: true,
+    applications,
+    total: applications.length
+  });
+});
+
+// 応募詳細取得
+router.get('/:id', async (req, res) => {
+  const application = await applicationService.getVisibleApplication(req.params.id, req.user);
+  res.json({ success: true, application });
+});
+
+// 応募作成
+router.post('/', async (req, res) => {
+  const { jobId, ...data } = req.body;
+
+  if (!jobId) {
+    return res.status(400).json({ success: false, message: 'jobId is required' });
+  }
+
+  const application = await applicationService.apply(jobId, req.user, data);
+  res.status(201).json({ success: true, application });
+});
+
+// 選考を進める（案件投稿者のみ）：書類選考通過・面談・オファー
+const CLIENT_STAGE_ROUTES = {
+  shortlist: APPLICATION_STATUS.SHORTLISTED,
+  interview: APPLICATION_STATUS.INTERVIEWING,
+  offer: APPLICATION_STATUS.OFFERED
+};
+
+Object.entries(CLIENT_STAGE_ROUTES).forEach(([action, status]) => {
+  router.post(`/:id/${action}`, async (req, res) => {
+    const application = await applicationService.advance(req.params.id, status, req.user);
+    res.json({ success: true, application });
+  });
+});
+
+// オファー承諾（応募者のみ）。同じ案件で選考中の他の応募は自動却下される
+router.post('/:id/accept', async (req, res) => {
+  const { application, job, rejected } = await applicationService.acceptOffer(req.params.id, req.user);
+  res.json({
+    success: true,
+    application,
+    job,
+    rejectedApplicationIds: rejected.map(app => app.id)
+  });
+});
+
+// オファー辞退（応募者のみ）
+router.post('/:id/decline', async (req, res) => {
+  const application = await applicationService.declineOffer(req.params.id, req.user, req.body?.reason);
+  res.json({ success: true, application });
+});
+
+// 応募取り下げ（応募者のみ）
+router.post('/:id/withdraw', async (req, res) => {
+  const application = await applicationService.withdraw(req.params.id, req.user, req.body?.reason);
+  res.json({ success: true, application });
+});
+
+// 応募却下（案件投稿者のみ）
+router.post('/:id/reject', async (req, res) => {
+  const application = await applicationService.reject(req.params.id, req.user, req.body?.reason);
+  res.json({ success: true, application });
+});
+
+module.exports = router;
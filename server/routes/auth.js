@@ -1,54 +1,147 @@
 const express = require('express');
 const router = express.Router();
+const authenticateToken = require('../middleware/auth');
+const userService = require('../services/userService');
+const tokenService = require('../services/tokenService');
 
-// テスト用の簡単な認証ルート
-router.post('/login', (req, res) => {
+const authResponse = async (user) => ({
+  success: true,
+  user: userService.toPublic(user),
+  ...(await tokenService.issueTokens(user))
+});
+
+// ログイン
+router.post('/login', async (req, res) => {
   const { email, password } = req.body;
-  
-  // 簡単な模擬認証
-  if (email && password) {
-    const user = {
-      id: Date.now().toString(),
-      email,
-      name: email.split('@')[0],
-      token: `mock_token_${Date.now()}`
-    };
-    
-    res.json({
-      success: true,
-      user,
-      message: 'Login successful'
-    });
-  } else {
-    res.status(400).json({
+
+  if (!email || !password) {
+    return res.status(400).json({
       success: false,
       message: 'Email and password required'
     });
   }
+
+  const user = await userService.authenticate(email, password);
+
+  res.json({
+    ...(await authResponse(user)),
+    message: 'Login successful'
+  });
 });
 
-router.post('/register', (req, res) => {
-  const { email, password, name } = req.body;
-  
-  if (email && password && name) {
-    const user = {
-      id: Date.now().toString(),
-      email,
-      name,
-      token: `mock_token_${Date.now()}`
-    };
-    
-    res.json({
-      success: true,
-      user,
-      message: 'Registration successful'
-    });
-  } else {
-    res.status(400).json({
+// 新規登録
+router.post('/register', async (req, res) => {
+  const { email, password, name, userType } = req.body;
+
+  if (!email || !password || !name) {
+    return res.status(400).json({
       success: false,
       message: 'Email, password and name required'
     });
   }
+
+  const user = await userService.register({ email, password, name, userType });
+
+  res.status(201).json({
+    ...(await authResponse(user)),
+    message: 'Registration successful'
+  });
+});
+
+// アクセストークンの再発行（リフレッシュトークンはローテーションされる）
+router.post('/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({
+      success: false,
+      message: 'Refresh token required'
+    });
+  }
+
+  let userId;
+  try {
+    userId = await tokenService.consumeRefreshToken(refreshToken);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: '無効なリフレッシュトークンです'
+    });
+  }
+
+  const user = await userService.findById(userId);
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      message: 'ユーザーが見つかりません'
+    });
+  }
+
+  res.json(await authResponse(user));
+});
+
+// NextAuth のセッション JWT を短命のアクセストークンに引き換える（Next.js のサーバー（pages/api/auth/token.js）から呼び出す）
+router.post('/session-token', async (req, res) => {
+  const { sessionToken } = req.body || {};
+
+  if (!sessionToken) {
+    return res.status(400).json({
+      success: false,
+      message: 'Session token required'
+    });
+  }
+
+  let result;
+  try {
+    result = await tokenService.exchangeSessionToken(sessionToken);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: '無効なセッションです'
+    });
+  }
+
+  res.json({ success: true, ...result });
+});
+
+// Socket.IO のハンドシェイク専用のトークン
+router.post('/socket-token', authenticateToken, async (req, res) => {
+  res.json({ success: true, ...tokenService.issueSocketToken(req.user) });
+});
+
+// ログアウト（アクセストークンとリフレッシュトークンを失効させる）
+router.post('/logout', authenticateToken, async (req, res) => {
+  const { refreshToken, allDevices } = req.body || {};
+
+  await tokenService.revokeAccessToken(req.user);
+
+  if (allDevices) {
+    await tokenService.revokeAllRefreshTokens(req.user.userId);
+  } else if (refreshToken) {
+    await tokenService.revokeRefreshToken(refreshToken, req.user.userId);
+  }
+
+  res.json({
+    success: true,
+    message: 'Logout successful'
+  });
+});
+
+// ログイン中のユーザー情報
+router.get('/me', authenticateToken, async (req, res) => {
+  const user = await userService.findById(req.user.userId);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'ユーザーが見つかりません'
+    });
+  }
+
+  res.json({
+    success: true,
+    user: userService.toPublic(user)
+  });
 });
 
 module.exports = router;
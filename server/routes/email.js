@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const emailNotificationService = require('../services/emailNotificationService');
+const ApiError = require('../utils/ApiError');
+
+// メール配信サービスからの Webhook は共有シークレット（X-Webhook-Secret）で認証する
+const verifyWebhookSecret = (req, res, next) => {
+  const secret = process.env.EMAIL_WEBHOOK_SECRET;
+  if (!secret) {
+    return next(new ApiError(503, 'EMAIL_WEBHOOK_SECRET が設定されていません'));
+  }
+
+  const provided = Buffer.from(String(req.get('x-webhook-secret') || ''));
+  const expected = Buffer.from(secret);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return next(ApiError.unauthorized('Webhook の認証に失敗しました'));
+  }
+  next();
+};
+
+// バウンスの記録（body: { messageId, recipient, reason }）
+router.post('/bounces', verifyWebhookSecret, async (req, res) => {
+  const { messageId, recipient, reason } = req.body;
+
+  if (!messageId) {
+    throw ApiError.badRequest('messageId を指定してください');
+  }
+
+  const updated = await emailNotificationService.recordBounce({ messageId, recipient, reason });
+  res.json({ success: true, updated });
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const authenticateToken = require('../middleware/auth');
+const invoiceService = require('../services/invoiceService');
+
+router.use(authenticateToken);
+
+// 請求書の発行者設定（登録番号・請求書に記載する名前）
+router.get('/settings', async (req, res) => {
+  const settings = await invoiceService.getSettings(req.user);
+  res.json({ success: true, settings });
+});
+
+router.put('/settings', async (req, res) => {
+  const { registrationNumber, issuerName } = req.body || {};
+  const settings = await invoiceService.updateSettings(req.user, { registrationNumber, issuerName });
+  res.json({ success: true, settings });
+});
+
+// 請求書一覧（?role=issued: 発行した請求書（既定） / received: 受け取った請求書）
+router.get('/', async (req, res) => {
+  const role = req.query.role === 'received' ? 'received' : 'issued';
+  const invoices = await invoiceService.listForUser(req.user, role);
+  res.json({ success: true, invoices });
+});
+
+router.get('/:id', async (req, res) => {
+  const invoice = await invoiceService.getForUser(req.params.id, req.user);
+  res.json({ success: true, invoice });
+});
+
+// 請求書の PDF
+router.get('/:id/pdf', async (req, res) => {
+  const invoice = await invoiceService.getForUser(req.params.id, req.user);
+  const pdf = invoiceService.renderPdf(invoice);
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Length': pdf.length,
+    'Content-Disposition': `attachment; filename="invoice-${invoice.number}.pdf"`
+  });
+  res.send(pdf);
+});
+
+module.exports = router;
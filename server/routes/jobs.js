@@ -0,0 +1,271 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const authenticateToken = require('../middleware/auth');
+const jobService = require('../services/jobService');
+const applicationService = require('../services/applicationService');
+const milestoneService = require('../services/milestoneService');
+const deliverableService = require('../services/deliverableService');
+const paymentService = require('../services/paymentService');
+const { validateJob } = require('../validators/jobValidator');
+const { decodeCursor, paginate } = require('../utils/cursor');
+const { JOB_STATUS, getAssignedFreelancers } = require('../../utils/jobStatus');
+const { isPlanAgreed } = require('../../utils/milestoneUtils');
+const { DELIVERABLE_STATUS, isWorkAccepted } = require('../../utils/deliverableUtils');
+
+const TABLE = 'jobs';
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const toList = (value) => {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value === '') return null;
+  const number = Number(value);
+  return isNaN(number) ? NaN : number;
+};
+
+// 案件一覧取得（カテゴリ・スキル・予算・納期で絞り込み、カーソルページネーション）
+router.get('/', async (req, res) => {
+  const {
+    category,
+    status = JOB_STATUS.RECRUITING,
+    clientId,
+    skills,
+    minBudget,
+    maxBudget,
+    deadlineFrom,
+    deadlineTo,
+    cursor,
+    limit
+  } = req.query;
+
+  const min = toNumber(minBudget);
+  const max = toNumber(maxBudget);
+  const pageSize = Math.max(1, Math.min(parseInt(limit, 10) || DEFAULT_LIMIT, MAX_LIMIT));
+  const decodedCursor = cursor ? decodeCursor(cursor) : null;
+
+  if (Number.isNaN(min) || Number.isNaN(max)) {
+    return res.status(400).json({ success: false, message: 'minBudget / maxBudget は数値で指定してください' });
+  }
+  if (cursor && !decodedCursor) {
+    return res.status(400).json({ success: false, message: '無効なカーソルです' });
+  }
+  if ((deadlineFrom && isNaN(Date.parse(deadlineFrom))) || (deadlineTo && isNaN(Date.parse(deadlineTo)))) {
+    return res.status(400).json({ success: false, message: 'deadlineFrom / deadlineTo は YYYY-MM-DD 形式で指定してください' });
+  }
+
+  const where = {
+    category,
+    clientId,
+    status: status === 'all' ? undefined : status
+  };
+  const requiredSkills = toList(skills).map(skill => skill.toLowerCase());
+
+  const jobs = (await db.find(TABLE, where))
+    .filter(job => {
+      if (min !== null && job.budget < min) return false;
+      if (max !== null && job.budget > max) return false;
+      if (deadlineFrom && (!job.deadline || job.deadline < deadlineFrom)) return false;
+      if (deadlineTo && (!job.deadline || job.deadline > deadlineTo)) return false;
+      if (requiredSkills.length > 0) {
+        const jobSkills = (job.skills || []).map(skill => skill.toLowerCase());
+        if (!requiredSkills.some(skill => jobSkills.includes(skill))) return false;
+      }
+      return true;
+    });
+
+  const { items, nextCursor, hasMore } = paginate(jobs, decodedCursor, pageSize);
+
+  res.json({
+    success: true,
+    jobs: items,
+    nextCursor,
+    hasMore
+  });
+});
+
+// 自分が投稿した案件（すべてのステータス・新しい順）
+router.get('/mine', authenticateToken, async (req, res) => {
+  const jobs = await db.find(TABLE, { clientId: req.user.userId }, { orderBy: 'createdAt', ascending: false });
+  res.json({ success: true, jobs });
+});
+
+// 案件詳細取得
+router.get('/:id', async (req, res) => {
+  const job = await jobService.getJob(req.params.id);
+  res.json({ success: true, job });
+});
+
+// 案件作成
+router.post('/', authenticateToken, async (req, res) => {
+  const { isValid, errors, values } = validateJob(req.body);
+
+  if (!isValid) {
+    return res.status(400).json({ success: false, message: errors.join('、'), errors });
+  }
+
+  const job = await db.insert(TABLE, {
+    deadline: null,
+    ...values,
+    clientId: req.user.userId,
+    clientEmail: req.user.email,
+    clientName: req.user.name || req.user.email,
+    status: JOB_STATUS.RECRUITING,
+    statusHistory: [],
+    assignedFreelancers: [],
+    milestones: [],
+    deliverables: []
+  });
+
+  res.status(201).json({ success: true, job });
+});
+
+// 案件更新（所有者のみ・募集中の案件のみ）
+router.patch('/:id', authenticateToken, async (req, res) => {
+  const job = await jobService.getOwnedJob(req.params.id, req.user);
+
+  if (job.status !== JOB_STATUS.RECRUITING) {
+    return res.status(409).json({ success: false, message: '募集中の案件のみ編集できます' });
+  }
+
+  const { isValid, errors, values } = validateJob(req.body, { partial: true });
+
+  if (!isValid) {
+    return res.status(400).json({ success: false, message: errors.join('、'), errors });
+  }
+  if (Object.keys(values).length === 0) {
+    return res.status(400).json({ success: false, message: '更新する項目がありません' });
+  }
+  if (values.headcount !== undefined && values.headcount < getAssignedFreelancers(job).length) {
+    return res.status(400).json({ success: false, message: '募集人数は採用済みの人数より少なくできません' });
+  }
+
+  const updated = await db.update(TABLE, job.id, values);
+  res.json({ success: true, job: updated });
+});
+
+// 募集締め切り（所有者のみ・募集中の案件のみ）
+router.post('/:id/close', authenticateToken, async (req, res) => {
+  const job = await jobService.getOwnedJob(req.params.id, req.user);
+
+  if (job.status !== JOB_STATUS.RECRUITING) {
+    return res.status(409).json({ success: false, message: '募集中の案件のみ締め切ることができます' });
+  }
+
+  // 採用済みのフリーランサーがいれば、その人数で案件を開始する
+  if (getAssignedFreelancers(job).length > 0) {
+    const started = await applicationService.startWithAssigned(job, req.user, req.body?.reason);
+    return res.json({ success: true, job: started });
+  }
+
+  const updated = await jobService.transition(job, JOB_STATUS.CANCELLED, req.user, {
+    reason: req.body?.reason || '募集締め切り',
+    closedAt: new Date().toISOString()
+  });
+  res.json({ success: true, job: updated });
+});
+
+// 案件完了（所有者のみ・進行中の案件のみ）
+router.post('/:id/complete', authenticateToken, async (req, res) => {
+  const job = await jobService.getOwnedJob(req.params.id, req.user);
+
+  // 採用したフリーランサー全員の作業（作業計画がある案件はすべてのマイルストーン）を検収してから完了する
+  if (!isWorkAccepted(job)) {
+    return res.status(409).json({
+      success: false,
+      message: isPlanAgreed(job) ? '検収していないマイルストーンがあります' : '検収していないフリーランサーの納品物があります'
+    });
+  }
+
+  const updated = await jobService.transition(job, JOB_STATUS.COMPLETED, req.user, {
+    completedAt: new Date().toISOString()
+  });
+  res.json({ success: true, job: updated });
+});
+
+// 進行中の案件のキャンセル（所有者のみ）。エスクローに残っている報酬はクライアントへ返金される
+router.post('/:id/cancel', authenticateToken, async (req, res) => {
+  const job = await jobService.getOwnedJob(req.params.id, req.user);
+
+  if (job.status !== JOB_STATUS.IN_PROGRESS) {
+    return res.status(409).json({ success: false, message: '進行中の案件のみキャンセルできます' });
+  }
+
+  const updated = await jobService.transition(job, JOB_STATUS.CANCELLED, req.user, {
+    reason: req.body?.reason || '案件のキャンセル',
+    cancelledAt: new Date().toISOString()
+  });
+  res.json({ success: true, job: updated });
+});
+
+// 支払い状況（エスクローの預かり・支払い・返金の履歴。案件の当事者のみ）
+router.get('/:id/payments', authenticateToken, async (req, res) => {
+  const job = await jobService.getJob(req.params.id);
+  const { transactions, summary } = await paymentService.getJobLedger(job, req.user);
+  res.json({ success: true, transactions, summary });
+});
+
+// 作業計画の提案（案件投稿者・採用したフリーランサー。body: { milestones: [{ title, amount, dueDate, assigneeId }] }）
+router.put('/:id/milestones', authenticateToken, async (req, res) => {
+  const job = await milestoneService.propose(req.params.id, req.body?.milestones, req.user);
+  res.json({ success: true, job });
+});
+
+// 作業計画への合意
+router.post('/:id/milestones/agree', authenticateToken, async (req, res) => {
+  const job = await milestoneService.agree(req.params.id, req.user);
+  res.json({ success: true, job });
+});
+
+// マイルストーンの作業開始（採用したフリーランサー。提出・検収は /:id/deliverables で行う）
+router.post('/:id/milestones/:milestoneId/start', authenticateToken, async (req, res) => {
+  const { job, milestone } = await milestoneService.start(req.params.id, req.params.milestoneId, req.user);
+  res.json({ success: true, job, milestone });
+});
+
+// 納品（採用したフリーランサー。body: { milestoneId, note, attachmentIds }）
+router.post('/:id/deliverables', authenticateToken, async (req, res) => {
+  const { job, deliverable } = await deliverableService.submit(req.params.id, req.body || {}, req.user);
+  res.status(201).json({ success: true, job, deliverable });
+});
+
+// 検収（案件投稿者）。案件全体・最後のマイルストーンの納品物を検収すると案件が完了する
+router.post('/:id/deliverables/:deliverableId/accept', authenticateToken, async (req, res) => {
+  const { job, deliverable } = await deliverableService.review(req.params.id, req.params.deliverableId, DELIVERABLE_STATUS.ACCEPTED, req.user);
+  res.json({ success: true, job, deliverable });
+});
+
+// 修正依頼（案件投稿者。body: { comment }）。回数は MAX_REVISION_ROUNDS まで
+router.post('/:id/deliverables/:deliverableId/request-revision', authenticateToken, async (req, res) => {
+  const { job, deliverable } = await deliverableService.review(
+    req.params.id,
+    req.params.deliverableId,
+    DELIVERABLE_STATUS.REVISION_REQUESTED,
+    req.user,
+    req.body?.comment
+  );
+  res.json({ success: true, job, deliverable });
+});
+
+// 案件削除（所有者のみ・応募のない募集中の案件のみ。応募・採用・支払いの記録が参照する案件は残す）
+router.delete('/:id', authenticateToken, async (req, res) => {
+  const job = await jobService.getOwnedJob(req.params.id, req.user);
+
+  if (job.status !== JOB_STATUS.RECRUITING) {
+    return res.status(409).json({ success: false, message: '募集中の案件のみ削除できます' });
+  }
+  if (await db.count('applications', { jobId: job.id }) > 0) {
+    return res.status(409).json({ success: false, message: '応募のある案件は削除できません。募集を締め切ってください' });
+  }
+
+  await db.remove(TABLE, job.id);
+  res.json({ success: true, message: '案件を削除しました' });
+});
+
+module.exports = router;
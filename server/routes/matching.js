@@ -1,33 +1,56 @@
 const express = require('express');
 const router = express.Router();
+const authenticateToken = require('../middleware/auth');
+const matchService = require('../services/matchService');
+const applicationService = require('../services/applicationService');
+const jobService = require('../services/jobService');
+const recommendationService = require('../services/recommendationService');
+const ApiError = require('../utils/ApiError');
+const { APPLICATION_STATUS } = require('../../utils/jobStatus');
 
-let matches = [];
+// ログイン中のフリーランサーにおすすめの募集中案件（保存済みのプロフィール・応募の実績・レビューから採点。?limit=）
+router.get('/recommendations', authenticateToken, async (req, res) => {
+  const recommendations = await recommendationService.recommendJobs(req.user, { limit: req.query.limit });
+  res.json({ success: true, recommendations });
+});
+
+// 案件への応募者をスコア順に並べる（案件の投稿者のみ）
+router.get('/jobs/:jobId/applicants', authenticateToken, async (req, res) => {
+  const candidates = await recommendationService.rankApplicants(req.params.jobId, req.user);
+  res.json({ success: true, candidates });
+});
+
+// ログイン中のユーザーが当事者のマッチング（案件の詳細付き。?applicationId= で絞り込み）
+router.get('/', authenticateToken, async (req, res) => {
+  const { applicationId } = req.query;
 
-router.get('/', (req, res) => {
+  const matches = await matchService.listWithJobs(req.user);
   res.json({
     success: true,
-    matches: matches
+    matches: applicationId
+      ? matches.filter(match => String(match.applicationId) === String(applicationId))
+      : matches
   });
 });
 
-router.post('/', (req, res) => {
-  const { employerId, applicantId, jobId, jobTitle } = req.body;
-  
-  const newMatch = {
-    id: Date.now().toString(),
-    employerId,
-    applicantId,
-    jobId,
-    jobTitle,
-    status: 'active',
-    createdAt: new Date().toISOString()
-  };
-  
-  matches.push(newMatch);
-  
+// 採用決定した応募のマッチングを開設する（作成済みの場合はそれを返す。当事者のみ）
+router.post('/', authenticateToken, async (req, res) => {
+  const { applicationId } = req.body;
+  if (!applicationId) {
+    throw ApiError.badRequest('applicationId を指定してください');
+  }
+
+  const application = await applicationService.getVisibleApplication(applicationId, req.user);
+  if (application.status !== APPLICATION_STATUS.APPROVED) {
+    throw ApiError.conflict('採用が決定した応募のみマッチングを開設できます');
+  }
+
+  const job = await jobService.getJob(application.jobId);
+  const match = await matchService.openForApplication({ application, job });
+
   res.json({
     success: true,
-    match: newMatch
+    match
   });
 });
 
@@ -1,33 +1,51 @@
 const express = require('express');
 const router = express.Router();
+const authenticateToken = require('../middleware/auth');
+const chatService = require('../services/chatService');
+const conversationService = require('../services/conversationService');
 
-let messages = [];
+// 応募ごとの会話（受信箱）。マッチングのチャットルーム（Socket.IO）と同じ履歴を読み書きする
 
-router.get('/', (req, res) => {
-  res.json({
-    success: true,
-    messages: messages
-  });
+// ログイン中のユーザーが当事者の会話（最終更新順。最新メッセージ・未読件数付き）
+router.get('/conversations', authenticateToken, async (req, res) => {
+  const conversations = await conversationService.listForUser(req.user);
+  res.json({ success: true, conversations });
 });
 
-router.post('/', (req, res) => {
-  const { senderId, targetUserId, message } = req.body;
-  
-  const newMessage = {
-    id: Date.now().toString(),
-    senderId,
-    targetUserId,
-    message,
-    timestamp: new Date().toISOString(),
-    isRead: false
-  };
-  
-  messages.push(newMessage);
-  
+// 会話の履歴（?cursor=&limit=。新しい順にページングし、1 ページ分を古い順で返す）
+router.get('/conversations/:applicationId', authenticateToken, async (req, res) => {
+  const { cursor, limit } = req.query;
+
+  const conversation = await conversationService.getConversation(req.params.applicationId, req.user);
+  const history = await chatService.getHistory(conversation.applicationId, { cursor, limit });
+
   res.json({
     success: true,
-    message: newMessage
+    conversation: conversationService.toSummary(conversation),
+    // 自分の送信したメッセージの判定用（senderId はトークンのユーザーID）
+    viewerId: req.user.userId,
+    ...history
   });
 });
 
+// メッセージを送信する（attachmentId は /api/uploads で取得したもの）
+router.post('/conversations/:applicationId', authenticateToken, async (req, res) => {
+  const { message, attachmentId } = req.body;
+
+  const conversation = await conversationService.getConversation(req.params.applicationId, req.user);
+  const sent = await chatService.send(conversation, req.user, { message, attachmentId });
+
+  res.status(201).json({ success: true, message: sent });
+});
+
+// 自分宛ての未読を既読にする（messageIds を省略すると会話内の未読をすべて既読にする）
+router.post('/conversations/:applicationId/read', authenticateToken, async (req, res) => {
+  const { messageIds } = req.body;
+
+  const conversation = await conversationService.getConversation(req.params.applicationId, req.user);
+  const result = await chatService.markRead(conversation, req.user, messageIds);
+
+  res.json({ success: true, ...result });
+});
+
 module.exports = router;
@@ -1,70 +1,113 @@
 const express = require('express');
 const router = express.Router();
+const authenticateToken = require('../middleware/auth');
+const notificationService = require('../services/notificationService');
+const notificationPreferenceService = require('../services/notificationPreferenceService');
+const ApiError = require('../utils/ApiError');
+
+const MAX_IDS = 100;
+
+// すべて認証済みユーザー本人の通知のみを対象にする
+router.use(authenticateToken);
+
+// 通知一覧取得（?filter=unread|read&type=&priority=&archived=true&cursor=&limit=）
+router.get('/', async (req, res) => {
+  const { filter, type, priority, archived, cursor, limit } = req.query;
+
+  const [page, unreadCounts] = await Promise.all([
+    notificationService.list(req.user, {
+      filter,
+      type,
+      priority,
+      archived: archived === 'true',
+      cursor,
+      limit
+    }),
+    notificationService.getUnreadCounts(req.user)
+  ]);
 
-// 模擬通知データ
-let notifications = [
-  {
-    id: '1',
-    title: 'プロジェクト更新',
-    message: '新しいタスクが追加されました',
-    type: 'info',
-    isRead: false,
-    createdAt: new Date(Date.now() - 30 * 60 * 1000).toISOString(),
-    userId: 'user1'
-  }
-];
-
-// 通知一覧取得
-router.get('/', (req, res) => {
-  const { userId, filter } = req.query;
-  
-  let filteredNotifications = notifications;
-  
-  if (userId) {
-    filteredNotifications = filteredNotifications.filter(n => n.userId === userId);
-  }
-  
-  if (filter === 'unread') {
-    filteredNotifications = filteredNotifications.filter(n => !n.isRead);
-  } else if (filter === 'read') {
-    filteredNotifications = filteredNotifications.filter(n => n.isRead);
-  }
-  
   res.json({
     success: true,
-    notifications: filteredNotifications,
-    total: filteredNotifications.length,
-    unreadCount: filteredNotifications.filter(n => !n.isRead).length
+    ...page,
+    unreadCount: unreadCounts.total
   });
 });
 
-// 通知作成
-router.post('/', (req, res) => {
-  const { title, message, type, userId } = req.body;
-  
-  if (!title || !message || !userId) {
+// 未読件数（合計・通知タイプ別）
+router.get('/unread-count', async (req, res) => {
+  const { total, byType } = await notificationService.getUnreadCounts(req.user);
+  res.json({ success: true, unreadCount: total, byType });
+});
+
+// 通知設定（通知タイプ × チャネル、おやすみ時間）
+router.get('/preferences', async (req, res) => {
+  const preferences = await notificationPreferenceService.get(req.user);
+  res.json({ success: true, preferences });
+});
+
+router.put('/preferences', async (req, res) => {
+  const { channels, quietHours } = req.body;
+  const preferences = await notificationPreferenceService.update(req.user, { channels, quietHours });
+  res.json({ success: true, preferences });
+});
+
+// 通知作成（自分宛て。タイトル・本文は NOTIFICATION_TEMPLATES から生成する）
+router.post('/', async (req, res) => {
+  const { type, data, priority } = req.body;
+
+  if (!type) {
     return res.status(400).json({
       success: false,
-      message: 'Title, message and userId are required'
+      message: 'Type is required'
     });
   }
-  
-  const newNotification = {
-    id: Date.now().toString(),
-    title,
-    message,
-    type: type || 'info',
-    isRead: false,
-    createdAt: new Date().toISOString(),
-    userId
-  };
-  
-  notifications.unshift(newNotification);
-  
-  res.json({
+
+  const notification = await notificationService.createNotification(req.user.userId, type, data || {}, { priority });
+
+  res.status(201).json({
     success: true,
-    notification: newNotification
+    notification
   });
 });
 
+// 複数の通知を既読にする（body: { ids: [...] }）
+router.patch('/read', async (req, res) => {
+  const ids = req.body?.ids;
+
+  if (!Array.isArray(ids) || ids.length === 0) {
+    throw ApiError.badRequest('ids を配列で指定してください');
+  }
+  if (ids.length > MAX_IDS) {
+    throw ApiError.badRequest(`ids は${MAX_IDS}件まで指定できます`);
+  }
+
+  const result = await notificationService.markAsRead(req.user, ids.map(String));
+  res.json({ success: true, ...result });
+});
+
+// すべて既読にする
+router.patch('/read-all', async (req, res) => {
+  const result = await notificationService.markAsRead(req.user);
+  res.json({ success: true, ...result });
+});
+
+// 1 件を既読にする
+router.patch('/:id/read', async (req, res) => {
+  const notification = await notificationService.getOwned(req.params.id, req.user);
+  const result = await notificationService.markAsRead(req.user, [String(notification.id)]);
+  res.json({ success: true, ...result });
+});
+
+// アーカイブ（一覧には archived=true を指定した場合のみ表示）
+router.patch('/:id/archive', async (req, res) => {
+  const notification = await notificationService.archive(req.params.id, req.user);
+  res.json({ success: true, notification });
+});
+
+// 削除
+router.delete('/:id', async (req, res) => {
+  await notificationService.remove(req.params.id, req.user);
+  res.json({ success: true, message: '通知を削除しました' });
+});
+
 module.exports = router;
@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const authenticateToken = require('../middleware/auth');
+const presenceService = require('../services/presenceService');
+const ApiError = require('../utils/ApiError');
+
+const MAX_IDS = 100;
+
+router.use(authenticateToken);
+
+// 複数ユーザーのオンライン状態（ids はユーザーID またはメールアドレスのカンマ区切り。マッチング・応募を通じた相手以外は結果に含めない）
+router.get('/', async (req, res) => {
+  const ids = [...new Set(String(req.query.ids || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean))];
+
+  if (ids.length === 0) {
+    return res.status(400).json({ success: false, message: 'ids を指定してください' });
+  }
+  if (ids.length > MAX_IDS) {
+    return res.status(400).json({ success: false, message: `ids は${MAX_IDS}件まで指定できます` });
+  }
+
+  res.json({
+    success: true,
+    presence: await presenceService.getPartnerPresence(req.user, ids)
+  });
+});
+
+// 1 ユーザーのオンライン状態（マッチング・応募を通じた相手のみ）
+router.get('/:userId', async (req, res) => {
+  if (!await presenceService.isPartner(req.user, req.params.userId)) {
+    throw ApiError.forbidden('マッチング・応募を通じた相手のオンライン状態のみ閲覧できます');
+  }
+
+  const presence = await presenceService.getPresence([req.params.userId]);
+
+  res.json({
+    success: true,
+    presence: presence[req.params.userId]
+  });
+});
+
+module.exports = router;
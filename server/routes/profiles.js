@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const authenticateToken = require('../middleware/auth');
+const profileService = require('../services/profileService');
+
+router.use(authenticateToken);
+
+// ログイン中のユーザーのプロフィール（未保存の場合は profile: null）
+router.get('/me', async (req, res) => {
+  const profile = await profileService.get(req.user);
+  res.json({ success: true, profile });
+});
+
+// プロフィールの保存（body: { fullName, bio, skills, location, portfolioUrl, avatarUrl }）
+router.put('/me', async (req, res) => {
+  const profile = await profileService.update(req.user, req.body || {});
+  res.json({ success: true, profile });
+});
+
+module.exports = router;
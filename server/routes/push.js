@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const authenticateToken = require('../middleware/auth');
+const pushNotificationService = require('../services/pushNotificationService');
+const ApiError = require('../utils/ApiError');
+
+// ブラウザが購読に使う VAPID 公開鍵
+router.get('/vapid-public-key', (req, res) => {
+  if (!pushNotificationService.isEnabled()) {
+    throw new ApiError(503, 'プッシュ通知は設定されていません');
+  }
+  res.json({ success: true, publicKey: pushNotificationService.publicKey });
+});
+
+// 購読の登録（body: PushSubscription.toJSON() の値）
+router.post('/subscriptions', authenticateToken, async (req, res) => {
+  const subscription = await pushNotificationService.subscribe(req.user, req.body, req.get('user-agent'));
+  res.status(201).json({
+    success: true,
+    subscription: { id: subscription.id, endpoint: subscription.endpoint }
+  });
+});
+
+// 購読の解除（body: { endpoint }）
+router.delete('/subscriptions', authenticateToken, async (req, res) => {
+  if (!req.body?.endpoint) {
+    throw ApiError.badRequest('endpoint を指定してください');
+  }
+
+  await pushNotificationService.unsubscribe(req.user, req.body.endpoint);
+  res.json({ success: true, message: '購読を解除しました' });
+});
+
+module.exports = router;
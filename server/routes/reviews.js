@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const authenticateToken = require('../middleware/auth');
+const reviewService = require('../services/reviewService');
+
+// 公開済みのレビュー一覧（?revieweeId=&reviewerId=&jobId= で絞り込み。ログイン不要）
+router.get('/', async (req, res) => {
+  const { revieweeId, reviewerId, jobId } = req.query;
+
+  const reviews = await reviewService.list({ revieweeId, reviewerId, jobId });
+  res.json({ success: true, reviews, total: reviews.length });
+});
+
+// 完了した案件のレビューを投稿する（案件の投稿者と採用された応募者のみ）
+router.post('/', authenticateToken, async (req, res) => {
+  const { jobId, ...data } = req.body;
+
+  if (!jobId) {
+    return res.status(400).json({ success: false, message: 'jobId is required' });
+  }
+
+  const review = await reviewService.create(jobId, req.user, data);
+  res.status(201).json({ success: true, review });
+});
+
+module.exports = router;
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const db = require('../db');
+const authenticateToken = require('../middleware/auth');
+const attachmentService = require('../services/attachmentService');
+const matchService = require('../services/matchService');
+const conversationService = require('../services/conversationService');
+const ApiError = require('../utils/ApiError');
+const { getMilestoneParticipant } = require('../../utils/milestoneUtils');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: attachmentService.maxFileSize, files: 1 },
+  // 日本語のファイル名を文字化けさせない
+  defParamCharset: 'utf8',
+  fileFilter: (req, file, callback) => {
+    if (!attachmentService.isAllowedType(file.mimetype)) {
+      return callback(new ApiError(415, 'このファイル形式はアップロードできません'));
+    }
+    callback(null, true);
+  }
+});
+
+const formatSize = (bytes) => (
+  bytes >= 1024 * 1024 ? `${Math.floor(bytes / (1024 * 1024))}MB` : `${Math.ceil(bytes / 1024)}KB`
+);
+
+// multer のエラーを ApiError に変換する
+const receiveFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return next(new ApiError(413, `ファイルサイズは${formatSize(attachmentService.maxFileSize)}以下にしてください`));
+      }
+      return next(ApiError.badRequest('ファイルのアップロードに失敗しました'));
+    }
+    next(error);
+  });
+};
+
+/**
+ * 添付先を確認し、保存する添付先（{ matchId, jobId, applicationId }）を返す
+ * マッチング・応募は会話の当事者（応募者と案件の投稿者）、案件のみの場合は投稿者と採用したフリーランサーに限る
+ * マッチングは応募の会話に読み替え、受信箱とチャットルームの添付を同じ会話として扱う
+ */
+const resolveContext = async (user, { matchId, jobId, applicationId }) => {
+  if (matchId) {
+    const match = await matchService.getParticipatingMatch(matchId, user);
+    if (applicationId && String(applicationId) !== String(match.applicationId)) {
+      throw ApiError.badRequest('マッチングと応募が一致しません');
+    }
+    applicationId = match.applicationId;
+  }
+
+  if (applicationId) {
+    const conversation = await conversationService.getConversation(applicationId, user);
+    if (jobId && String(jobId) !== String(conversation.jobId)) {
+      throw ApiError.badRequest('案件と応募が一致しません');
+    }
+    return { matchId: conversation.matchId, jobId: conversation.jobId, applicationId: conversation.applicationId };
+  }
+
+  if (jobId) {
+    const job = await db.findById('jobs', jobId);
+    if (!job) {
+      throw ApiError.notFound('案件が見つかりません');
+    }
+    if (!getMilestoneParticipant(job, matchService.identities(user))) {
+      throw ApiError.forbidden('この案件にファイルを添付する権限がありません');
+    }
+    return { matchId: null, jobId: job.id, applicationId: null };
+  }
+
+  throw ApiError.badRequest('添付先（matchId・applicationId・jobId）を指定してください');
+};
+
+// 添付ファイルのアップロード（添付先の当事者のみ）
+router.post('/', authenticateToken, receiveFile, async (req, res) => {
+  const context = await resolveContext(req.user, req.body || {});
+  const attachment = await attachmentService.save(req.file, req.user, context);
+
+  res.status(201).json({
+    success: true,
+    attachment: attachmentService.toPublic(attachment)
+  });
+});
+
+/**
+ * 添付ファイルを閲覧できるか
+ * アップロードした本人と、添付先の会話（受信箱・チャットルームと同じ応募の当事者）・案件（投稿者と採用したフリーランサー）の当事者のみ
+ */
+const canView = async (attachment, user) => {
+  if (String(attachment.uploaderId) === String(user.userId)) return true;
+
+  let { applicationId } = attachment;
+  if (!applicationId && attachment.matchId) {
+    const match = await db.findById('matches', attachment.matchId);
+    if (!match) return false;
+    applicationId = match.applicationId;
+  }
+
+  if (applicationId) {
+    return conversationService.getConversation(applicationId, user).then(() => true, () => false);
+  }
+  if (attachment.jobId) {
+    const job = await db.findById('jobs', attachment.jobId);
+    return !!job && !!getMilestoneParticipant(job, matchService.identities(user));
+  }
+  return false;
+};
+
+// 添付ファイル・サムネイルを返す（静的配信はしない）
+const sendAttachment = (variant) => async (req, res) => {
+  const attachment = await attachmentService.getAttachment(req.params.id);
+  if (!await canView(attachment, req.user)) {
+    throw ApiError.forbidden('この添付ファイルを閲覧する権限がありません');
+  }
+
+  const filePath = attachmentService.filePathOf(attachment, variant);
+  if (!filePath || !await fs.promises.access(filePath).then(() => true, () => false)) {
+    throw ApiError.notFound('添付ファイルが見つかりません');
+  }
+
+  res.set({
+    'Content-Type': variant === 'thumbnail' ? 'image/webp' : attachment.mimeType,
+    'Content-Disposition': `${attachment.kind === 'image' ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(attachment.originalName)}`,
+    'Cache-Control': 'private, max-age=300',
+    'X-Content-Type-Options': 'nosniff'
+  });
+  res.sendFile(filePath);
+};
+
+router.get('/:id', authenticateToken, sendAttachment('file'));
+router.get('/:id/thumbnail', authenticateToken, sendAttachment('thumbnail'));
+
+module.exports = router;
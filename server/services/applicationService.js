@@ -0,0 +1,303 @@
+const db = require('../db');
+const ApiError = require('../utils/ApiError');
+const jobService = require('./jobService');
+const paymentService = require('./paymentService');
+const { appendHistory } = require('../utils/statusHistory');
+const domainEvents = require('../events/domainEvents');
+const { DOMAIN_EVENTS } = require('../events/domainEvents');
+const {
+  JOB_STATUS,
+  JOB_STATUS_LABELS,
+  APPLICATION_STATUS,
+  APPLICATION_STATUS_LABELS,
+  APPLICATION_STATUS_ACTORS,
+  ACTIVE_APPLICATION_STATUSES,
+  canTransitionApplication,
+  getHeadcount,
+  getAssignedFreelancers,
+  getOpenSlots
+} = require('../../utils/jobStatus');
+
+const TABLE = 'applications';
+
+// 応募フォーム（pages/apply.js）で入力できる項目
+const APPLICATION_FIELDS = [
+  'proposalText',
+  'proposedPrice',
+  'proposedDeadline',
+  'portfolio',
+  'experience',
+  'availability'
+];
+
+// 案件投稿者が応募を進められる選考ステージ（却下は reject で行う）
+const CLIENT_STAGES = [
+  APPLICATION_STATUS.SHORTLISTED,
+  APPLICATION_STATUS.INTERVIEWING,
+  APPLICATION_STATUS.OFFERED
+];
+
+class ApplicationService {
+  constructor() {
+    this.jobLocks = new Map(); // 案件ID -> 実行中の承諾（同じ案件の承諾を直列に実行する）
+  }
+
+  // 同じ案件への承諾を順番に実行する（同時に承諾されても募集人数を超えて採用しない）
+  async withJobLock(jobId, task) {
+    const key = String(jobId);
+    const previous = this.jobLocks.get(key) || Promise.resolve();
+    const current = previous.catch(() => {}).then(task);
+    const settled = current.catch(() => {});
+    this.jobLocks.set(key, settled);
+
+    try {
+      return await current;
+    } finally {
+      if (this.jobLocks.get(key) === settled) this.jobLocks.delete(key);
+    }
+  }
+
+  async getApplication(applicationId) {
+    const application = await db.findById(TABLE, applicationId);
+    if (!application) {
+      throw ApiError.notFound('応募が見つかりません');
+    }
+    return application;
+  }
+
+  // 応募者本人または案件の投稿者のみ閲覧可能
+  async getVisibleApplication(applicationId, user) {
+    const application = await this.getApplication(applicationId);
+    if (String(application.applicantId) === String(user.userId)) {
+      return application;
+    }
+
+    const job = await jobService.getJob(application.jobId);
+    if (!jobService.isOwner(job, user)) {
+      throw ApiError.forbidden('この応募を閲覧する権限がありません');
+    }
+    return application;
+  }
+
+  async listForJob(jobId, user) {
+    await jobService.getOwnedJob(jobId, user);
+    return db.find(TABLE, { jobId }, { orderBy: 'createdAt', ascending: true });
+  }
+
+  async listForApplicant(user) {
+    return db.find(TABLE, { applicantId: user.userId }, { orderBy: 'createdAt', ascending: false });
+  }
+
+  async apply(jobId, user, data = {}) {
+    const job = await jobService.getJob(jobId);
+
+    if (job.status !== JOB_STATUS.RECRUITING) {
+      throw ApiError.conflict(`「${JOB_STATUS_LABELS[job.status] || job.status}」の案件には応募できません`);
+    }
+    if (jobService.isOwner(job, user)) {
+      throw ApiError.forbidden('自分が投稿した案件には応募できません');
+    }
+    if (typeof data.proposalText !== 'string' || data.proposalText.trim().length === 0) {
+      throw ApiError.badRequest('提案文を入力してください');
+    }
+    if (data.proposedPrice !== undefined && data.proposedPrice !== '' && isNaN(Number(data.proposedPrice))) {
+      throw ApiError.badRequest('希望報酬は数値で入力してください');
+    }
+
+    const existing = await db.findOne(TABLE, { jobId: job.id, applicantId: user.userId });
+    if (existing) {
+      throw ApiError.conflict('この案件にはすでに応募済みです');
+    }
+
+    const values = APPLICATION_FIELDS.reduce((result, field) => {
+      if (data[field] !== undefined && data[field] !== '') {
+        result[field] = field === 'proposedPrice' ? Number(data[field]) : data[field];
+      }
+      return result;
+    }, {});
+
+    const application = await db.insert(TABLE, {
+      ...values,
+      proposalText: data.proposalText.trim(),
+      jobId: job.id,
+      jobTitle: job.title,
+      applicantId: user.userId,
+      applicantEmail: user.email,
+      applicantName: user.name || user.email,
+      status: APPLICATION_STATUS.PENDING,
+      statusHistory: []
+    });
+
+    domainEvents.publish(DOMAIN_EVENTS.APPLICATION_SUBMITTED, { application, job, actor: user });
+    return application;
+  }
+
+  // 応募に対する利用者の立場（client: 案件投稿者 / applicant: 応募者）
+  getActorRole(application, job, user) {
+    if (String(application.applicantId) === String(user.userId)) return 'applicant';
+    if (jobService.isOwner(job, user)) return 'client';
+    return null;
+  }
+
+  /**
+   * 応募ステータスを遷移させる
+   * 利用者が操作する場合は、遷移先ごとに決められた立場（APPLICATION_STATUS_ACTORS）の人だけが進められる
+   * @param {object|null} user - 自動却下などシステムによる遷移の場合は null
+   */
+  async transition(application, job, toStatus, user, reason) {
+    if (user && APPLICATION_STATUS_ACTORS[toStatus] !== this.getActorRole(application, job, user)) {
+      throw ApiError.forbidden(`この応募を「${APPLICATION_STATUS_LABELS[toStatus] || toStatus}」にする権限がありません`);
+    }
+    if (!canTransitionApplication(application.status, toStatus)) {
+      throw ApiError.conflict(
+        `「${APPLICATION_STATUS_LABELS[application.status] || application.status}」の応募を「${APPLICATION_STATUS_LABELS[toStatus] || toStatus}」にすることはできません`
+      );
+    }
+
+    return db.update(TABLE, application.id, {
+      status: toStatus,
+      statusHistory: appendHistory(application, toStatus, user, reason)
+    });
+  }
+
+  // 応募者本人の応募
+  async getOwnApplication(applicationId, user) {
+    const application = await this.getApplication(applicationId);
+    if (String(application.applicantId) !== String(user.userId)) {
+      throw ApiError.forbidden('この応募を操作する権限がありません');
+    }
+    return application;
+  }
+
+  /**
+   * 案件投稿者が選考を進める（書類選考通過・面談・オファー）
+   * @param {string} toStatus - APPLICATION_STATUS.SHORTLISTED / INTERVIEWING / OFFERED
+   */
+  async advance(applicationId, toStatus, user) {
+    if (!CLIENT_STAGES.includes(toStatus)) {
+      throw ApiError.badRequest(`「${APPLICATION_STATUS_LABELS[toStatus] || toStatus}」には進められません`);
+    }
+
+    const application = await this.getApplication(applicationId);
+    const job = await jobService.getOwnedJob(application.jobId, user);
+
+    if (job.status !== JOB_STATUS.RECRUITING) {
+      throw ApiError.conflict(`「${JOB_STATUS_LABELS[job.status] || job.status}」の案件では選考を進められません`);
+    }
+
+    const updated = await this.transition(application, job, toStatus, user);
+    domainEvents.publish(DOMAIN_EVENTS.APPLICATION_STAGE_CHANGED, { application: updated, job, actor: user });
+    return updated;
+  }
+
+  /**
+   * 応募者がオファーを承諾し、報酬を預かってから案件の採用枠を 1 つ埋める
+   * 募集人数に達したら、同じ案件で選考中の他の応募は自動却下し、案件を進行中にする
+   * 案件ごとに直列に実行し、ロックの中で応募・案件を読み直してから採用枠を確認する
+   * @returns {Promise<object>} - { application, job, rejected }
+   */
+  async acceptOffer(applicationId, user) {
+    const { jobId } = await this.getOwnApplication(applicationId, user);
+    const result = await this.withJobLock(jobId, () => this.fillSlot(applicationId, user));
+
+    domainEvents.publish(DOMAIN_EVENTS.APPLICATION_APPROVED, { ...result, actor: user });
+    return result;
+  }
+
+  // オファーを承諾して採用枠を埋める（acceptOffer のロックの中で実行する）
+  async fillSlot(applicationId, user) {
+    const application = await this.getOwnApplication(applicationId, user);
+    const job = await jobService.getJob(application.jobId);
+
+    if (job.status !== JOB_STATUS.RECRUITING) {
+      throw ApiError.conflict(`「${JOB_STATUS_LABELS[job.status] || job.status}」の案件のオファーは承諾できません`);
+    }
+    if (getOpenSlots(job) === 0) {
+      throw ApiError.conflict('この案件は募集人数に達しています');
+    }
+
+    // 報酬を預かれなければ採用を確定しない
+    await paymentService.deposit(application, job);
+
+    const approved = await this.transition(application, job, APPLICATION_STATUS.APPROVED, user);
+    const assignedFreelancers = [
+      ...getAssignedFreelancers(job),
+      {
+        userId: application.applicantId,
+        email: application.applicantEmail,
+        name: application.applicantName
+      }
+    ];
+
+    let updatedJob;
+    let rejected = [];
+    if (assignedFreelancers.length >= getHeadcount(job)) {
+      rejected = await this.rejectRemaining(job, '募集人数に達したため');
+      updatedJob = await jobService.transition(job, JOB_STATUS.IN_PROGRESS, user, { assignedFreelancers });
+    } else {
+      updatedJob = await jobService.update(job, { assignedFreelancers });
+    }
+
+    return { application: approved, job: updatedJob, rejected };
+  }
+
+  /**
+   * 案件で選考中の応募をすべて却下する（募集人数に達した・募集を締め切った場合）
+   * @returns {Promise<object[]>} - 却下した応募
+   */
+  async rejectRemaining(job, reason) {
+    const remaining = await db.find(TABLE, { jobId: job.id, status: ACTIVE_APPLICATION_STATUSES });
+    const rejected = [];
+    for (const application of remaining) {
+      rejected.push(await this.transition(application, job, APPLICATION_STATUS.REJECTED, null, reason));
+    }
+    return rejected;
+  }
+
+  /**
+   * 募集人数に達する前に募集を締め切り、採用済みのフリーランサーで案件を開始する
+   * 選考中の応募は却下して応募者に通知する
+   */
+  async startWithAssigned(job, user, reason = '募集締め切り') {
+    const rejected = await this.rejectRemaining(job, '募集が締め切られたため');
+    const started = await jobService.transition(job, JOB_STATUS.IN_PROGRESS, user, {
+      reason,
+      closedAt: new Date().toISOString()
+    });
+
+    rejected.forEach(application => {
+      domainEvents.publish(DOMAIN_EVENTS.APPLICATION_REJECTED, { application, job: started, actor: user, reason: '募集が締め切られたため' });
+    });
+    return started;
+  }
+
+  // 応募者がオファーを辞退する
+  async declineOffer(applicationId, user, reason) {
+    return this.closeByApplicant(applicationId, APPLICATION_STATUS.DECLINED, user, reason);
+  }
+
+  // 応募者が選考中の応募を取り下げる
+  async withdraw(applicationId, user, reason) {
+    return this.closeByApplicant(applicationId, APPLICATION_STATUS.WITHDRAWN, user, reason);
+  }
+
+  async closeByApplicant(applicationId, toStatus, user, reason) {
+    const application = await this.getOwnApplication(applicationId, user);
+    const job = await jobService.getJob(application.jobId);
+
+    const updated = await this.transition(application, job, toStatus, user, reason);
+    domainEvents.publish(DOMAIN_EVENTS.APPLICATION_STAGE_CHANGED, { application: updated, job, actor: user });
+    return updated;
+  }
+
+  async reject(applicationId, user, reason) {
+    const application = await this.getApplication(applicationId);
+    const job = await jobService.getOwnedJob(application.jobId, user);
+
+    const rejected = await this.transition(application, job, APPLICATION_STATUS.REJECTED, user, reason);
+    domainEvents.publish(DOMAIN_EVENTS.APPLICATION_REJECTED, { application: rejected, job, actor: user, reason });
+    return rejected;
+  }
+}
+
+module.exports = new ApplicationService();
@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { randomUUID } = require('crypto');
+const sharp = require('sharp');
+const db = require('../db');
+const ApiError = require('../utils/ApiError');
+
+const TABLE = 'attachments';
+
+// 保存先（静的配信はせず、GET /api/uploads/:id で添付先の当事者にだけ返す）
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads');
+const ATTACHMENT_DIR = path.join(UPLOAD_DIR, 'attachments');
+const PUBLIC_PATH = '/api/uploads';
+
+const MAX_FILE_SIZE = parseInt(process.env.UPLOAD_MAX_BYTES, 10) || 10 * 1024 * 1024;
+const THUMBNAIL_SIZE = 320;
+
+// 許可する MIME タイプ -> { 拡張子, 中身の判定に使うシグネチャ }
+const ALLOWED_TYPES = {
+  'image/jpeg': { ext: '.jpg', signature: 'jpeg' },
+  'image/png': { ext: '.png', signature: 'png' },
+  'image/gif': { ext: '.gif', signature: 'gif' },
+  'image/webp': { ext: '.webp', signature: 'webp' },
+  'application/pdf': { ext: '.pdf', signature: 'pdf' },
+  'application/zip': { ext: '.zip', signature: 'zip' },
+  'application/x-zip-compressed': { ext: '.zip', signature: 'zip' },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': { ext: '.docx', signature: 'zip' },
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { ext: '.xlsx', signature: 'zip' },
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': { ext: '.pptx', signature: 'zip' },
+  'text/plain': { ext: '.txt', signature: 'text' },
+  'text/csv': { ext: '.csv', signature: 'text' }
+};
+
+// 申告された MIME タイプと実際の中身が一致するか（拡張子・Content-Type の偽装対策）
+const SIGNATURES = {
+  jpeg: (buffer) => buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+  png: (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  gif: (buffer) => buffer.subarray(0, 4).toString('ascii') === 'GIF8',
+  webp: (buffer) => buffer.subarray(0, 4).toString('ascii') === 'RIFF' && buffer.subarray(8, 12).toString('ascii') === 'WEBP',
+  pdf: (buffer) => buffer.subarray(0, 5).toString('ascii') === '%PDF-',
+  zip: (buffer) => buffer.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04])),
+  text: (buffer) => !buffer.includes(0)
+};
+
+/**
+ * 既定のウイルススキャン：VIRUS_SCAN_COMMAND（例: "clamdscan --no-summary"）にファイルパスを渡して実行する
+ * 終了コード 0 = 問題なし、1 = 検出、それ以外 = スキャン失敗
+ * 未設定の場合はスキャンしない
+ */
+const commandScanner = (filePath) => {
+  const command = process.env.VIRUS_SCAN_COMMAND;
+  if (!command) {
+    return Promise.resolve({ clean: true, status: 'skipped' });
+  }
+
+  const [file, ...args] = command.split(/\s+/).filter(Boolean);
+  return new Promise((resolve, reject) => {
+    execFile(file, [...args, filePath], { timeout: 60000 }, (error, stdout) => {
+      if (!error) return resolve({ clean: true, status: 'clean' });
+      if (error.code === 1) return resolve({ clean: false, status: 'infected', reason: String(stdout).trim() });
+      reject(error);
+    });
+  });
+};
+
+const kindOf = (mimeType) => (mimeType.startsWith('image/') ? 'image' : 'file');
+
+class AttachmentService {
+  constructor() {
+    this.scanner = commandScanner;
+  }
+
+  get uploadDir() {
+    return UPLOAD_DIR;
+  }
+
+  get maxFileSize() {
+    return MAX_FILE_SIZE;
+  }
+
+  isAllowedType(mimeType) {
+    return Object.prototype.hasOwnProperty.call(ALLOWED_TYPES, mimeType);
+  }
+
+  /**
+   * ウイルススキャンの実装を差し替える
+   * @param {Function} scanner - async (filePath, { mimeType, size }) => ({ clean, status, reason })
+   */
+  setScanner(scanner) {
+    this.scanner = scanner;
+  }
+
+  // メッセージに埋め込む公開用の情報（url は認証付きで取得する API のパス）
+  toPublic(attachment) {
+    if (!attachment) return null;
+    return {
+      id: attachment.id,
+      kind: attachment.kind,
+      name: attachment.originalName,
+      mimeType: attachment.mimeType,
+      size: attachment.size,
+      url: `${PUBLIC_PATH}/${attachment.id}`,
+      thumbnailUrl: attachment.thumbnailUrl ? `${PUBLIC_PATH}/${attachment.id}/thumbnail` : null,
+      width: attachment.width || null,
+      height: attachment.height || null
+    };
+  }
+
+  /**
+   * 保存したファイルのパス（ファイル名は ID と形式から決まる）
+   * @param {string} variant - file / thumbnail
+   * @returns {string|null} - サムネイルがない場合は null
+   */
+  filePathOf(attachment, variant = 'file') {
+    if (variant === 'thumbnail') {
+      return attachment.thumbnailUrl ? path.join(ATTACHMENT_DIR, `${attachment.id}_thumb.webp`) : null;
+    }
+    const type = ALLOWED_TYPES[attachment.mimeType];
+    return type ? path.join(ATTACHMENT_DIR, `${attachment.id}${type.ext}`) : null;
+  }
+
+  async getAttachment(attachmentId) {
+    const attachment = await db.findById(TABLE, attachmentId);
+    if (!attachment) {
+      throw ApiError.notFound('添付ファイルが見つかりません');
+    }
+    return attachment;
+  }
+
+  /**
+   * アップロードされたファイルを検証・スキャンして保存する
+   * @param {object} file - multer のファイル（memoryStorage）
+   * @param {object} user - トークンのペイロード
+   * @param {object} context - { matchId, jobId, applicationId } 添付先の会話
+   */
+  async save(file, user, context = {}) {
+    if (!file) {
+      throw ApiError.badRequest('ファイルを選択してください');
+    }
+
+    const type = ALLOWED_TYPES[file.mimetype];
+    if (!type) {
+      throw new ApiError(415, 'このファイル形式はアップロードできません');
+    }
+    if (!SIGNATURES[type.signature](file.buffer)) {
+      throw new ApiError(415, 'ファイルの内容が形式と一致しません');
+    }
+
+    const id = randomUUID();
+    const fileName = `${id}${type.ext}`;
+    const filePath = path.join(ATTACHMENT_DIR, fileName);
+    const kind = kindOf(file.mimetype);
+    const written = [filePath];
+
+    await fs.promises.mkdir(ATTACHMENT_DIR, { recursive: true });
+    await fs.promises.writeFile(filePath, file.buffer);
+
+    try {
+      let scan;
+      try {
+        scan = await this.scanner(filePath, { mimeType: file.mimetype, size: file.size });
+      } catch (error) {
+        console.error('❌ Virus scan error:', error);
+        throw new ApiError(503, 'ウイルススキャンに失敗しました。時間をおいて再度お試しください');
+      }
+      if (!scan.clean) {
+        console.warn(`🦠 Infected upload rejected (user ${user.userId}): ${scan.reason || ''}`);
+        throw new ApiError(422, 'ウイルスが検出されたためアップロードできません');
+      }
+
+      // 画像はサムネイルを生成する（読み込めない画像は不正なファイルとして扱う）
+      let image = {};
+      if (kind === 'image') {
+        const thumbnailName = `${id}_thumb.webp`;
+        try {
+          const metadata = await sharp(file.buffer).metadata();
+          await sharp(file.buffer)
+            .rotate()
+            .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+            .webp()
+            .toFile(path.join(ATTACHMENT_DIR, thumbnailName));
+          written.push(path.join(ATTACHMENT_DIR, thumbnailName));
+          image = {
+            width: metadata.width,
+            height: metadata.height,
+            thumbnailUrl: `${PUBLIC_PATH}/${id}/thumbnail`
+          };
+        } catch (error) {
+          throw ApiError.badRequest('画像を読み込めませんでした');
+        }
+      }
+
+      return await db.insert(TABLE, {
+        id,
+        kind,
+        originalName: path.basename(file.originalname || fileName),
+        mimeType: file.mimetype,
+        size: file.size,
+        url: `${PUBLIC_PATH}/${id}`,
+        ...image,
+        scanStatus: scan.status,
+        uploaderId: user.userId,
+        matchId: context.matchId || null,
+        jobId: context.jobId || null,
+        applicationId: context.applicationId || null
+      });
+    } catch (error) {
+      await Promise.all(written.map(target => fs.promises.unlink(target).catch(() => {})));
+      throw error;
+    }
+  }
+
+  /**
+   * メッセージに添付するファイルを取得する（アップロードした本人・同じ会話のもののみ）
+   * @param {object} conversation - conversationService の会話（{ applicationId, matchId }）
+   */
+  async getForMessage(attachmentId, user, conversation) {
+    const attachment = await db.findById(TABLE, attachmentId);
+    if (!attachment) {
+      throw ApiError.notFound('添付ファイルが見つかりません');
+    }
+    if (String(attachment.uploaderId) !== String(user.userId)) {
+      throw ApiError.forbidden('この添付ファイルを使用する権限がありません');
+    }
+    const otherConversation = (attachment.applicationId && String(attachment.applicationId) !== String(conversation.applicationId))
+      || (attachment.matchId && String(attachment.matchId) !== String(conversation.matchId));
+    if (otherConversation) {
+      throw ApiError.badRequest('別の会話の添付ファイルは送信できません');
+    }
+    return attachment;
+  }
+
+  /**
+   * 納品物に添付するファイルを取得する（アップロードした本人・同じ案件のもののみ）
+   */
+  async getForDeliverable(attachmentId, user, jobId) {
+    const attachment = await db.findById(TABLE, attachmentId);
+    if (!attachment) {
+      throw ApiError.notFound('添付ファイルが見つかりません');
+    }
+    if (String(attachment.uploaderId) !== String(user.userId)) {
+      throw ApiError.forbidden('この添付ファイルを使用する権限がありません');
+    }
+    if (String(attachment.jobId) !== String(jobId)) {
+      throw ApiError.badRequest('別の案件の添付ファイルは納品できません');
+    }
+    return attachment;
+  }
+}
+
+module.exports = new AttachmentService();
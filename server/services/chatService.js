@@ -0,0 +1,194 @@
+const db = require('../db');
+const ApiError = require('../utils/ApiError');
+const { decodeCursor, toPage } = require('../utils/cursor');
+const attachmentService = require('./attachmentService');
+const socketHandler = require('../socket/socketHandler');
+const domainEvents = require('../events/domainEvents');
+const { DOMAIN_EVENTS } = require('../events/domainEvents');
+
+// create-database-tables.js で定義しているテーブル
+// メッセージは応募ごとの会話（conversationService）に保存し、受信箱とチャットルームで同じ履歴を表示する
+const TABLE = 'crowdwork_messages';
+const DEFAULT_HISTORY_LIMIT = 30;
+const MAX_HISTORY_LIMIT = 100;
+const MAX_MESSAGE_LENGTH = 5000;
+const SYSTEM_SENDER = { id: 'system', name: 'システム' };
+
+// ユーザーを指す ID（会話にはユーザーID・メールアドレスのどちらかが保存されている）
+const getIdentities = (user) => [user.userId, user.email].filter(Boolean).map(String);
+
+// 相手側（受信者）のユーザーID
+const getPartnerId = (conversation, user) => {
+  return getIdentities(user).includes(String(conversation.employerId)) ? conversation.applicantId : conversation.employerId;
+};
+
+class ChatService {
+  // クライアントに送る形に変換
+  toClientMessage(record) {
+    return {
+      id: String(record.id),
+      applicationId: record.applicationId,
+      matchId: record.matchId || null,
+      senderId: record.senderId,
+      senderName: record.senderName,
+      receiverId: record.receiverId,
+      message: record.message,
+      messageType: record.messageType || 'text',
+      attachment: record.attachment || null,
+      timestamp: record.sentAt || record.createdAt,
+      isRead: !!record.readStatus,
+      readAt: record.readAt || null
+    };
+  }
+
+  /**
+   * 会話の履歴を新しい順にページングし、1 ページ分を古い順で返す
+   * @param {string} applicationId
+   * @param {object} options - { cursor, limit }
+   * @returns {Promise<object>} - { messages, nextCursor, hasMore }
+   */
+  async getHistory(applicationId, { cursor, limit } = {}) {
+    const decodedCursor = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !decodedCursor) {
+      throw ApiError.badRequest('無効なカーソルです');
+    }
+
+    const pageSize = Math.max(1, Math.min(parseInt(limit, 10) || DEFAULT_HISTORY_LIMIT, MAX_HISTORY_LIMIT));
+    // 次のページがあるか判定するため 1 件多く取得する
+    const records = await db.findPage(TABLE, { applicationId: String(applicationId) }, { cursor: decodedCursor, limit: pageSize + 1 });
+    const { items, nextCursor, hasMore } = toPage(records, pageSize);
+
+    return {
+      messages: items.reverse().map(record => this.toClientMessage(record)),
+      nextCursor,
+      hasMore
+    };
+  }
+
+  // 会話の最新メッセージ（受信箱の一覧用）
+  async getLatestMessage(applicationId) {
+    const [record] = await db.findPage(TABLE, { applicationId: String(applicationId) }, { limit: 1 });
+    return record ? this.toClientMessage(record) : null;
+  }
+
+  /**
+   * メッセージを保存し、送信者と受信者の全タブに newMessage を届ける（ID はストアが採番する）
+   * 添付ファイルがある場合は messageType を image / file にし、本文は省略できる
+   * @param {object} conversation - 送信先の会話（conversationService の getConversation / fromMatch）
+   * @param {object} sender - トークンのペイロード
+   * @param {object} content - { message, attachmentId }
+   */
+  async send(conversation, sender, { message, attachmentId } = {}) {
+    const text = String(message || '').trim();
+    const attachment = attachmentId
+      ? await attachmentService.getForMessage(attachmentId, sender, conversation)
+      : null;
+
+    if (!text && !attachment) {
+      throw ApiError.badRequest('メッセージを入力してください');
+    }
+    if (text.length > MAX_MESSAGE_LENGTH) {
+      throw ApiError.badRequest(`メッセージは${MAX_MESSAGE_LENGTH}文字以内で入力してください`);
+    }
+
+    const record = await db.insert(TABLE, {
+      applicationId: conversation.applicationId,
+      matchId: conversation.matchId || null,
+      jobId: conversation.jobId,
+      senderId: sender.userId,
+      senderName: sender.name || sender.email,
+      receiverId: getPartnerId(conversation, sender),
+      message: text,
+      messageType: attachment ? attachment.kind : 'text',
+      attachment: attachmentService.toPublic(attachment),
+      readStatus: false,
+      sentAt: new Date().toISOString()
+    });
+
+    const clientMessage = this.toClientMessage(record);
+    socketHandler.sendToUsers([sender.userId, record.receiverId], 'newMessage', clientMessage);
+    this.pushUnreadCounts({ userId: record.receiverId })
+      .catch(error => console.error('❌ Unread count error:', error));
+
+    domainEvents.publish(DOMAIN_EVENTS.MESSAGE_SENT, { message: record, actor: sender });
+    return clientMessage;
+  }
+
+  /**
+   * システムメッセージを保存する（作業開始のお知らせなど）
+   * 宛先を持たないため未読件数・通知の対象にはならない
+   * @param {object} conversation - 投稿先の会話
+   * @param {string} text - 本文
+   */
+  async postSystemMessage(conversation, text) {
+    const record = await db.insert(TABLE, {
+      applicationId: conversation.applicationId,
+      matchId: conversation.matchId || null,
+      jobId: conversation.jobId,
+      senderId: SYSTEM_SENDER.id,
+      senderName: SYSTEM_SENDER.name,
+      receiverId: null,
+      message: text,
+      messageType: 'system',
+      attachment: null,
+      readStatus: true,
+      sentAt: new Date().toISOString()
+    });
+
+    const clientMessage = this.toClientMessage(record);
+    socketHandler.sendToUsers([conversation.employerId, conversation.applicantId], 'newMessage', clientMessage);
+    return clientMessage;
+  }
+
+  /**
+   * 自分宛ての未読メッセージを既読にし、相手に messagesRead、自分に未読件数を届ける
+   * @param {object} conversation - 既読にする会話
+   * @param {object} reader - トークンのペイロード
+   * @param {string[]} [messageIds] - 省略時は会話内の未読をすべて既読にする
+   * @returns {Promise<object>} - { messageIds, readAt }
+   */
+  async markRead(conversation, reader, messageIds) {
+    const readAt = new Date().toISOString();
+    const updated = await db.updateWhere(TABLE, {
+      applicationId: conversation.applicationId,
+      receiverId: getIdentities(reader),
+      readStatus: false,
+      id: Array.isArray(messageIds) && messageIds.length > 0 ? messageIds : undefined
+    }, { readStatus: true, readAt });
+
+    const result = { messageIds: updated.map(record => String(record.id)), readAt };
+    if (result.messageIds.length > 0) {
+      socketHandler.sendToUsers([reader.userId, getPartnerId(conversation, reader)], 'messagesRead', {
+        applicationId: conversation.applicationId,
+        matchId: conversation.matchId || null,
+        readerId: reader.userId,
+        ...result
+      });
+      this.pushUnreadCounts(reader)
+        .catch(error => console.error('❌ Unread count error:', error));
+    }
+    return result;
+  }
+
+  /**
+   * 自分宛ての未読件数（会話ごと・合計）
+   * @returns {Promise<object>} - { total, byApplication: { [applicationId]: number } }
+   */
+  async getUnreadCounts(user) {
+    const unread = await db.find(TABLE, { receiverId: getIdentities(user), readStatus: false });
+
+    const byApplication = unread.reduce((counts, record) => {
+      counts[record.applicationId] = (counts[record.applicationId] || 0) + 1;
+      return counts;
+    }, {});
+
+    return { total: unread.length, byApplication };
+  }
+
+  // 未読件数を本人の全タブに送る
+  async pushUnreadCounts(user) {
+    socketHandler.sendToUser(user.userId, 'unreadCounts', await this.getUnreadCounts(user));
+  }
+}
+
+module.exports = new ChatService();
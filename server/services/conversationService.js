@@ -0,0 +1,174 @@
+const db = require('../db');
+const ApiError = require('../utils/ApiError');
+const chatService = require('./chatService');
+const { CONVERSATION_APPLICATION_STATUSES } = require('../../utils/jobStatus');
+
+// 会話は応募ごと（案件投稿者と応募者の 1 対 1）。メッセージは chatService のテーブルに applicationId 付きで保存する
+// マッチング（採用決定後のチャットルーム）も同じ応募の会話を表示する
+
+// ユーザーを指す ID（案件・応募にはユーザーID とメールアドレスの両方が保存されている）
+const getIdentities = (user) => [user.userId, user.email].filter(Boolean).map(String);
+
+const includesAny = (identities, ...ids) => ids.filter(Boolean).some(id => identities.includes(String(id)));
+
+class ConversationService {
+  /**
+   * 応募と案件から、chatService に渡す会話を組み立てる
+   * 宛先はマッチング・通知と同じく、共通のメールアドレスを優先する
+   * @returns {object} - { applicationId, matchId, jobId, employerId, employerName, applicantId, applicantName }
+   */
+  build(application, job, matchId = null) {
+    return {
+      applicationId: String(application.id),
+      matchId: matchId ? String(matchId) : null,
+      jobId: job.id,
+      employerId: job.clientEmail || job.clientId,
+      employerName: job.clientName || job.clientEmail || '',
+      applicantId: application.applicantEmail || application.applicantId,
+      applicantName: application.applicantName || application.applicantEmail || ''
+    };
+  }
+
+  /**
+   * マッチング（チャットルーム）の会話。マッチングは応募ごとに 1 つ作成される
+   */
+  fromMatch(match) {
+    return {
+      applicationId: String(match.applicationId),
+      matchId: String(match.id),
+      jobId: match.jobId,
+      employerId: match.employerId,
+      employerName: match.employerName || '',
+      applicantId: match.applicantId,
+      applicantName: match.applicantName || ''
+    };
+  }
+
+  // 会話の当事者としての立場（client: 案件投稿者 / applicant: 応募者 / null: 当事者ではない）
+  getRole(application, job, user) {
+    const identities = getIdentities(user);
+    if (includesAny(identities, application.applicantId, application.applicantEmail)) return 'applicant';
+    if (includesAny(identities, job.clientId, job.clientEmail)) return 'client';
+    return null;
+  }
+
+  /**
+   * 応募の会話を取得する（応募者と案件の投稿者のみ）
+   * @returns {Promise<object>} - build() の戻り値に { role, application, job } を加えたもの
+   */
+  async getConversation(applicationId, user) {
+    const application = await db.findById('applications', applicationId);
+    const job = application && await db.findById('jobs', application.jobId);
+    if (!application || !job) {
+      throw ApiError.notFound('会話が見つかりません');
+    }
+
+    const role = this.getRole(application, job, user);
+    if (!role) {
+      throw ApiError.forbidden('この会話を閲覧する権限がありません');
+    }
+
+    const match = await db.findOne('matches', { applicationId: application.id });
+    return {
+      ...this.build(application, job, match ? match.id : null),
+      role,
+      application,
+      job
+    };
+  }
+
+  // 一覧・スレッドに表示する形
+  toSummary(conversation) {
+    const { role, application, job } = conversation;
+    return {
+      applicationId: conversation.applicationId,
+      matchId: conversation.matchId,
+      jobId: conversation.jobId,
+      role,
+      job: { id: job.id, title: job.title, status: job.status },
+      application: { id: application.id, status: application.status },
+      counterpart: role === 'applicant'
+        ? { id: conversation.employerId, name: conversation.employerName, email: job.clientEmail || null }
+        : { id: conversation.applicantId, name: conversation.applicantName, email: application.applicantEmail || null }
+    };
+  }
+
+  /**
+   * 応募を通じてやり取りできる相手の ID（自分の案件の応募者・応募した案件の投稿者。ユーザーID とメールアドレスの両方）
+   * @returns {Promise<string[]>}
+   */
+  async listCounterpartIds(user) {
+    const [ownJobs, ownApplications] = await Promise.all([
+      db.find('jobs', { clientId: user.userId }),
+      db.find('applications', { applicantId: user.userId })
+    ]);
+
+    const receivedApplications = ownJobs.length > 0
+      ? await db.find('applications', { jobId: ownJobs.map(job => job.id) })
+      : [];
+    const appliedJobIds = [...new Set(ownApplications.map(application => application.jobId))];
+    const appliedJobs = appliedJobIds.length > 0 ? await db.find('jobs', { id: appliedJobIds }) : [];
+
+    const ids = [
+      ...receivedApplications.flatMap(application => [application.applicantId, application.applicantEmail]),
+      ...appliedJobs.flatMap(job => [job.clientId, job.clientEmail])
+    ];
+    const identities = getIdentities(user);
+    return [...new Set(ids.filter(Boolean).map(String))].filter(id => !identities.includes(id));
+  }
+
+  /**
+   * ユーザーが当事者の会話を最終更新順で返す
+   * 面談中・オファー中・採用決定の応募、またはメッセージのやり取りがある応募を会話とみなす
+   * @returns {Promise<object[]>} - toSummary() に { lastMessage, lastActivityAt, unreadCount } を加えたもの
+   */
+  async listForUser(user) {
+    const identities = getIdentities(user);
+    const [ownJobs, ownApplications] = await Promise.all([
+      db.find('jobs', { clientId: user.userId }),
+      db.find('applications', { applicantId: user.userId })
+    ]);
+
+    const receivedApplications = ownJobs.length > 0
+      ? await db.find('applications', { jobId: ownJobs.map(job => job.id) })
+      : [];
+    const appliedJobIds = [...new Set(ownApplications.map(application => application.jobId))];
+    const appliedJobs = appliedJobIds.length > 0 ? await db.find('jobs', { id: appliedJobIds }) : [];
+    const jobs = [...ownJobs, ...appliedJobs];
+
+    const applications = [...receivedApplications, ...ownApplications]
+      .filter((application, index, list) => list.findIndex(item => String(item.id) === String(application.id)) === index);
+    const applicationIds = applications.map(application => application.id);
+
+    const [matches, unreadCounts] = await Promise.all([
+      applicationIds.length > 0 ? db.find('matches', { applicationId: applicationIds }) : [],
+      chatService.getUnreadCounts(user)
+    ]);
+
+    const conversations = await Promise.all(applications.map(async (application) => {
+      const job = jobs.find(item => String(item.id) === String(application.jobId));
+      if (!job) return null;
+
+      const lastMessage = await chatService.getLatestMessage(application.id);
+      if (!CONVERSATION_APPLICATION_STATUSES.includes(application.status) && !lastMessage) {
+        return null;
+      }
+
+      const match = matches.find(item => String(item.applicationId) === String(application.id));
+      const role = includesAny(identities, application.applicantId, application.applicantEmail) ? 'applicant' : 'client';
+
+      return {
+        ...this.toSummary({ ...this.build(application, job, match ? match.id : null), role, application, job }),
+        lastMessage,
+        lastActivityAt: lastMessage ? lastMessage.timestamp : application.updatedAt || application.createdAt,
+        unreadCount: unreadCounts.byApplication[String(application.id)] || 0
+      };
+    }));
+
+    return conversations
+      .filter(Boolean)
+      .sort((a, b) => new Date(b.lastActivityAt) - new Date(a.lastActivityAt));
+  }
+}
+
+module.exports = new ConversationService();
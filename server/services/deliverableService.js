@@ -0,0 +1,97 @@
+const ApiError = require('../utils/ApiError');
+const jobService = require('./jobService');
+const attachmentService = require('./attachmentService');
+const domainEvents = require('../events/domainEvents');
+const { DOMAIN_EVENTS } = require('../events/domainEvents');
+const { JOB_STATUS } = require('../../utils/jobStatus');
+const { getMilestoneParticipant } = require('../../utils/milestoneUtils');
+const {
+  DELIVERABLE_STATUS,
+  MAX_DELIVERABLE_FILES,
+  getSubmissionError,
+  getReviewError,
+  submitDeliverable,
+  reviewDeliverable
+} = require('../../utils/deliverableUtils');
+
+const participantOf = (job, user) => getMilestoneParticipant(job, [user.userId, user.email].filter(Boolean));
+
+class DeliverableService {
+  /**
+   * 納品する（採用したフリーランサーのみ）
+   * @param {string} jobId
+   * @param {object} submission - { milestoneId, note, attachmentIds }（attachmentIds は /api/uploads に jobId を付けて取得したもの）
+   * @param {object} user - トークンのペイロード
+   * @returns {Promise<object>} - { job, deliverable }
+   */
+  async submit(jobId, { milestoneId, note, attachmentIds = [] } = {}, user) {
+    const job = await jobService.getJob(jobId);
+    const participant = participantOf(job, user);
+
+    const ids = Array.isArray(attachmentIds) ? [...new Set(attachmentIds.map(String))] : [];
+    if (ids.length > MAX_DELIVERABLE_FILES) {
+      throw ApiError.badRequest(`ファイルは${MAX_DELIVERABLE_FILES}件まで添付できます`);
+    }
+    if (ids.length === 0 && (typeof note !== 'string' || note.trim().length === 0)) {
+      throw ApiError.badRequest('ファイルまたはコメントを添えて納品してください');
+    }
+    const attachments = await Promise.all(ids.map(id => attachmentService.getForDeliverable(id, user, job.id)));
+
+    const error = getSubmissionError(job, participant, { milestoneId, note, attachments });
+    if (error) {
+      if (!participant || participant.role !== 'freelancer') throw ApiError.forbidden(error);
+      throw ApiError.conflict(error);
+    }
+
+    const { deliverables, milestones, deliverable } = submitDeliverable(job, {
+      milestoneId,
+      note,
+      attachments: attachments.map(attachment => attachmentService.toPublic(attachment)),
+      submittedBy: participant.participantId,
+      submittedByName: user.name || user.email
+    });
+    const updated = await jobService.update(job, { deliverables, milestones });
+
+    domainEvents.publish(DOMAIN_EVENTS.DELIVERABLE_SUBMITTED, { job: updated, deliverable, actor: user });
+    return { job: updated, deliverable };
+  }
+
+  /**
+   * 検収・修正依頼（案件投稿者のみ）
+   * 採用したフリーランサー全員の作業を検収したら案件を完了にする（JOB_COMPLETED が発行される）
+   * @param {string} toStatus - DELIVERABLE_STATUS.ACCEPTED / REVISION_REQUESTED
+   * @param {string} comment - 修正依頼の内容
+   * @returns {Promise<object>} - { job, deliverable }
+   */
+  async review(jobId, deliverableId, toStatus, user, comment) {
+    const job = await jobService.getJob(jobId);
+    const participant = participantOf(job, user);
+    const current = (job.deliverables || []).find(deliverable => String(deliverable.id) === String(deliverableId));
+
+    if (toStatus === DELIVERABLE_STATUS.REVISION_REQUESTED && (typeof comment !== 'string' || comment.trim().length === 0)) {
+      throw ApiError.badRequest('修正してほしい内容を入力してください');
+    }
+
+    const error = getReviewError(job, current, participant, toStatus, comment);
+    if (error) {
+      if (!current) throw ApiError.notFound(error);
+      if (!participant || participant.role !== 'client') throw ApiError.forbidden(error);
+      throw ApiError.conflict(error);
+    }
+
+    const { deliverables, milestones, deliverable, completed } = reviewDeliverable(job, deliverableId, toStatus, comment);
+    const updated = completed
+      ? await jobService.transition(job, JOB_STATUS.COMPLETED, user, {
+        deliverables,
+        milestones,
+        reason: '納品物を検収',
+        completedAt: new Date().toISOString()
+      })
+      : await jobService.update(job, { deliverables, milestones });
+
+    domainEvents.publish(DOMAIN_EVENTS.DELIVERABLE_REVIEWED, { job: updated, deliverable, actor: user });
+    return { job: updated, deliverable };
+  }
+}
+
+module.exports = new DeliverableService();
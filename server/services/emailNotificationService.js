@@ -0,0 +1,281 @@
+const nodemailer = require('nodemailer');
+const db = require('../db');
+const userService = require('./userService');
+const { getNotificationLink } = require('../../utils/notificationUtils');
+
+const TABLE = 'email_deliveries';
+
+const APP_NAME = 'CrowdMVP';
+const APP_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+const MAIL_FROM = process.env.MAIL_FROM || `${APP_NAME} <no-reply@localhost>`;
+const TIMEZONE = 'Asia/Tokyo';
+
+// 優先度 low の通知はまとめて 1 日 1 回（EMAIL_DIGEST_HOUR 時、日本時間）に送る
+const DIGEST_HOUR = Number.isInteger(parseInt(process.env.EMAIL_DIGEST_HOUR, 10))
+  ? parseInt(process.env.EMAIL_DIGEST_HOUR, 10)
+  : 8;
+const DIGEST_CHECK_INTERVAL = 10 * 60 * 1000;
+
+const DELIVERY_STATUS = {
+  QUEUED: 'queued',   // ダイジェスト待ち・送信中
+  SENT: 'sent',
+  FAILED: 'failed',
+  BOUNCED: 'bounced'
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDateTime = (value) => new Date(value).toLocaleString('ja-JP', {
+  timeZone: TIMEZONE,
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const absoluteUrl = (path) => `${APP_URL}${path}`;
+
+// メール共通のレイアウト
+const renderLayout = ({ heading, contentHtml, actionUrl, actionLabel }) => `<!DOCTYPE html>
+<html lang="ja">
+<head><meta charset="utf-8"><title>${escapeHtml(heading)}</title></head>
+<body style="margin:0;padding:24px;background:#f3f4f6;font-family:'Hiragino Sans','Noto Sans JP',Meiryo,sans-serif;color:#111827;">
+  <div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:12px;padding:32px;">
+    <p style="margin:0 0 16px;font-size:14px;color:#6b7280;">${APP_NAME}</p>
+    <h1 style="margin:0 0 16px;font-size:20px;">${escapeHtml(heading)}</h1>
+    ${contentHtml}
+    ${actionUrl ? `<p style="margin:24px 0 0;"><a href="${escapeHtml(actionUrl)}" style="display:inline-block;padding:12px 24px;background:#3b82f6;color:#ffffff;border-radius:8px;text-decoration:none;">${escapeHtml(actionLabel)}</a></p>` : ''}
+    <p style="margin:32px 0 0;font-size:12px;color:#9ca3af;">
+      このメールは ${APP_NAME} から自動送信されています。<br>
+      通知の受け取り方法は <a href="${escapeHtml(absoluteUrl('/profile'))}" style="color:#6b7280;">プロフィールの「通知設定」</a> から変更できます。
+    </p>
+  </div>
+</body>
+</html>`;
+
+const TEXT_FOOTER = `\n\n--\nこのメールは ${APP_NAME} から自動送信されています。\n通知の受け取り方法はプロフィールの「通知設定」から変更できます: ${absoluteUrl('/profile')}`;
+
+/**
+ * 1 件の通知のメール
+ * @param {object} notification - { type, title, message, icon, data, createdAt }
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+const renderNotificationMail = (notification) => {
+  const url = absoluteUrl(getNotificationLink(notification));
+
+  return {
+    subject: `【${APP_NAME}】${notification.title}`,
+    text: `${notification.title}\n\n${notification.message}\n\n詳細を確認する: ${url}${TEXT_FOOTER}`,
+    html: renderLayout({
+      heading: `${notification.icon || ''} ${notification.title}`.trim(),
+      contentHtml: `<p style="margin:0;font-size:15px;line-height:1.7;">${escapeHtml(notification.message)}</p>`,
+      actionUrl: url,
+      actionLabel: '詳細を確認する'
+    })
+  };
+};
+
+/**
+ * ダイジェストメール（複数の通知を 1 通にまとめる）
+ * @param {object[]} items - 配信記録（title, message, type, data, createdAt）
+ */
+const renderDigestMail = (items) => {
+  const heading = `新しいお知らせが${items.length}件あります`;
+
+  const lines = items.map(item => {
+    return `・${item.title}（${formatDateTime(item.createdAt)}）\n  ${item.message}\n  ${absoluteUrl(getNotificationLink(item))}`;
+  });
+  const rows = items.map(item => `
+    <li style="margin:0 0 16px;">
+      <a href="${escapeHtml(absoluteUrl(getNotificationLink(item)))}" style="color:#1d4ed8;font-weight:bold;text-decoration:none;">${escapeHtml(item.title)}</a>
+      <span style="font-size:12px;color:#9ca3af;">${escapeHtml(formatDateTime(item.createdAt))}</span><br>
+      <span style="font-size:14px;line-height:1.6;">${escapeHtml(item.message)}</span>
+    </li>`).join('');
+
+  return {
+    subject: `【${APP_NAME}】${heading}`,
+    text: `${heading}\n\n${lines.join('\n\n')}${TEXT_FOOTER}`,
+    html: renderLayout({
+      heading,
+      contentHtml: `<ul style="margin:0;padding:0 0 0 20px;">${rows}</ul>`,
+      actionUrl: absoluteUrl('/'),
+      actionLabel: `${APP_NAME} を開く`
+    })
+  };
+};
+
+// SMTP の 5xx 応答（宛先不明など）は再送しても届かないためバウンスとして扱う
+const isPermanentFailure = (error) => !!error && Number(error.responseCode) >= 500;
+
+// 日本時間の日付と時
+const tokyoClock = (date) => {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone: TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const value = (type) => parts.find(part => part.type === type).value;
+  return { date: `${value('year')}-${value('month')}-${value('day')}`, hour: Number(value('hour')) };
+};
+
+class EmailNotificationService {
+  constructor() {
+    this.transporter = null;
+    this.lastDigestDate = null;
+    this.digestTimer = null;
+  }
+
+  // SMTP_HOST が設定されている場合のみメールを送る（ローカルでは MailHog などの SMTP キャッチャーを指定する）
+  isEnabled() {
+    return !!this.transporter || !!process.env.SMTP_HOST;
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    }
+    return this.transporter;
+  }
+
+  /**
+   * 送信に使う transporter を差し替える
+   * @param {object} transporter - nodemailer の transporter（sendMail を持つもの）
+   */
+  setTransporter(transporter) {
+    this.transporter = transporter;
+  }
+
+  // 通知の受信者（メールアドレスまたはユーザーID）の宛先メールアドレス
+  async resolveAddress(recipientId) {
+    if (String(recipientId).includes('@')) return String(recipientId);
+
+    const user = await userService.findById(recipientId);
+    return user ? user.email : null;
+  }
+
+  // メールを送信し、配信記録に結果を残す
+  async deliver(deliveryIds, to, mail) {
+    try {
+      const info = await this.getTransporter().sendMail({ from: MAIL_FROM, to, ...mail });
+      const rejected = (info.rejected || []).map(String).includes(to);
+
+      await db.updateWhere(TABLE, { id: deliveryIds }, {
+        status: rejected ? DELIVERY_STATUS.BOUNCED : DELIVERY_STATUS.SENT,
+        messageId: info.messageId || null,
+        sentAt: new Date().toISOString(),
+        bouncedAt: rejected ? new Date().toISOString() : null,
+        error: rejected ? String(info.response || 'rejected') : null
+      });
+    } catch (error) {
+      const bounced = isPermanentFailure(error);
+      await db.updateWhere(TABLE, { id: deliveryIds }, {
+        status: bounced ? DELIVERY_STATUS.BOUNCED : DELIVERY_STATUS.FAILED,
+        bouncedAt: bounced ? new Date().toISOString() : null,
+        error: error.response || error.message
+      });
+      console.error(`❌ Email delivery error (${to}):`, error.message);
+    }
+  }
+
+  /**
+   * 通知サービスのメールチャネル
+   * 優先度 low の通知はダイジェスト待ちとして記録し、それ以外はすぐに送る
+   * @param {string} recipientId
+   * @param {object} notification - 通知サービスが生成した通知
+   */
+  async send(recipientId, notification) {
+    const to = await this.resolveAddress(recipientId);
+    if (!to) {
+      console.warn(`📧 No email address for recipient ${recipientId}`);
+      return;
+    }
+
+    const digest = notification.priority === 'low';
+    const delivery = await db.insert(TABLE, {
+      recipientId: String(recipientId),
+      to,
+      notificationId: notification.id || null,
+      type: notification.type,
+      priority: notification.priority,
+      title: notification.title,
+      message: notification.message,
+      data: notification.data || {},
+      digest,
+      status: DELIVERY_STATUS.QUEUED,
+      messageId: null
+    });
+
+    if (!digest) {
+      await this.deliver([delivery.id], to, renderNotificationMail({ ...notification, createdAt: delivery.createdAt }));
+    }
+  }
+
+  /**
+   * ダイジェスト待ちの通知を宛先ごとに 1 通にまとめて送る
+   * @returns {Promise<number>} - 送信したメールの数
+   */
+  async sendDigests() {
+    const queued = await db.find(TABLE, { digest: true, status: DELIVERY_STATUS.QUEUED });
+    const byAddress = queued.reduce((groups, item) => {
+      (groups[item.to] = groups[item.to] || []).push(item);
+      return groups;
+    }, {});
+
+    for (const [to, items] of Object.entries(byAddress)) {
+      items.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+      await this.deliver(items.map(item => item.id), to, renderDigestMail(items));
+    }
+    return Object.keys(byAddress).length;
+  }
+
+  // 一定間隔で確認し、日本時間の DIGEST_HOUR 時台に 1 日 1 回ダイジェストを送る
+  startDigestSchedule() {
+    if (this.digestTimer) return;
+
+    this.digestTimer = setInterval(() => {
+      const { date, hour } = tokyoClock(new Date());
+      if (hour !== DIGEST_HOUR || this.lastDigestDate === date) return;
+
+      this.lastDigestDate = date;
+      this.sendDigests()
+        .then(count => console.log(`📧 Sent ${count} digest email(s)`))
+        .catch(error => console.error('❌ Email digest error:', error));
+    }, DIGEST_CHECK_INTERVAL);
+    this.digestTimer.unref();
+  }
+
+  /**
+   * 配信後に届いたバウンス（メール配信サービスの Webhook など）を記録する
+   * @param {object} bounce - { messageId, recipient, reason }
+   * @returns {Promise<number>} - 更新した配信記録の数
+   */
+  async recordBounce({ messageId, recipient, reason }) {
+    const updated = await db.updateWhere(TABLE, {
+      messageId: String(messageId),
+      to: recipient ? String(recipient) : undefined
+    }, {
+      status: DELIVERY_STATUS.BOUNCED,
+      bouncedAt: new Date().toISOString(),
+      error: reason || 'bounced'
+    });
+    return updated.length;
+  }
+}
+
+module.exports = new EmailNotificationService();
@@ -0,0 +1,242 @@
+const db = require('../db');
+const ApiError = require('../utils/ApiError');
+const PdfDocument = require('../utils/pdfDocument');
+const userService = require('./userService');
+const { getAssignedFreelancers, getAssigneeId } = require('../../utils/jobStatus');
+const {
+  CONSUMPTION_TAX_RATE,
+  ISSUER_NAME_MAX,
+  normalizeRegistrationNumber,
+  isValidRegistrationNumber,
+  summarizeTaxByRate,
+  formatInvoiceNumber
+} = require('../../utils/invoiceUtils');
+
+const TABLE = 'invoices';
+const SETTINGS_TABLE = 'invoice_settings';
+
+const formatYen = (amount) => `￥${Number(amount || 0).toLocaleString('ja-JP')}`;
+const formatDate = (value) => new Date(value).toLocaleDateString('ja-JP', {
+  timeZone: 'Asia/Tokyo',
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric'
+});
+
+// 幅に収まらない文字列は末尾を省略する
+const fitText = (pdf, text, size, maxWidth) => {
+  if (pdf.textWidth(text, size) <= maxWidth) return text;
+  let fitted = Array.from(text);
+  while (fitted.length > 0 && pdf.textWidth(`${fitted.join('')}…`, size) > maxWidth) fitted = fitted.slice(0, -1);
+  return `${fitted.join('')}…`;
+};
+
+const identitiesOf = (user) => [user.userId, user.email].filter(Boolean);
+
+const withDefaults = (record) => ({
+  registrationNumber: (record && record.registrationNumber) || '',
+  issuerName: (record && record.issuerName) || '',
+  updatedAt: record ? record.updatedAt : null
+});
+
+// 請求書（フリーランサーからクライアントへ。エスクローからの支払いごとに発行する）
+class InvoiceService {
+  constructor() {
+    this.numbering = new Map(); // 発行者 -> 実行中の採番（連番が重複しないよう発行者ごとに直列に実行する）
+  }
+
+  // 請求書の発行者設定（適格請求書発行事業者の登録番号・請求書に記載する名前）
+  async getSettings(user) {
+    return withDefaults(await db.findById(SETTINGS_TABLE, user.userId));
+  }
+
+  // 発行者（ユーザーID またはメールアドレス）の設定
+  async getSettingsForIssuer(issuerId) {
+    const record = await db.findById(SETTINGS_TABLE, issuerId) || await db.findOne(SETTINGS_TABLE, { email: String(issuerId) });
+    return withDefaults(record);
+  }
+
+  /**
+   * 発行者設定を更新する（登録番号を空にすると、以後は適格請求書ではない請求書になる）
+   * @param {object} changes - { registrationNumber, issuerName }
+   */
+  async updateSettings(user, { registrationNumber = '', issuerName = '' } = {}) {
+    const normalized = normalizeRegistrationNumber(registrationNumber);
+    if (normalized && !isValidRegistrationNumber(normalized)) {
+      throw ApiError.badRequest('登録番号は「T」と13桁の数字で入力してください');
+    }
+    if (typeof issuerName !== 'string' || issuerName.trim().length > ISSUER_NAME_MAX) {
+      throw ApiError.badRequest(`請求書に記載する名前は${ISSUER_NAME_MAX}文字以内で入力してください`);
+    }
+
+    const values = {
+      email: user.email || null,
+      registrationNumber: normalized,
+      issuerName: issuerName.trim()
+    };
+    const existing = await db.findById(SETTINGS_TABLE, user.userId);
+    const saved = existing
+      ? await db.update(SETTINGS_TABLE, user.userId, values)
+      : await db.insert(SETTINGS_TABLE, { id: user.userId, ...values });
+    return withDefaults(saved);
+  }
+
+  // 発行者ごとに順番に実行する
+  async withIssuerLock(issuerId, task) {
+    const previous = this.numbering.get(issuerId) || Promise.resolve();
+    const current = previous.catch(() => {}).then(task);
+    const settled = current.catch(() => {});
+    this.numbering.set(issuerId, settled);
+
+    try {
+      return await current;
+    } finally {
+      if (this.numbering.get(issuerId) === settled) this.numbering.delete(issuerId);
+    }
+  }
+
+  /**
+   * エスクローからの支払い（検収した案件・マイルストーンの金額）の請求書を発行する
+   * 発行時点の登録番号・名前を記録し、発行後は変更しない
+   * @param {object} job
+   * @param {object} transaction - 元帳の release 取引
+   * @returns {Promise<object>}
+   */
+  async issueForRelease(job, transaction) {
+    const issuerId = transaction.freelancerId;
+
+    return this.withIssuerLock(issuerId, async () => {
+      const existing = await db.findOne(TABLE, { transactionId: transaction.id });
+      if (existing) return existing;
+
+      const settings = await this.getSettingsForIssuer(issuerId);
+      const user = await userService.findByEmail(issuerId);
+      const assignee = getAssignedFreelancers(job).find(item => getAssigneeId(item) === issuerId);
+      const sequence = await db.count(TABLE, { issuerId }) + 1;
+
+      const lines = [{
+        description: transaction.reason ? `${job.title}（${transaction.reason}）` : job.title,
+        taxRate: CONSUMPTION_TAX_RATE,
+        amount: transaction.amount
+      }];
+      const taxSummary = summarizeTaxByRate(lines);
+
+      return db.insert(TABLE, {
+        number: formatInvoiceNumber(sequence),
+        sequence,
+        qualified: !!settings.registrationNumber,
+        issuerId,
+        issuerName: settings.issuerName || (user && user.name) || (assignee && assignee.name) || issuerId,
+        registrationNumber: settings.registrationNumber || null,
+        recipientId: job.clientEmail || job.clientId,
+        recipientName: job.clientName || job.clientEmail || '',
+        jobId: job.id,
+        jobTitle: job.title,
+        transactionId: transaction.id,
+        transactionDate: transaction.createdAt,
+        issuedAt: new Date().toISOString(),
+        lines,
+        taxSummary,
+        subtotal: taxSummary.reduce((sum, item) => sum + item.subtotal, 0),
+        tax: taxSummary.reduce((sum, item) => sum + item.tax, 0),
+        total: taxSummary.reduce((sum, item) => sum + item.total, 0)
+      });
+    });
+  }
+
+  /**
+   * 発行した請求書・受け取った請求書
+   * @param {string} role - issued / received
+   */
+  async listForUser(user, role = 'issued') {
+    const field = role === 'received' ? 'recipientId' : 'issuerId';
+    return db.find(TABLE, { [field]: identitiesOf(user) }, { orderBy: 'issuedAt', ascending: false });
+  }
+
+  // 請求書（発行者・宛先のみ）
+  async getForUser(invoiceId, user) {
+    const invoice = await db.findById(TABLE, invoiceId);
+    if (!invoice) {
+      throw ApiError.notFound('請求書が見つかりません');
+    }
+    const identities = identitiesOf(user).map(String);
+    if (!identities.includes(String(invoice.issuerId)) && !identities.includes(String(invoice.recipientId))) {
+      throw ApiError.forbidden('この請求書を閲覧する権限がありません');
+    }
+    return invoice;
+  }
+
+  /**
+   * 請求書の PDF
+   * 適格請求書の記載事項（発行者と登録番号・取引年月日・取引内容・税率ごとの合計額と消費税額・宛先）を記載する
+   * @returns {Buffer}
+   */
+  renderPdf(invoice) {
+    const title = invoice.qualified ? '適格請求書' : '請求書';
+    const pdf = new PdfDocument({ title: `${title} ${invoice.number}` });
+    const left = 50;
+    const right = 545;
+
+    pdf.text(title, 297.6, 70, { size: 22, align: 'center' });
+    pdf.text(`請求書番号: ${invoice.number}`, right, 105, { size: 9, align: 'right' });
+    pdf.text(`発行日: ${formatDate(invoice.issuedAt)}`, right, 119, { size: 9, align: 'right' });
+
+    // 宛先
+    pdf.text(`${invoice.recipientName} 御中`, left, 150, { size: 14 });
+    pdf.line(left, 156, 290, 156, { width: 0.8 });
+
+    // 発行者
+    pdf.text(invoice.issuerName, right, 150, { size: 11, align: 'right' });
+    pdf.text(
+      invoice.registrationNumber ? `登録番号: ${invoice.registrationNumber}` : '登録番号: なし（適格請求書発行事業者ではありません）',
+      right,
+      166,
+      { size: 9, align: 'right' }
+    );
+    pdf.text(invoice.issuerId, right, 180, { size: 9, align: 'right' });
+
+    pdf.text('下記のとおりご請求申し上げます。', left, 210, { size: 10 });
+    pdf.rect(left, 222, 250, 34, { fill: 0.93 });
+    pdf.text('ご請求金額（税込）', left + 10, 244, { size: 10 });
+    pdf.text(formatYen(invoice.total), left + 240, 245, { size: 15, align: 'right' });
+
+    // 明細
+    const columns = { date: left + 6, description: left + 90, rate: 420, amount: right - 6 };
+    let y = 290;
+    pdf.rect(left, y - 14, right - left, 20, { fill: 0.9 });
+    pdf.text('取引日', columns.date, y, { size: 9 });
+    pdf.text('内容', columns.description, y, { size: 9 });
+    pdf.text('税率', columns.rate, y, { size: 9, align: 'right' });
+    pdf.text('金額（税込）', columns.amount, y, { size: 9, align: 'right' });
+
+    invoice.lines.forEach(line => {
+      y += 22;
+      pdf.text(formatDate(invoice.transactionDate), columns.date, y, { size: 9 });
+      pdf.text(fitText(pdf, line.description, 9, columns.rate - columns.description - 40), columns.description, y, { size: 9 });
+      pdf.text(`${line.taxRate}%`, columns.rate, y, { size: 9, align: 'right' });
+      pdf.text(formatYen(line.amount), columns.amount, y, { size: 9, align: 'right' });
+      pdf.line(left, y + 8, right, y + 8);
+    });
+
+    // 税率ごとの合計額と消費税額
+    y += 36;
+    invoice.taxSummary.forEach(item => {
+      pdf.text(`${item.rate}%対象  税抜 ${formatYen(item.subtotal)}`, 330, y, { size: 9, align: 'right' });
+      pdf.text(`消費税 ${formatYen(item.tax)}`, 430, y, { size: 9, align: 'right' });
+      pdf.text(`税込 ${formatYen(item.total)}`, right, y, { size: 9, align: 'right' });
+      y += 16;
+    });
+    pdf.line(300, y - 4, right, y - 4, { width: 0.8 });
+    y += 12;
+    pdf.text('合計（税込）', 430, y, { size: 11, align: 'right' });
+    pdf.text(formatYen(invoice.total), right, y, { size: 11, align: 'right' });
+
+    y += 40;
+    pdf.text(fitText(pdf, `案件: ${invoice.jobTitle}`, 9, right - left), left, y, { size: 9 });
+    pdf.text('お支払い: エスクロー決済にてお預かりした報酬からお支払い済みです。', left, y + 16, { size: 9 });
+
+    return pdf.toBuffer();
+  }
+}
+
+module.exports = new InvoiceService();
@@ -0,0 +1,66 @@
+const db = require('../db');
+const ApiError = require('../utils/ApiError');
+const { appendHistory } = require('../utils/statusHistory');
+const domainEvents = require('../events/domainEvents');
+const { DOMAIN_EVENTS } = require('../events/domainEvents');
+const { JOB_STATUS, JOB_STATUS_LABELS, canTransitionJob } = require('../../utils/jobStatus');
+
+const TABLE = 'jobs';
+
+class JobService {
+  async getJob(jobId) {
+    const job = await db.findById(TABLE, jobId);
+    if (!job) {
+      throw ApiError.notFound('案件が見つかりません');
+    }
+    return job;
+  }
+
+  isOwner(job, user) {
+    return !!user && String(job.clientId) === String(user.userId);
+  }
+
+  async getOwnedJob(jobId, user) {
+    const job = await this.getJob(jobId);
+    if (!this.isOwner(job, user)) {
+      throw ApiError.forbidden('この案件を操作する権限がありません');
+    }
+    return job;
+  }
+
+  // ステータス以外の項目の更新
+  async update(job, values) {
+    return db.update(TABLE, job.id, values);
+  }
+
+  /**
+   * 案件ステータスを遷移させ、変更者と日時を履歴に記録する
+   * @param {object} job - 現在の案件
+   * @param {string} toStatus - 遷移先ステータス
+   * @param {object|null} user - 変更したユーザー（null はシステムによる変更）
+   * @param {object} options - { reason, ...ステータス以外に同時に更新する項目 }
+   */
+  async transition(job, toStatus, user, { reason, ...extra } = {}) {
+    if (!canTransitionJob(job.status, toStatus)) {
+      throw ApiError.conflict(
+        `「${JOB_STATUS_LABELS[job.status] || job.status}」の案件を「${JOB_STATUS_LABELS[toStatus] || toStatus}」にすることはできません`
+      );
+    }
+
+    const updated = await db.update(TABLE, job.id, {
+      ...extra,
+      status: toStatus,
+      statusHistory: appendHistory(job, toStatus, user, reason)
+    });
+
+    if (toStatus === JOB_STATUS.COMPLETED) {
+      domainEvents.publish(DOMAIN_EVENTS.JOB_COMPLETED, { job: updated, actor: user });
+    }
+    if (toStatus === JOB_STATUS.CANCELLED) {
+      domainEvents.publish(DOMAIN_EVENTS.JOB_CANCELLED, { job: updated, actor: user });
+    }
+    return updated;
+  }
+}
+
+module.exports = new JobService();
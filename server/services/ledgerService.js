@@ -0,0 +1,92 @@
+const db = require('../db');
+
+const TABLE = 'ledger_transactions';
+
+// 勘定科目（エスクローは案件・フリーランサーごとに分ける）
+const LEDGER_ACCOUNTS = {
+  PROVIDER: 'provider_clearing', // 決済プロバイダーで預かっている資金（資産）
+  PLATFORM_FEES: 'platform_fees' // プラットフォーム手数料（収益）
+};
+
+const escrowAccount = (jobId, freelancerId) => `escrow:${jobId}:${freelancerId}`;
+
+const isAmount = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * 仕訳が正しいか検証する（借方・貸方のどちらか一方のみに金額があり、合計が一致すること）
+ * @param {object[]} entries - [{ account, debit, credit }]
+ */
+const validateEntries = (entries) => {
+  if (!Array.isArray(entries) || entries.length < 2) {
+    throw new Error('仕訳は2行以上必要です');
+  }
+
+  let debitTotal = 0;
+  let creditTotal = 0;
+  entries.forEach(({ account, debit = 0, credit = 0 }) => {
+    if (!account || !isAmount(debit) || !isAmount(credit) || (debit > 0) === (credit > 0)) {
+      throw new Error(`仕訳が不正です: ${JSON.stringify({ account, debit, credit })}`);
+    }
+    debitTotal += debit;
+    creditTotal += credit;
+  });
+
+  if (debitTotal !== creditTotal) {
+    throw new Error(`借方（${debitTotal}）と貸方（${creditTotal}）が一致しません`);
+  }
+};
+
+/**
+ * 勘定の貸方残高（credit − debit）。エスクロー・手数料のように貸方に積み上がる勘定の残高
+ * @param {object[]} transactions
+ * @param {string} account
+ */
+const creditBalanceOf = (transactions, account) => transactions.reduce((sum, transaction) => (
+  sum + transaction.entries
+    .filter(entry => entry.account === account)
+    .reduce((total, entry) => total + (entry.credit || 0) - (entry.debit || 0), 0)
+), 0);
+
+// 複式簿記の元帳（取引は追記のみで、更新・削除はしない）
+class LedgerService {
+  /**
+   * 取引を記帳する（同じ idempotencyKey の取引がすでにあれば、それを返す）
+   * @param {object} transaction - { type, idempotencyKey, entries, ...jobId などの付帯情報 }
+   * @returns {Promise<object>}
+   */
+  async post({ idempotencyKey, entries, ...details }) {
+    if (idempotencyKey) {
+      const existing = await this.findByKey(idempotencyKey);
+      if (existing) return existing;
+    }
+
+    validateEntries(entries);
+    return db.insert(TABLE, {
+      ...details,
+      idempotencyKey: idempotencyKey || null,
+      entries: entries.map(({ account, debit = 0, credit = 0 }) => ({ account, debit, credit }))
+    });
+  }
+
+  async findByKey(idempotencyKey) {
+    return db.findOne(TABLE, { idempotencyKey });
+  }
+
+  async findOne(where) {
+    return db.findOne(TABLE, where);
+  }
+
+  async listByJob(jobId) {
+    return db.find(TABLE, { jobId }, { orderBy: 'createdAt', ascending: true });
+  }
+
+  // 案件・フリーランサーごとのエスクロー残高
+  async getEscrowBalance(jobId, freelancerId) {
+    return creditBalanceOf(await this.listByJob(jobId), escrowAccount(jobId, freelancerId));
+  }
+}
+
+module.exports = new LedgerService();
+module.exports.LEDGER_ACCOUNTS = LEDGER_ACCOUNTS;
+module.exports.escrowAccount = escrowAccount;
+module.exports.creditBalanceOf = creditBalanceOf;
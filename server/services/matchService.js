@@ -0,0 +1,142 @@
+const db = require('../db');
+const ApiError = require('../utils/ApiError');
+const chatService = require('./chatService');
+const conversationService = require('./conversationService');
+const socketHandler = require('../socket/socketHandler');
+
+const TABLE = 'matches';
+
+// マッチングに保存する案件の情報（案件が削除・変更されても一覧に表示できるよう、作成時点の内容を残す）
+const JOB_SUMMARY_FIELDS = ['id', 'title', 'category', 'budget', 'deadline', 'status', 'headcount'];
+
+const toJobSummary = (job) => JOB_SUMMARY_FIELDS.reduce((summary, field) => {
+  if (job[field] !== undefined) summary[field] = job[field];
+  return summary;
+}, {});
+
+class MatchService {
+  async getMatch(matchId) {
+    const match = await db.findById(TABLE, matchId);
+    if (!match) {
+      throw ApiError.notFound('マッチングが見つかりません');
+    }
+    return match;
+  }
+
+  // ユーザーを指す ID（マッチングにはユーザーID・メールアドレスのどちらかが保存されている）
+  identities(user) {
+    return [user.userId, user.email].filter(Boolean).map(String);
+  }
+
+  // クライアント（employer）または応募者のどちらかであるか
+  isParticipant(match, user) {
+    if (!match || !user) return false;
+    const identities = this.identities(user);
+    return [match.employerId, match.applicantId]
+      .filter(Boolean)
+      .some(id => identities.includes(String(id)));
+  }
+
+  async getParticipatingMatch(matchId, user) {
+    const match = await this.getMatch(matchId);
+    if (!this.isParticipant(match, user)) {
+      throw ApiError.forbidden('このマッチングに参加する権限がありません');
+    }
+    return match;
+  }
+
+  // ユーザーが当事者になっているマッチング
+  async listForUser(user) {
+    const identities = this.identities(user);
+    const [asEmployer, asApplicant] = await Promise.all([
+      db.find(TABLE, { employerId: identities }),
+      db.find(TABLE, { applicantId: identities })
+    ]);
+    return [...asEmployer, ...asApplicant.filter(match => !asEmployer.some(item => item.id === match.id))];
+  }
+
+  // マッチング上の相手のユーザーID
+  getPartnerId(match, user) {
+    return this.identities(user).includes(String(match.employerId)) ? match.applicantId : match.employerId;
+  }
+
+  // マッチング上の相手のユーザーID（重複を除く）
+  async listPartnerIds(user) {
+    const matches = await this.listForUser(user);
+    return [...new Set(matches.map(match => String(this.getPartnerId(match, user))))];
+  }
+
+  /**
+   * ユーザーのマッチングを新しい順に、案件の詳細を付けて返す
+   * API サーバーにある案件は最新の内容、無い案件は作成時点の内容（match.job）を使う
+   * @returns {Promise<object[]>} - { ...match, job }
+   */
+  async listWithJobs(user) {
+    const matches = (await this.listForUser(user))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    const jobs = matches.length > 0
+      ? await db.find('jobs', { id: [...new Set(matches.map(match => match.jobId))] })
+      : [];
+
+    return matches.map(match => {
+      const job = jobs.find(item => String(item.id) === String(match.jobId));
+      return { ...match, job: job ? toJobSummary(job) : match.job || null };
+    });
+  }
+
+  async findByApplication(applicationId) {
+    return db.findOne(TABLE, { applicationId });
+  }
+
+  async create({ employerId, employerName, applicantId, applicantName, jobId, jobTitle, applicationId, job }) {
+    return db.insert(TABLE, {
+      employerId,
+      employerName,
+      applicantId,
+      applicantName,
+      jobId,
+      jobTitle,
+      applicationId,
+      job: job ? toJobSummary(job) : null,
+      status: 'active'
+    });
+  }
+
+  /**
+   * 採用決定（オファー承諾）した応募のマッチングとチャットルームを開設する
+   * 作業開始のシステムメッセージを投稿し、当事者に matchCreated を送る
+   * 同じ応募のマッチングが既にある場合はそれを返す
+   * @param {object} params - { application, job }
+   * @returns {Promise<object>} - マッチング
+   */
+  async openForApplication({ application, job }) {
+    const existing = await this.findByApplication(application.id);
+    if (existing) return existing;
+
+    // 通知の宛先・会話（conversationService）と同じく、メールアドレスを優先する
+    const match = await this.create({
+      employerId: job.clientEmail || job.clientId,
+      employerName: job.clientName,
+      applicantId: application.applicantEmail || application.applicantId,
+      applicantName: application.applicantName,
+      jobId: job.id,
+      jobTitle: job.title,
+      applicationId: application.id,
+      job
+    });
+
+    // 応募時からの会話（受信箱）に続けて投稿する
+    await chatService.postSystemMessage(
+      conversationService.fromMatch(match),
+      `「${job.title}」の作業が開始されました。${application.applicantName || 'フリーランサー'}さんとのチャットルームです。作業内容やスケジュールについてこちらでやり取りしてください。`
+    );
+
+    [match.employerId, match.applicantId].filter(Boolean).forEach(participantId => {
+      socketHandler.sendToUser(participantId, 'matchCreated', { match });
+    });
+
+    return match;
+  }
+}
+
+module.exports = new MatchService();
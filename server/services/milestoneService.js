@@ -0,0 +1,82 @@
+const ApiError = require('../utils/ApiError');
+const jobService = require('./jobService');
+const domainEvents = require('../events/domainEvents');
+const { DOMAIN_EVENTS } = require('../events/domainEvents');
+const { getAssignedFreelancers, getAssigneeId } = require('../../utils/jobStatus');
+const {
+  MILESTONE_STATUS,
+  validateMilestones,
+  getMilestoneParticipant,
+  proposeMilestonePlan,
+  approveMilestonePlan,
+  getPlanChangeError,
+  getMilestoneTransitionError,
+  applyMilestoneTransition
+} = require('../../utils/milestoneUtils');
+
+const participantOf = (job, user) => getMilestoneParticipant(job, [user.userId, user.email].filter(Boolean));
+
+class MilestoneService {
+  /**
+   * 作業計画を提案する（合意前であれば作り直せる。作り直すと合意はやり直しになる）
+   * @param {string} jobId
+   * @param {object[]} items - [{ title, amount, dueDate, assigneeId }]（複数人を採用した案件は assigneeId が必須）
+   * @param {object} user - トークンのペイロード
+   */
+  async propose(jobId, items, user) {
+    const job = await jobService.getJob(jobId);
+    const participant = participantOf(job, user);
+
+    const error = getPlanChangeError(job, participant, 'propose');
+    if (error) {
+      throw participant ? ApiError.conflict(error) : ApiError.forbidden(error);
+    }
+
+    const { isValid, errors, values } = validateMilestones(items, getAssignedFreelancers(job).map(getAssigneeId).filter(Boolean));
+    if (!isValid) {
+      throw ApiError.badRequest(errors.join('、'));
+    }
+
+    const updated = await jobService.update(job, proposeMilestonePlan(values, participant.participantId));
+    domainEvents.publish(DOMAIN_EVENTS.MILESTONE_PLAN_UPDATED, { job: updated, actor: user });
+    return updated;
+  }
+
+  // 作業計画に合意する（当事者全員が合意すると計画が確定する）
+  async agree(jobId, user) {
+    const job = await jobService.getJob(jobId);
+    const participant = participantOf(job, user);
+
+    const error = getPlanChangeError(job, participant, 'agree');
+    if (error) {
+      throw participant ? ApiError.conflict(error) : ApiError.forbidden(error);
+    }
+
+    const updated = await jobService.update(job, approveMilestonePlan(job, participant.participantId));
+    domainEvents.publish(DOMAIN_EVENTS.MILESTONE_PLAN_UPDATED, { job: updated, actor: user });
+    return updated;
+  }
+
+  /**
+   * マイルストーンの作業を開始する（フリーランサーのみ）
+   * 提出・検収・修正依頼は納品物（deliverableService）で行う
+   * @returns {Promise<object>} - { job, milestone }
+   */
+  async start(jobId, milestoneId, user) {
+    const job = await jobService.getJob(jobId);
+    const participant = participantOf(job, user);
+    const current = (job.milestones || []).find(milestone => String(milestone.id) === String(milestoneId));
+
+    const error = getMilestoneTransitionError(job, current, MILESTONE_STATUS.IN_PROGRESS, participant);
+    if (error) {
+      if (!current) throw ApiError.notFound(error);
+      throw participant && participant.role === 'freelancer' ? ApiError.conflict(error) : ApiError.forbidden(error);
+    }
+
+    const { milestones, milestone } = applyMilestoneTransition(job.milestones, milestoneId, MILESTONE_STATUS.IN_PROGRESS);
+    const updated = await jobService.update(job, { milestones });
+    return { job: updated, milestone };
+  }
+}
+
+module.exports = new MilestoneService();
@@ -0,0 +1,141 @@
+const db = require('../db');
+const ApiError = require('../utils/ApiError');
+const {
+  NOTIFICATION_CHANNELS,
+  DEFAULT_CHANNEL_PREFERENCES,
+  DEFAULT_QUIET_HOURS
+} = require('../../utils/notificationUtils');
+
+const TABLE = 'notification_preferences';
+const CHANNELS = Object.values(NOTIFICATION_CHANNELS);
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('ja-JP', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// タイムゾーンでの現在時刻（分）
+const minutesOfDay = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const value = (type) => Number(parts.find(part => part.type === type).value);
+  return value('hour') * 60 + value('minute');
+};
+
+const toMinutes = (time) => {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+};
+
+// 保存されている設定に既定値を補って返す（新しい通知タイプが追加されても既定値で動く）
+const withDefaults = (record) => {
+  const saved = (record && record.channels) || {};
+  const channels = Object.keys(DEFAULT_CHANNEL_PREFERENCES).reduce((result, type) => {
+    result[type] = { ...DEFAULT_CHANNEL_PREFERENCES[type], ...saved[type] };
+    return result;
+  }, {});
+
+  return {
+    channels,
+    quietHours: { ...DEFAULT_QUIET_HOURS, ...(record && record.quietHours) },
+    updatedAt: record ? record.updatedAt : null
+  };
+};
+
+class NotificationPreferenceService {
+  async get(user) {
+    return withDefaults(await db.findById(TABLE, user.userId));
+  }
+
+  // 通知の受信者（ユーザーID またはメールアドレス）の設定
+  async getForRecipient(recipientId) {
+    const record = await db.findById(TABLE, recipientId) || await db.findOne(TABLE, { email: String(recipientId) });
+    return withDefaults(record);
+  }
+
+  /**
+   * 通知設定を更新する（指定した項目だけを上書きする）
+   * @param {object} user - トークンのペイロード
+   * @param {object} changes - { channels: { [type]: { inApp, email, push } }, quietHours: { enabled, start, end, timezone } }
+   */
+  async update(user, { channels = {}, quietHours = {} } = {}) {
+    const current = await this.get(user);
+
+    Object.keys(channels).forEach(type => {
+      if (!DEFAULT_CHANNEL_PREFERENCES[type]) {
+        throw ApiError.badRequest(`未対応の通知タイプです: ${type}`);
+      }
+      Object.keys(channels[type] || {}).forEach(channel => {
+        if (!CHANNELS.includes(channel) || typeof channels[type][channel] !== 'boolean') {
+          throw ApiError.badRequest(`${type} の ${channel} には true / false を指定してください`);
+        }
+      });
+    });
+
+    const nextQuietHours = { ...current.quietHours, ...quietHours };
+    if (typeof nextQuietHours.enabled !== 'boolean') {
+      throw ApiError.badRequest('quietHours.enabled には true / false を指定してください');
+    }
+    if (!TIME_PATTERN.test(nextQuietHours.start) || !TIME_PATTERN.test(nextQuietHours.end)) {
+      throw ApiError.badRequest('おやすみ時間は HH:MM 形式で指定してください');
+    }
+    if (!isValidTimezone(nextQuietHours.timezone)) {
+      throw ApiError.badRequest('無効なタイムゾーンです');
+    }
+
+    const values = {
+      email: user.email || null,
+      channels: Object.keys(current.channels).reduce((result, type) => {
+        result[type] = { ...current.channels[type], ...channels[type] };
+        return result;
+      }, {}),
+      quietHours: nextQuietHours
+    };
+
+    const existing = await db.findById(TABLE, user.userId);
+    const saved = existing
+      ? await db.update(TABLE, user.userId, values)
+      : await db.insert(TABLE, { id: user.userId, ...values });
+    return withDefaults(saved);
+  }
+
+  // おやすみ時間中か（開始 > 終了 の場合は日付をまたぐ）
+  isQuietTime(quietHours, now = new Date()) {
+    if (!quietHours.enabled) return false;
+
+    const current = minutesOfDay(now, quietHours.timezone);
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    if (start === end) return false;
+    return start < end
+      ? current >= start && current < end
+      : current >= start || current < end;
+  }
+
+  /**
+   * 受信者の設定から、この通知を配信するチャネルを決める
+   * おやすみ時間中はアプリ内通知のみ
+   * @returns {Promise<object>} - { inApp, email, push }
+   */
+  async resolveChannels(recipientId, type, now = new Date()) {
+    const preferences = await this.getForRecipient(recipientId);
+    const channels = { ...(preferences.channels[type] || { inApp: true, email: false, push: false }) };
+
+    if (this.isQuietTime(preferences.quietHours, now)) {
+      channels.email = false;
+      channels.push = false;
+    }
+    return channels;
+  }
+}
+
+module.exports = new NotificationPreferenceService();
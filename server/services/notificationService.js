@@ -1,74 +1,206 @@
-const Notification = require('../models/Notification');
+const db = require('../db');
+const ApiError = require('../utils/ApiError');
+const { decodeCursor, paginate } = require('../utils/cursor');
+const matchService = require('./matchService');
+const notificationPreferenceService = require('./notificationPreferenceService');
 const socketHandler = require('../socket/socketHandler');
+const { renderNotification, NOTIFICATION_TYPES } = require('../../utils/notificationUtils');
+
+// create-database-tables.js で定義しているテーブル
+const TABLE = 'crowdwork_notifications';
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const PRIORITIES = ['low', 'normal', 'high'];
+
+const validateType = (type) => {
+  if (!Object.values(NOTIFICATION_TYPES).includes(type)) {
+    throw ApiError.badRequest(`未対応の通知タイプです: ${type}`);
+  }
+};
+
+const validatePriority = (priority) => {
+  if (!PRIORITIES.includes(priority)) {
+    throw ApiError.badRequest(`priority は ${PRIORITIES.join(' / ')} のいずれかを指定してください`);
+  }
+};
 
 class NotificationService {
-  async createNotification(userId, title, message, type = 'info', data = {}) {
-    try {
-      const notification = new Notification({
-        userId,
-        title,
-        message,
-        type,
-        data
-      });
-      
-      await notification.save();
-      
+  constructor() {
+    this.channels = new Map(); // チャネル名（email / push）-> async (recipientId, notification) => void
+  }
+
+  /**
+   * アプリ内通知以外の配信チャネルを登録する
+   * @param {string} channel - NOTIFICATION_CHANNELS の値
+   * @param {Function} send - async (recipientId, notification) => void
+   */
+  registerChannel(channel, send) {
+    this.channels.set(channel, send);
+  }
+
+  // クライアントに送る形に変換
+  toClientNotification(record) {
+    return {
+      id: String(record.id),
+      type: record.type,
+      title: record.title,
+      message: record.message,
+      icon: record.icon,
+      color: record.color,
+      priority: record.priority || 'normal',
+      data: record.data || {},
+      isRead: !!record.readStatus,
+      readAt: record.readAt || null,
+      archivedAt: record.archivedAt || null,
+      createdAt: record.createdAt
+    };
+  }
+
+  /**
+   * NOTIFICATION_TEMPLATES から通知を作成し、受信者の通知設定で有効なチャネルに配信する
+   * アプリ内通知は保存して受信者の全タブにリアルタイム送信する
+   * @param {string} recipientId - 受信者のユーザーID またはメールアドレス
+   * @param {string} type - NOTIFICATION_TYPES の値
+   * @param {object} data - テンプレートに埋め込む値（通知の data としても保存する）
+   * @param {object} options - { priority }
+   * @returns {Promise<object|null>} - アプリ内通知（アプリ内通知がオフの場合は null）
+   */
+  async createNotification(recipientId, type, data = {}, { priority = 'normal' } = {}) {
+    if (!recipientId) {
+      throw ApiError.badRequest('通知の受信者を指定してください');
+    }
+    validateType(type);
+    validatePriority(priority);
+
+    const channels = await notificationPreferenceService.resolveChannels(recipientId, type);
+    const content = {
+      type,
+      recipientId: String(recipientId),
+      ...renderNotification(type, data),
+      priority,
+      data
+    };
+
+    let notification = null;
+    if (channels.inApp) {
+      const record = await db.insert(TABLE, { ...content, readStatus: false, archivedAt: null });
+      notification = this.toClientNotification(record);
+
       // リアルタイム送信
-      socketHandler.sendToUser(userId, 'newNotification', {
-        id: notification._id,
-        title: notification.title,
-        message: notification.message,
-        type: notification.type,
-        createdAt: notification.createdAt
-      });
-      
-      return notification;
-    } catch (error) {
-      console.error('通知作成エラー:', error);
-      throw error;
+      socketHandler.sendToUser(recipientId, 'newNotification', notification);
     }
+
+    // メール・プッシュ通知（チャネルの失敗はアプリ内通知に影響させない）
+    const deliveries = [...this.channels.entries()]
+      .filter(([channel]) => channels[channel])
+      .map(async ([channel, send]) => {
+        try {
+          await send(recipientId, notification || { ...content, id: null });
+        } catch (error) {
+          console.error(`❌ Notification channel error (${channel}):`, error);
+        }
+      });
+    await Promise.all(deliveries);
+
+    return notification;
   }
 
-  async getNotifications(userId, page = 1, limit = 20) {
-    try {
-      const notifications = await Notification.find({ userId })
-        .sort({ createdAt: -1 })
-        .limit(limit * 1)
-        .skip((page - 1) * limit);
-      
-      return notifications;
-    } catch (error) {
-      console.error('通知取得エラー:', error);
-      throw error;
+  /**
+   * 自分宛ての通知を新しい順にページングする（アーカイブ済みは archived: true の場合のみ）
+   * @param {object} user - トークンのペイロード
+   * @param {object} options - { cursor, limit, filter: 'unread' | 'read', type, priority, archived }
+   * @returns {Promise<object>} - { notifications, nextCursor, hasMore }
+   */
+  async list(user, { cursor, limit, filter, type, priority, archived = false } = {}) {
+    const decodedCursor = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !decodedCursor) {
+      throw ApiError.badRequest('無効なカーソルです');
     }
+    if (type) validateType(type);
+    if (priority) validatePriority(priority);
+
+    const where = {
+      recipientId: matchService.identities(user),
+      type: type || undefined,
+      priority: priority || undefined
+    };
+    if (filter === 'unread') where.readStatus = false;
+    if (filter === 'read') where.readStatus = true;
+
+    const pageSize = Math.max(1, Math.min(parseInt(limit, 10) || DEFAULT_LIMIT, MAX_LIMIT));
+    const records = (await db.find(TABLE, where)).filter(record => !!record.archivedAt === !!archived);
+    const { items, nextCursor, hasMore } = paginate(records, decodedCursor, pageSize);
+
+    return {
+      notifications: items.map(record => this.toClientNotification(record)),
+      nextCursor,
+      hasMore
+    };
   }
 
-  async markAsRead(notificationId, userId) {
-    try {
-      await Notification.findOneAndUpdate(
-        { _id: notificationId, userId },
-        { isRead: true }
-      );
-      return true;
-    } catch (error) {
-      console.error('既読更新エラー:', error);
-      throw error;
+  // 自分宛ての通知を取得する（他人の通知は存在しないものとして扱う）
+  async getOwned(notificationId, user) {
+    const notification = await db.findById(TABLE, notificationId);
+    if (!notification || !matchService.identities(user).includes(String(notification.recipientId))) {
+      throw ApiError.notFound('通知が見つかりません');
     }
+    return notification;
   }
 
-  async getUnreadCount(userId) {
-    try {
-      const count = await Notification.countDocuments({
-        userId,
-        isRead: false
-      });
-      return count;
-    } catch (error) {
-      console.error('未読数取得エラー:', error);
-      throw error;
+  /**
+   * 自分宛ての未読通知を既読にし、本人の他のタブにも反映する
+   * @param {object} user - トークンのペイロード
+   * @param {string[]} [notificationIds] - 省略時はすべての未読を既読にする
+   * @returns {Promise<object>} - { notificationIds, readAt }
+   */
+  async markAsRead(user, notificationIds) {
+    const readAt = new Date().toISOString();
+    const updated = await db.updateWhere(TABLE, {
+      recipientId: matchService.identities(user),
+      readStatus: false,
+      id: notificationIds
+    }, { readStatus: true, readAt });
+
+    const result = { notificationIds: updated.map(record => String(record.id)), readAt };
+    if (updated.length > 0) {
+      socketHandler.sendToUser(user.userId, 'notificationsRead', result);
     }
+    return result;
+  }
+
+  // 一覧から外す（既読にして archivedAt を記録する）
+  async archive(notificationId, user) {
+    const notification = await this.getOwned(notificationId, user);
+    const now = new Date().toISOString();
+
+    const updated = await db.update(TABLE, notification.id, {
+      archivedAt: notification.archivedAt || now,
+      readStatus: true,
+      readAt: notification.readAt || now
+    });
+    return this.toClientNotification(updated);
+  }
+
+  async remove(notificationId, user) {
+    const notification = await this.getOwned(notificationId, user);
+    await db.remove(TABLE, notification.id);
+  }
+
+  /**
+   * 自分宛ての未読件数（アーカイブ済みを除く）
+   * @returns {Promise<object>} - { total, byType: { [type]: number } }
+   */
+  async getUnreadCounts(user) {
+    const records = await db.find(TABLE, { recipientId: matchService.identities(user), readStatus: false });
+
+    return records
+      .filter(record => !record.archivedAt)
+      .reduce((counts, record) => {
+        counts.total += 1;
+        counts.byType[record.type] = (counts.byType[record.type] || 0) + 1;
+        return counts;
+      }, { total: 0, byType: {} });
   }
 }
 
-module.exports = new NotificationService();
\ No newline at end of file
+module.exports = new NotificationService();
@@ -0,0 +1,295 @@
+const db = require('../db');
+const ApiError = require('../utils/ApiError');
+const paymentProvider = require('../payments');
+const ledgerService = require('./ledgerService');
+const { LEDGER_ACCOUNTS, escrowAccount, creditBalanceOf } = require('./ledgerService');
+const domainEvents = require('../events/domainEvents');
+const { DOMAIN_EVENTS } = require('../events/domainEvents');
+const { JOB_STATUS, APPLICATION_STATUS, getHeadcount, getAssignedFreelancers, getAssigneeId } = require('../../utils/jobStatus');
+const { getMilestoneParticipant } = require('../../utils/milestoneUtils');
+const { DELIVERABLE_STATUS, hasAcceptedWork } = require('../../utils/deliverableUtils');
+
+// プラットフォーム手数料率（フリーランサーへの支払い時に差し引く）
+const PLATFORM_FEE_RATE = Number.isFinite(parseFloat(process.env.PLATFORM_FEE_RATE))
+  ? parseFloat(process.env.PLATFORM_FEE_RATE)
+  : 0.1;
+
+// 元帳の取引の種類
+const PAYMENT_TYPES = {
+  DEPOSIT: 'deposit', // オファーの承諾時にクライアントから預かる
+  RELEASE: 'release', // 検収時にフリーランサーへ支払う（手数料を差し引く）
+  REFUND: 'refund'    // キャンセル時にクライアントへ返金する
+};
+
+const jobOwnerOf = (job) => job.clientEmail || job.clientId;
+const applicantOf = (application) => application.applicantEmail || application.applicantId;
+
+const calculateFee = (amount) => Math.floor(amount * PLATFORM_FEE_RATE);
+
+/**
+ * エスクロー決済（預かり・解放・返金）
+ * 金額はサーバーに保存されている案件・応募から決める
+ */
+class PaymentService {
+  constructor() {
+    this.locks = new Map(); // エスクロー勘定 -> 実行中の処理（同じエスクローの処理を直列に実行する）
+  }
+
+  // 同じエスクローへの処理を順番に実行する（検収と案件完了のイベントが同時に届いても二重に支払わない）
+  async withEscrowLock(account, task) {
+    const previous = this.locks.get(account) || Promise.resolve();
+    const current = previous.catch(() => {}).then(task);
+    const settled = current.catch(() => {});
+    this.locks.set(account, settled);
+
+    try {
+      return await current;
+    } finally {
+      if (this.locks.get(account) === settled) this.locks.delete(account);
+    }
+  }
+
+  /**
+   * オファーの承諾時に、合意した報酬（希望報酬、なければ案件の予算を募集人数で割った額）をクライアントから預かる
+   * 承諾の処理（applicationService.fillSlot）の中で採用を確定する前に呼び、預かれなければ採用しない
+   * @param {object} application - 承諾するオファー中の応募
+   * @param {object} job - 応募先の案件
+   * @returns {Promise<object|null>} - 記帳した取引（金額が未設定の場合は null）
+   */
+  async deposit(application, job) {
+    if (String(application.jobId) !== String(job.id)) {
+      throw ApiError.badRequest('応募先の案件が一致しません');
+    }
+    if (![APPLICATION_STATUS.OFFERED, APPLICATION_STATUS.APPROVED].includes(application.status)) {
+      throw ApiError.conflict('オファー中ではない応募の報酬は預かれません');
+    }
+
+    const amount = Number(application.proposedPrice || Math.floor(Number(job.budget) / getHeadcount(job)));
+    if (!Number.isInteger(amount) || amount <= 0) return null;
+
+    const freelancerId = applicantOf(application);
+    const account = escrowAccount(job.id, freelancerId);
+    const idempotencyKey = `deposit:${application.id}`;
+
+    return this.withEscrowLock(account, async () => {
+      // 承諾をやり直した場合も二重に預からない
+      const existing = await ledgerService.findByKey(idempotencyKey);
+      if (existing) return existing;
+
+      const charge = await paymentProvider.charge({
+        amount,
+        payerId: jobOwnerOf(job),
+        description: `「${job.title}」の報酬のお預かり`,
+        idempotencyKey
+      });
+
+      return ledgerService.post({
+        type: PAYMENT_TYPES.DEPOSIT,
+        idempotencyKey,
+        jobId: job.id,
+        applicationId: application.id,
+        clientId: jobOwnerOf(job),
+        freelancerId,
+        amount,
+        fee: 0,
+        provider: paymentProvider.name,
+        providerReference: charge.reference,
+        entries: [
+          { account: LEDGER_ACCOUNTS.PROVIDER, debit: amount },
+          { account, credit: amount }
+        ]
+      });
+    });
+  }
+
+  /**
+   * エスクローからフリーランサーへ支払う（手数料を差し引いた額を送金する）
+   * @param {object} job - サーバーに保存されている案件
+   * @param {string} freelancerId
+   * @param {object} options - { amount（省略時は残高すべて）, idempotencyKey, reason }
+   * @returns {Promise<object|null>} - 記帳した取引（エスクロー残高がない場合は null）
+   */
+  async release(job, freelancerId, { amount, idempotencyKey, reason }) {
+    const account = escrowAccount(job.id, freelancerId);
+
+    const transaction = await this.withEscrowLock(account, async () => {
+      if (await ledgerService.findByKey(idempotencyKey)) return null;
+
+      const balance = await ledgerService.getEscrowBalance(job.id, freelancerId);
+      const releaseAmount = Math.min(amount === undefined ? balance : amount, balance);
+      if (!(releaseAmount > 0)) return null;
+
+      const fee = calculateFee(releaseAmount);
+      const net = releaseAmount - fee;
+      const payout = await paymentProvider.payout({
+        amount: net,
+        recipientId: freelancerId,
+        description: `「${job.title}」の報酬`,
+        idempotencyKey
+      });
+
+      return ledgerService.post({
+        type: PAYMENT_TYPES.RELEASE,
+        idempotencyKey,
+        jobId: job.id,
+        clientId: jobOwnerOf(job),
+        freelancerId,
+        amount: releaseAmount,
+        fee,
+        reason,
+        provider: paymentProvider.name,
+        providerReference: payout.reference,
+        entries: [
+          { account, debit: releaseAmount },
+          { account: LEDGER_ACCOUNTS.PROVIDER, credit: net },
+          { account: LEDGER_ACCOUNTS.PLATFORM_FEES, credit: fee }
+        ].filter(entry => entry.debit > 0 || entry.credit > 0)
+      });
+    });
+
+    if (transaction) {
+      domainEvents.publish(DOMAIN_EVENTS.PAYMENT_RELEASED, { job, transaction });
+    }
+    return transaction;
+  }
+
+  /**
+   * エスクローの残高をクライアントへ返金する
+   * @returns {Promise<object|null>} - 記帳した取引（エスクロー残高がない場合は null）
+   */
+  async refund(job, freelancerId, { idempotencyKey, reason }) {
+    const account = escrowAccount(job.id, freelancerId);
+
+    return this.withEscrowLock(account, async () => {
+      const existing = await ledgerService.findByKey(idempotencyKey);
+      if (existing) return existing;
+
+      const balance = await ledgerService.getEscrowBalance(job.id, freelancerId);
+      if (!(balance > 0)) return null;
+
+      const deposit = await ledgerService.findOne({ jobId: job.id, freelancerId, type: PAYMENT_TYPES.DEPOSIT });
+      const refund = await paymentProvider.refund({
+        amount: balance,
+        chargeReference: deposit && deposit.providerReference,
+        payerId: jobOwnerOf(job),
+        description: `「${job.title}」のお預かり金の返金`,
+        idempotencyKey
+      });
+
+      return ledgerService.post({
+        type: PAYMENT_TYPES.REFUND,
+        idempotencyKey,
+        jobId: job.id,
+        clientId: jobOwnerOf(job),
+        freelancerId,
+        amount: balance,
+        fee: 0,
+        reason,
+        provider: paymentProvider.name,
+        providerReference: refund.reference,
+        entries: [
+          { account, debit: balance },
+          { account: LEDGER_ACCOUNTS.PROVIDER, credit: balance }
+        ]
+      });
+    });
+  }
+
+  /**
+   * 納品物の検収時に支払う（マイルストーンはその金額、案件全体への納品は残高すべて）
+   * @param {string} jobId
+   * @param {string} deliverableId
+   */
+  async releaseForDeliverable(jobId, deliverableId) {
+    const job = await db.findById('jobs', jobId);
+    const deliverable = job && (job.deliverables || []).find(item => String(item.id) === String(deliverableId));
+    if (!deliverable || deliverable.status !== DELIVERABLE_STATUS.ACCEPTED) return null;
+
+    const milestone = deliverable.milestoneId
+      ? (job.milestones || []).find(item => String(item.id) === String(deliverable.milestoneId))
+      : null;
+    if (deliverable.milestoneId && !milestone) return null;
+
+    return this.release(job, deliverable.submittedBy, {
+      amount: milestone ? Number(milestone.amount) || 0 : undefined,
+      idempotencyKey: `release:deliverable:${deliverable.id}`,
+      reason: milestone ? `マイルストーン「${milestone.title}」の検収` : '納品物の検収'
+    });
+  }
+
+  // 案件の完了時に、検収済みの納品物があるフリーランサーへエスクローの残高をすべて支払う
+  // 検収済みでまだ支払っていない納品物があれば、先にその金額を支払う（取引の内訳を納品物ごとに残す）
+  // 納品物を検収されていないフリーランサーの分は、クライアントへ返金する
+  async releaseRemaining(jobId) {
+    const job = await db.findById('jobs', jobId);
+    if (!job || job.status !== JOB_STATUS.COMPLETED) return [];
+
+    const transactions = [];
+    for (const deliverable of (job.deliverables || []).filter(item => item.status === DELIVERABLE_STATUS.ACCEPTED)) {
+      transactions.push(await this.releaseForDeliverable(job.id, deliverable.id));
+    }
+    for (const freelancerId of getAssignedFreelancers(job).map(getAssigneeId).filter(Boolean)) {
+      transactions.push(hasAcceptedWork(job, freelancerId)
+        ? await this.release(job, freelancerId, {
+          idempotencyKey: `release:completed:${job.id}:${freelancerId}`,
+          reason: '案件の完了'
+        })
+        : await this.refund(job, freelancerId, {
+          idempotencyKey: `refund:completed:${job.id}:${freelancerId}`,
+          reason: '納品物の検収がないまま案件が完了'
+        }));
+    }
+    return transactions.filter(Boolean);
+  }
+
+  // 案件のキャンセル時に、採用したフリーランサーごとのエスクローの残高を返金する
+  async refundRemaining(jobId) {
+    const job = await db.findById('jobs', jobId);
+    if (!job || job.status !== JOB_STATUS.CANCELLED) return [];
+
+    const transactions = [];
+    for (const freelancerId of getAssignedFreelancers(job).map(getAssigneeId).filter(Boolean)) {
+      transactions.push(await this.refund(job, freelancerId, {
+        idempotencyKey: `refund:cancelled:${job.id}:${freelancerId}`,
+        reason: '案件のキャンセル'
+      }));
+    }
+    return transactions.filter(Boolean);
+  }
+
+  /**
+   * 案件の支払い状況（当事者のみ。フリーランサーには自分の分だけを返す）
+   * @param {object} job
+   * @param {object} user - トークンのペイロード
+   * @returns {Promise<object>} - { transactions, summary: { deposited, released, fees, refunded, escrow } }
+   */
+  async getJobLedger(job, user) {
+    const participant = getMilestoneParticipant(job, [user.userId, user.email].filter(Boolean));
+    if (!participant) {
+      throw ApiError.forbidden('この案件の支払い状況を閲覧する権限がありません');
+    }
+
+    const transactions = (await ledgerService.listByJob(job.id)).filter(transaction => (
+      participant.role === 'client' || String(transaction.freelancerId) === String(participant.participantId)
+    ));
+    const totalOf = (type, field = 'amount') => transactions
+      .filter(transaction => transaction.type === type)
+      .reduce((sum, transaction) => sum + (transaction[field] || 0), 0);
+    const escrowAccounts = [...new Set(transactions.map(transaction => escrowAccount(job.id, transaction.freelancerId)))];
+
+    return {
+      transactions,
+      summary: {
+        deposited: totalOf(PAYMENT_TYPES.DEPOSIT),
+        released: totalOf(PAYMENT_TYPES.RELEASE),
+        fees: totalOf(PAYMENT_TYPES.RELEASE, 'fee'),
+        refunded: totalOf(PAYMENT_TYPES.REFUND),
+        escrow: escrowAccounts.reduce((sum, account) => sum + creditBalanceOf(transactions, account), 0)
+      }
+    };
+  }
+}
+
+module.exports = new PaymentService();
+module.exports.PAYMENT_TYPES = PAYMENT_TYPES;
+module.exports.PLATFORM_FEE_RATE = PLATFORM_FEE_RATE;
@@ -0,0 +1,127 @@
+const db = require('../db');
+const matchService = require('./matchService');
+const conversationService = require('./conversationService');
+const socketHandler = require('../socket/socketHandler');
+
+const TABLE = 'user_presence';
+
+// オンライン状態（接続中のソケット数）はプロセス内で管理し、最終接続日時のみ保存する
+class PresenceService {
+  constructor() {
+    this.sockets = new Map(); // userId / email -> Set<socketId>
+  }
+
+  isOnline(id) {
+    const sockets = this.sockets.get(String(id));
+    return !!sockets && sockets.size > 0;
+  }
+
+  // ユーザーID・メールアドレスの両方で最終接続日時を記録する（同時に接続しても行が重複しないよう upsert する）
+  async saveLastSeen(user, lastSeenAt) {
+    await Promise.all(matchService.identities(user).map(id => (
+      db.upsert(TABLE, { id, userId: user.userId, lastSeenAt })
+    )));
+  }
+
+  /**
+   * オンライン状態を見せ合う相手の ID
+   * マッチング上の相手に加え、応募を通じた相手（案件の投稿者から見た応募者、応募者から見た投稿者）も含める
+   * @returns {Promise<string[]>}
+   */
+  async listPartnerIds(user) {
+    const [matchPartnerIds, counterpartIds] = await Promise.all([
+      matchService.listPartnerIds(user),
+      conversationService.listCounterpartIds(user)
+    ]);
+    return [...new Set([...matchPartnerIds, ...counterpartIds])];
+  }
+
+  // 相手にだけオンライン状態の変化を通知する
+  async notifyPartners(user, presence) {
+    const partnerIds = await this.listPartnerIds(user);
+
+    partnerIds.forEach(partnerId => {
+      socketHandler.sendToUser(partnerId, 'presenceChanged', {
+        userId: user.userId,
+        email: user.email || null,
+        ...presence
+      });
+    });
+  }
+
+  /**
+   * ソケット接続を登録する（最初のタブが接続したときだけオンラインを通知）
+   */
+  async connect(socket) {
+    const user = socket.user;
+    const primaryId = String(user.userId);
+    const wasOnline = this.isOnline(primaryId);
+
+    matchService.identities(user).forEach(id => {
+      if (!this.sockets.has(id)) this.sockets.set(id, new Set());
+      this.sockets.get(id).add(socket.id);
+    });
+
+    const lastSeenAt = new Date().toISOString();
+    await this.saveLastSeen(user, lastSeenAt);
+    if (!wasOnline) {
+      await this.notifyPartners(user, { online: true, lastSeenAt });
+    }
+  }
+
+  /**
+   * ソケット切断を登録する（最後のタブが切断したときだけオフラインを通知）
+   */
+  async disconnect(socket) {
+    const user = socket.user;
+
+    matchService.identities(user).forEach(id => {
+      const sockets = this.sockets.get(id);
+      if (!sockets) return;
+      sockets.delete(socket.id);
+      if (sockets.size === 0) this.sockets.delete(id);
+    });
+
+    if (this.isOnline(user.userId)) return;
+
+    const lastSeenAt = new Date().toISOString();
+    await this.saveLastSeen(user, lastSeenAt);
+    await this.notifyPartners(user, { online: false, lastSeenAt });
+  }
+
+  /**
+   * ユーザーのオンライン状態と最終接続日時
+   * @param {string[]} ids - ユーザーID またはメールアドレス
+   * @returns {Promise<object>} - { [id]: { online, lastSeenAt } }
+   */
+  async getPresence(ids) {
+    const records = await db.find(TABLE, { id: ids });
+
+    return ids.reduce((presence, id) => {
+      const record = records.find(item => String(item.id) === String(id));
+      presence[id] = {
+        online: this.isOnline(id),
+        lastSeenAt: record ? record.lastSeenAt : null
+      };
+      return presence;
+    }, {});
+  }
+
+  /**
+   * 相手（listPartnerIds）のオンライン状態（相手以外の ID は結果に含めない）
+   * @param {object} user - トークンのペイロード
+   * @param {string[]} ids - ユーザーID またはメールアドレス
+   * @returns {Promise<object>} - { [id]: { online, lastSeenAt } }
+   */
+  async getPartnerPresence(user, ids) {
+    const partnerIds = await this.listPartnerIds(user);
+    return this.getPresence(ids.filter(id => partnerIds.includes(String(id))));
+  }
+
+  // オンライン状態を見せ合う相手か
+  async isPartner(user, id) {
+    return (await this.listPartnerIds(user)).includes(String(id));
+  }
+}
+
+module.exports = new PresenceService();
@@ -0,0 +1,77 @@
+const db = require('../db');
+const ApiError = require('../utils/ApiError');
+
+const TABLE = 'profiles';
+const MAX_SKILLS = 50;
+
+// 文字列で保存する項目と上限文字数（pages/profile.js の入力項目に対応）
+const TEXT_FIELDS = {
+  fullName: 100,
+  bio: 2000,
+  location: 100,
+  portfolioUrl: 500,
+  avatarUrl: 500
+};
+
+// 保存されていない項目を空で補う（画面・レコメンドは常に同じ形で扱う）
+const withDefaults = (record, email = '') => ({
+  email: (record && record.email) || email,
+  ...Object.keys(TEXT_FIELDS).reduce((result, field) => ({ ...result, [field]: (record && record[field]) || '' }), {}),
+  skills: record && Array.isArray(record.skills) ? record.skills : [],
+  updatedAt: record ? record.updatedAt : null
+});
+
+class ProfileService {
+  // ログイン中のユーザーのプロフィール（未保存の場合は null）
+  async get(user) {
+    const record = await db.findById(TABLE, user.userId);
+    return record ? withDefaults(record, user.email) : null;
+  }
+
+  /**
+   * 応募者などのプロフィールをメールアドレスでまとめて取得する
+   * @param {string[]} emails
+   * @returns {Promise<object>} - { [email]: プロフィール }
+   */
+  async getByEmails(emails) {
+    if (emails.length === 0) return {};
+    const records = await db.find(TABLE, { email: emails });
+    return Object.fromEntries(records.map(record => [record.email, withDefaults(record)]));
+  }
+
+  /**
+   * プロフィールを保存する（指定した項目だけを上書きする）
+   * @param {object} user - トークンのペイロード
+   * @param {object} data - { fullName, bio, skills, location, portfolioUrl, avatarUrl }
+   */
+  async update(user, data = {}) {
+    const values = {};
+
+    Object.keys(TEXT_FIELDS).forEach(field => {
+      if (data[field] === undefined || data[field] === null) return;
+      if (typeof data[field] !== 'string') {
+        throw ApiError.badRequest(`${field} は文字列で指定してください`);
+      }
+      if (data[field].trim().length > TEXT_FIELDS[field]) {
+        throw ApiError.badRequest(`${field} は${TEXT_FIELDS[field]}文字以内で入力してください`);
+      }
+      values[field] = data[field].trim();
+    });
+
+    if (data.skills !== undefined) {
+      if (!Array.isArray(data.skills) || data.skills.some(skill => typeof skill !== 'string')) {
+        throw ApiError.badRequest('スキルは文字列の配列で指定してください');
+      }
+      const skills = [...new Set(data.skills.map(skill => skill.trim()).filter(Boolean))];
+      if (skills.length > MAX_SKILLS) {
+        throw ApiError.badRequest(`スキルは${MAX_SKILLS}件以内で指定してください`);
+      }
+      values.skills = skills;
+    }
+
+    const saved = await db.upsert(TABLE, { id: user.userId, email: user.email || null, ...values });
+    return withDefaults(saved, user.email);
+  }
+}
+
+module.exports = new ProfileService();
@@ -0,0 +1,134 @@
+const webpush = require('web-push');
+const db = require('../db');
+const ApiError = require('../utils/ApiError');
+const { getNotificationLink } = require('../../utils/notificationUtils');
+
+const TABLE = 'push_subscriptions';
+
+// フロントの NEXT_PUBLIC_VAPID_PUBLIC_KEY と同じ鍵ペアを使う
+const VAPID_PUBLIC_KEY = process.env.VAPID_PUBLIC_KEY || process.env.NEXT_PUBLIC_VAPID_PUBLIC_KEY;
+const VAPID_PRIVATE_KEY = process.env.VAPID_PRIVATE_KEY;
+const VAPID_SUBJECT = process.env.VAPID_SUBJECT || 'mailto:no-reply@localhost';
+
+const PUSH_TTL = 24 * 60 * 60;
+
+// 購読の期限切れ・解除（プッシュサービスが 404 / 410 を返した場合）
+const isExpired = (error) => [404, 410].includes(error && error.statusCode);
+
+class PushNotificationService {
+  constructor() {
+    this.sender = (subscription, payload, options) => webpush.sendNotification(subscription, payload, {
+      ...options,
+      vapidDetails: {
+        subject: VAPID_SUBJECT,
+        publicKey: VAPID_PUBLIC_KEY,
+        privateKey: VAPID_PRIVATE_KEY
+      }
+    });
+  }
+
+  isEnabled() {
+    return !!VAPID_PUBLIC_KEY && !!VAPID_PRIVATE_KEY;
+  }
+
+  get publicKey() {
+    return VAPID_PUBLIC_KEY || null;
+  }
+
+  /**
+   * 送信処理を差し替える
+   * @param {Function} sender - async (subscription, payload, options) => void（失敗時は statusCode を持つエラー）
+   */
+  setSender(sender) {
+    this.sender = sender;
+  }
+
+  /**
+   * ブラウザ（端末）の購読を登録する。同じ endpoint は上書きする
+   * @param {object} user - トークンのペイロード
+   * @param {object} subscription - PushSubscription.toJSON() の値 { endpoint, expirationTime, keys: { p256dh, auth } }
+   * @param {string} userAgent
+   */
+  async subscribe(user, subscription = {}, userAgent = '') {
+    const { endpoint, expirationTime, keys = {} } = subscription;
+
+    if (typeof endpoint !== 'string' || !/^https:\/\//.test(endpoint)) {
+      throw ApiError.badRequest('endpoint が正しくありません');
+    }
+    if (!keys.p256dh || !keys.auth) {
+      throw ApiError.badRequest('keys.p256dh と keys.auth を指定してください');
+    }
+
+    const values = {
+      userId: String(user.userId),
+      email: user.email || null,
+      endpoint,
+      keys: { p256dh: keys.p256dh, auth: keys.auth },
+      expirationTime: expirationTime || null,
+      userAgent: String(userAgent).slice(0, 300)
+    };
+
+    const existing = await db.findOne(TABLE, { endpoint });
+    return existing
+      ? db.update(TABLE, existing.id, values)
+      : db.insert(TABLE, values);
+  }
+
+  // 自分の購読のみ解除できる
+  async unsubscribe(user, endpoint) {
+    const existing = await db.findOne(TABLE, { endpoint: String(endpoint) });
+    if (!existing || String(existing.userId) !== String(user.userId)) {
+      throw ApiError.notFound('購読が見つかりません');
+    }
+    await db.remove(TABLE, existing.id);
+  }
+
+  // 受信者（ユーザーID またはメールアドレス）の全端末の購読
+  async listForRecipient(recipientId) {
+    const [byUserId, byEmail] = await Promise.all([
+      db.find(TABLE, { userId: String(recipientId) }),
+      db.find(TABLE, { email: String(recipientId) })
+    ]);
+    const subscriptions = new Map([...byUserId, ...byEmail].map(item => [item.endpoint, item]));
+    return [...subscriptions.values()];
+  }
+
+  /**
+   * 通知サービスのプッシュ通知チャネル
+   * 期限切れの購読は送信時に削除する
+   * @param {string} recipientId
+   * @param {object} notification - 通知サービスが生成した通知
+   */
+  async send(recipientId, notification) {
+    const subscriptions = await this.listForRecipient(recipientId);
+    if (subscriptions.length === 0) return;
+
+    // public/sw.js が表示する内容
+    const payload = JSON.stringify({
+      title: notification.title,
+      body: notification.message,
+      tag: notification.id ? `notification-${notification.id}` : notification.type,
+      url: getNotificationLink(notification),
+      notificationId: notification.id || null,
+      type: notification.type
+    });
+    const options = {
+      TTL: PUSH_TTL,
+      urgency: notification.priority === 'high' ? 'high' : notification.priority === 'low' ? 'low' : 'normal'
+    };
+
+    await Promise.all(subscriptions.map(async (subscription) => {
+      try {
+        await this.sender({ endpoint: subscription.endpoint, keys: subscription.keys }, payload, options);
+      } catch (error) {
+        if (isExpired(error)) {
+          await db.remove(TABLE, subscription.id);
+          return;
+        }
+        console.error(`❌ Web push error (${subscription.endpoint}):`, error.message);
+      }
+    }));
+  }
+}
+
+module.exports = new PushNotificationService();
@@ -0,0 +1,67 @@
+const db = require('../db');
+const jobService = require('./jobService');
+const applicationService = require('./applicationService');
+const profileService = require('./profileService');
+const reviewService = require('./reviewService');
+const { JOB_STATUS } = require('../../utils/jobStatus');
+const {
+  DEFAULT_RECOMMENDATION_LIMIT,
+  averageRatingsByReviewee,
+  buildFreelancerProfile,
+  rankJobsForFreelancer,
+  rankApplicants
+} = require('../../utils/matchingUtils');
+
+const MAX_LIMIT = 50;
+
+class RecommendationService {
+  /**
+   * フリーランサーにおすすめの募集中案件（スキル・経験レベル・予算・クライアント評価で順位付け）
+   * スキルは保存済みのプロフィール、経験レベルは応募の実績と受け取ったレビューから決める
+   * @param {object} user - トークンのペイロード
+   * @param {object} options - { limit }
+   * @returns {Promise<object[]>} - rankJobsForFreelancer の戻り値
+   */
+  async recommendJobs(user, { limit } = {}) {
+    const [jobs, applications, profile] = await Promise.all([
+      db.find('jobs', { status: JOB_STATUS.RECRUITING }),
+      applicationService.listForApplicant(user),
+      profileService.get(user)
+    ]);
+
+    const appliedJobIds = new Set(applications.map(application => String(application.jobId)));
+    const candidates = jobs.filter(job => !jobService.isOwner(job, user) && !appliedJobIds.has(String(job.id)));
+
+    // 自分と候補の案件の投稿者が受け取ったレビューだけを読む（レビューの宛先はメールアドレスを優先する）
+    const reviewerKey = user.email || user.userId;
+    const reviews = await reviewService.list({
+      revieweeId: [...new Set([reviewerKey, ...candidates.map(job => job.clientEmail || job.clientId)].filter(Boolean))]
+    });
+
+    const freelancer = buildFreelancerProfile({ profile, applications, reviews, email: reviewerKey });
+
+    return rankJobsForFreelancer(candidates, freelancer, {
+      clientRatings: averageRatingsByReviewee(reviews),
+      limit: Math.max(1, Math.min(parseInt(limit, 10) || DEFAULT_RECOMMENDATION_LIMIT, MAX_LIMIT))
+    });
+  }
+
+  /**
+   * 案件への応募者をスキル・経験年数・対応可能時間・希望報酬・レビュー評価で採点し、スコア順に返す（案件の投稿者のみ）
+   * @returns {Promise<object[]>} - rankApplicants の戻り値
+   */
+  async rankApplicants(jobId, user) {
+    const job = await jobService.getOwnedJob(jobId, user);
+    const applications = await applicationService.listForJob(job.id, user);
+
+    const emails = [...new Set(applications.map(application => application.applicantEmail).filter(Boolean))];
+    const [profiles, reviews] = await Promise.all([
+      profileService.getByEmails(emails),
+      emails.length > 0 ? reviewService.list({ revieweeId: emails }) : []
+    ]);
+
+    return rankApplicants(applications, job, { profiles, reviews });
+  }
+}
+
+module.exports = new RecommendationService();
@@ -0,0 +1,137 @@
+const db = require('../db');
+const ApiError = require('../utils/ApiError');
+const jobService = require('./jobService');
+const domainEvents = require('../events/domainEvents');
+const { DOMAIN_EVENTS } = require('../events/domainEvents');
+const { JOB_STATUS, APPLICATION_STATUS } = require('../../utils/jobStatus');
+
+const TABLE = 'reviews';
+const MAX_COMMENT_LENGTH = 2000;
+
+// 1〜5 の整数で評価する項目（pages/review/[jobId].js の入力項目に対応）
+const RATING_FIELDS = ['rating', 'communication', 'quality', 'timeliness', 'overall'];
+
+const isRating = (value) => Number.isInteger(Number(value)) && Number(value) >= 1 && Number(value) <= 5;
+
+class ReviewService {
+  constructor() {
+    this.reviewLocks = new Map(); // 案件ID:評価者:評価対象 -> 実行中の投稿（二重送信でレビューを重複させない）
+  }
+
+  async withReviewLock(key, task) {
+    const previous = this.reviewLocks.get(key) || Promise.resolve();
+    const current = previous.catch(() => {}).then(task);
+    const settled = current.catch(() => {});
+    this.reviewLocks.set(key, settled);
+
+    try {
+      return await current;
+    } finally {
+      if (this.reviewLocks.get(key) === settled) this.reviewLocks.delete(key);
+    }
+  }
+
+  /**
+   * 評価者と評価対象を決める
+   * 案件の投稿者は採用した応募者を（複数名採用した案件は applicationId で指定）、採用された応募者は案件の投稿者を評価する
+   * 宛先はマッチング・通知と同じく、共通のメールアドレスを優先する
+   * @returns {Promise<object>} - { reviewerType, application, reviewee: { id, name } }
+   */
+  async resolveParties(job, user, applicationId) {
+    const approved = await db.find('applications', { jobId: job.id, status: APPLICATION_STATUS.APPROVED });
+
+    if (jobService.isOwner(job, user)) {
+      const candidates = applicationId
+        ? approved.filter(application => String(application.id) === String(applicationId))
+        : approved;
+      if (candidates.length === 0) {
+        throw ApiError.badRequest('評価する採用者が見つかりません');
+      }
+      if (candidates.length > 1) {
+        throw ApiError.badRequest('評価する採用者（applicationId）を指定してください');
+      }
+      const [application] = candidates;
+      return {
+        reviewerType: 'client',
+        application,
+        reviewee: {
+          id: application.applicantEmail || application.applicantId,
+          name: application.applicantName || application.applicantEmail
+        }
+      };
+    }
+
+    const application = approved.find(item => String(item.applicantId) === String(user.userId));
+    if (!application) {
+      throw ApiError.forbidden('この案件のレビューを投稿する権限がありません');
+    }
+    return {
+      reviewerType: 'freelancer',
+      application,
+      reviewee: {
+        id: job.clientEmail || job.clientId,
+        name: job.clientName || job.clientEmail
+      }
+    };
+  }
+
+  /**
+   * 完了した案件のレビューを投稿する（評価者・評価対象の組み合わせごとに 1 件）
+   * @param {string} jobId
+   * @param {object} user - トークンのペイロード
+   * @param {object} data - { applicationId, rating, communication, quality, timeliness, overall, comment }
+   */
+  async create(jobId, user, data = {}) {
+    const job = await jobService.getJob(jobId);
+    if (job.status !== JOB_STATUS.COMPLETED) {
+      throw ApiError.conflict('完了した案件のみレビューできます');
+    }
+
+    const invalid = RATING_FIELDS.filter(field => !isRating(data[field]));
+    if (invalid.length > 0) {
+      throw ApiError.badRequest('評価は1〜5で入力してください', invalid);
+    }
+    const comment = typeof data.comment === 'string' ? data.comment.trim() : '';
+    if (comment.length > MAX_COMMENT_LENGTH) {
+      throw ApiError.badRequest(`コメントは${MAX_COMMENT_LENGTH}文字以内で入力してください`);
+    }
+
+    const { reviewerType, application, reviewee } = await this.resolveParties(job, user, data.applicationId);
+    const reviewerId = user.email || user.userId;
+
+    const review = await this.withReviewLock(`${job.id}:${reviewerId}:${reviewee.id}`, async () => {
+      // 複数名を採用した案件では、採用したフリーランサーごとにレビューできる
+      const existing = await db.findOne(TABLE, { jobId: job.id, reviewerId, revieweeId: reviewee.id });
+      if (existing) {
+        throw ApiError.conflict('この案件に対するレビューは既に投稿済みです');
+      }
+
+      return db.insert(TABLE, {
+        jobId: job.id,
+        jobTitle: job.title,
+        applicationId: application.id,
+        reviewerId,
+        reviewerName: user.name || user.email,
+        revieweeId: reviewee.id,
+        revieweeName: reviewee.name || '',
+        reviewerType,
+        ...RATING_FIELDS.reduce((ratings, field) => ({ ...ratings, [field]: Number(data[field]) }), {}),
+        comment,
+        status: 'published'
+      });
+    });
+
+    domainEvents.publish(DOMAIN_EVENTS.REVIEW_PUBLISHED, { review, job, actor: user });
+    return review;
+  }
+
+  /**
+   * 公開済みのレビュー（新しい順）
+   * @param {object} filters - { revieweeId, reviewerId, jobId }
+   */
+  async list({ revieweeId, reviewerId, jobId } = {}) {
+    return db.find(TABLE, { revieweeId, reviewerId, jobId, status: 'published' }, { orderBy: 'createdAt', ascending: false });
+  }
+}
+
+module.exports = new ReviewService();
@@ -0,0 +1,221 @@
+const jwt = require('jsonwebtoken');
+const { randomUUID } = require('crypto');
+const { decode: decodeSessionToken } = require('next-auth/jwt');
+const db = require('../db');
+
+const REFRESH_TOKENS_TABLE = 'refresh_tokens';
+const REVOKED_TOKENS_TABLE = 'revoked_tokens';
+const USERS_TABLE = 'users';
+
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+// ブラウザ（Next.js のページ）に渡すトークンは短命にする
+const SESSION_ACCESS_TOKEN_TTL = process.env.JWT_SESSION_ACCESS_EXPIRES_IN || '5m';
+const SOCKET_TOKEN_TTL = process.env.JWT_SOCKET_EXPIRES_IN || '60s';
+
+const getSecret = (name) => {
+  const secret = process.env[name];
+  if (!secret) {
+    throw new Error(`${name} が設定されていません`);
+  }
+  return secret;
+};
+
+// アクセストークンに含めるユーザー情報
+const toClaims = (user) => ({
+  userId: user.id,
+  email: user.email,
+  name: user.name,
+  userType: user.userType
+});
+
+const secondsUntilExpiry = (token) => jwt.decode(token).exp - Math.floor(Date.now() / 1000);
+
+class TokenService {
+  /**
+   * アクセストークンとリフレッシュトークンを発行する
+   * @param {object} user - users テーブルのレコード
+   * @returns {Promise<object>} - { accessToken, refreshToken, expiresIn }
+   */
+  async issueTokens(user) {
+    const accessToken = jwt.sign(
+      { ...toClaims(user), type: 'access' },
+      getSecret('JWT_SECRET'),
+      { expiresIn: ACCESS_TOKEN_TTL, jwtid: randomUUID() }
+    );
+
+    const refreshJti = randomUUID();
+    const refreshToken = jwt.sign(
+      { userId: user.id, type: 'refresh' },
+      getSecret('JWT_REFRESH_SECRET'),
+      { expiresIn: REFRESH_TOKEN_TTL, jwtid: refreshJti }
+    );
+
+    const { exp } = jwt.decode(refreshToken);
+    await db.insert(REFRESH_TOKENS_TABLE, {
+      id: refreshJti,
+      userId: user.id,
+      expiresAt: new Date(exp * 1000).toISOString(),
+      revokedAt: null
+    });
+
+    return {
+      accessToken,
+      refreshToken,
+      expiresIn: secondsUntilExpiry(accessToken)
+    };
+  }
+
+  /**
+   * NextAuth のセッション JWT と引き換えに、短命のアクセストークンを発行する（リフレッシュトークンは発行しない）
+   * セッション JWT は Next.js のサーバーから受け取り、ブラウザのスクリプトには渡さない
+   * @param {string} sessionToken
+   * @returns {Promise<object>} - { accessToken, expiresIn }
+   */
+  async exchangeSessionToken(sessionToken) {
+    const { userId, email, name, userType } = await this.verifySessionToken(sessionToken);
+    const accessToken = jwt.sign(
+      { userId, email, name, userType, type: 'access' },
+      getSecret('JWT_SECRET'),
+      { expiresIn: SESSION_ACCESS_TOKEN_TTL, jwtid: randomUUID() }
+    );
+    return { accessToken, expiresIn: secondsUntilExpiry(accessToken) };
+  }
+
+  /**
+   * Socket.IO のハンドシェイク専用のトークンを発行する（API のリクエストには使えない）
+   * @param {object} user - アクセストークンのペイロード
+   * @returns {object} - { token, expiresIn }
+   */
+  issueSocketToken(user) {
+    const token = jwt.sign(
+      { userId: user.userId, email: user.email, name: user.name, userType: user.userType, type: 'socket' },
+      getSecret('JWT_SECRET'),
+      { expiresIn: SOCKET_TOKEN_TTL, jwtid: randomUUID() }
+    );
+    return { token, expiresIn: secondsUntilExpiry(token) };
+  }
+
+  /**
+   * Socket.IO のハンドシェイクで受け取ったトークンを検証する
+   * ブラウザが使うハンドシェイク専用のトークンのほか、API のアクセストークン（ログインで発行したもの）も受け付ける
+   * @returns {Promise<object>} - トークンのペイロード
+   */
+  async verifySocketToken(token) {
+    const payload = jwt.verify(token, getSecret('JWT_SECRET'));
+
+    if (payload.type === 'access') {
+      // 失効済みかどうかも確認する
+      return this.verifyAccessToken(token);
+    }
+    if (payload.type !== 'socket') {
+      throw new jwt.JsonWebTokenError('ハンドシェイクに使えるトークンではありません');
+    }
+    return payload;
+  }
+
+  /**
+   * アクセストークンを検証する（署名・有効期限・失効済みかどうか）
+   * @returns {Promise<object>} - トークンのペイロード
+   */
+  async verifyAccessToken(token) {
+    const payload = jwt.verify(token, getSecret('JWT_SECRET'));
+
+    if (payload.type !== 'access') {
+      throw new jwt.JsonWebTokenError('アクセストークンではありません');
+    }
+    if (payload.jti && await db.findById(REVOKED_TOKENS_TABLE, payload.jti)) {
+      throw new jwt.JsonWebTokenError('失効済みのトークンです');
+    }
+
+    return payload;
+  }
+
+  /**
+   * NextAuth のセッション JWT を検証する
+   * users テーブルに同じメールアドレスのユーザーがいれば、その ID を userId とする
+   * @returns {Promise<object>} - アクセストークンと同じ形のペイロード
+   */
+  async verifySessionToken(token) {
+    let session = null;
+    try {
+      session = await decodeSessionToken({ token, secret: getSecret('NEXTAUTH_SECRET') });
+    } catch (error) {
+      session = null;
+    }
+
+    if (!session || !session.email) {
+      throw new jwt.JsonWebTokenError('無効なセッショントークンです');
+    }
+    if (session.exp && session.exp * 1000 < Date.now()) {
+      throw new jwt.TokenExpiredError('セッションの有効期限が切れています', new Date(session.exp * 1000));
+    }
+
+    const email = String(session.email).toLowerCase();
+    const user = await db.findOne(USERS_TABLE, { email });
+
+    return {
+      userId: user ? user.id : (session.id || session.sub),
+      email,
+      name: user ? user.name : session.name,
+      userType: user ? user.userType : session.userType,
+      type: 'session'
+    };
+  }
+
+  /**
+   * API のアクセストークンを検証する（NextAuth のセッション JWT は exchangeSessionToken で引き換えてから使う）
+   * @returns {Promise<object>} - トークンのペイロード
+   */
+  async authenticate(token) {
+    return this.verifyAccessToken(token);
+  }
+
+  /**
+   * リフレッシュトークンを検証し、使用済みとして失効させる（ローテーション）
+   * @returns {Promise<string>} - ユーザーID
+   */
+  async consumeRefreshToken(token) {
+    const payload = jwt.verify(token, getSecret('JWT_REFRESH_SECRET'));
+    const stored = await db.findById(REFRESH_TOKENS_TABLE, payload.jti);
+
+    if (payload.type !== 'refresh' || !stored || stored.revokedAt) {
+      // 失効済みトークンの再利用は漏洩の可能性があるため、そのユーザーの全トークンを失効させる
+      if (stored && stored.revokedAt) {
+        await this.revokeAllRefreshTokens(stored.userId);
+      }
+      throw new jwt.JsonWebTokenError('無効なリフレッシュトークンです');
+    }
+
+    await db.update(REFRESH_TOKENS_TABLE, stored.id, { revokedAt: new Date().toISOString() });
+    return stored.userId;
+  }
+
+  async revokeRefreshToken(token, userId) {
+    try {
+      const payload = jwt.verify(token, getSecret('JWT_REFRESH_SECRET'));
+      if (String(payload.userId) !== String(userId)) return;
+      await db.update(REFRESH_TOKENS_TABLE, payload.jti, { revokedAt: new Date().toISOString() });
+    } catch (error) {
+      // 既に無効なトークンは失効済みとみなす
+    }
+  }
+
+  async revokeAllRefreshTokens(userId) {
+    await db.updateWhere(REFRESH_TOKENS_TABLE, { userId, revokedAt: null }, {
+      revokedAt: new Date().toISOString()
+    });
+  }
+
+  // アクセストークンを有効期限まで拒否リストに登録する
+  async revokeAccessToken(payload) {
+    if (!payload.jti) return;
+    await db.insert(REVOKED_TOKENS_TABLE, {
+      id: payload.jti,
+      userId: payload.userId,
+      expiresAt: new Date(payload.exp * 1000).toISOString()
+    });
+  }
+}
+
+module.exports = new TokenService();
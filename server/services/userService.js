@@ -0,0 +1,108 @@
+const db = require('../db');
+const ApiError = require('../utils/ApiError');
+const { hashPassword, verifyPassword, checkPasswordStrength } = require('../../utils/passwordUtils');
+
+const TABLE = 'users';
+const USER_TYPES = ['client', 'freelancer'];
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const validateEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+
+class UserService {
+  constructor() {
+    this.emailLocks = new Map(); // メールアドレス -> 実行中の登録（同じメールアドレスの登録を直列に実行する）
+  }
+
+  // 同じメールアドレスの登録を順番に実行する（同時に登録されても重複したユーザーを作らない）
+  async withEmailLock(email, task) {
+    const previous = this.emailLocks.get(email) || Promise.resolve();
+    const current = previous.catch(() => {}).then(task);
+    const settled = current.catch(() => {});
+    this.emailLocks.set(email, settled);
+
+    try {
+      return await current;
+    } finally {
+      if (this.emailLocks.get(email) === settled) this.emailLocks.delete(email);
+    }
+  }
+
+  // パスワードハッシュを除いた公開用のユーザー情報
+  toPublic(user) {
+    if (!user) return null;
+    const { passwordHash, ...publicUser } = user;
+    return publicUser;
+  }
+
+  async findById(userId) {
+    return db.findById(TABLE, userId);
+  }
+
+  async findByEmail(email) {
+    return db.findOne(TABLE, { email: normalizeEmail(email) });
+  }
+
+  async register({ email, password, name, userType }) {
+    const errors = [];
+    const normalizedEmail = normalizeEmail(email);
+
+    if (!validateEmail(normalizedEmail)) {
+      errors.push('有効なメールアドレスを入力してください');
+    }
+    if (!name || String(name).trim().length === 0) {
+      errors.push('名前を入力してください');
+    }
+    if (userType && !USER_TYPES.includes(userType)) {
+      errors.push('ユーザー種別は client または freelancer を指定してください');
+    }
+    if (!password) {
+      errors.push('パスワードを入力してください');
+    } else {
+      const passwordCheck = checkPasswordStrength(password);
+      if (!passwordCheck.isValid) {
+        errors.push(...passwordCheck.messages);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw ApiError.badRequest(errors.join('、'), errors);
+    }
+
+    if (await this.findByEmail(normalizedEmail)) {
+      throw ApiError.conflict('このメールアドレスは既に登録されています');
+    }
+
+    // ハッシュ化は時間がかかるため、ロックの外で済ませておく
+    const passwordHash = await hashPassword(password);
+
+    // 重複の確認と登録の間に同じメールアドレスの登録が割り込まないよう、ロックの中で確認し直す
+    return this.withEmailLock(normalizedEmail, async () => {
+      if (await this.findByEmail(normalizedEmail)) {
+        throw ApiError.conflict('このメールアドレスは既に登録されています');
+      }
+
+      return db.insert(TABLE, {
+        email: normalizedEmail,
+        passwordHash,
+        name: String(name).trim(),
+        userType: userType || 'freelancer',
+        provider: 'credentials'
+      });
+    });
+  }
+
+  async authenticate(email, password) {
+    const user = await this.findByEmail(email);
+
+    // ユーザーが存在しない場合も同じメッセージを返す（アカウントの存在を推測させない）
+    if (!user || !user.passwordHash || !(await verifyPassword(password, user.passwordHash))) {
+      throw ApiError.unauthorized('メールアドレスまたはパスワードが間違っています');
+    }
+
+    await db.update(TABLE, user.id, { lastLoginAt: new Date().toISOString() });
+    return user;
+  }
+}
+
+module.exports = new UserService();
@@ -1,35 +1,42 @@
 const jwt = require('jsonwebtoken');
+const tokenService = require('../services/tokenService');
 
 class SocketHandler {
   constructor() {
     this.io = null;
-    this.userSockets = new Map(); // userId -> socketId のマッピング
   }
 
   initialize(server) {
     this.io = require('socket.io')(server, {
       cors: {
         origin: process.env.CLIENT_URL || "http://localhost:3000",
-        methods: ["GET", "POST"]
+        methods: ["GET", "POST"],
+        credentials: true
       }
     });
 
     this.io.use(this.authenticateSocket);
     this.io.on('connection', this.handleConnection.bind(this));
+
+    return this.io;
   }
 
-  authenticateSocket(socket, next) {
-    const token = socket.handshake.auth.token;
+  // ハンドシェイク時にトークン（POST /api/auth/socket-token で発行する専用の短命トークン、またはアクセストークン）を検証する
+  async authenticateSocket(socket, next) {
+    const token = socket.handshake.auth && socket.handshake.auth.token;
     
     if (!token) {
       return next(new Error('認証が必要です'));
     }
 
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      socket.userId = decoded.userId;
+      socket.user = await tokenService.verifySocketToken(token);
+      socket.userId = socket.user.userId;
       next();
     } catch (error) {
+      if (error instanceof jwt.TokenExpiredError) {
+        return next(new Error('トークンの有効期限が切れています'));
+      }
       next(new Error('無効なトークンです'));
     }
   }
@@ -37,22 +44,31 @@ class SocketHandler {
   handleConnection(socket) {
     console.log(`ユーザー ${socket.userId} が接続しました`);
     
-    // ユーザーとソケットのマッピングを保存
-    this.userSockets.set(socket.userId, socket.id);
-    
-    // ユーザー専用ルームに参加
+    // ユーザー専用ルーム（複数タブの場合も全ソケットが同じルームに参加する）に参加（メールアドレスで保存された宛先にも届くようにする）
     socket.join(`user_${socket.userId}`);
+    if (socket.user && socket.user.email && socket.user.email !== socket.userId) {
+      socket.join(`user_${socket.user.email}`);
+    }
 
     socket.on('disconnect', () => {
       console.log(`ユーザー ${socket.userId} が切断しました`);
-      this.userSockets.delete(socket.userId);
     });
   }
 
   sendToUser(userId, event, data) {
+    // Socket.IO を初期化していないプロセス（スクリプトなど）からの呼び出しは無視する
+    if (!this.io) return;
     this.io.to(`user_${userId}`).emit(event, data);
   }
 
+  // 複数のユーザーに 1 回ずつ送る（同じソケットが複数のルームに参加していても重複しない）
+  sendToUsers(userIds, event, data) {
+    if (!this.io) return;
+    const rooms = [...new Set(userIds.filter(Boolean).map(userId => `user_${userId}`))];
+    if (rooms.length === 0) return;
+    this.io.to(rooms).emit(event, data);
+  }
+
   broadcastToAll(event, data) {
     this.io.emit(event, data);
   }
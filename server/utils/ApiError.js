@@ -0,0 +1,31 @@
+// HTTPステータスコード付きのエラー（グローバルエラーハンドラーでそのままレスポンスに変換される）
+class ApiError extends Error {
+  constructor(status, message, details = undefined) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.details = details;
+  }
+
+  static badRequest(message, details) {
+    return new ApiError(400, message, details);
+  }
+
+  static unauthorized(message = '認証が必要です') {
+    return new ApiError(401, message);
+  }
+
+  static forbidden(message = 'この操作を行う権限がありません') {
+    return new ApiError(403, message);
+  }
+
+  static notFound(message = 'リソースが見つかりません') {
+    return new ApiError(404, message);
+  }
+
+  static conflict(message) {
+    return new ApiError(409, message);
+  }
+}
+
+module.exports = ApiError;
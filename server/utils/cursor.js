@@ -0,0 +1,67 @@
+// カーソルページネーション（新しい順）の共通処理
+// カーソルは最後に返したレコードの { createdAt, id } を base64url 化したもの
+
+const encodeCursor = (record) => {
+  return Buffer.from(JSON.stringify({ createdAt: record.createdAt, id: record.id })).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const { createdAt, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return createdAt && id ? { createdAt, id: String(id) } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// 新しい順（同時刻は ID 降順）
+const compareNewestFirst = (a, b) => {
+  if (a.createdAt !== b.createdAt) return a.createdAt < b.createdAt ? 1 : -1;
+  return String(a.id) < String(b.id) ? 1 : -1;
+};
+
+const isAfterCursor = (record, cursor) => {
+  if (record.createdAt !== cursor.createdAt) return record.createdAt < cursor.createdAt;
+  return String(record.id) < cursor.id;
+};
+
+/**
+ * 新しい順に並べ替えてカーソル以降の 1 ページ分を返す
+ * @param {object[]} records
+ * @param {object|null} cursor - decodeCursor の戻り値
+ * @param {number} limit
+ * @returns {object} - { items, nextCursor, hasMore }
+ */
+const paginate = (records, cursor, limit) => {
+  const sorted = [...records]
+    .sort(compareNewestFirst)
+    .filter(record => !cursor || isAfterCursor(record, cursor));
+
+  return toPage(sorted, limit);
+};
+
+/**
+ * カーソル以降を新しい順に limit + 1 件まで取得したレコード（db.findPage の戻り値）を 1 ページ分にする
+ * @param {object[]} records
+ * @param {number} limit
+ * @returns {object} - { items, nextCursor, hasMore }
+ */
+const toPage = (records, limit) => {
+  const items = records.slice(0, limit);
+  const hasMore = records.length > limit;
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1]) : null,
+    hasMore
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  compareNewestFirst,
+  isAfterCursor,
+  paginate,
+  toPage
+};
@@ -0,0 +1,128 @@
+// 帳票用の最小限の PDF 生成（テキスト・罫線・塗りつぶしのみ）
+// 日本語は PDF ビューアー標準の和文フォント（HeiseiKakuGo-W5）を埋め込まずに参照するため、フォントファイルは不要
+// UniJIS-UCS2-HW-H により英数字は半角幅（500）、それ以外は全角幅（1000）で表示される
+
+const A4 = { width: 595.28, height: 841.89 };
+
+const FONT_NAME = 'HeiseiKakuGo-W5';
+const HALF_WIDTH = 500;
+const FULL_WIDTH = 1000;
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+// UCS-2 の16進文字列（基本多言語面以外の文字は「?」にする）
+const toHexString = (text) => Array.from(String(text))
+  .map(char => {
+    const code = char.codePointAt(0);
+    return (code > 0xFFFF ? 0x3F : code).toString(16).padStart(4, '0');
+  })
+  .join('');
+
+// PDF の文字列（情報辞書用。UTF-16BE + BOM）
+const toTextString = (text) => `<FEFF${toHexString(text)}>`;
+
+const charWidth = (char) => {
+  const code = char.codePointAt(0);
+  return code < 0x80 || (code >= 0xFF61 && code <= 0xFF9F) ? HALF_WIDTH : FULL_WIDTH;
+};
+
+class PdfDocument {
+  /**
+   * @param {object} options - { title, width, height }（座標はページ左上を原点とするポイント）
+   */
+  constructor({ title = '', width = A4.width, height = A4.height } = {}) {
+    this.title = title;
+    this.width = width;
+    this.height = height;
+    this.pages = [];
+    this.addPage();
+  }
+
+  addPage() {
+    this.current = [];
+    this.pages.push(this.current);
+    return this;
+  }
+
+  textWidth(text, size) {
+    return Array.from(String(text)).reduce((sum, char) => sum + charWidth(char), 0) * size / 1000;
+  }
+
+  /**
+   * 文字列を描画する
+   * @param {string} text
+   * @param {number} x - align が right の場合は右端、center の場合は中央の位置
+   * @param {number} y - 文字のベースライン
+   * @param {object} options - { size, align: 'left' | 'center' | 'right' }
+   */
+  text(text, x, y, { size = 10, align = 'left' } = {}) {
+    const width = this.textWidth(text, size);
+    const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+    this.current.push(`BT /F1 ${formatNumber(size)} Tf ${formatNumber(left)} ${formatNumber(this.height - y)} Td <${toHexString(text)}> Tj ET`);
+    return this;
+  }
+
+  line(x1, y1, x2, y2, { width = 0.5 } = {}) {
+    this.current.push(`${formatNumber(width)} w ${formatNumber(x1)} ${formatNumber(this.height - y1)} m ${formatNumber(x2)} ${formatNumber(this.height - y2)} l S`);
+    return this;
+  }
+
+  /**
+   * 矩形を描画する
+   * @param {object} options - { fill: 0（黒）〜1（白）のグレー, stroke: 枠線を描くか }
+   */
+  rect(x, y, width, height, { fill = null, stroke = true, lineWidth = 0.5 } = {}) {
+    const path = `${formatNumber(x)} ${formatNumber(this.height - y - height)} ${formatNumber(width)} ${formatNumber(height)} re`;
+    if (fill !== null) {
+      this.current.push(`q ${formatNumber(fill)} g ${path} f Q`);
+    }
+    if (stroke) {
+      this.current.push(`${formatNumber(lineWidth)} w ${path} S`);
+    }
+    return this;
+  }
+
+  /**
+   * PDF のバイト列を作る
+   * @returns {Buffer}
+   */
+  toBuffer() {
+    const objects = [];
+    const add = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = add(null);
+    const pagesId = add(null);
+    const descriptorId = add(`<< /Type /FontDescriptor /FontName /${FONT_NAME} /Flags 4 /FontBBox [-92 -250 1010 922] /ItalicAngle 0 /Ascent 880 /Descent -120 /CapHeight 737 /StemV 114 >>`);
+    const cidFontId = add(`<< /Type /Font /Subtype /CIDFontType0 /BaseFont /${FONT_NAME} /CIDSystemInfo << /Registry (Adobe) /Ordering (Japan1) /Supplement 2 >> /FontDescriptor ${descriptorId} 0 R /DW ${FULL_WIDTH} /W [231 389 ${HALF_WIDTH}] >>`);
+    const fontId = add(`<< /Type /Font /Subtype /Type0 /BaseFont /${FONT_NAME}-UniJIS-UCS2-HW-H /Encoding /UniJIS-UCS2-HW-H /DescendantFonts [${cidFontId} 0 R] >>`);
+
+    const pageIds = this.pages.map(commands => {
+      const content = commands.join('\n');
+      const contentId = add(`<< /Length ${Buffer.byteLength(content)} >>\nstream\n${content}\nendstream`);
+      return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${formatNumber(this.width)} ${formatNumber(this.height)}] /Resources << /Font << /F1 ${fontId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+    });
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+    const infoId = add(`<< /Title ${toTextString(this.title)} /Producer (CrowdMVP) /CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z) >>`);
+
+    // 本文はすべて ASCII のため、文字数がそのままバイト数になる
+    let output = '%PDF-1.4\n';
+    const offsets = objects.map((body, index) => {
+      const offset = output.length;
+      output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+
+    const xrefOffset = output.length;
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+  }
+}
+
+module.exports = PdfDocument;
@@ -0,0 +1,18 @@
+// ステータス変更履歴のエントリを作成（誰が・いつ・どの状態からどの状態へ変更したか）
+const historyEntry = (from, to, user, reason) => ({
+  from,
+  to,
+  changedBy: user ? user.userId : 'system',
+  changedAt: new Date().toISOString(),
+  ...(reason ? { reason } : {})
+});
+
+// 既存の履歴に新しいエントリを追加した配列を返す
+const appendHistory = (record, to, user, reason) => {
+  return [...(record.statusHistory || []), historyEntry(record.status, to, user, reason)];
+};
+
+module.exports = {
+  historyEntry,
+  appendHistory
+};
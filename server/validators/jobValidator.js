@@ -0,0 +1,110 @@
+// 案件データのバリデーション（pages/post-job.js の入力項目に対応）
+
+const JOB_CATEGORIES = ['プログラミング', 'デザイン', '動画・映像', 'ライティング', 'マーケティング'];
+const EXPERIENCE_LEVELS = ['初級', '中級', '上級'];
+const BUDGET_MIN = 5000;
+const BUDGET_MAX = 500000;
+const HEADCOUNT_MAX = 100;
+
+const isBlank = (value) => typeof value !== 'string' || value.trim().length === 0;
+
+/**
+ * 案件データを検証する
+ * @param {object} data - リクエストボディ
+ * @param {object} options - { partial: true } の場合は送信された項目のみ検証（更新用）
+ * @returns {object} - { isValid, errors, values }
+ */
+const validateJob = (data = {}, { partial = false } = {}) => {
+  const errors = [];
+  const values = {};
+  const has = (key) => data[key] !== undefined;
+
+  if (!partial || has('title')) {
+    if (isBlank(data.title)) {
+      errors.push('案件タイトルを入力してください');
+    } else if (data.title.trim().length > 200) {
+      errors.push('案件タイトルは200文字以内で入力してください');
+    } else {
+      values.title = data.title.trim();
+    }
+  }
+
+  if (!partial || has('description')) {
+    if (isBlank(data.description)) {
+      errors.push('案件詳細を入力してください');
+    } else {
+      values.description = data.description.trim();
+    }
+  }
+
+  if (!partial || has('category')) {
+    if (!JOB_CATEGORIES.includes(data.category)) {
+      errors.push(`カテゴリは ${JOB_CATEGORIES.join('、')} のいずれかを指定してください`);
+    } else {
+      values.category = data.category;
+    }
+  }
+
+  if (!partial || has('budget')) {
+    const budget = Number(data.budget);
+    if (!Number.isInteger(budget) || budget < BUDGET_MIN || budget > BUDGET_MAX) {
+      errors.push(`予算は${BUDGET_MIN.toLocaleString()}円〜${BUDGET_MAX.toLocaleString()}円の整数で指定してください`);
+    } else {
+      values.budget = budget;
+    }
+  }
+
+  if (!partial || has('skills')) {
+    const skills = data.skills;
+    if (!Array.isArray(skills) || skills.length === 0) {
+      errors.push('必要なスキルを1つ以上指定してください');
+    } else if (skills.some(isBlank)) {
+      errors.push('スキルは文字列で指定してください');
+    } else {
+      values.skills = [...new Set(skills.map(skill => skill.trim()))];
+    }
+  }
+
+  if (!partial || has('experienceLevel')) {
+    const level = data.experienceLevel || (partial ? undefined : EXPERIENCE_LEVELS[0]);
+    if (!EXPERIENCE_LEVELS.includes(level)) {
+      errors.push(`経験レベルは ${EXPERIENCE_LEVELS.join('、')} のいずれかを指定してください`);
+    } else {
+      values.experienceLevel = level;
+    }
+  }
+
+  if (!partial || has('headcount')) {
+    const headcount = data.headcount === undefined || data.headcount === '' ? (partial ? NaN : 1) : Number(data.headcount);
+    if (!Number.isInteger(headcount) || headcount < 1 || headcount > HEADCOUNT_MAX) {
+      errors.push(`募集人数は1〜${HEADCOUNT_MAX}名の整数で指定してください`);
+    } else {
+      values.headcount = headcount;
+    }
+  }
+
+  if (has('deadline')) {
+    if (data.deadline === null || data.deadline === '') {
+      values.deadline = null;
+    } else if (isNaN(Date.parse(data.deadline))) {
+      errors.push('納期は YYYY-MM-DD 形式で指定してください');
+    } else {
+      values.deadline = data.deadline;
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    values
+  };
+};
+
+module.exports = {
+  validateJob,
+  JOB_CATEGORIES,
+  EXPERIENCE_LEVELS,
+  BUDGET_MIN,
+  BUDGET_MAX,
+  HEADCOUNT_MAX
+};
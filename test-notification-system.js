@@ -1,11 +1,37 @@
 // 通知システムテストスクリプト
 require('dotenv').config({ path: '.env.local' });
-const { 
-  createNotification, 
-  getUserNotifications, 
-  getUnreadNotificationCount,
-  NOTIFICATION_TYPES 
-} = require('./utils/notificationUtils');
+// API サーバーの通知サービスを Supabase のストアで実行する
+process.env.DB_DRIVER = process.env.DB_DRIVER || 'supabase';
+const notificationService = require('./server/services/notificationService');
+const { NOTIFICATION_TYPES } = require('./utils/notificationUtils');
+
+// 通知サービスの結果を { success, ... } の形にまとめる
+const createNotification = async ({ type, recipient_id, data, priority }) => {
+  try {
+    const notification = await notificationService.createNotification(recipient_id, type, data, { priority });
+    return { success: true, notification };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+const getUserNotifications = async (userId, { limit }) => {
+  try {
+    const { notifications } = await notificationService.list({ userId }, { limit });
+    return { success: true, notifications, count: notifications.length };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+const getUnreadNotificationCount = async (userId) => {
+  try {
+    const { total } = await notificationService.getUnreadCounts({ userId });
+    return { success: true, count: total };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
 
 console.log('🔔 通知システムテスト開始...\n');
 
@@ -125,8 +151,8 @@ async function testNotificationSystem() {
       clientNotifications.notifications.forEach((notif, index) => {
         console.log(`   ${index + 1}. ${notif.icon} ${notif.title}`);
         console.log(`      ${notif.message}`);
-        console.log(`      作成日時: ${new Date(notif.created_at).toLocaleString('ja-JP')}`);
-        console.log(`      既読: ${notif.read_status ? 'はい' : 'いいえ'}`);
+        console.log(`      作成日時: ${new Date(notif.createdAt).toLocaleString('ja-JP')}`);
+        console.log(`      既読: ${notif.isRead ? 'はい' : 'いいえ'}`);
       });
     } else {
       console.log('❌ 通知取得失敗:', clientNotifications.error);
@@ -139,8 +165,8 @@ async function testNotificationSystem() {
       workerNotifications.notifications.forEach((notif, index) => {
         console.log(`   ${index + 1}. ${notif.icon} ${notif.title}`);
         console.log(`      ${notif.message}`);
-        console.log(`      作成日時: ${new Date(notif.created_at).toLocaleString('ja-JP')}`);
-        console.log(`      既読: ${notif.read_status ? 'はい' : 'いいえ'}`);
+        console.log(`      作成日時: ${new Date(notif.createdAt).toLocaleString('ja-JP')}`);
+        console.log(`      既読: ${notif.isRead ? 'はい' : 'いいえ'}`);
       });
     } else {
       console.log('❌ 通知取得失敗:', workerNotifications.error);
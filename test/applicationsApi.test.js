@@ -0,0 +1,187 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { useTestEnvironment, startApiServer, createUser } = require('./helpers/apiServer');
+
+const dataDir = useTestEnvironment('crowd-applications-api-test-');
+
+const jobRoutes = require('../server/routes/jobs');
+const applicationRoutes = require('../server/routes/applications');
+const applicationService = require('../server/services/applicationService');
+const ledgerService = require('../server/services/ledgerService');
+const paymentProvider = require('../server/payments');
+const { JOB_STATUS, APPLICATION_STATUS } = require('../utils/jobStatus');
+
+let api;
+let client;
+let alice;
+let bob;
+
+before(async () => {
+  api = await startApiServer({ '/api/jobs': jobRoutes, '/api/applications': applicationRoutes });
+  client = await createUser('client@example.com', { userType: 'client' });
+  alice = await createUser('alice@example.com');
+  bob = await createUser('bob@example.com');
+});
+
+after(async () => {
+  await api.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const postJob = async (fields = {}) => {
+  const res = await api.request('POST', '/api/jobs', {
+    token: client.token,
+    body: {
+      title: 'ロゴ制作',
+      category: 'デザイン',
+      budget: 30000,
+      description: 'サービスのロゴを制作してください',
+      skills: ['Illustrator'],
+      headcount: 1,
+      ...fields
+    }
+  });
+  return res.body.job;
+};
+
+const apply = (job, { token }, body = { proposalText: 'よろしくお願いします' }) => (
+  api.request('POST', '/api/applications', { token, body: { jobId: job.id, ...body } })
+);
+
+const offer = async (application) => {
+  const res = await api.request('POST', `/api/applications/${application.id}/offer`, { token: client.token });
+  assert.equal(res.status, 200);
+  return res.body.application;
+};
+
+test('応募には提案文が必要で、同じ案件へは一度だけ応募できる', async () => {
+  const job = await postJob();
+
+  assert.equal((await apply(job, alice, { proposalText: ' ' })).status, 400);
+
+  const created = await apply(job, alice, { proposalText: '提案です', proposedPrice: '25000' });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.application.status, APPLICATION_STATUS.PENDING);
+  assert.equal(created.body.application.proposedPrice, 25000);
+  assert.equal(created.body.application.applicantId, alice.user.id);
+
+  assert.equal((await apply(job, alice)).status, 409);
+  assert.equal((await apply(job, client)).status, 403);
+});
+
+test('案件の応募一覧は投稿者だけが取得できる', async () => {
+  const job = await postJob();
+  await apply(job, alice);
+
+  const own = await api.request('GET', `/api/applications?jobId=${job.id}`, { token: client.token });
+  assert.equal(own.status, 200);
+  assert.equal(own.body.total, 1);
+
+  const other = await api.request('GET', `/api/applications?jobId=${job.id}`, { token: bob.token });
+  assert.equal(other.status, 403);
+
+  const mine = await api.request('GET', '/api/applications', { token: alice.token });
+  assert.ok(mine.body.applications.some(application => application.jobId === job.id));
+});
+
+test('選考は投稿者だけが進められ、オファーなしには承諾できない', async () => {
+  const job = await postJob();
+  const { body: { application } } = await apply(job, alice);
+
+  const byApplicant = await api.request('POST', `/api/applications/${application.id}/shortlist`, { token: alice.token });
+  assert.equal(byApplicant.status, 403);
+
+  const early = await api.request('POST', `/api/applications/${application.id}/accept`, { token: alice.token });
+  assert.equal(early.status, 409);
+
+  const shortlisted = await api.request('POST', `/api/applications/${application.id}/shortlist`, { token: client.token });
+  assert.equal(shortlisted.body.application.status, APPLICATION_STATUS.SHORTLISTED);
+
+  // 他人のオファーは承諾できない
+  await offer(application);
+  const byOther = await api.request('POST', `/api/applications/${application.id}/accept`, { token: bob.token });
+  assert.equal(byOther.status, 403);
+});
+
+test('応募ステータスは遷移先ごとに決められた立場の人だけが進められる', async () => {
+  const job = await postJob();
+  const { body: { application } } = await apply(job, alice);
+  const offered = await offer(application);
+  const actor = ({ user }) => ({ userId: user.id, email: user.email });
+
+  // オファーの承諾は応募者、却下は投稿者の操作
+  await assert.rejects(
+    applicationService.transition(offered, job, APPLICATION_STATUS.APPROVED, actor(client)),
+    { status: 403 }
+  );
+  await assert.rejects(
+    applicationService.transition(offered, job, APPLICATION_STATUS.REJECTED, actor(alice)),
+    { status: 403 }
+  );
+  await assert.rejects(
+    applicationService.transition(offered, job, APPLICATION_STATUS.WITHDRAWN, actor(bob)),
+    { status: 403 }
+  );
+
+  const declined = await applicationService.transition(offered, job, APPLICATION_STATUS.DECLINED, actor(alice));
+  assert.equal(declined.status, APPLICATION_STATUS.DECLINED);
+});
+
+test('募集人数に達すると案件を開始し、選考中の応募を却下する', async () => {
+  const job = await postJob();
+  const { body: { application: aliceApplication } } = await apply(job, alice);
+  const { body: { application: bobApplication } } = await apply(job, bob);
+  await offer(aliceApplication);
+
+  const res = await api.request('POST', `/api/applications/${aliceApplication.id}/accept`, { token: alice.token });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.application.status, APPLICATION_STATUS.APPROVED);
+  assert.equal(res.body.job.status, JOB_STATUS.IN_PROGRESS);
+  assert.deepEqual(res.body.rejectedApplicationIds, [bobApplication.id]);
+
+  const bobView = await api.request('GET', `/api/applications/${bobApplication.id}`, { token: bob.token });
+  assert.equal(bobView.body.application.status, APPLICATION_STATUS.REJECTED);
+});
+
+test('同時に承諾しても募集人数を超えて採用しない', async () => {
+  const job = await postJob();
+  const { body: { application: aliceApplication } } = await apply(job, alice);
+  const { body: { application: bobApplication } } = await apply(job, bob);
+  await offer(aliceApplication);
+  await offer(bobApplication);
+
+  const results = await Promise.all([
+    api.request('POST', `/api/applications/${aliceApplication.id}/accept`, { token: alice.token }),
+    api.request('POST', `/api/applications/${bobApplication.id}/accept`, { token: bob.token })
+  ]);
+  assert.deepEqual(results.map(result => result.status).sort(), [200, 409]);
+
+  const { body: { job: updated } } = await api.request('GET', `/api/jobs/${job.id}`);
+  assert.equal(updated.assignedFreelancers.length, 1);
+});
+
+test('報酬を預かれなかった承諾では採用しない', async () => {
+  const job = await postJob({ budget: 40000, headcount: 2 });
+  const { body: { application } } = await apply(job, alice);
+  await offer(application);
+
+  const { charge } = paymentProvider;
+  paymentProvider.charge = async () => { throw new Error('カードの決済に失敗しました'); };
+  try {
+    const failed = await api.request('POST', `/api/applications/${application.id}/accept`, { token: alice.token });
+    assert.equal(failed.status, 500);
+  } finally {
+    paymentProvider.charge = charge;
+  }
+
+  const { body: { application: stillOffered } } = await api.request('GET', `/api/applications/${application.id}`, { token: alice.token });
+  assert.equal(stillOffered.status, APPLICATION_STATUS.OFFERED);
+  assert.equal(await ledgerService.getEscrowBalance(job.id, 'alice@example.com'), 0);
+
+  // 再度承諾すると、予算を募集人数で割った額を預かって採用する
+  const accepted = await api.request('POST', `/api/applications/${application.id}/accept`, { token: alice.token });
+  assert.equal(accepted.status, 200);
+  assert.equal(accepted.body.application.status, APPLICATION_STATUS.APPROVED);
+  assert.equal(await ledgerService.getEscrowBalance(job.id, 'alice@example.com'), 20000);
+});
@@ -0,0 +1,107 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { useTestEnvironment, startApiServer } = require('./helpers/apiServer');
+
+const dataDir = useTestEnvironment('crowd-auth-api-test-');
+
+const db = require('../server/db');
+const authRoutes = require('../server/routes/auth');
+const tokenService = require('../server/services/tokenService');
+
+const PASSWORD = 'Passw0rd!23';
+
+let api;
+
+before(async () => {
+  api = await startApiServer({ '/api/auth': authRoutes });
+});
+
+after(async () => {
+  await api.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const register = (email, fields = {}) => api.request('POST', '/api/auth/register', {
+  body: { email, password: PASSWORD, name: 'テストユーザー', ...fields }
+});
+
+test('登録するとユーザー情報とトークンを返し、パスワードハッシュは返さない', async () => {
+  const res = await register('new@example.com', { userType: 'client' });
+
+  assert.equal(res.status, 201);
+  assert.equal(res.body.user.email, 'new@example.com');
+  assert.equal(res.body.user.userType, 'client');
+  assert.equal(res.body.user.passwordHash, undefined);
+  assert.ok(res.body.accessToken);
+  assert.ok(res.body.refreshToken);
+
+  const weak = await register('weak@example.com', { password: 'abc' });
+  assert.equal(weak.status, 400);
+});
+
+test('同じメールアドレスで同時に登録しても 1 件だけ作成する', async () => {
+  const results = await Promise.all([
+    register('dup@example.com'),
+    register('Dup@Example.com'),
+    register(' dup@example.com ')
+  ]);
+
+  assert.deepEqual(results.map(result => result.status).sort(), [201, 409, 409]);
+  assert.equal(await db.count('users', { email: 'dup@example.com' }), 1);
+});
+
+test('ログインはパスワードを照合し、失敗時はアカウントの有無を区別しない', async () => {
+  await register('login@example.com');
+
+  const wrong = await api.request('POST', '/api/auth/login', { body: { email: 'login@example.com', password: 'Wrong!234' } });
+  const missing = await api.request('POST', '/api/auth/login', { body: { email: 'nobody@example.com', password: PASSWORD } });
+  assert.equal(wrong.status, 401);
+  assert.equal(missing.status, 401);
+  assert.equal(wrong.body.message, missing.body.message);
+
+  const ok = await api.request('POST', '/api/auth/login', { body: { email: 'LOGIN@example.com', password: PASSWORD } });
+  assert.equal(ok.status, 200);
+
+  const me = await api.request('GET', '/api/auth/me', { token: ok.body.accessToken });
+  assert.equal(me.body.user.email, 'login@example.com');
+});
+
+test('リフレッシュトークンは一度だけ使え、再利用されたら全トークンを失効させる', async () => {
+  const { body: { refreshToken } } = await register('refresh@example.com');
+
+  const rotated = await api.request('POST', '/api/auth/refresh', { body: { refreshToken } });
+  assert.equal(rotated.status, 200);
+  assert.notEqual(rotated.body.refreshToken, refreshToken);
+
+  const reused = await api.request('POST', '/api/auth/refresh', { body: { refreshToken } });
+  assert.equal(reused.status, 401);
+
+  // 再利用を検知したため、ローテーション後のトークンも使えない
+  const afterReuse = await api.request('POST', '/api/auth/refresh', { body: { refreshToken: rotated.body.refreshToken } });
+  assert.equal(afterReuse.status, 401);
+});
+
+test('ログアウトしたアクセストークンとハンドシェイク用のトークンは API に使えない', async () => {
+  const { body: { accessToken } } = await register('logout@example.com');
+
+  const socket = await api.request('POST', '/api/auth/socket-token', { token: accessToken });
+  assert.equal(socket.status, 200);
+  assert.equal((await api.request('GET', '/api/auth/me', { token: socket.body.token })).status, 403);
+
+  assert.equal((await api.request('POST', '/api/auth/logout', { token: accessToken })).status, 200);
+  assert.equal((await api.request('GET', '/api/auth/me', { token: accessToken })).status, 403);
+});
+
+test('ソケットのハンドシェイクはハンドシェイク用のトークンとアクセストークンを受け付ける', async () => {
+  const { body: { user, accessToken, refreshToken } } = await register('socket@example.com');
+  const { body: { token: socketToken } } = await api.request('POST', '/api/auth/socket-token', { token: accessToken });
+
+  assert.equal((await tokenService.verifySocketToken(socketToken)).userId, user.id);
+  assert.equal((await tokenService.verifySocketToken(accessToken)).userId, user.id);
+
+  // リフレッシュトークン（別の鍵）・失効済みのアクセストークンは受け付けない
+  await assert.rejects(tokenService.verifySocketToken(refreshToken));
+  await api.request('POST', '/api/auth/logout', { token: accessToken });
+  await assert.rejects(tokenService.verifySocketToken(accessToken));
+});
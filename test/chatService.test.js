@@ -0,0 +1,48 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { useTestEnvironment } = require('./helpers/apiServer');
+
+const dataDir = useTestEnvironment('crowd-chat-test-');
+
+const chatService = require('../server/services/chatService');
+
+const CLIENT = { userId: 'client-id', email: 'client@example.com', name: 'Client' };
+const conversation = { applicationId: 'application_1', matchId: null, jobId: 'job_1', employerId: CLIENT.email, applicantId: 'alice@example.com' };
+const otherConversation = { applicationId: 'application_2', matchId: null, jobId: 'job_2', employerId: CLIENT.email, applicantId: 'bob@example.com' };
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('履歴はカーソルで古い方へたどれ、他の会話のメッセージを含めない', async () => {
+  for (let index = 1; index <= 5; index += 1) {
+    await chatService.send(conversation, CLIENT, { message: `メッセージ ${index}` });
+    // 送信時刻が同じミリ秒にならないようにする（同時刻の順序は ID で決まる）
+    await new Promise(resolve => setTimeout(resolve, 2));
+  }
+  await chatService.send(otherConversation, CLIENT, { message: '別の会話' });
+
+  const seen = [];
+  let page = await chatService.getHistory(conversation.applicationId, { limit: 2 });
+  assert.equal(page.messages.length, 2);
+  assert.equal(page.messages[1].message, 'メッセージ 5');
+
+  for (;;) {
+    // 1 ページ内は古い順、ページは新しい方から
+    seen.unshift(...page.messages.map(item => item.message));
+    if (!page.hasMore) break;
+    page = await chatService.getHistory(conversation.applicationId, { limit: 2, cursor: page.nextCursor });
+  }
+
+  assert.deepEqual(seen, [1, 2, 3, 4, 5].map(index => `メッセージ ${index}`));
+  assert.equal(page.nextCursor, null);
+});
+
+test('limit は 1 件以上に切り上げ、無効なカーソルは拒否する', async () => {
+  const page = await chatService.getHistory(conversation.applicationId, { limit: -3 });
+  assert.equal(page.messages.length, 1);
+  assert.equal(page.hasMore, true);
+
+  await assert.rejects(chatService.getHistory(conversation.applicationId, { cursor: 'invalid' }), { status: 400 });
+});
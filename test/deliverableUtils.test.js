@@ -0,0 +1,140 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { JOB_STATUS } = require('../utils/jobStatus');
+const { MILESTONE_STATUS, getMilestoneParticipant } = require('../utils/milestoneUtils');
+const {
+  DELIVERABLE_STATUS,
+  MAX_REVISION_ROUNDS,
+  getRevisionCount,
+  isAssigneeWorkAccepted,
+  isWorkAccepted,
+  getSubmissionError,
+  getReviewError,
+  submitDeliverable,
+  reviewDeliverable
+} = require('../utils/deliverableUtils');
+
+const CLIENT = 'client@example.com';
+const ALICE = 'alice@example.com';
+const BOB = 'bob@example.com';
+
+// 2 人を採用した、作業計画のない進行中の案件
+const createJob = () => ({
+  id: 'job_1',
+  title: '複数人採用の案件',
+  status: JOB_STATUS.IN_PROGRESS,
+  clientEmail: CLIENT,
+  assignedFreelancers: [
+    { email: ALICE, name: 'Alice' },
+    { email: BOB, name: 'Bob' }
+  ],
+  milestones: [],
+  deliverables: []
+});
+
+const submit = (job, email, milestoneId = null) => {
+  const participant = getMilestoneParticipant(job, [email]);
+  assert.equal(getSubmissionError(job, participant, { milestoneId, note: `${email} の納品` }), null);
+  const { deliverables, milestones, deliverable } = submitDeliverable(job, {
+    milestoneId,
+    note: `${email} の納品`,
+    submittedBy: participant.participantId
+  });
+  return { job: { ...job, deliverables, milestones }, deliverable };
+};
+
+const review = (job, deliverable, toStatus, comment = null) => {
+  const participant = getMilestoneParticipant(job, [CLIENT]);
+  assert.equal(getReviewError(job, deliverable, participant, toStatus, comment), null);
+  const { deliverables, milestones, completed } = reviewDeliverable(job, deliverable.id, toStatus, comment);
+  return { job: { ...job, deliverables, milestones }, completed };
+};
+
+test('採用したフリーランサーはそれぞれ案件全体に納品できる', () => {
+  let job = createJob();
+  ({ job } = submit(job, ALICE));
+
+  // Alice の検収待ちは Bob の納品を妨げない
+  assert.equal(getSubmissionError(job, getMilestoneParticipant(job, [BOB]), { note: '納品' }), null);
+  // Alice 自身は検収待ちの間は再提出できない
+  assert.equal(getSubmissionError(job, getMilestoneParticipant(job, [ALICE]), { note: '再提出' }), '検収待ちの納品物があります');
+});
+
+test('全員の納品物を検収するまで案件は完了しない', () => {
+  let job = createJob();
+  let alice;
+  let bob;
+  ({ job, deliverable: alice } = submit(job, ALICE));
+  ({ job, deliverable: bob } = submit(job, BOB));
+
+  let completed;
+  ({ job, completed } = review(job, alice, DELIVERABLE_STATUS.ACCEPTED));
+  assert.equal(completed, false);
+  assert.equal(isWorkAccepted(job), false);
+
+  // 検収済みの Alice はもう納品できない
+  assert.equal(
+    getSubmissionError(job, getMilestoneParticipant(job, [ALICE]), { note: '追加' }),
+    'あなたの納品物は検収済みです'
+  );
+
+  ({ job, completed } = review(job, bob, DELIVERABLE_STATUS.ACCEPTED));
+  assert.equal(completed, true);
+  assert.equal(isWorkAccepted(job), true);
+});
+
+test('修正依頼の回数はフリーランサーごとに数える', () => {
+  let job = createJob();
+  let deliverable;
+  ({ job } = submit(job, ALICE));
+
+  for (let round = 1; round <= MAX_REVISION_ROUNDS; round += 1) {
+    ({ job, deliverable } = submit(job, BOB));
+    assert.equal(deliverable.round, round);
+    ({ job } = review(job, deliverable, DELIVERABLE_STATUS.REVISION_REQUESTED, '修正してください'));
+  }
+
+  assert.equal(getRevisionCount(job, null, BOB), MAX_REVISION_ROUNDS);
+  assert.equal(getRevisionCount(job, null, ALICE), 0);
+
+  // Bob は上限に達したため修正依頼できないが、Alice には依頼できる
+  ({ job, deliverable } = submit(job, BOB));
+  const participant = getMilestoneParticipant(job, [CLIENT]);
+  assert.match(
+    getReviewError(job, deliverable, participant, DELIVERABLE_STATUS.REVISION_REQUESTED, '修正'),
+    /修正依頼は\d+回までです/
+  );
+  const aliceDeliverable = job.deliverables.find(item => item.submittedBy === ALICE);
+  assert.equal(getReviewError(job, aliceDeliverable, participant, DELIVERABLE_STATUS.REVISION_REQUESTED, '修正'), null);
+});
+
+test('採用したフリーランサーがいない案件は検収済みにならない', () => {
+  assert.equal(isWorkAccepted({ ...createJob(), assignedFreelancers: [] }), false);
+});
+
+test('作業計画のある案件は、担当者ごとのマイルストーンをすべて検収するまで完了しない', () => {
+  const milestone = (id, assigneeId) => ({ id, title: id, amount: 10000, dueDate: '2030-01-31', assigneeId, status: MILESTONE_STATUS.PLANNED });
+  let job = {
+    ...createJob(),
+    milestones: [milestone('m1', ALICE), milestone('m2', BOB)],
+    milestonePlan: { proposedBy: CLIENT, approvals: [CLIENT, ALICE, BOB], agreedAt: '2030-01-01T00:00:00.000Z' }
+  };
+
+  // 他のフリーランサーが担当するマイルストーンには納品できない
+  assert.equal(
+    getSubmissionError(job, getMilestoneParticipant(job, [BOB]), { milestoneId: 'm1', note: '納品' }),
+    'このマイルストーンの担当者ではありません'
+  );
+
+  let deliverable;
+  let completed;
+  ({ job, deliverable } = submit(job, ALICE, 'm1'));
+  ({ job, completed } = review(job, deliverable, DELIVERABLE_STATUS.ACCEPTED));
+  assert.equal(completed, false);
+  assert.equal(isAssigneeWorkAccepted(job, ALICE), true);
+  assert.equal(isAssigneeWorkAccepted(job, BOB), false);
+
+  ({ job, deliverable } = submit(job, BOB, 'm2'));
+  ({ job, completed } = review(job, deliverable, DELIVERABLE_STATUS.ACCEPTED));
+  assert.equal(completed, true);
+});
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * サーバーのモジュールを読み込む前に呼び、一時ディレクトリの JSON ファイルへ保存するよう切り替える
+ * @param {string} prefix - 一時ディレクトリ名の接頭辞
+ * @returns {string} - 一時ディレクトリ（テストの最後に削除する）
+ */
+const useTestEnvironment = (prefix) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  process.env.DATA_DIR = dataDir;
+  process.env.DB_DRIVER = 'file';
+  process.env.PAYMENT_PROVIDER = 'fake';
+  process.env.JWT_SECRET = 'test-access-secret';
+  process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+  delete process.env.PLATFORM_FEE_RATE;
+  return dataDir;
+};
+
+/**
+ * ルーターを app.js と同じエラーハンドラー付きで起動し、fetch で呼び出せるようにする
+ * @param {object} routes - { '/api/jobs': router }
+ * @returns {Promise<object>} - { request(method, path, { token, body, form }), close() }
+ */
+const startApiServer = async (routes) => {
+  const express = require('express');
+  const errorHandler = require('../../server/middleware/errorHandler');
+
+  const app = express();
+  app.use(express.json());
+  Object.entries(routes).forEach(([mountPath, router]) => app.use(mountPath, router));
+  app.use(errorHandler);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // form（FormData）を指定した場合は multipart で送る
+  const request = async (method, requestPath, { token, body, form } = {}) => {
+    const res = await fetch(`${baseUrl}${requestPath}`, {
+      method,
+      headers: {
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: form || (body ? JSON.stringify(body) : undefined)
+    });
+    return { status: res.status, body: await res.json().catch(() => null) };
+  };
+
+  const close = () => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+
+  return { request, close };
+};
+
+/**
+ * テスト用のユーザーを登録し、API のアクセストークンを発行する
+ * @returns {Promise<object>} - { user, token }
+ */
+const createUser = async (email, { name = email.split('@')[0], userType = 'freelancer' } = {}) => {
+  const userService = require('../../server/services/userService');
+  const tokenService = require('../../server/services/tokenService');
+
+  const user = await userService.register({ email, password: 'Passw0rd!23', name, userType });
+  const { accessToken } = await tokenService.issueTokens(user);
+  return { user, token: accessToken };
+};
+
+module.exports = {
+  useTestEnvironment,
+  startApiServer,
+  createUser
+};
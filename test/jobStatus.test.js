@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  JOB_STATUS,
+  APPLICATION_STATUS,
+  canTransitionJob,
+  canTransitionApplication
+} = require('../utils/jobStatus');
+
+test('案件は募集中 → 進行中 → 完了の順に進む', () => {
+  assert.equal(canTransitionJob(JOB_STATUS.RECRUITING, JOB_STATUS.IN_PROGRESS), true);
+  assert.equal(canTransitionJob(JOB_STATUS.IN_PROGRESS, JOB_STATUS.COMPLETED), true);
+  assert.equal(canTransitionJob(JOB_STATUS.IN_PROGRESS, JOB_STATUS.CANCELLED), true);
+});
+
+test('案件の不正な遷移は許可しない', () => {
+  // 採用前に完了にはできない
+  assert.equal(canTransitionJob(JOB_STATUS.RECRUITING, JOB_STATUS.COMPLETED), false);
+  // 完了・キャンセルした案件は戻せない
+  assert.equal(canTransitionJob(JOB_STATUS.COMPLETED, JOB_STATUS.IN_PROGRESS), false);
+  assert.equal(canTransitionJob(JOB_STATUS.COMPLETED, JOB_STATUS.CANCELLED), false);
+  assert.equal(canTransitionJob(JOB_STATUS.CANCELLED, JOB_STATUS.RECRUITING), false);
+  assert.equal(canTransitionJob(JOB_STATUS.IN_PROGRESS, JOB_STATUS.RECRUITING), false);
+  // 未知のステータス
+  assert.equal(canTransitionJob('unknown', JOB_STATUS.IN_PROGRESS), false);
+});
+
+test('応募は選考ステージを飛ばしてオファーできる', () => {
+  assert.equal(canTransitionApplication(APPLICATION_STATUS.PENDING, APPLICATION_STATUS.OFFERED), true);
+  assert.equal(canTransitionApplication(APPLICATION_STATUS.SHORTLISTED, APPLICATION_STATUS.INTERVIEWING), true);
+  assert.equal(canTransitionApplication(APPLICATION_STATUS.OFFERED, APPLICATION_STATUS.APPROVED), true);
+});
+
+test('応募の不正な遷移は許可しない', () => {
+  // オファーなしに承諾はできない
+  assert.equal(canTransitionApplication(APPLICATION_STATUS.PENDING, APPLICATION_STATUS.APPROVED), false);
+  assert.equal(canTransitionApplication(APPLICATION_STATUS.INTERVIEWING, APPLICATION_STATUS.APPROVED), false);
+  // 選考を後戻りさせない
+  assert.equal(canTransitionApplication(APPLICATION_STATUS.INTERVIEWING, APPLICATION_STATUS.SHORTLISTED), false);
+  // 辞退はオファー中のみ
+  assert.equal(canTransitionApplication(APPLICATION_STATUS.PENDING, APPLICATION_STATUS.DECLINED), false);
+  // 承諾・却下・辞退・取り下げは最終状態
+  [
+    APPLICATION_STATUS.APPROVED,
+    APPLICATION_STATUS.REJECTED,
+    APPLICATION_STATUS.DECLINED,
+    APPLICATION_STATUS.WITHDRAWN
+  ].forEach(from => {
+    Object.values(APPLICATION_STATUS).forEach(to => {
+      assert.equal(canTransitionApplication(from, to), false, `${from} -> ${to}`);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { useTestEnvironment, startApiServer, createUser } = require('./helpers/apiServer');
+
+const dataDir = useTestEnvironment('crowd-jobs-api-test-');
+
+const db = require('../server/db');
+const jobRoutes = require('../server/routes/jobs');
+const { JOB_STATUS } = require('../utils/jobStatus');
+
+let api;
+let client;
+let other;
+
+before(async () => {
+  api = await startApiServer({ '/api/jobs': jobRoutes });
+  client = await createUser('client@example.com', { userType: 'client' });
+  other = await createUser('other@example.com', { userType: 'client' });
+});
+
+after(async () => {
+  await api.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// pages/post-job.js が送る形の案件
+const jobInput = (fields = {}) => ({
+  title: 'LP のコーディング',
+  category: 'プログラミング',
+  budget: 50000,
+  deadline: null,
+  description: 'デザインカンプから LP をコーディングしてください',
+  skills: ['HTML', 'CSS'],
+  experienceLevel: '上級',
+  headcount: 2,
+  ...fields
+});
+
+test('案件の投稿にはログインが必要', async () => {
+  const res = await api.request('POST', '/api/jobs', { body: jobInput() });
+  assert.equal(res.status, 401);
+});
+
+test('投稿フォームの項目をそのまま保存し、投稿者はトークンのユーザーにする', async () => {
+  const res = await api.request('POST', '/api/jobs', {
+    token: client.token,
+    body: jobInput({ clientId: other.user.id, status: JOB_STATUS.COMPLETED })
+  });
+
+  assert.equal(res.status, 201);
+  const { job } = res.body;
+  assert.equal(job.experienceLevel, '上級');
+  assert.equal(job.headcount, 2);
+  assert.equal(job.clientId, client.user.id);
+  assert.equal(job.clientEmail, 'client@example.com');
+  assert.equal(job.status, JOB_STATUS.RECRUITING);
+});
+
+test('不正な入力は 400 と項目ごとのエラーを返す', async () => {
+  const res = await api.request('POST', '/api/jobs', {
+    token: client.token,
+    body: jobInput({ budget: 100, experienceLevel: 'expert', skills: [] })
+  });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.success, false);
+  assert.equal(res.body.errors.length, 3);
+});
+
+test('一覧の負の limit は 1 件に切り上げる', async () => {
+  await api.request('POST', '/api/jobs', { token: client.token, body: jobInput({ title: '2 件目' }) });
+
+  for (const limit of ['-1', '-5']) {
+    const res = await api.request('GET', `/api/jobs?limit=${limit}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.jobs.length, 1);
+    assert.equal(res.body.hasMore, true);
+
+    const next = await api.request('GET', `/api/jobs?limit=${limit}&cursor=${res.body.nextCursor}`);
+    assert.equal(next.body.jobs.length, 1);
+    assert.notEqual(next.body.jobs[0].id, res.body.jobs[0].id);
+  }
+});
+
+test('自分が投稿した案件はステータスに関係なく取得できる', async () => {
+  const { body: { job } } = await api.request('POST', '/api/jobs', { token: other.token, body: jobInput({ title: '他人の案件' }) });
+  await db.update('jobs', job.id, { status: JOB_STATUS.CANCELLED });
+
+  const mine = await api.request('GET', '/api/jobs/mine', { token: other.token });
+  assert.equal(mine.status, 200);
+  assert.deepEqual(mine.body.jobs.map(item => item.id), [job.id]);
+
+  const recruiting = await api.request('GET', `/api/jobs?clientId=${other.user.id}`);
+  assert.equal(recruiting.body.jobs.length, 0);
+});
+
+test('投稿者以外は案件を編集・削除できない', async () => {
+  const { body: { job } } = await api.request('POST', '/api/jobs', { token: client.token, body: jobInput() });
+
+  const patch = await api.request('PATCH', `/api/jobs/${job.id}`, { token: other.token, body: { budget: 60000 } });
+  assert.equal(patch.status, 403);
+  const remove = await api.request('DELETE', `/api/jobs/${job.id}`, { token: other.token });
+  assert.equal(remove.status, 403);
+
+  const own = await api.request('PATCH', `/api/jobs/${job.id}`, { token: client.token, body: { budget: 60000 } });
+  assert.equal(own.status, 200);
+  assert.equal(own.body.job.budget, 60000);
+});
+
+test('応募のある案件は削除できない', async () => {
+  const { body: { job } } = await api.request('POST', '/api/jobs', { token: client.token, body: jobInput() });
+  await db.insert('applications', { jobId: job.id, applicantId: other.user.id, status: 'pending' });
+
+  const res = await api.request('DELETE', `/api/jobs/${job.id}`, { token: client.token });
+  assert.equal(res.status, 409);
+  assert.ok(await db.findById('jobs', job.id));
+});
@@ -0,0 +1,114 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { useTestEnvironment, startApiServer, createUser } = require('./helpers/apiServer');
+
+const dataDir = useTestEnvironment('crowd-messages-api-test-');
+
+const jobRoutes = require('../server/routes/jobs');
+const applicationRoutes = require('../server/routes/applications');
+const messageRoutes = require('../server/routes/messages');
+const chatService = require('../server/services/chatService');
+const matchService = require('../server/services/matchService');
+const conversationService = require('../server/services/conversationService');
+
+let api;
+let client;
+let alice;
+let bob;
+
+before(async () => {
+  api = await startApiServer({
+    '/api/jobs': jobRoutes,
+    '/api/applications': applicationRoutes,
+    '/api/messages': messageRoutes
+  });
+  client = await createUser('client@example.com', { userType: 'client' });
+  alice = await createUser('alice@example.com');
+  bob = await createUser('bob@example.com');
+});
+
+after(async () => {
+  await api.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// 案件を投稿し、Alice が応募する
+const createApplication = async () => {
+  const { body: { job } } = await api.request('POST', '/api/jobs', {
+    token: client.token,
+    body: { title: 'LP制作', category: 'デザイン', budget: 50000, description: 'LPを制作してください', skills: ['Figma'] }
+  });
+  const { body: { application } } = await api.request('POST', '/api/applications', {
+    token: alice.token,
+    body: { jobId: job.id, proposalText: 'よろしくお願いします' }
+  });
+  return { job, application };
+};
+
+// 送信時刻が同じミリ秒にならないようにする（同時刻の順序は ID で決まる）
+const tick = () => new Promise(resolve => setTimeout(resolve, 2));
+
+const sendMessage = (applicationId, { token }, message) => (
+  api.request('POST', `/api/messages/conversations/${applicationId}`, { token, body: { message } })
+);
+
+test('会話は応募者と案件の投稿者だけが読み書きできる', async () => {
+  const { application } = await createApplication();
+
+  assert.equal((await sendMessage(application.id, client, 'ご応募ありがとうございます')).status, 201);
+  assert.equal((await sendMessage(application.id, bob, '割り込み')).status, 403);
+  assert.equal((await api.request('GET', `/api/messages/conversations/${application.id}`, { token: bob.token })).status, 403);
+  assert.equal((await api.request('GET', '/api/messages/conversations/missing', { token: alice.token })).status, 404);
+
+  const thread = await api.request('GET', `/api/messages/conversations/${application.id}`, { token: alice.token });
+  assert.equal(thread.status, 200);
+  assert.equal(thread.body.viewerId, alice.user.id);
+  assert.equal(thread.body.conversation.role, 'applicant');
+  assert.deepEqual(thread.body.messages.map(item => item.message), ['ご応募ありがとうございます']);
+});
+
+test('受信箱の未読件数とナビの未読件数は同じメッセージを数える', async () => {
+  const { application } = await createApplication();
+  await sendMessage(application.id, client, '面談の日程を相談させてください');
+
+  const list = await api.request('GET', '/api/messages/conversations', { token: alice.token });
+  const conversation = list.body.conversations.find(item => item.applicationId === String(application.id));
+  assert.equal(conversation.unreadCount, 1);
+  assert.equal(conversation.counterpart.email, 'client@example.com');
+  assert.equal(conversation.lastMessage.message, '面談の日程を相談させてください');
+
+  const counts = await chatService.getUnreadCounts({ userId: alice.user.id, email: 'alice@example.com' });
+  assert.equal(counts.byApplication[String(application.id)], 1);
+
+  const read = await api.request('POST', `/api/messages/conversations/${application.id}/read`, { token: alice.token, body: {} });
+  assert.equal(read.body.messageIds.length, 1);
+  const after = await chatService.getUnreadCounts({ userId: alice.user.id, email: 'alice@example.com' });
+  assert.equal(after.byApplication[String(application.id)], undefined);
+});
+
+test('採用後のチャットルームには受信箱でのやり取りが続けて表示される', async () => {
+  const { job, application } = await createApplication();
+  await sendMessage(application.id, client, '採用前のメッセージ');
+  await tick();
+
+  await api.request('POST', `/api/applications/${application.id}/offer`, { token: client.token });
+  await api.request('POST', `/api/applications/${application.id}/accept`, { token: alice.token });
+  // 採用決定時に matchSubscribers が行うマッチングの開設
+  const match = await matchService.openForApplication({ application, job });
+  await tick();
+
+  // チャットルーム（Socket.IO）からの送信も同じ会話に保存される
+  await chatService.send(conversationService.fromMatch(match), { userId: alice.user.id, email: 'alice@example.com' }, { message: 'チャットルームから' });
+
+  const thread = await api.request('GET', `/api/messages/conversations/${application.id}`, { token: client.token });
+  assert.equal(thread.body.conversation.matchId, String(match.id));
+  assert.deepEqual(
+    thread.body.messages.map(item => item.messageType === 'system' ? 'system' : item.message),
+    ['採用前のメッセージ', 'system', 'チャットルームから']
+  );
+  assert.deepEqual(
+    (await chatService.getHistory(match.applicationId)).messages.map(item => item.id),
+    thread.body.messages.map(item => item.id)
+  );
+});
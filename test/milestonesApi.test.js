@@ -0,0 +1,118 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { useTestEnvironment, startApiServer, createUser } = require('./helpers/apiServer');
+
+const dataDir = useTestEnvironment('crowd-milestones-api-test-');
+
+const jobRoutes = require('../server/routes/jobs');
+const applicationRoutes = require('../server/routes/applications');
+const { JOB_STATUS } = require('../utils/jobStatus');
+const { MILESTONE_STATUS } = require('../utils/milestoneUtils');
+
+let api;
+let client;
+let alice;
+let bob;
+
+before(async () => {
+  api = await startApiServer({ '/api/jobs': jobRoutes, '/api/applications': applicationRoutes });
+  client = await createUser('client@example.com', { userType: 'client' });
+  alice = await createUser('alice@example.com');
+  bob = await createUser('bob@example.com');
+});
+
+after(async () => {
+  await api.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// 案件を投稿し、指定したフリーランサーを全員採用して進行中にする
+const startJob = async (freelancers = [alice]) => {
+  const { body: { job } } = await api.request('POST', '/api/jobs', {
+    token: client.token,
+    body: {
+      title: 'LP制作',
+      category: 'デザイン',
+      budget: 50000,
+      description: 'LPを制作してください',
+      skills: ['HTML'],
+      headcount: freelancers.length
+    }
+  });
+  let started;
+  for (const freelancer of freelancers) {
+    const { body: { application } } = await api.request('POST', '/api/applications', {
+      token: freelancer.token,
+      body: { jobId: job.id, proposalText: 'よろしくお願いします' }
+    });
+    await api.request('POST', `/api/applications/${application.id}/offer`, { token: client.token });
+    started = (await api.request('POST', `/api/applications/${application.id}/accept`, { token: freelancer.token })).body.job;
+  }
+  return started;
+};
+
+test('作業計画は当事者全員の合意で確定し、採用されたフリーランサーが作業を始める', async () => {
+  const job = await startJob();
+  assert.deepEqual(job.milestones, []);
+
+  // 金額の未入力は 0 円として受け付けない
+  const blank = await api.request('PUT', `/api/jobs/${job.id}/milestones`, {
+    token: client.token,
+    body: { milestones: [{ title: 'デザイン', amount: null, dueDate: '2030-01-31' }] }
+  });
+  assert.equal(blank.status, 400);
+
+  const milestones = [
+    { title: 'デザイン', amount: 20000, dueDate: '2030-01-31' },
+    { title: 'コーディング', amount: 30000, dueDate: '2030-02-28' }
+  ];
+  assert.equal((await api.request('PUT', `/api/jobs/${job.id}/milestones`, { token: bob.token, body: { milestones } })).status, 403);
+
+  const proposed = await api.request('PUT', `/api/jobs/${job.id}/milestones`, { token: client.token, body: { milestones } });
+  assert.equal(proposed.status, 200);
+  assert.equal(proposed.body.job.milestonePlan.agreedAt, null);
+
+  // 合意前は作業を始められない
+  const [first] = proposed.body.job.milestones;
+  assert.equal((await api.request('POST', `/api/jobs/${job.id}/milestones/${first.id}/start`, { token: alice.token })).status, 409);
+
+  const agreed = await api.request('POST', `/api/jobs/${job.id}/milestones/agree`, { token: alice.token });
+  assert.ok(agreed.body.job.milestonePlan.agreedAt);
+
+  assert.equal((await api.request('POST', `/api/jobs/${job.id}/milestones/${first.id}/start`, { token: client.token })).status, 403);
+  const started = await api.request('POST', `/api/jobs/${job.id}/milestones/${first.id}/start`, { token: alice.token });
+  assert.equal(started.body.milestone.status, MILESTONE_STATUS.IN_PROGRESS);
+});
+
+test('複数人を採用した案件では、マイルストーンごとの担当者を全員に割り当てる', async () => {
+  const job = await startJob([alice, bob]);
+  const propose = (milestones) => api.request('PUT', `/api/jobs/${job.id}/milestones`, { token: client.token, body: { milestones } });
+  const item = (title, assigneeId) => ({ title, amount: 25000, dueDate: '2030-01-31', assigneeId });
+
+  assert.equal((await propose([item('デザイン'), item('コーディング')])).status, 400);
+  assert.equal((await propose([item('デザイン', 'alice@example.com'), item('コーディング', 'alice@example.com')])).status, 400);
+
+  const proposed = await propose([item('デザイン', 'alice@example.com'), item('コーディング', 'bob@example.com')]);
+  assert.equal(proposed.status, 200);
+  await api.request('POST', `/api/jobs/${job.id}/milestones/agree`, { token: alice.token });
+  await api.request('POST', `/api/jobs/${job.id}/milestones/agree`, { token: bob.token });
+
+  // 担当していないマイルストーンは始められず、納品もできない
+  const [design] = proposed.body.job.milestones;
+  assert.equal((await api.request('POST', `/api/jobs/${job.id}/milestones/${design.id}/start`, { token: bob.token })).status, 409);
+  const submitted = await api.request('POST', `/api/jobs/${job.id}/deliverables`, {
+    token: bob.token,
+    body: { milestoneId: design.id, note: 'デザインです' }
+  });
+  assert.equal(submitted.status, 409);
+
+  // Alice の分だけを検収しても案件は完了しない
+  const { body: { deliverable } } = await api.request('POST', `/api/jobs/${job.id}/deliverables`, {
+    token: alice.token,
+    body: { milestoneId: design.id, note: 'デザインです' }
+  });
+  const accepted = await api.request('POST', `/api/jobs/${job.id}/deliverables/${deliverable.id}/accept`, { token: client.token });
+  assert.equal(accepted.status, 200);
+  assert.equal(accepted.body.job.status, JOB_STATUS.IN_PROGRESS);
+});
@@ -0,0 +1,210 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// サーバーのモジュールを読み込む前に、一時ディレクトリの JSON ファイルへ保存するよう切り替える
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crowd-payment-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.DB_DRIVER = 'file';
+process.env.PAYMENT_PROVIDER = 'fake';
+delete process.env.PLATFORM_FEE_RATE;
+
+const db = require('../server/db');
+const paymentService = require('../server/services/paymentService');
+const ledgerService = require('../server/services/ledgerService');
+const { PAYMENT_TYPES } = require('../server/services/paymentService');
+const { LEDGER_ACCOUNTS, creditBalanceOf } = require('../server/services/ledgerService');
+const { JOB_STATUS, APPLICATION_STATUS } = require('../utils/jobStatus');
+const { DELIVERABLE_STATUS } = require('../utils/deliverableUtils');
+
+const CLIENT = 'client@example.com';
+const ALICE = 'alice@example.com';
+const BOB = 'bob@example.com';
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// 採用済みのフリーランサーと、承諾済みの応募を持つ案件を作る
+const createJob = async ({ assignees = [ALICE], prices = {}, budget = 10000, ...fields } = {}) => {
+  const job = await db.insert('jobs', {
+    title: 'テスト案件',
+    budget,
+    status: JOB_STATUS.IN_PROGRESS,
+    clientEmail: CLIENT,
+    headcount: assignees.length,
+    assignedFreelancers: assignees.map(email => ({ email, name: email })),
+    deliverables: [],
+    milestones: [],
+    ...fields
+  });
+  const applications = {};
+  for (const email of assignees) {
+    applications[email] = await db.insert('applications', {
+      jobId: job.id,
+      applicantEmail: email,
+      proposedPrice: prices[email] || null,
+      status: APPLICATION_STATUS.APPROVED
+    });
+  }
+  return { job, applications };
+};
+
+const acceptedDeliverable = (submittedBy) => ({
+  id: `deliverable_${submittedBy}_${Math.random().toString(36).slice(2, 8)}`,
+  milestoneId: null,
+  submittedBy,
+  status: DELIVERABLE_STATUS.ACCEPTED
+});
+
+test('オファーの承諾時に合意した報酬をエスクローへ預かる', async () => {
+  const { job, applications } = await createJob({ prices: { [ALICE]: 8000 } });
+
+  const transaction = await paymentService.deposit(applications[ALICE], job);
+  assert.equal(transaction.type, PAYMENT_TYPES.DEPOSIT);
+  assert.equal(transaction.amount, 8000);
+  assert.equal(transaction.clientId, CLIENT);
+  assert.equal(await ledgerService.getEscrowBalance(job.id, ALICE), 8000);
+
+  // 同じ応募で二重に預からない
+  const again = await paymentService.deposit(applications[ALICE], job);
+  assert.equal(again.id, transaction.id);
+  assert.equal(await ledgerService.getEscrowBalance(job.id, ALICE), 8000);
+});
+
+test('希望報酬がない場合は案件の予算を募集人数で割った額を預かる', async () => {
+  const { job, applications } = await createJob({ budget: 12000 });
+  await paymentService.deposit(applications[ALICE], job);
+  assert.equal(await ledgerService.getEscrowBalance(job.id, ALICE), 12000);
+
+  const shared = await createJob({ assignees: [ALICE, BOB], budget: 12000 });
+  await paymentService.deposit(shared.applications[ALICE], shared.job);
+  await paymentService.deposit(shared.applications[BOB], shared.job);
+  assert.equal(await ledgerService.getEscrowBalance(shared.job.id, ALICE), 6000);
+  assert.equal(await ledgerService.getEscrowBalance(shared.job.id, BOB), 6000);
+});
+
+test('オファー中ではない応募・他の案件の応募の報酬は預からない', async () => {
+  const { job } = await createJob();
+
+  const pending = await db.insert('applications', {
+    jobId: job.id,
+    applicantEmail: BOB,
+    status: APPLICATION_STATUS.PENDING
+  });
+  await assert.rejects(paymentService.deposit(pending, job), { status: 409 });
+
+  const other = await createJob();
+  await assert.rejects(paymentService.deposit(other.applications[ALICE], job), { status: 400 });
+  assert.equal(await ledgerService.getEscrowBalance(job.id, ALICE), 0);
+  assert.equal(await ledgerService.getEscrowBalance(job.id, BOB), 0);
+});
+
+test('同時に預かりを実行しても一度だけ記帳する', async () => {
+  const { job, applications } = await createJob({ prices: { [ALICE]: 5000 } });
+
+  await Promise.all([1, 2, 3].map(() => paymentService.deposit(applications[ALICE], job)));
+  const deposits = (await ledgerService.listByJob(job.id)).filter(item => item.type === PAYMENT_TYPES.DEPOSIT);
+  assert.equal(deposits.length, 1);
+  assert.equal(await ledgerService.getEscrowBalance(job.id, ALICE), 5000);
+});
+
+test('解放時は手数料を差し引いて支払い、エスクローの残高を減らす', async () => {
+  const { job, applications } = await createJob({ prices: { [ALICE]: 10000 } });
+  await paymentService.deposit(applications[ALICE], job);
+
+  const partial = await paymentService.release(job, ALICE, { amount: 4000, idempotencyKey: `partial:${job.id}`, reason: '一部' });
+  assert.equal(partial.amount, 4000);
+  assert.equal(partial.fee, 400);
+  assert.equal(await ledgerService.getEscrowBalance(job.id, ALICE), 6000);
+
+  // 同じキーでは二重に支払わない
+  assert.equal(await paymentService.release(job, ALICE, { amount: 4000, idempotencyKey: `partial:${job.id}` }), null);
+  assert.equal(await ledgerService.getEscrowBalance(job.id, ALICE), 6000);
+
+  // 残高を超える金額は残高までに切り詰める
+  const rest = await paymentService.release(job, ALICE, { amount: 999999, idempotencyKey: `rest:${job.id}` });
+  assert.equal(rest.amount, 6000);
+  assert.equal(rest.fee, 600);
+  assert.equal(await ledgerService.getEscrowBalance(job.id, ALICE), 0);
+
+  // 残高がなければ何もしない
+  assert.equal(await paymentService.release(job, ALICE, { idempotencyKey: `empty:${job.id}` }), null);
+
+  const transactions = await ledgerService.listByJob(job.id);
+  assert.equal(creditBalanceOf(transactions, LEDGER_ACCOUNTS.PLATFORM_FEES), 1000);
+});
+
+test('返金はエスクローの残高をクライアントへ戻す', async () => {
+  const { job, applications } = await createJob({ prices: { [ALICE]: 7000 } });
+  await paymentService.deposit(applications[ALICE], job);
+  await paymentService.release(job, ALICE, { amount: 2000, idempotencyKey: `release:${job.id}` });
+
+  const refund = await paymentService.refund(job, ALICE, { idempotencyKey: `refund:${job.id}`, reason: 'テスト' });
+  assert.equal(refund.type, PAYMENT_TYPES.REFUND);
+  assert.equal(refund.amount, 5000);
+  assert.equal(await ledgerService.getEscrowBalance(job.id, ALICE), 0);
+
+  // 残高がなければ返金しない
+  assert.equal(await paymentService.refund(job, ALICE, { idempotencyKey: `refund:again:${job.id}` }), null);
+});
+
+test('案件の完了時は検収済みのフリーランサーへ支払い、検収のないフリーランサーの分は返金する', async () => {
+  const { job, applications } = await createJob({
+    assignees: [ALICE, BOB],
+    prices: { [ALICE]: 8000, [BOB]: 6000 }
+  });
+  await paymentService.deposit(applications[ALICE], job);
+  await paymentService.deposit(applications[BOB], job);
+
+  await db.update('jobs', job.id, {
+    status: JOB_STATUS.COMPLETED,
+    deliverables: [acceptedDeliverable(ALICE)]
+  });
+
+  const transactions = await paymentService.releaseRemaining(job.id);
+  const release = transactions.find(item => item.freelancerId === ALICE);
+  const refund = transactions.find(item => item.freelancerId === BOB);
+  assert.equal(release.type, PAYMENT_TYPES.RELEASE);
+  assert.equal(release.amount, 8000);
+  assert.equal(release.fee, 800);
+  assert.equal(refund.type, PAYMENT_TYPES.REFUND);
+  assert.equal(refund.amount, 6000);
+  assert.equal(await ledgerService.getEscrowBalance(job.id, ALICE), 0);
+  assert.equal(await ledgerService.getEscrowBalance(job.id, BOB), 0);
+
+  // 完了イベントが重複しても二重に支払わない
+  await paymentService.releaseRemaining(job.id);
+  const releases = (await ledgerService.listByJob(job.id)).filter(item => item.type === PAYMENT_TYPES.RELEASE);
+  assert.equal(releases.length, 1);
+});
+
+test('完了していない案件では残高を解放しない', async () => {
+  const { job, applications } = await createJob({ prices: { [ALICE]: 3000 } });
+  await paymentService.deposit(applications[ALICE], job);
+
+  assert.deepEqual(await paymentService.releaseRemaining(job.id), []);
+  assert.deepEqual(await paymentService.refundRemaining(job.id), []);
+  assert.equal(await ledgerService.getEscrowBalance(job.id, ALICE), 3000);
+});
+
+test('案件のキャンセル時はフリーランサーごとの残高を返金する', async () => {
+  const { job, applications } = await createJob({
+    assignees: [ALICE, BOB],
+    prices: { [ALICE]: 4000, [BOB]: 5000 }
+  });
+  await paymentService.deposit(applications[ALICE], job);
+  await paymentService.deposit(applications[BOB], job);
+  await paymentService.release(job, ALICE, { amount: 1000, idempotencyKey: `milestone:${job.id}` });
+  await db.update('jobs', job.id, { status: JOB_STATUS.CANCELLED });
+
+  const transactions = await paymentService.refundRemaining(job.id);
+  assert.deepEqual(
+    transactions.map(item => [item.freelancerId, item.amount]).sort(),
+    [[ALICE, 3000], [BOB, 5000]]
+  );
+  assert.equal(await ledgerService.getEscrowBalance(job.id, ALICE), 0);
+  assert.equal(await ledgerService.getEscrowBalance(job.id, BOB), 0);
+});
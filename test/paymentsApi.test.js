@@ -0,0 +1,81 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { useTestEnvironment, startApiServer, createUser } = require('./helpers/apiServer');
+
+const dataDir = useTestEnvironment('crowd-payments-api-test-');
+
+const jobRoutes = require('../server/routes/jobs');
+const applicationRoutes = require('../server/routes/applications');
+const invoiceRoutes = require('../server/routes/invoices');
+const registerPaymentSubscribers = require('../server/events/paymentSubscribers');
+const registerInvoiceSubscribers = require('../server/events/invoiceSubscribers');
+const { JOB_STATUS } = require('../utils/jobStatus');
+
+let api;
+let client;
+let alice;
+let bob;
+
+before(async () => {
+  // 画面からの検収で支払い・請求書の発行まで進むよう、app.js と同じ購読を登録する
+  registerPaymentSubscribers();
+  registerInvoiceSubscribers();
+  api = await startApiServer({ '/api/jobs': jobRoutes, '/api/applications': applicationRoutes, '/api/invoices': invoiceRoutes });
+  client = await createUser('client@example.com', { userType: 'client' });
+  alice = await createUser('alice@example.com');
+  bob = await createUser('bob@example.com');
+});
+
+after(async () => {
+  await api.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// 支払い・請求書の発行は検収の応答後にイベントの購読側で行うため、発行されるまで待つ
+const waitForInvoices = async (user, role) => {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const { body: { invoices } } = await api.request('GET', `/api/invoices?role=${role}`, { token: user.token });
+    if (invoices.length > 0) return invoices;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return [];
+};
+
+test('画面と同じ API で納品物を検収すると、エスクローから支払われて請求書が発行される', async () => {
+  const { body: { job } } = await api.request('POST', '/api/jobs', {
+    token: client.token,
+    body: { title: 'ロゴ制作', category: 'デザイン', budget: 30000, description: 'ロゴを制作してください', skills: ['Illustrator'] }
+  });
+  const { body: { application } } = await api.request('POST', '/api/applications', {
+    token: alice.token,
+    body: { jobId: job.id, proposalText: 'よろしくお願いします' }
+  });
+  await api.request('POST', `/api/applications/${application.id}/offer`, { token: client.token });
+  await api.request('POST', `/api/applications/${application.id}/accept`, { token: alice.token });
+
+  // オファーの承諾で仮払いされ、当事者以外は支払い状況を見られない
+  const deposited = await api.request('GET', `/api/jobs/${job.id}/payments`, { token: client.token });
+  assert.equal(deposited.body.summary.escrow, 30000);
+  assert.equal((await api.request('GET', `/api/jobs/${job.id}/payments`, { token: bob.token })).status, 403);
+
+  const { body: { deliverable } } = await api.request('POST', `/api/jobs/${job.id}/deliverables`, {
+    token: alice.token,
+    body: { note: 'ロゴを納品します' }
+  });
+  const accepted = await api.request('POST', `/api/jobs/${job.id}/deliverables/${deliverable.id}/accept`, {
+    token: client.token,
+    body: {}
+  });
+  assert.equal(accepted.body.job.status, JOB_STATUS.COMPLETED);
+
+  const [issued] = await waitForInvoices(alice, 'issued');
+  assert.equal(issued.jobId, job.id);
+  assert.equal(issued.total, 30000);
+  const [received] = await waitForInvoices(client, 'received');
+  assert.equal(received.id, issued.id);
+
+  const { body: { summary } } = await api.request('GET', `/api/jobs/${job.id}/payments`, { token: alice.token });
+  assert.equal(summary.released, 30000);
+  assert.equal(summary.escrow, 0);
+});
@@ -0,0 +1,51 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { useTestEnvironment, startApiServer, createUser } = require('./helpers/apiServer');
+
+const dataDir = useTestEnvironment('crowd-presence-api-test-');
+
+const jobRoutes = require('../server/routes/jobs');
+const applicationRoutes = require('../server/routes/applications');
+const presenceRoutes = require('../server/routes/presence');
+
+let api;
+let client;
+let alice;
+let bob;
+
+before(async () => {
+  api = await startApiServer({
+    '/api/jobs': jobRoutes,
+    '/api/applications': applicationRoutes,
+    '/api/presence': presenceRoutes
+  });
+  client = await createUser('client@example.com', { userType: 'client' });
+  alice = await createUser('alice@example.com');
+  bob = await createUser('bob@example.com');
+});
+
+after(async () => {
+  await api.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('案件の投稿者は採用前の応募者のオンライン状態を取得できる', async () => {
+  const { body: { job } } = await api.request('POST', '/api/jobs', {
+    token: client.token,
+    body: { title: '翻訳', category: 'ライティング', budget: 10000, description: '英訳をお願いします', skills: ['英語'] }
+  });
+  await api.request('POST', '/api/applications', {
+    token: alice.token,
+    body: { jobId: job.id, proposalText: 'よろしくお願いします' }
+  });
+
+  const own = await api.request('GET', '/api/presence?ids=alice@example.com,bob@example.com', { token: client.token });
+  assert.equal(own.status, 200);
+  assert.deepEqual(Object.keys(own.body.presence), ['alice@example.com']);
+  assert.equal((await api.request('GET', '/api/presence/alice@example.com', { token: client.token })).status, 200);
+
+  // 応募者からは応募先の投稿者が見え、無関係のユーザーからは見えない
+  assert.equal((await api.request('GET', `/api/presence/${client.user.id}`, { token: alice.token })).status, 200);
+  assert.equal((await api.request('GET', '/api/presence/alice@example.com', { token: bob.token })).status, 403);
+});
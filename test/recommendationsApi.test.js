@@ -0,0 +1,89 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { useTestEnvironment, startApiServer, createUser } = require('./helpers/apiServer');
+
+const dataDir = useTestEnvironment('crowd-recommendations-api-test-');
+
+const jobRoutes = require('../server/routes/jobs');
+const applicationRoutes = require('../server/routes/applications');
+const matchingRoutes = require('../server/routes/matching');
+const profileRoutes = require('../server/routes/profiles');
+
+let api;
+let client;
+let alice;
+let bob;
+
+before(async () => {
+  api = await startApiServer({
+    '/api/jobs': jobRoutes,
+    '/api/applications': applicationRoutes,
+    '/api/matching': matchingRoutes,
+    '/api/profiles': profileRoutes
+  });
+  client = await createUser('client@example.com', { userType: 'client' });
+  alice = await createUser('alice@example.com');
+  bob = await createUser('bob@example.com');
+});
+
+after(async () => {
+  await api.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const postJob = async (title, skills) => {
+  const { body: { job } } = await api.request('POST', '/api/jobs', {
+    token: client.token,
+    body: { title, category: 'プログラミング', budget: 100000, description: `${title}をお願いします`, skills }
+  });
+  return job;
+};
+
+test('プロフィールは本人だけが保存・取得でき、不正な値は受け付けない', async () => {
+  assert.equal((await api.request('GET', '/api/profiles/me', { token: alice.token })).body.profile, null);
+  assert.equal((await api.request('GET', '/api/profiles/me')).status, 401);
+
+  const invalid = await api.request('PUT', '/api/profiles/me', { token: alice.token, body: { skills: 'React' } });
+  assert.equal(invalid.status, 400);
+
+  const saved = await api.request('PUT', '/api/profiles/me', {
+    token: alice.token,
+    body: { fullName: ' Alice ', skills: ['React', 'TypeScript', 'React'] }
+  });
+  assert.equal(saved.status, 200);
+  assert.equal(saved.body.profile.fullName, 'Alice');
+  assert.deepEqual(saved.body.profile.skills, ['React', 'TypeScript']);
+
+  const { body: { profile } } = await api.request('GET', '/api/profiles/me', { token: alice.token });
+  assert.equal(profile.email, 'alice@example.com');
+  assert.deepEqual(profile.skills, ['React', 'TypeScript']);
+});
+
+test('おすすめ案件と応募者の順位は保存済みのプロフィールのスキルで決まる', async () => {
+  await api.request('PUT', '/api/profiles/me', { token: alice.token, body: { skills: ['React', 'TypeScript'] } });
+  await api.request('PUT', '/api/profiles/me', { token: bob.token, body: { skills: ['Illustrator'] } });
+
+  const design = await postJob('バナー制作', ['Illustrator']);
+  const frontend = await postJob('管理画面の開発', ['React', 'TypeScript']);
+
+  const { body: { recommendations } } = await api.request('GET', '/api/matching/recommendations?limit=5', { token: alice.token });
+  assert.equal(recommendations[0].job.id, frontend.id);
+  assert.deepEqual(recommendations[0].matchedSkills, ['React', 'TypeScript']);
+
+  // 応募済みの案件はおすすめに出さない
+  for (const freelancer of [bob, alice]) {
+    await api.request('POST', '/api/applications', {
+      token: freelancer.token,
+      body: { jobId: frontend.id, proposalText: 'よろしくお願いします' }
+    });
+  }
+  // スキルが 1 つも一致しない案件もおすすめに出さない
+  const remaining = await api.request('GET', '/api/matching/recommendations', { token: alice.token });
+  assert.ok(remaining.body.recommendations.every(({ job }) => job.id !== frontend.id && job.id !== design.id));
+
+  // 応募者の採点は案件の投稿者だけが取得できる
+  assert.equal((await api.request('GET', `/api/matching/jobs/${frontend.id}/applicants`, { token: bob.token })).status, 403);
+  const { body: { candidates } } = await api.request('GET', `/api/matching/jobs/${frontend.id}/applicants`, { token: client.token });
+  assert.deepEqual(candidates.map(({ application }) => application.applicantEmail), ['alice@example.com', 'bob@example.com']);
+});
@@ -0,0 +1,86 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { useTestEnvironment, startApiServer, createUser } = require('./helpers/apiServer');
+
+const dataDir = useTestEnvironment('crowd-reviews-api-test-');
+
+const db = require('../server/db');
+const jobRoutes = require('../server/routes/jobs');
+const applicationRoutes = require('../server/routes/applications');
+const reviewRoutes = require('../server/routes/reviews');
+const domainEvents = require('../server/events/domainEvents');
+const { DOMAIN_EVENTS } = require('../server/events/domainEvents');
+const { JOB_STATUS } = require('../utils/jobStatus');
+
+let api;
+let client;
+let alice;
+let bob;
+
+before(async () => {
+  api = await startApiServer({
+    '/api/jobs': jobRoutes,
+    '/api/applications': applicationRoutes,
+    '/api/reviews': reviewRoutes
+  });
+  client = await createUser('client@example.com', { userType: 'client' });
+  alice = await createUser('alice@example.com');
+  bob = await createUser('bob@example.com');
+});
+
+after(async () => {
+  await api.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const RATINGS = { rating: 5, communication: 4, quality: 5, timeliness: 4, overall: 5 };
+
+// Alice を採用した案件を作る
+const createHiredJob = async () => {
+  const { body: { job } } = await api.request('POST', '/api/jobs', {
+    token: client.token,
+    body: { title: 'バナー制作', category: 'デザイン', budget: 15000, description: 'バナーを制作してください', skills: ['Photoshop'] }
+  });
+  const { body: { application } } = await api.request('POST', '/api/applications', {
+    token: alice.token,
+    body: { jobId: job.id, proposalText: 'よろしくお願いします' }
+  });
+  await api.request('POST', `/api/applications/${application.id}/offer`, { token: client.token });
+  await api.request('POST', `/api/applications/${application.id}/accept`, { token: alice.token });
+  return { job, application };
+};
+
+const postReview = ({ token }, body) => api.request('POST', '/api/reviews', { token, body: { ...RATINGS, ...body } });
+
+test('完了した案件の当事者だけが、相手ごとに一度だけレビューできる', async () => {
+  const { job, application } = await createHiredJob();
+
+  assert.equal((await postReview(client, { jobId: job.id })).status, 409);
+  await db.update('jobs', job.id, { status: JOB_STATUS.COMPLETED });
+
+  assert.equal((await postReview(bob, { jobId: job.id })).status, 403);
+  assert.equal((await postReview(client, { jobId: job.id, rating: 6 })).status, 400);
+
+  const published = [];
+  const unsubscribe = domainEvents.subscribe(DOMAIN_EVENTS.REVIEW_PUBLISHED, payload => published.push(payload));
+  try {
+    const byClient = await postReview(client, { jobId: job.id, applicationId: application.id, comment: '丁寧な対応でした' });
+    assert.equal(byClient.status, 201);
+    assert.equal(byClient.body.review.revieweeId, 'alice@example.com');
+    assert.equal(byClient.body.review.reviewerType, 'client');
+
+    const byAlice = await postReview(alice, { jobId: job.id });
+    assert.equal(byAlice.status, 201);
+    assert.equal(byAlice.body.review.revieweeId, 'client@example.com');
+  } finally {
+    unsubscribe();
+  }
+  assert.deepEqual(published.map(item => item.review.revieweeId), ['alice@example.com', 'client@example.com']);
+
+  const again = await Promise.all([1, 2].map(() => postReview(client, { jobId: job.id })));
+  assert.deepEqual(again.map(res => res.status), [409, 409]);
+
+  const list = await api.request('GET', '/api/reviews?revieweeId=alice@example.com');
+  assert.equal(list.body.total, 1);
+});
@@ -0,0 +1,96 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTestEnvironment, startApiServer, createUser } = require('./helpers/apiServer');
+
+const dataDir = useTestEnvironment('crowd-uploads-api-test-');
+process.env.UPLOAD_DIR = path.join(dataDir, 'uploads');
+delete process.env.VIRUS_SCAN_COMMAND;
+
+const jobRoutes = require('../server/routes/jobs');
+const applicationRoutes = require('../server/routes/applications');
+const messageRoutes = require('../server/routes/messages');
+const uploadRoutes = require('../server/routes/uploads');
+const matchService = require('../server/services/matchService');
+
+let api;
+let client;
+let alice;
+let bob;
+
+before(async () => {
+  api = await startApiServer({
+    '/api/jobs': jobRoutes,
+    '/api/applications': applicationRoutes,
+    '/api/messages': messageRoutes,
+    '/api/uploads': uploadRoutes
+  });
+  client = await createUser('client@example.com', { userType: 'client' });
+  alice = await createUser('alice@example.com');
+  bob = await createUser('bob@example.com');
+});
+
+after(async () => {
+  await api.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// 案件を投稿し、Alice が応募する
+const createApplication = async () => {
+  const { body: { job } } = await api.request('POST', '/api/jobs', {
+    token: client.token,
+    body: { title: '資料作成', category: 'ライティング', budget: 20000, description: '営業資料を作成してください', skills: ['PowerPoint'] }
+  });
+  const { body: { application } } = await api.request('POST', '/api/applications', {
+    token: alice.token,
+    body: { jobId: job.id, proposalText: 'よろしくお願いします' }
+  });
+  return { job, application };
+};
+
+const upload = ({ token }, fields) => {
+  const form = new FormData();
+  Object.entries(fields).forEach(([key, value]) => form.append(key, String(value)));
+  form.append('file', new Blob(['%PDF-1.4 test'], { type: 'application/pdf' }), '提案書.pdf');
+  return api.request('POST', '/api/uploads', { token, form });
+};
+
+test('応募・案件への添付は当事者だけがアップロードできる', async () => {
+  const { job, application } = await createApplication();
+
+  assert.equal((await upload(alice, { jobId: job.id, applicationId: application.id })).status, 201);
+  assert.equal((await upload(bob, { jobId: job.id, applicationId: application.id })).status, 403);
+  // 応募の当事者でも、採用されていない案件全体には添付できない
+  assert.equal((await upload(alice, { jobId: job.id })).status, 403);
+  assert.equal((await upload(client, { jobId: job.id })).status, 201);
+  // 添付先のない・食い違うアップロードは受け付けない
+  assert.equal((await upload(alice, {})).status, 400);
+  const other = await createApplication();
+  assert.equal((await upload(alice, { jobId: job.id, applicationId: other.application.id })).status, 400);
+});
+
+test('受信箱とチャットルームの添付は同じ会話の当事者が閲覧できる', async () => {
+  const { job, application } = await createApplication();
+
+  const inboxUpload = await upload(alice, { jobId: job.id, applicationId: application.id });
+  const attachmentId = inboxUpload.body.attachment.id;
+  assert.equal((await api.request('GET', `/api/uploads/${attachmentId}`, { token: client.token })).status, 200);
+  assert.equal((await api.request('GET', `/api/uploads/${attachmentId}`, { token: bob.token })).status, 403);
+
+  // マッチングへのアップロードは応募の会話に保存され、受信箱からも送信できる
+  await api.request('POST', `/api/applications/${application.id}/offer`, { token: client.token });
+  await api.request('POST', `/api/applications/${application.id}/accept`, { token: alice.token });
+  const match = await matchService.openForApplication({ application, job });
+
+  const roomUpload = await upload(client, { matchId: match.id });
+  assert.equal(roomUpload.status, 201);
+  assert.equal((await upload(bob, { matchId: match.id })).status, 403);
+
+  const sent = await api.request('POST', `/api/messages/conversations/${application.id}`, {
+    token: client.token,
+    body: { attachmentId: roomUpload.body.attachment.id }
+  });
+  assert.equal(sent.status, 201);
+  assert.equal((await api.request('GET', `/api/uploads/${roomUpload.body.attachment.id}`, { token: alice.token })).status, 200);
+});
@@ -0,0 +1,206 @@
+// 納品物（フリーランサーが案件またはマイルストーンに対して提出するファイル・コメント）
+// job.deliverables に保存し、マイルストーンへの納品はマイルストーンの提出・検収・修正依頼を兼ねる
+// 複数人を採用した案件では、納品物・修正依頼の回数・検収を採用したフリーランサーごとに扱う
+// API サーバーと画面（表示・入力チェック）の両方から利用する
+
+const { JOB_STATUS, getAssignedFreelancers, getAssigneeId } = require('./jobStatus')
+const {
+  MILESTONE_STATUS,
+  isPlanAgreed,
+  getMilestoneTransitionError,
+  applyMilestoneTransition,
+  getAssigneeMilestones,
+  areAllMilestonesAccepted
+} = require('./milestoneUtils')
+
+// 納品物のステータス
+const DELIVERABLE_STATUS = {
+  SUBMITTED: 'submitted',                  // 検収待ち
+  ACCEPTED: 'accepted',                    // 検収済み
+  REVISION_REQUESTED: 'revision_requested' // 修正依頼
+}
+
+const DELIVERABLE_STATUS_LABELS = {
+  [DELIVERABLE_STATUS.SUBMITTED]: '検収待ち',
+  [DELIVERABLE_STATUS.ACCEPTED]: '検収済み',
+  [DELIVERABLE_STATUS.REVISION_REQUESTED]: '修正依頼'
+}
+
+const DELIVERABLE_STATUS_COLORS = {
+  [DELIVERABLE_STATUS.SUBMITTED]: 'bg-purple-100 text-purple-800',
+  [DELIVERABLE_STATUS.ACCEPTED]: 'bg-green-100 text-green-800',
+  [DELIVERABLE_STATUS.REVISION_REQUESTED]: 'bg-orange-100 text-orange-800'
+}
+
+// 納品物の検収結果とマイルストーンのステータスの対応
+const MILESTONE_STATUS_BY_REVIEW = {
+  [DELIVERABLE_STATUS.ACCEPTED]: MILESTONE_STATUS.ACCEPTED,
+  [DELIVERABLE_STATUS.REVISION_REQUESTED]: MILESTONE_STATUS.REVISION_REQUESTED
+}
+
+// 修正依頼の上限（フリーランサーごとの案件・マイルストーンごと。上限に達したら検収するかどうかを判断する）
+const MAX_REVISION_ROUNDS = 3
+const MAX_DELIVERABLE_FILES = 5
+const DELIVERABLE_NOTE_MAX = 2000
+
+const sameId = (a, b) => String(a) === String(b)
+const sameTarget = (deliverable, milestoneId) => (
+  milestoneId ? sameId(deliverable.milestoneId, milestoneId) : !deliverable.milestoneId
+)
+
+// 案件・マイルストーンへの納品物（submittedBy を指定した場合はそのフリーランサーの分のみ）
+const getDeliverables = (job, milestoneId, submittedBy) => (job.deliverables || []).filter(deliverable => (
+  sameTarget(deliverable, milestoneId) && (!submittedBy || sameId(deliverable.submittedBy, submittedBy))
+))
+
+// フリーランサーが修正依頼を受けた回数
+const getRevisionCount = (job, milestoneId, submittedBy) => (
+  getDeliverables(job, milestoneId, submittedBy).filter(deliverable => deliverable.status === DELIVERABLE_STATUS.REVISION_REQUESTED).length
+)
+
+// フリーランサーの納品物に検収済みのものがあるか
+const hasAcceptedWork = (job, submittedBy) => (job.deliverables || []).some(deliverable => (
+  deliverable.status === DELIVERABLE_STATUS.ACCEPTED && sameId(deliverable.submittedBy, submittedBy)
+))
+
+/**
+ * フリーランサーの作業を検収したか
+ * 作業計画がある案件は担当するすべてのマイルストーン、ない案件は案件全体への納品物の検収で判断する
+ */
+const isAssigneeWorkAccepted = (job, assigneeId) => {
+  if (isPlanAgreed(job)) return areAllMilestonesAccepted(getAssigneeMilestones(job, assigneeId))
+  return getDeliverables(job, null, assigneeId).some(deliverable => deliverable.status === DELIVERABLE_STATUS.ACCEPTED)
+}
+
+// 採用したフリーランサー全員の作業を検収したか（1 人の検収だけでは案件を完了にしない）
+const isWorkAccepted = (job) => {
+  const assignees = getAssignedFreelancers(job).map(getAssigneeId).filter(Boolean)
+  return assignees.length > 0 && assignees.every(assigneeId => isAssigneeWorkAccepted(job, assigneeId))
+}
+
+// 納品先の名前（マイルストーン名、案件全体への納品は案件名）
+const getDeliverableTargetTitle = (job, deliverable) => {
+  if (!deliverable.milestoneId) return job.title
+  const milestone = (job.milestones || []).find(item => sameId(item.id, deliverable.milestoneId))
+  return milestone ? milestone.title : job.title
+}
+
+/**
+ * 納品できない理由（できる場合は null）
+ * 作業計画に合意済みの案件はマイルストーンごと、作業計画のない案件は案件全体に納品する
+ * @param {object} job
+ * @param {object|null} participant - getMilestoneParticipant の戻り値
+ * @param {object} submission - { milestoneId, note, attachments }
+ */
+const getSubmissionError = (job, participant, { milestoneId, note, attachments = [] }) => {
+  if (!participant || participant.role !== 'freelancer') return '採用されたフリーランサーのみ納品できます'
+  if (job.status !== JOB_STATUS.IN_PROGRESS) return '進行中の案件のみ納品できます'
+  if ((!note || !String(note).trim()) && attachments.length === 0) return 'ファイルまたはコメントを添えて納品してください'
+  if (note && String(note).length > DELIVERABLE_NOTE_MAX) return `コメントは${DELIVERABLE_NOTE_MAX}文字以内で入力してください`
+  if (attachments.length > MAX_DELIVERABLE_FILES) return `ファイルは${MAX_DELIVERABLE_FILES}件まで添付できます`
+
+  if (milestoneId) {
+    const milestone = (job.milestones || []).find(item => sameId(item.id, milestoneId))
+    return getMilestoneTransitionError(job, milestone, MILESTONE_STATUS.SUBMITTED, participant)
+  }
+  if (isPlanAgreed(job)) return '納品するマイルストーンを選択してください'
+  if ((job.milestones || []).length > 0) return '作業計画の合意後にマイルストーンごとに納品してください'
+
+  const previous = getDeliverables(job, null, participant.participantId)
+  if (previous.some(deliverable => deliverable.status === DELIVERABLE_STATUS.SUBMITTED)) return '検収待ちの納品物があります'
+  if (previous.some(deliverable => deliverable.status === DELIVERABLE_STATUS.ACCEPTED)) return 'あなたの納品物は検収済みです'
+  return null
+}
+
+/**
+ * 検収・修正依頼できない理由（できる場合は null）
+ * @param {string} toStatus - DELIVERABLE_STATUS.ACCEPTED / REVISION_REQUESTED
+ * @param {string} comment - 修正依頼の内容（修正依頼の場合は必須）
+ */
+const getReviewError = (job, deliverable, participant, toStatus, comment) => {
+  if (!deliverable) return '納品物が見つかりません'
+  if (!participant || participant.role !== 'client') return '案件の投稿者のみ検収できます'
+  if (job.status !== JOB_STATUS.IN_PROGRESS) return '進行中の案件のみ検収できます'
+  if (deliverable.status !== DELIVERABLE_STATUS.SUBMITTED) return 'この納品物は検収済みまたは修正依頼済みです'
+  if (!MILESTONE_STATUS_BY_REVIEW[toStatus]) return '検収結果が不正です'
+  if (toStatus === DELIVERABLE_STATUS.REVISION_REQUESTED) {
+    if (!comment || !String(comment).trim()) return '修正してほしい内容を入力してください'
+    if (getRevisionCount(job, deliverable.milestoneId, deliverable.submittedBy) >= MAX_REVISION_ROUNDS) {
+      return `修正依頼は${MAX_REVISION_ROUNDS}回までです。納品物を検収してください`
+    }
+  }
+  return null
+}
+
+/**
+ * 納品物を追加した案件の項目を返す（マイルストーンへの納品はマイルストーンを提出済みにする）
+ * @param {object} submission - { milestoneId, note, attachments, submittedBy, submittedByName }
+ * @returns {object} - { deliverables, milestones, deliverable }
+ */
+const submitDeliverable = (job, { milestoneId, note, attachments = [], submittedBy, submittedByName }) => {
+  const trimmedNote = note ? String(note).trim() : ''
+  const deliverable = {
+    id: `deliverable_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    milestoneId: milestoneId || null,
+    note: trimmedNote,
+    attachments,
+    submittedBy,
+    submittedByName: submittedByName || submittedBy,
+    status: DELIVERABLE_STATUS.SUBMITTED,
+    round: getRevisionCount(job, milestoneId, submittedBy) + 1,
+    reviewComment: null,
+    submittedAt: new Date().toISOString(),
+    reviewedAt: null
+  }
+
+  const milestones = milestoneId
+    ? applyMilestoneTransition(job.milestones, milestoneId, MILESTONE_STATUS.SUBMITTED, trimmedNote).milestones
+    : job.milestones || []
+
+  return { deliverables: [...(job.deliverables || []), deliverable], milestones, deliverable }
+}
+
+/**
+ * 検収・修正依頼した案件の項目を返す
+ * 採用したフリーランサー全員の作業を検収したら completed を true にする（呼び出し側で案件を完了にする）
+ * @returns {object} - { deliverables, milestones, deliverable, completed }
+ */
+const reviewDeliverable = (job, deliverableId, toStatus, comment) => {
+  let reviewed = null
+  const deliverables = (job.deliverables || []).map(deliverable => {
+    if (!sameId(deliverable.id, deliverableId)) return deliverable
+    reviewed = {
+      ...deliverable,
+      status: toStatus,
+      reviewComment: comment ? String(comment).trim() : null,
+      reviewedAt: new Date().toISOString()
+    }
+    return reviewed
+  })
+
+  const milestones = reviewed.milestoneId
+    ? applyMilestoneTransition(job.milestones, reviewed.milestoneId, MILESTONE_STATUS_BY_REVIEW[toStatus], comment).milestones
+    : job.milestones || []
+  const completed = toStatus === DELIVERABLE_STATUS.ACCEPTED && isWorkAccepted({ ...job, deliverables, milestones })
+
+  return { deliverables, milestones, deliverable: reviewed, completed }
+}
+
+module.exports = {
+  DELIVERABLE_STATUS,
+  DELIVERABLE_STATUS_LABELS,
+  DELIVERABLE_STATUS_COLORS,
+  MAX_REVISION_ROUNDS,
+  MAX_DELIVERABLE_FILES,
+  DELIVERABLE_NOTE_MAX,
+  getDeliverables,
+  getRevisionCount,
+  hasAcceptedWork,
+  isAssigneeWorkAccepted,
+  isWorkAccepted,
+  getDeliverableTargetTitle,
+  getSubmissionError,
+  getReviewError,
+  submitDeliverable,
+  reviewDeliverable
+}
@@ -0,0 +1,59 @@
+// 請求書（インボイス制度の適格請求書）
+// 登録番号の検証と消費税の計算をフロントのプロフィール画面と API サーバーの両方から利用する
+
+// 適格請求書発行事業者の登録番号（T + 13桁の数字）
+const REGISTRATION_NUMBER_PATTERN = /^T\d{13}$/
+
+// 標準税率（報酬は税込の金額として扱う）
+const CONSUMPTION_TAX_RATE = 10
+
+const ISSUER_NAME_MAX = 100
+
+// 入力された登録番号を正規化する（全角英数字・ハイフン・空白を許容する）
+const normalizeRegistrationNumber = (value) => String(value || '')
+  .replace(/[Ａ-Ｚａ-ｚ０-９]/g, char => String.fromCharCode(char.charCodeAt(0) - 0xFEE0))
+  .replace(/[\s\-－ー]/g, '')
+  .toUpperCase()
+
+const isValidRegistrationNumber = (value) => REGISTRATION_NUMBER_PATTERN.test(value)
+
+/**
+ * 税込金額から税率ごとの消費税額を計算する（端数処理は請求書ごと・税率ごとに1回、切り捨て）
+ * @param {number} total - 税込金額
+ * @param {number} rate - 税率（%）
+ * @returns {object} - { rate, subtotal（税抜）, tax, total（税込） }
+ */
+const calculateTaxBreakdown = (total, rate = CONSUMPTION_TAX_RATE) => {
+  const tax = Math.floor((total * rate) / (100 + rate))
+  return { rate, subtotal: total - tax, tax, total }
+}
+
+/**
+ * 明細を税率ごとに集計する
+ * @param {object[]} lines - [{ description, taxRate, amount（税込） }]
+ * @returns {object[]} - calculateTaxBreakdown の配列（税率の高い順）
+ */
+const summarizeTaxByRate = (lines) => {
+  const totals = lines.reduce((result, line) => {
+    result[line.taxRate] = (result[line.taxRate] || 0) + line.amount
+    return result
+  }, {})
+  return Object.keys(totals)
+    .map(Number)
+    .sort((a, b) => b - a)
+    .map(rate => calculateTaxBreakdown(totals[rate], rate))
+}
+
+// 発行者ごとの連番から請求書番号を作る
+const formatInvoiceNumber = (sequence) => `INV-${String(sequence).padStart(6, '0')}`
+
+module.exports = {
+  REGISTRATION_NUMBER_PATTERN,
+  CONSUMPTION_TAX_RATE,
+  ISSUER_NAME_MAX,
+  normalizeRegistrationNumber,
+  isValidRegistrationNumber,
+  calculateTaxBreakdown,
+  summarizeTaxByRate,
+  formatInvoiceNumber
+}
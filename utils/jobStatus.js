@@ -1,5 +1,5 @@
 // 案件ステータス定義
-export const JOB_STATUS = {
+const JOB_STATUS = {
   RECRUITING: 'recruiting',      // 募集中
   IN_PROGRESS: 'in_progress',    // 進行中
   COMPLETED: 'completed',        // 完了
@@ -7,7 +7,7 @@ export const JOB_STATUS = {
 }
 
 // ステータス表示用のラベル
-export const JOB_STATUS_LABELS = {
+const JOB_STATUS_LABELS = {
   [JOB_STATUS.RECRUITING]: '募集中',
   [JOB_STATUS.IN_PROGRESS]: '進行中',
   [JOB_STATUS.COMPLETED]: '完了',
@@ -15,7 +15,7 @@ export const JOB_STATUS_LABELS = {
 }
 
 // ステータス色の定義
-export const JOB_STATUS_COLORS = {
+const JOB_STATUS_COLORS = {
   [JOB_STATUS.RECRUITING]: 'bg-green-100 text-green-800',
   [JOB_STATUS.IN_PROGRESS]: 'bg-blue-100 text-blue-800',
   [JOB_STATUS.COMPLETED]: 'bg-gray-100 text-gray-800',
@@ -23,37 +23,189 @@ export const JOB_STATUS_COLORS = {
 }
 
 // 応募ステータス定義
-export const APPLICATION_STATUS = {
-  PENDING: 'pending',      // 審査中
-  APPROVED: 'approved',    // 承認済み
-  REJECTED: 'rejected'     // 却下
+const APPLICATION_STATUS = {
+  PENDING: 'pending',            // 審査中
+  SHORTLISTED: 'shortlisted',    // 書類選考通過
+  INTERVIEWING: 'interviewing',  // 面談中
+  OFFERED: 'offered',            // オファー送信済み
+  APPROVED: 'approved',          // 採用決定（オファー承諾済み）
+  DECLINED: 'declined',          // オファー辞退
+  REJECTED: 'rejected',          // 却下
+  WITHDRAWN: 'withdrawn'         // 応募取り下げ
 }
 
 // 応募ステータス表示用のラベル
-export const APPLICATION_STATUS_LABELS = {
+const APPLICATION_STATUS_LABELS = {
   [APPLICATION_STATUS.PENDING]: '審査中',
-  [APPLICATION_STATUS.APPROVED]: '承認済み',
-  [APPLICATION_STATUS.REJECTED]: '却下'
+  [APPLICATION_STATUS.SHORTLISTED]: '書類選考通過',
+  [APPLICATION_STATUS.INTERVIEWING]: '面談中',
+  [APPLICATION_STATUS.OFFERED]: 'オファー中',
+  [APPLICATION_STATUS.APPROVED]: '採用決定',
+  [APPLICATION_STATUS.DECLINED]: 'オファー辞退',
+  [APPLICATION_STATUS.REJECTED]: '却下',
+  [APPLICATION_STATUS.WITHDRAWN]: '取り下げ'
 }
 
 // 応募ステータス色の定義
-export const APPLICATION_STATUS_COLORS = {
+const APPLICATION_STATUS_COLORS = {
   [APPLICATION_STATUS.PENDING]: 'bg-yellow-100 text-yellow-800',
+  [APPLICATION_STATUS.SHORTLISTED]: 'bg-indigo-100 text-indigo-800',
+  [APPLICATION_STATUS.INTERVIEWING]: 'bg-blue-100 text-blue-800',
+  [APPLICATION_STATUS.OFFERED]: 'bg-purple-100 text-purple-800',
   [APPLICATION_STATUS.APPROVED]: 'bg-green-100 text-green-800',
-  [APPLICATION_STATUS.REJECTED]: 'bg-red-100 text-red-800'
+  [APPLICATION_STATUS.DECLINED]: 'bg-gray-100 text-gray-800',
+  [APPLICATION_STATUS.REJECTED]: 'bg-red-100 text-red-800',
+  [APPLICATION_STATUS.WITHDRAWN]: 'bg-gray-100 text-gray-800'
+}
+
+// 選考が続いている応募ステータス（オファーが承諾されると、これらの応募は自動的に却下される）
+const ACTIVE_APPLICATION_STATUSES = [
+  APPLICATION_STATUS.PENDING,
+  APPLICATION_STATUS.SHORTLISTED,
+  APPLICATION_STATUS.INTERVIEWING,
+  APPLICATION_STATUS.OFFERED
+]
+
+// 案件投稿者と応募者がメッセージをやり取りできる応募ステータス
+const CONVERSATION_APPLICATION_STATUSES = [
+  APPLICATION_STATUS.INTERVIEWING,
+  APPLICATION_STATUS.OFFERED,
+  APPLICATION_STATUS.APPROVED
+]
+
+// 各ステータスへ応募を進められるのは誰か（client: 案件投稿者 / applicant: 応募者）
+const APPLICATION_STATUS_ACTORS = {
+  [APPLICATION_STATUS.SHORTLISTED]: 'client',
+  [APPLICATION_STATUS.INTERVIEWING]: 'client',
+  [APPLICATION_STATUS.OFFERED]: 'client',
+  [APPLICATION_STATUS.REJECTED]: 'client',
+  [APPLICATION_STATUS.APPROVED]: 'applicant',
+  [APPLICATION_STATUS.DECLINED]: 'applicant',
+  [APPLICATION_STATUS.WITHDRAWN]: 'applicant'
+}
+
+// 案件ステータスの遷移ルール（遷移元 -> 遷移可能な遷移先）
+const JOB_STATUS_TRANSITIONS = {
+  [JOB_STATUS.RECRUITING]: [JOB_STATUS.IN_PROGRESS, JOB_STATUS.CANCELLED],
+  [JOB_STATUS.IN_PROGRESS]: [JOB_STATUS.COMPLETED, JOB_STATUS.CANCELLED],
+  [JOB_STATUS.COMPLETED]: [],
+  [JOB_STATUS.CANCELLED]: []
+}
+
+// 応募ステータスの遷移ルール（書類選考・面談は飛ばしてオファーしてもよい）
+const APPLICATION_STATUS_TRANSITIONS = {
+  [APPLICATION_STATUS.PENDING]: [
+    APPLICATION_STATUS.SHORTLISTED,
+    APPLICATION_STATUS.INTERVIEWING,
+    APPLICATION_STATUS.OFFERED,
+    APPLICATION_STATUS.REJECTED,
+    APPLICATION_STATUS.WITHDRAWN
+  ],
+  [APPLICATION_STATUS.SHORTLISTED]: [
+    APPLICATION_STATUS.INTERVIEWING,
+    APPLICATION_STATUS.OFFERED,
+    APPLICATION_STATUS.REJECTED,
+    APPLICATION_STATUS.WITHDRAWN
+  ],
+  [APPLICATION_STATUS.INTERVIEWING]: [
+    APPLICATION_STATUS.OFFERED,
+    APPLICATION_STATUS.REJECTED,
+    APPLICATION_STATUS.WITHDRAWN
+  ],
+  [APPLICATION_STATUS.OFFERED]: [
+    APPLICATION_STATUS.APPROVED,
+    APPLICATION_STATUS.DECLINED,
+    APPLICATION_STATUS.REJECTED
+  ],
+  [APPLICATION_STATUS.APPROVED]: [],
+  [APPLICATION_STATUS.DECLINED]: [],
+  [APPLICATION_STATUS.REJECTED]: [],
+  [APPLICATION_STATUS.WITHDRAWN]: []
+}
+
+// 募集人数の既定値（旧データなど未設定の案件は 1 名採用）
+const DEFAULT_HEADCOUNT = 1
+
+// 案件の募集人数
+const getHeadcount = (job) => {
+  const headcount = parseInt(job && job.headcount, 10)
+  return headcount > 0 ? headcount : DEFAULT_HEADCOUNT
+}
+
+// 案件に採用されたフリーランサーの一覧（旧データの assignedFreelancer（1 名分）も一覧として扱う）
+const getAssignedFreelancers = (job) => {
+  if (!job) return []
+  if (Array.isArray(job.assignedFreelancers)) return job.assignedFreelancers
+  return job.assignedFreelancer ? [job.assignedFreelancer] : []
+}
+
+// 採用されたフリーランサーを指す ID（メールアドレスのみの旧データにも対応）
+const getAssigneeId = (assignee) => {
+  if (!assignee) return null
+  return typeof assignee === 'string' ? assignee : assignee.email || assignee.userId || null
+}
+
+// 残りの採用枠
+const getOpenSlots = (job) => Math.max(0, getHeadcount(job) - getAssignedFreelancers(job).length)
+
+// 案件ステータスを遷移できるか判定
+const canTransitionJob = (from, to) => {
+  return (JOB_STATUS_TRANSITIONS[from] || []).includes(to)
+}
+
+// 応募ステータスを遷移できるか判定
+const canTransitionApplication = (from, to) => {
+  return (APPLICATION_STATUS_TRANSITIONS[from] || []).includes(to)
+}
+
+// 旧データのステータス表記（日本語ラベル・旧値）を現行の値に変換するためのマップ
+const LEGACY_JOB_STATUS = {
+  '募集中': JOB_STATUS.RECRUITING,
+  'active': JOB_STATUS.RECRUITING,
+  'open': JOB_STATUS.RECRUITING,
+  '進行中': JOB_STATUS.IN_PROGRESS,
+  '完了': JOB_STATUS.COMPLETED,
+  'キャンセル': JOB_STATUS.CANCELLED
+}
+
+const LEGACY_APPLICATION_STATUS = {
+  '応募中': APPLICATION_STATUS.PENDING,
+  '審査中': APPLICATION_STATUS.PENDING,
+  '承認済み': APPLICATION_STATUS.APPROVED,
+  '採用決定': APPLICATION_STATUS.APPROVED,
+  '却下': APPLICATION_STATUS.REJECTED,
+  '却下済み': APPLICATION_STATUS.REJECTED
+}
+
+// 案件ステータスを正規化
+const normalizeJobStatus = (status) => {
+  if (!status) return JOB_STATUS.RECRUITING
+  return LEGACY_JOB_STATUS[status] || status
+}
+
+// 応募ステータスを正規化
+const normalizeApplicationStatus = (status) => {
+  if (!status) return APPLICATION_STATUS.PENDING
+  return LEGACY_APPLICATION_STATUS[status] || status
+}
+
+// 正規化後のステータスに対応する旧表記の一覧（旧データを含めて検索する場合に使用）
+const getLegacyJobStatuses = (status) => {
+  return Object.keys(LEGACY_JOB_STATUS).filter(key => LEGACY_JOB_STATUS[key] === status)
 }
 
 // ローカルストレージのキー
-export const STORAGE_KEYS = {
+const STORAGE_KEYS = {
   JOBS: 'crowdwork_jobs',
   APPLICATIONS: 'crowdwork_applications',
   REVIEWS: 'crowdwork_reviews',
   MESSAGES: 'crowdwork_messages',
-  USER_PROFILE: 'crowdwork_user_profile'
+  USER_PROFILE: 'crowdwork_user_profile',
+  PROFILES: 'crowdwork_profiles'
 }
 
 // データの初期化・取得関数
-export const getStoredData = (key, defaultValue = []) => {
+const getStoredData = (key, defaultValue = []) => {
   if (typeof window === 'undefined') return defaultValue
   
   try {
@@ -66,7 +218,7 @@ export const getStoredData = (key, defaultValue = []) => {
 }
 
 // データの保存関数
-export const setStoredData = (key, data) => {
+const setStoredData = (key, data) => {
   if (typeof window === 'undefined') return
   
   try {
@@ -76,15 +228,15 @@ export const setStoredData = (key, data) => {
   }
 }
 
-// 案件のステータス更新関数
-export const updateJobStatus = (jobId, newStatus, assignedFreelancer = null) => {
+// 案件のステータス更新関数（assignedFreelancers: 採用したフリーランサーの一覧）
+const updateJobStatus = (jobId, newStatus, assignedFreelancers = []) => {
   const jobs = getStoredData(STORAGE_KEYS.JOBS, [])
   const updatedJobs = jobs.map(job => {
     if (job.id === jobId) {
       return {
         ...job,
         status: newStatus,
-        assignedFreelancer,
+        assignedFreelancers,
         updatedAt: new Date().toISOString()
       }
     }
@@ -96,7 +248,7 @@ export const updateJobStatus = (jobId, newStatus, assignedFreelancer = null) =>
 }
 
 // 応募のステータス更新関数（修正版）
-export const updateApplicationStatus = (jobId, userId, newStatus) => {
+const updateApplicationStatus = (jobId, userId, newStatus) => {
   const applications = getStoredData(STORAGE_KEYS.APPLICATIONS, [])
   
   // デバッグ用ログ
@@ -125,7 +277,7 @@ export const updateApplicationStatus = (jobId, userId, newStatus) => {
 }
 
 // 複数の応募ステータスを一括更新する関数（新規追加）
-export const bulkUpdateApplicationStatus = (jobId, statusUpdates) => {
+const bulkUpdateApplicationStatus = (jobId, statusUpdates) => {
   const applications = getStoredData(STORAGE_KEYS.APPLICATIONS, [])
   
   console.log('一括ステータス更新:', { jobId, statusUpdates })
@@ -152,7 +304,7 @@ export const bulkUpdateApplicationStatus = (jobId, statusUpdates) => {
 }
 
 // 特定の案件の応募者一覧を取得
-export const getJobApplications = (jobId) => {
+const getJobApplications = (jobId) => {
   const applications = getStoredData(STORAGE_KEYS.APPLICATIONS, [])
   const jobApplications = applications.filter(app => app.jobId === jobId)
   console.log(`案件 ${jobId} の応募者:`, jobApplications)
@@ -160,7 +312,40 @@ export const getJobApplications = (jobId) => {
 }
 
 // 特定ユーザーの応募一覧を取得  
-export const getUserApplications = (userId) => {
+const getUserApplications = (userId) => {
   const applications = getStoredData(STORAGE_KEYS.APPLICATIONS, [])
   return applications.filter(app => app.userId === userId)
 }
+
+// サーバー（CommonJS）とページの両方から利用するため CommonJS でエクスポート
+module.exports = {
+  JOB_STATUS,
+  JOB_STATUS_LABELS,
+  JOB_STATUS_COLORS,
+  APPLICATION_STATUS,
+  APPLICATION_STATUS_LABELS,
+  APPLICATION_STATUS_COLORS,
+  ACTIVE_APPLICATION_STATUSES,
+  CONVERSATION_APPLICATION_STATUSES,
+  APPLICATION_STATUS_ACTORS,
+  JOB_STATUS_TRANSITIONS,
+  APPLICATION_STATUS_TRANSITIONS,
+  DEFAULT_HEADCOUNT,
+  getHeadcount,
+  getAssignedFreelancers,
+  getAssigneeId,
+  getOpenSlots,
+  canTransitionJob,
+  canTransitionApplication,
+  normalizeJobStatus,
+  normalizeApplicationStatus,
+  getLegacyJobStatuses,
+  STORAGE_KEYS,
+  getStoredData,
+  setStoredData,
+  updateJobStatus,
+  updateApplicationStatus,
+  bulkUpdateApplicationStatus,
+  getJobApplications,
+  getUserApplications
+}
@@ -0,0 +1,277 @@
+// 案件と人材のマッチング（フリーランサーへの案件レコメンドと、クライアント向けの応募者スコアリング）
+const { APPLICATION_STATUS } = require('./jobStatus')
+
+const EXPERIENCE_LEVELS = ['初級', '中級', '上級']
+
+// 適合度の内訳ごとの重み（合計 1）
+const MATCH_WEIGHTS = {
+  skills: 0.5,       // スキルの一致
+  experience: 0.2,   // 経験レベル
+  budget: 0.15,      // 予算（これまでの希望報酬との比較）
+  reviews: 0.15      // クライアントの評価
+}
+
+// 判断材料がない項目の点数（実績・レビューがまだない場合に不利にしない）
+const NEUTRAL_SCORE = 0.6
+
+const DEFAULT_RECOMMENDATION_LIMIT = 6
+
+// 応募フォーム（pages/apply.js）の選択肢
+const EXPERIENCE_YEARS_OPTIONS = ['1年未満', '1-2年', '3-4年', '5年以上']
+const AVAILABILITY_OPTIONS = ['10時間未満', '10-20時間', '20-30時間', '30時間以上']
+
+// 応募者スコアの内訳ごとの重み（合計 1）
+const APPLICANT_WEIGHTS = {
+  skills: 0.35,        // 案件のスキルとプロフィールのスキルの一致
+  experience: 0.2,     // 関連経験年数と案件の経験レベル
+  availability: 0.1,   // 対応可能時間/週
+  price: 0.2,          // 希望報酬と予算
+  reviews: 0.15        // 受け取ったレビューの平均評価
+}
+
+// 案件の経験レベルごとに期待する経験年数（EXPERIENCE_YEARS_OPTIONS の位置）
+const EXPECTED_YEARS_BY_LEVEL = {
+  '初級': 0,
+  '中級': 1,
+  '上級': 2
+}
+
+const normalizeSkill = (skill) => String(skill).trim().toLowerCase()
+
+const average = (values) => {
+  const numbers = values.filter(value => typeof value === 'number' && !isNaN(value))
+  if (numbers.length === 0) return null
+  return numbers.reduce((sum, value) => sum + value, 0) / numbers.length
+}
+
+const median = (values) => {
+  const numbers = values.filter(value => typeof value === 'number' && value > 0).sort((a, b) => a - b)
+  if (numbers.length === 0) return null
+  const middle = Math.floor(numbers.length / 2)
+  return numbers.length % 2 ? numbers[middle] : (numbers[middle - 1] + numbers[middle]) / 2
+}
+
+// レビューの評価（総合評価がなければ rating）
+const reviewScore = (review) => {
+  const value = Number(review.overall || review.rating)
+  return value > 0 ? value : null
+}
+
+/**
+ * 受け取ったレビューの平均評価を受け手ごとに集計する
+ * @param {object[]} reviews - { revieweeId, overall, rating }
+ * @returns {object} - { [revieweeId]: 平均評価 }
+ */
+const averageRatingsByReviewee = (reviews = []) => {
+  const grouped = reviews.reduce((groups, review) => {
+    if (!review.revieweeId) return groups
+    const key = String(review.revieweeId)
+    groups[key] = [...(groups[key] || []), reviewScore(review)]
+    return groups
+  }, {})
+
+  return Object.entries(grouped).reduce((ratings, [key, values]) => {
+    const value = average(values)
+    if (value !== null) ratings[key] = value
+    return ratings
+  }, {})
+}
+
+/**
+ * 実績から経験レベルを推定する
+ * @param {object} stats - { completedJobs: 承認・完了した案件数, averageRating: 受け取ったレビューの平均 }
+ * @returns {string} - '初級' | '中級' | '上級'
+ */
+const inferExperienceLevel = ({ completedJobs = 0, averageRating = null } = {}) => {
+  if (completedJobs >= 5 && (averageRating === null || averageRating >= 4)) return '上級'
+  if (completedJobs >= 1) return '中級'
+  return '初級'
+}
+
+/**
+ * スキルの一致度（案件が求めるスキルのうち、フリーランサーが持っている割合）
+ * @returns {{ score: number, matchedSkills: string[] }}
+ */
+const scoreSkills = (jobSkills = [], freelancerSkills = []) => {
+  if (jobSkills.length === 0) return { score: NEUTRAL_SCORE, matchedSkills: [] }
+
+  const owned = new Set(freelancerSkills.map(normalizeSkill))
+  const matchedSkills = jobSkills.filter(skill => owned.has(normalizeSkill(skill)))
+  return { score: matchedSkills.length / jobSkills.length, matchedSkills }
+}
+
+// 経験レベルの適合度（求められるレベル以上なら満点、1 段階不足なら半分）
+const scoreExperience = (requiredLevel, freelancerLevel) => {
+  const required = EXPERIENCE_LEVELS.indexOf(requiredLevel)
+  const actual = EXPERIENCE_LEVELS.indexOf(freelancerLevel)
+  if (required === -1 || actual === -1) return NEUTRAL_SCORE
+
+  const gap = required - actual
+  if (gap <= 0) return 1
+  return gap === 1 ? 0.5 : 0
+}
+
+// 予算の適合度（これまでの希望報酬の中央値を満たしていれば満点、下回る分だけ減点）
+const scoreBudget = (budget, expectedBudget) => {
+  if (!budget || !expectedBudget) return NEUTRAL_SCORE
+  return Math.min(1, budget / expectedBudget)
+}
+
+// 5 段階評価を 0〜1 に換算する
+const scoreRating = (rating) => {
+  if (rating === null || rating === undefined) return NEUTRAL_SCORE
+  return Math.max(0, Math.min(1, (rating - 1) / 4))
+}
+
+// 関連経験年数の適合度（案件の経験レベルに見合う年数なら満点、1 段階不足するごとに減点）
+const scoreExperienceYears = (experience, requiredLevel) => {
+  const actual = EXPERIENCE_YEARS_OPTIONS.indexOf(experience)
+  if (actual === -1) return NEUTRAL_SCORE
+
+  const expected = EXPECTED_YEARS_BY_LEVEL[requiredLevel]
+  if (expected === undefined) return (actual + 1) / EXPERIENCE_YEARS_OPTIONS.length
+  return Math.max(0, 1 - Math.max(0, expected - actual) * 0.4)
+}
+
+// 対応可能時間の適合度（週あたりの時間が多いほど高い）
+const scoreAvailability = (availability) => {
+  const index = AVAILABILITY_OPTIONS.indexOf(availability)
+  if (index === -1) return NEUTRAL_SCORE
+  return (index + 1) / AVAILABILITY_OPTIONS.length
+}
+
+// 希望報酬の適合度（予算内なら満点、予算を超えた割合だけ減点）
+const scorePrice = (proposedPrice, budget) => {
+  if (!proposedPrice || !budget) return NEUTRAL_SCORE
+  if (proposedPrice <= budget) return 1
+  return Math.max(0, 1 - (proposedPrice - budget) / budget)
+}
+
+/**
+ * 応募者を案件との適合度で採点する
+ * @param {object} application - 応募（proposedPrice, experience, availability）
+ * @param {object} job - 案件（skills, experienceLevel, budget）
+ * @param {object} applicant - { skills: プロフィールのスキル, averageRating: 受け取ったレビューの平均, reviewCount }
+ * @returns {object} - { application, score (0〜100), breakdown, matchedSkills, averageRating, reviewCount }
+ */
+const scoreApplicant = (application, job, { skills = [], averageRating = null, reviewCount = 0 } = {}) => {
+  const skillMatch = scoreSkills(job.skills || [], skills)
+  const proposedPrice = Number(application.proposedPrice) || null
+
+  const breakdown = {
+    skills: skillMatch.score,
+    experience: scoreExperienceYears(application.experience, job.experienceLevel),
+    availability: scoreAvailability(application.availability),
+    price: scorePrice(proposedPrice, Number(job.budget)),
+    reviews: scoreRating(averageRating)
+  }
+  const score = Math.round(
+    Object.entries(APPLICANT_WEIGHTS).reduce((sum, [key, weight]) => sum + breakdown[key] * weight, 0) * 100
+  )
+
+  return {
+    application,
+    score,
+    breakdown,
+    matchedSkills: skillMatch.matchedSkills,
+    averageRating,
+    reviewCount
+  }
+}
+
+/**
+ * 案件への応募をスコアの高い順に並べる
+ * @param {object[]} applications
+ * @param {object} job
+ * @param {object} source - { profiles: { [email]: プロフィール }, reviews: 全レビュー }
+ * @returns {object[]} - scoreApplicant の戻り値
+ */
+const rankApplicants = (applications = [], job, { profiles = {}, reviews = [] } = {}) => {
+  const ratings = averageRatingsByReviewee(reviews)
+
+  return applications
+    .map(application => {
+      const email = String(application.applicantEmail)
+      const profile = profiles[email]
+      return scoreApplicant(application, job, {
+        skills: (profile && profile.skills) || [],
+        averageRating: ratings[email] ?? null,
+        reviewCount: reviews.filter(review => String(review.revieweeId) === email).length
+      })
+    })
+    .sort((a, b) => b.score - a.score || new Date(a.application.createdAt) - new Date(b.application.createdAt))
+}
+
+/**
+ * プロフィール・応募履歴・レビューからレコメンド用のフリーランサー情報を作る
+ * @param {object} source - { profile, applications: 自分の応募, reviews: 全レビュー, email }
+ * @returns {object} - { skills, experienceLevel, expectedBudget, completedJobs, averageRating }
+ */
+const buildFreelancerProfile = ({ profile, applications = [], reviews = [], email } = {}) => {
+  const completedJobs = applications.filter(application => application.status === APPLICATION_STATUS.APPROVED).length
+  const averageRating = email ? (averageRatingsByReviewee(reviews)[String(email)] ?? null) : null
+
+  return {
+    skills: (profile && profile.skills) || [],
+    experienceLevel: (profile && profile.experienceLevel) || inferExperienceLevel({ completedJobs, averageRating }),
+    expectedBudget: median(applications.map(application => Number(application.proposedPrice))),
+    completedJobs,
+    averageRating
+  }
+}
+
+/**
+ * 募集中の案件をフリーランサーとの適合度順に並べる
+ * 自分の案件・応募済みの案件は呼び出し側で除外しておく
+ * @param {object[]} jobs - 案件
+ * @param {object} freelancer - buildFreelancerProfile の戻り値
+ * @param {object} options - { clientRatings: { [clientEmail or clientId]: 平均評価 }, limit }
+ * @returns {object[]} - { job, score (0〜100), breakdown, matchedSkills, reasons }
+ */
+const rankJobsForFreelancer = (jobs = [], freelancer = {}, { clientRatings = {}, limit = DEFAULT_RECOMMENDATION_LIMIT } = {}) => {
+  const ranked = jobs.map(job => {
+    const skills = scoreSkills(job.skills || [], freelancer.skills || [])
+    const clientRating = clientRatings[String(job.clientEmail)] ?? clientRatings[String(job.clientId)] ?? null
+
+    const breakdown = {
+      skills: skills.score,
+      experience: scoreExperience(job.experienceLevel, freelancer.experienceLevel),
+      budget: scoreBudget(Number(job.budget), freelancer.expectedBudget),
+      reviews: scoreRating(clientRating)
+    }
+    const score = Math.round(
+      Object.entries(MATCH_WEIGHTS).reduce((sum, [key, weight]) => sum + breakdown[key] * weight, 0) * 100
+    )
+
+    const reasons = []
+    if (skills.matchedSkills.length > 0) reasons.push(`スキル一致: ${skills.matchedSkills.join('、')}`)
+    if (job.experienceLevel && breakdown.experience === 1) reasons.push(`経験レベル（${job.experienceLevel}）に対応`)
+    if (freelancer.expectedBudget && breakdown.budget === 1) reasons.push('希望報酬に合う予算')
+    if (clientRating !== null && clientRating >= 4) reasons.push(`クライアント評価 ★${clientRating.toFixed(1)}`)
+
+    return { job, score, breakdown, matchedSkills: skills.matchedSkills, reasons }
+  })
+
+  // スキルを登録済みなら、スキルが 1 つも一致しない案件は候補から外す（案件側がスキルを指定していない場合を除く）
+  const hasSkills = (freelancer.skills || []).length > 0
+  return ranked
+    .filter(item => !hasSkills || item.matchedSkills.length > 0 || !(item.job.skills || []).length)
+    .sort((a, b) => b.score - a.score || new Date(b.job.createdAt) - new Date(a.job.createdAt))
+    .slice(0, limit)
+}
+
+// サーバー（CommonJS）とページの両方から利用するため CommonJS でエクスポート
+module.exports = {
+  EXPERIENCE_LEVELS,
+  MATCH_WEIGHTS,
+  DEFAULT_RECOMMENDATION_LIMIT,
+  EXPERIENCE_YEARS_OPTIONS,
+  AVAILABILITY_OPTIONS,
+  APPLICANT_WEIGHTS,
+  averageRatingsByReviewee,
+  inferExperienceLevel,
+  buildFreelancerProfile,
+  rankJobsForFreelancer,
+  scoreApplicant,
+  rankApplicants
+}
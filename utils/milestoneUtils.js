@@ -0,0 +1,264 @@
+// 進行中の案件のマイルストーン（作業計画）
+// 採用決定後にクライアントと採用したフリーランサー全員が合意した計画を job.milestones / job.milestonePlan に保存する
+// API サーバーと画面（表示・入力チェック）の両方から利用する
+
+const { JOB_STATUS, getAssignedFreelancers, getAssigneeId } = require('./jobStatus')
+
+// マイルストーンのステータス
+const MILESTONE_STATUS = {
+  PLANNED: 'planned',                      // 予定
+  IN_PROGRESS: 'in_progress',              // 作業中
+  SUBMITTED: 'submitted',                  // 提出済み（検収待ち）
+  ACCEPTED: 'accepted',                    // 検収済み
+  REVISION_REQUESTED: 'revision_requested' // 修正依頼
+}
+
+const MILESTONE_STATUS_LABELS = {
+  [MILESTONE_STATUS.PLANNED]: '予定',
+  [MILESTONE_STATUS.IN_PROGRESS]: '作業中',
+  [MILESTONE_STATUS.SUBMITTED]: '提出済み',
+  [MILESTONE_STATUS.ACCEPTED]: '検収済み',
+  [MILESTONE_STATUS.REVISION_REQUESTED]: '修正依頼'
+}
+
+const MILESTONE_STATUS_COLORS = {
+  [MILESTONE_STATUS.PLANNED]: 'bg-gray-100 text-gray-800',
+  [MILESTONE_STATUS.IN_PROGRESS]: 'bg-blue-100 text-blue-800',
+  [MILESTONE_STATUS.SUBMITTED]: 'bg-purple-100 text-purple-800',
+  [MILESTONE_STATUS.ACCEPTED]: 'bg-green-100 text-green-800',
+  [MILESTONE_STATUS.REVISION_REQUESTED]: 'bg-orange-100 text-orange-800'
+}
+
+// マイルストーンの遷移ルール（作業開始を飛ばして提出してもよい）
+const MILESTONE_STATUS_TRANSITIONS = {
+  [MILESTONE_STATUS.PLANNED]: [MILESTONE_STATUS.IN_PROGRESS, MILESTONE_STATUS.SUBMITTED],
+  [MILESTONE_STATUS.IN_PROGRESS]: [MILESTONE_STATUS.SUBMITTED],
+  [MILESTONE_STATUS.SUBMITTED]: [MILESTONE_STATUS.ACCEPTED, MILESTONE_STATUS.REVISION_REQUESTED],
+  [MILESTONE_STATUS.REVISION_REQUESTED]: [MILESTONE_STATUS.IN_PROGRESS, MILESTONE_STATUS.SUBMITTED],
+  [MILESTONE_STATUS.ACCEPTED]: []
+}
+
+// 各ステータスへマイルストーンを進められるのは誰か（client: 案件投稿者 / freelancer: 採用したフリーランサー）
+const MILESTONE_STATUS_ACTORS = {
+  [MILESTONE_STATUS.IN_PROGRESS]: 'freelancer',
+  [MILESTONE_STATUS.SUBMITTED]: 'freelancer',
+  [MILESTONE_STATUS.ACCEPTED]: 'client',
+  [MILESTONE_STATUS.REVISION_REQUESTED]: 'client'
+}
+
+const MAX_MILESTONES = 20
+const MILESTONE_TITLE_MAX = 100
+const MILESTONE_NOTE_MAX = 1000
+
+const isBlank = (value) => typeof value !== 'string' || value.trim().length === 0
+
+const sameId = (a, b) => String(a) === String(b)
+
+/**
+ * 計画として送信されたマイルストーンを検証する
+ * 複数人を採用した案件では、マイルストーンごとに担当のフリーランサーを指定し、全員に 1 つ以上割り当てる
+ * @param {object[]} items - [{ title, amount, dueDate, assigneeId }]
+ * @param {string[]} assigneeIds - 採用したフリーランサー（getAssigneeId の値。1 人の場合は担当を省略できる）
+ * @returns {object} - { isValid, errors, values }
+ */
+const validateMilestones = (items, assigneeIds = []) => {
+  const errors = []
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return { isValid: false, errors: ['マイルストーンを1つ以上指定してください'], values: [] }
+  }
+  if (items.length > MAX_MILESTONES) {
+    return { isValid: false, errors: [`マイルストーンは${MAX_MILESTONES}件以内で指定してください`], values: [] }
+  }
+
+  const values = items.map((item = {}, index) => {
+    const label = `マイルストーン${index + 1}`
+    // 未入力（null・空文字）を 0 円として扱わない
+    const amount = item.amount === null || item.amount === undefined || item.amount === '' ? NaN : Number(item.amount)
+
+    if (isBlank(item.title)) {
+      errors.push(`${label}のタイトルを入力してください`)
+    } else if (item.title.trim().length > MILESTONE_TITLE_MAX) {
+      errors.push(`${label}のタイトルは${MILESTONE_TITLE_MAX}文字以内で入力してください`)
+    }
+    if (!Number.isInteger(amount) || amount < 0) {
+      errors.push(`${label}の金額は0以上の整数で指定してください`)
+    }
+    if (!item.dueDate || isNaN(Date.parse(item.dueDate))) {
+      errors.push(`${label}の期日は YYYY-MM-DD 形式で指定してください`)
+    }
+
+    const assigneeId = assigneeIds.length === 1 && !item.assigneeId ? assigneeIds[0] : item.assigneeId
+    if (assigneeIds.length > 0 && !assigneeIds.some(id => sameId(id, assigneeId))) {
+      errors.push(`${label}の担当者を選択してください`)
+    }
+
+    return {
+      title: typeof item.title === 'string' ? item.title.trim() : '',
+      amount,
+      dueDate: item.dueDate,
+      assigneeId: assigneeId || null
+    }
+  })
+
+  if (errors.length === 0 && assigneeIds.some(id => !values.some(value => sameId(value.assigneeId, id)))) {
+    errors.push('採用したフリーランサー全員にマイルストーンを1つ以上割り当ててください')
+  }
+
+  return { isValid: errors.length === 0, errors, values }
+}
+
+// 案件の当事者を指す ID（通知の宛先と同じく、メールアドレスを優先する）
+const getClientParticipantId = (job) => job.clientEmail || job.clientId
+const getParticipantIds = (job) => [getClientParticipantId(job), ...getAssignedFreelancers(job).map(getAssigneeId)].filter(Boolean)
+
+/**
+ * ユーザーの案件での立場
+ * @param {object} job
+ * @param {string[]} identities - ユーザーを指す ID（ユーザーID・メールアドレス）
+ * @returns {object|null} - { role: 'client' | 'freelancer', participantId }
+ */
+const getMilestoneParticipant = (job, identities) => {
+  const matches = (...ids) => ids.filter(Boolean).some(id => identities.some(identity => sameId(identity, id)))
+
+  if (matches(job.clientEmail, job.clientId)) {
+    return { role: 'client', participantId: getClientParticipantId(job) }
+  }
+  const assignee = getAssignedFreelancers(job).find(item => (
+    typeof item === 'string' ? matches(item) : matches(item.email, item.userId)
+  ))
+  return assignee ? { role: 'freelancer', participantId: getAssigneeId(assignee) } : null
+}
+
+// 計画に全員が合意済みか
+const isPlanAgreed = (job) => !!(job.milestonePlan && job.milestonePlan.agreedAt)
+
+// 計画にまだ合意していない当事者
+const getPendingApprovers = (job) => {
+  const approvals = (job.milestonePlan && job.milestonePlan.approvals) || []
+  return getParticipantIds(job).filter(id => !approvals.some(approval => sameId(approval, id)))
+}
+
+const getMilestoneTotal = (milestones = []) => milestones.reduce((sum, milestone) => sum + (Number(milestone.amount) || 0), 0)
+
+// フリーランサーが担当するマイルストーン（担当者のない以前の計画では全員のマイルストーンとして扱う）
+const getAssigneeMilestones = (job, assigneeId) => (job.milestones || []).filter(milestone => (
+  !milestone.assigneeId || sameId(milestone.assigneeId, assigneeId)
+))
+
+// すべてのマイルストーンが検収済みか
+const areAllMilestonesAccepted = (milestones = []) => (
+  milestones.length > 0 && milestones.every(milestone => milestone.status === MILESTONE_STATUS.ACCEPTED)
+)
+
+/**
+ * 計画を提案する（提案者は合意済みとして扱う。合意前の計画は作り直すたびに合意がリセットされる）
+ * @param {object[]} values - validateMilestones の values
+ * @param {string} proposerId - getMilestoneParticipant の participantId
+ * @returns {object} - 案件に保存する { milestones, milestonePlan }
+ */
+const proposeMilestonePlan = (values, proposerId) => {
+  const now = new Date().toISOString()
+  return {
+    milestones: values.map((value, index) => ({
+      ...value,
+      id: `milestone_${Date.now()}_${index + 1}`,
+      status: MILESTONE_STATUS.PLANNED,
+      note: null,
+      updatedAt: now
+    })),
+    milestonePlan: {
+      proposedBy: proposerId,
+      proposedAt: now,
+      approvals: [proposerId],
+      agreedAt: null
+    }
+  }
+}
+
+/**
+ * 計画に合意する（全員が合意すると agreedAt が設定される）
+ * @returns {object} - 案件に保存する { milestonePlan }
+ */
+const approveMilestonePlan = (job, participantId) => {
+  const approvals = [...job.milestonePlan.approvals, participantId]
+  const plan = { ...job.milestonePlan, approvals }
+  const pending = getPendingApprovers({ ...job, milestonePlan: plan })
+  return {
+    milestonePlan: { ...plan, agreedAt: pending.length === 0 ? new Date().toISOString() : null }
+  }
+}
+
+// 計画を提案・合意できない理由（できる場合は null）
+const getPlanChangeError = (job, participant, action) => {
+  if (!participant) return 'この案件の当事者ではありません'
+  if (job.status !== JOB_STATUS.IN_PROGRESS) return '進行中の案件のみ作業計画を立てられます'
+  if (isPlanAgreed(job)) return '作業計画は合意済みのため変更できません'
+  if (action === 'agree') {
+    if (!job.milestonePlan) return '合意する作業計画がありません'
+    if (!getPendingApprovers(job).some(id => sameId(id, participant.participantId))) {
+      return 'この作業計画には合意済みです'
+    }
+  }
+  return null
+}
+
+// マイルストーンを遷移できない理由（できる場合は null）
+const getMilestoneTransitionError = (job, milestone, toStatus, participant) => {
+  if (!milestone) return 'マイルストーンが見つかりません'
+  if (job.status !== JOB_STATUS.IN_PROGRESS) return '進行中の案件のマイルストーンのみ進められます'
+  if (!isPlanAgreed(job)) return '作業計画の合意後に進められます'
+  if (!participant || MILESTONE_STATUS_ACTORS[toStatus] !== participant.role) {
+    return 'このマイルストーンを操作する権限がありません'
+  }
+  if (participant.role === 'freelancer' && milestone.assigneeId && !sameId(milestone.assigneeId, participant.participantId)) {
+    return 'このマイルストーンの担当者ではありません'
+  }
+  if (!(MILESTONE_STATUS_TRANSITIONS[milestone.status] || []).includes(toStatus)) {
+    return `「${MILESTONE_STATUS_LABELS[milestone.status] || milestone.status}」のマイルストーンを「${MILESTONE_STATUS_LABELS[toStatus] || toStatus}」にすることはできません`
+  }
+  return null
+}
+
+/**
+ * マイルストーンを遷移させた一覧を返す
+ * @param {string} note - 提出時のコメント・修正依頼の内容
+ * @returns {object} - { milestones, milestone }
+ */
+const applyMilestoneTransition = (milestones, milestoneId, toStatus, note) => {
+  let updated = null
+  const nextMilestones = milestones.map(milestone => {
+    if (!sameId(milestone.id, milestoneId)) return milestone
+    updated = {
+      ...milestone,
+      status: toStatus,
+      note: typeof note === 'string' && note.trim() ? note.trim().slice(0, MILESTONE_NOTE_MAX) : null,
+      updatedAt: new Date().toISOString()
+    }
+    return updated
+  })
+  return { milestones: nextMilestones, milestone: updated }
+}
+
+module.exports = {
+  MILESTONE_STATUS,
+  MILESTONE_STATUS_LABELS,
+  MILESTONE_STATUS_COLORS,
+  MILESTONE_STATUS_TRANSITIONS,
+  MILESTONE_STATUS_ACTORS,
+  MAX_MILESTONES,
+  MILESTONE_NOTE_MAX,
+  validateMilestones,
+  getParticipantIds,
+  getMilestoneParticipant,
+  isPlanAgreed,
+  getPendingApprovers,
+  getMilestoneTotal,
+  getAssigneeMilestones,
+  areAllMilestonesAccepted,
+  proposeMilestonePlan,
+  approveMilestonePlan,
+  getPlanChangeError,
+  getMilestoneTransitionError,
+  applyMilestoneTransition
+}
@@ -1,22 +1,25 @@
 // 通知システムユーティリティ
-const { createClient } = require('@supabase/supabase-js');
-
-// Supabaseクライアント（サーバーサイド用）
-const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
-const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
-
-let supabaseAdmin = null;
-if (supabaseUrl && supabaseServiceKey) {
-  supabaseAdmin = createClient(supabaseUrl, supabaseServiceKey);
-}
+// 通知の保存・配信は server/services/notificationService.js が行う
 
 // 通知タイプ定義
 const NOTIFICATION_TYPES = {
   JOB_APPLICATION: 'job_application',        // 案件への応募
   APPLICATION_APPROVED: 'application_approved', // 応募承認
   APPLICATION_REJECTED: 'application_rejected', // 応募拒否
+  APPLICATION_SHORTLISTED: 'application_shortlisted', // 書類選考通過
+  INTERVIEW_REQUESTED: 'interview_requested',   // 面談の依頼
+  OFFER_SENT: 'offer_sent',                     // オファー受信
+  OFFER_ACCEPTED: 'offer_accepted',             // オファー承諾
+  OFFER_DECLINED: 'offer_declined',             // オファー辞退
+  APPLICATION_WITHDRAWN: 'application_withdrawn', // 応募取り下げ
+  MILESTONE_PLAN_PROPOSED: 'milestone_plan_proposed', // 作業計画の提案
+  MILESTONE_PLAN_AGREED: 'milestone_plan_agreed',     // 作業計画の合意
+  DELIVERABLE_SUBMITTED: 'deliverable_submitted',     // 納品
+  DELIVERABLE_ACCEPTED: 'deliverable_accepted',       // 納品物の検収
+  DELIVERABLE_REVISION_REQUESTED: 'deliverable_revision_requested', // 納品物の修正依頼
   NEW_MESSAGE: 'new_message',               // 新着メッセージ
   JOB_COMPLETED: 'job_completed',           // 案件完了
+  REVIEW_PUBLISHED: 'review_published',     // レビュー投稿
   PAYMENT_RECEIVED: 'payment_received',     // 支払い受取
   SYSTEM_ANNOUNCEMENT: 'system_announcement' // システム通知
 };
@@ -41,6 +44,72 @@ const NOTIFICATION_TEMPLATES = {
     icon: '📋',
     color: 'orange'  
   },
+  [NOTIFICATION_TYPES.APPLICATION_SHORTLISTED]: {
+    title: '書類選考を通過しました',
+    message: '「{job_title}」の応募が書類選考を通過しました。',
+    icon: '📌',
+    color: 'indigo'
+  },
+  [NOTIFICATION_TYPES.INTERVIEW_REQUESTED]: {
+    title: '面談のご依頼',
+    message: '「{job_title}」の面談の依頼が届きました。メッセージで日程を調整してください。',
+    icon: '🗓️',
+    color: 'blue'
+  },
+  [NOTIFICATION_TYPES.OFFER_SENT]: {
+    title: 'オファーが届きました',
+    message: '「{job_title}」のオファーが届きました。応募履歴から承諾・辞退を選んでください。',
+    icon: '📨',
+    color: 'purple'
+  },
+  [NOTIFICATION_TYPES.OFFER_ACCEPTED]: {
+    title: 'オファーが承諾されました',
+    message: '{worker_name}さんが「{job_title}」のオファーを承諾しました。',
+    icon: '🤝',
+    color: 'green'
+  },
+  [NOTIFICATION_TYPES.OFFER_DECLINED]: {
+    title: 'オファーが辞退されました',
+    message: '{worker_name}さんが「{job_title}」のオファーを辞退しました。',
+    icon: '↩️',
+    color: 'orange'
+  },
+  [NOTIFICATION_TYPES.APPLICATION_WITHDRAWN]: {
+    title: '応募が取り下げられました',
+    message: '{worker_name}さんが「{job_title}」への応募を取り下げました。',
+    icon: '🚪',
+    color: 'gray'
+  },
+  [NOTIFICATION_TYPES.MILESTONE_PLAN_PROPOSED]: {
+    title: '作業計画が提案されました',
+    message: '{actor_name}さんが「{job_title}」の作業計画（マイルストーン{milestone_count}件）を提案しました。内容を確認して合意してください。',
+    icon: '🗺️',
+    color: 'blue'
+  },
+  [NOTIFICATION_TYPES.MILESTONE_PLAN_AGREED]: {
+    title: '作業計画が合意されました',
+    message: '「{job_title}」の作業計画に全員が合意しました。マイルストーンに沿って作業を進めてください。',
+    icon: '🤝',
+    color: 'green'
+  },
+  [NOTIFICATION_TYPES.DELIVERABLE_SUBMITTED]: {
+    title: '納品物が提出されました',
+    message: '{actor_name}さんが「{target_title}」を納品しました。内容を確認して検収してください。',
+    icon: '📤',
+    color: 'purple'
+  },
+  [NOTIFICATION_TYPES.DELIVERABLE_ACCEPTED]: {
+    title: '納品物が検収されました',
+    message: '「{target_title}」の納品物が検収されました。',
+    icon: '✅',
+    color: 'green'
+  },
+  [NOTIFICATION_TYPES.DELIVERABLE_REVISION_REQUESTED]: {
+    title: '納品物の修正依頼',
+    message: '「{target_title}」の納品物に修正依頼が届きました（{round}回目）。',
+    icon: '✏️',
+    color: 'orange'
+  },
   [NOTIFICATION_TYPES.NEW_MESSAGE]: {
     title: '新着メッセージ',
     message: '{sender_name}さんからメッセージが届きました。',
@@ -53,6 +122,12 @@ const NOTIFICATION_TEMPLATES = {
     icon: '🎉',
     color: 'green'
   },
+  [NOTIFICATION_TYPES.REVIEW_PUBLISHED]: {
+    title: '新しいレビュー',
+    message: '{reviewer_name}さんが「{job_title}」のレビューを投稿しました。',
+    icon: '⭐',
+    color: 'yellow'
+  },
   [NOTIFICATION_TYPES.PAYMENT_RECEIVED]: {
     title: '支払い完了',
     message: '「{job_title}」の報酬 {amount}円を受け取りました。',
@@ -67,152 +142,150 @@ const NOTIFICATION_TEMPLATES = {
   }
 };
 
-// 通知作成関数
-async function createNotification(notificationData) {
-  try {
-    if (!supabaseAdmin) {
-      console.error('Supabase admin client not initialized');
-      return { success: false, error: 'Database connection error' };
-    }
-
-    const {
-      type,
-      recipient_id,
-      data = {},
-      priority = 'normal'
-    } = notificationData;
-
-    // テンプレートからメッセージ生成
-    const template = NOTIFICATION_TEMPLATES[type];
-    if (!template) {
-      throw new Error(`Unknown notification type: ${type}`);
-    }
+// 通知タイプの表示名（通知設定画面で使う）
+const NOTIFICATION_TYPE_LABELS = {
+  [NOTIFICATION_TYPES.JOB_APPLICATION]: '案件への応募',
+  [NOTIFICATION_TYPES.APPLICATION_APPROVED]: '応募の承認',
+  [NOTIFICATION_TYPES.APPLICATION_REJECTED]: '応募の結果',
+  [NOTIFICATION_TYPES.APPLICATION_SHORTLISTED]: '書類選考の通過',
+  [NOTIFICATION_TYPES.INTERVIEW_REQUESTED]: '面談の依頼',
+  [NOTIFICATION_TYPES.OFFER_SENT]: 'オファーの受信',
+  [NOTIFICATION_TYPES.OFFER_ACCEPTED]: 'オファーの承諾',
+  [NOTIFICATION_TYPES.OFFER_DECLINED]: 'オファーの辞退',
+  [NOTIFICATION_TYPES.APPLICATION_WITHDRAWN]: '応募の取り下げ',
+  [NOTIFICATION_TYPES.MILESTONE_PLAN_PROPOSED]: '作業計画の提案',
+  [NOTIFICATION_TYPES.MILESTONE_PLAN_AGREED]: '作業計画の合意',
+  [NOTIFICATION_TYPES.DELIVERABLE_SUBMITTED]: '納品',
+  [NOTIFICATION_TYPES.DELIVERABLE_ACCEPTED]: '納品物の検収',
+  [NOTIFICATION_TYPES.DELIVERABLE_REVISION_REQUESTED]: '納品物の修正依頼',
+  [NOTIFICATION_TYPES.NEW_MESSAGE]: '新着メッセージ',
+  [NOTIFICATION_TYPES.JOB_COMPLETED]: '案件の完了',
+  [NOTIFICATION_TYPES.REVIEW_PUBLISHED]: 'レビューの投稿',
+  [NOTIFICATION_TYPES.PAYMENT_RECEIVED]: '報酬の受け取り',
+  [NOTIFICATION_TYPES.SYSTEM_ANNOUNCEMENT]: 'システムからのお知らせ'
+};
 
-    // プレースホルダー置換
-    let title = template.title;
-    let message = template.message;
-    
-    Object.keys(data).forEach(key => {
-      const placeholder = `{${key}}`;
-      title = title.replace(new RegExp(placeholder, 'g'), data[key]);
-      message = message.replace(new RegExp(placeholder, 'g'), data[key]);
-    });
+// 配信チャネル
+const NOTIFICATION_CHANNELS = {
+  IN_APP: 'inApp',
+  EMAIL: 'email',
+  PUSH: 'push'
+};
 
-    // 通知データ作成
-    const notification = {
-      type,
-      recipient_id,
-      title,
-      message,
-      icon: template.icon,
-      color: template.color,
-      priority,
-      data: JSON.stringify(data),
-      read_status: false,
-      created_at: new Date().toISOString()
-    };
+const NOTIFICATION_CHANNEL_LABELS = {
+  [NOTIFICATION_CHANNELS.IN_APP]: 'アプリ内',
+  [NOTIFICATION_CHANNELS.EMAIL]: 'メール',
+  [NOTIFICATION_CHANNELS.PUSH]: 'プッシュ通知'
+};
 
-    // データベースに保存
-    const { data: insertedNotification, error } = await supabaseAdmin
-      .from('crowdwork_notifications')
-      .insert([notification])
-      .select()
-      .single();
+// 通知タイプごとの既定の配信チャネル（ユーザーが設定を変更していない場合に使う）
+const DEFAULT_CHANNEL_PREFERENCES = {
+  [NOTIFICATION_TYPES.JOB_APPLICATION]: { inApp: true, email: true, push: true },
+  [NOTIFICATION_TYPES.APPLICATION_APPROVED]: { inApp: true, email: true, push: true },
+  [NOTIFICATION_TYPES.APPLICATION_REJECTED]: { inApp: true, email: true, push: false },
+  [NOTIFICATION_TYPES.APPLICATION_SHORTLISTED]: { inApp: true, email: true, push: false },
+  [NOTIFICATION_TYPES.INTERVIEW_REQUESTED]: { inApp: true, email: true, push: true },
+  [NOTIFICATION_TYPES.OFFER_SENT]: { inApp: true, email: true, push: true },
+  [NOTIFICATION_TYPES.OFFER_ACCEPTED]: { inApp: true, email: true, push: true },
+  [NOTIFICATION_TYPES.OFFER_DECLINED]: { inApp: true, email: true, push: true },
+  [NOTIFICATION_TYPES.APPLICATION_WITHDRAWN]: { inApp: true, email: false, push: false },
+  [NOTIFICATION_TYPES.MILESTONE_PLAN_PROPOSED]: { inApp: true, email: true, push: true },
+  [NOTIFICATION_TYPES.MILESTONE_PLAN_AGREED]: { inApp: true, email: true, push: false },
+  [NOTIFICATION_TYPES.DELIVERABLE_SUBMITTED]: { inApp: true, email: true, push: true },
+  [NOTIFICATION_TYPES.DELIVERABLE_ACCEPTED]: { inApp: true, email: true, push: true },
+  [NOTIFICATION_TYPES.DELIVERABLE_REVISION_REQUESTED]: { inApp: true, email: true, push: true },
+  [NOTIFICATION_TYPES.NEW_MESSAGE]: { inApp: true, email: false, push: true },
+  [NOTIFICATION_TYPES.JOB_COMPLETED]: { inApp: true, email: true, push: false },
+  [NOTIFICATION_TYPES.REVIEW_PUBLISHED]: { inApp: true, email: false, push: false },
+  [NOTIFICATION_TYPES.PAYMENT_RECEIVED]: { inApp: true, email: true, push: true },
+  [NOTIFICATION_TYPES.SYSTEM_ANNOUNCEMENT]: { inApp: true, email: true, push: false }
+};
 
-    if (error) {
-      console.error('Notification creation error:', error);
-      return { success: false, error: error.message };
-    }
+// おやすみ時間（この時間帯はメール・プッシュ通知を送らない）
+const DEFAULT_QUIET_HOURS = {
+  enabled: false,
+  start: '22:00',
+  end: '07:00',
+  timezone: 'Asia/Tokyo'
+};
 
-    console.log('Notification created:', insertedNotification);
-    return { 
-      success: true, 
-      notification: insertedNotification,
-      message: 'Notification created successfully'
-    };
+// テンプレートのプレースホルダー（{job_title} など）を data の値で置き換える
+const fillPlaceholders = (text, data) => {
+  return text.replace(/\{(\w+)\}/g, (placeholder, key) => {
+    const value = data[key];
+    if (value === undefined || value === null) return placeholder;
+    return typeof value === 'number' ? value.toLocaleString('ja-JP') : String(value);
+  });
+};
 
-  } catch (error) {
-    console.error('Create notification error:', error);
-    return { success: false, error: error.message };
+/**
+ * 通知タイプのテンプレートからタイトル・本文などを生成する
+ * @param {string} type - NOTIFICATION_TYPES の値
+ * @param {object} data - プレースホルダーに埋め込む値
+ * @returns {{ title: string, message: string, icon: string, color: string }}
+ */
+function renderNotification(type, data = {}) {
+  const template = NOTIFICATION_TEMPLATES[type];
+  if (!template) {
+    throw new Error(`Unknown notification type: ${type}`);
   }
-}
-
-// ユーザーの通知取得
-async function getUserNotifications(userId, options = {}) {
-  try {
-    if (!supabaseAdmin) {
-      return { success: false, error: 'Database connection error' };
-    }
-
-    const {
-      limit = 50,
-      offset = 0,
-      unreadOnly = false,
-      type = null
-    } = options;
-
-    let query = supabaseAdmin
-      .from('crowdwork_notifications')
-      .select('*')
-      .eq('recipient_id', userId)
-      .order('created_at', { ascending: false })
-      .range(offset, offset + limit - 1);
-
-    if (unreadOnly) {
-      query = query.eq('read_status', false);
-    }
 
-    if (type) {
-      query = query.eq('type', type);
-    }
-
-    const { data: notifications, error } = await query;
-
-    if (error) {
-      return { success: false, error: error.message };
-    }
-
-    return { 
-      success: true, 
-      notifications: notifications || [],
-      count: notifications?.length || 0
-    };
-
-  } catch (error) {
-    console.error('Get notifications error:', error);
-    return { success: false, error: error.message };
-  }
+  return {
+    title: fillPlaceholders(template.title, data),
+    message: fillPlaceholders(template.message, data),
+    icon: template.icon,
+    color: template.color
+  };
 }
 
-// 未読通知数取得
-async function getUnreadNotificationCount(userId) {
-  try {
-    if (!supabaseAdmin) {
-      return { success: false, error: 'Database connection error' };
-    }
-
-    const { data, error, count } = await supabaseAdmin
-      .from('crowdwork_notifications')
-      .select('id', { count: 'exact' })
-      .eq('recipient_id', userId)
-      .eq('read_status', false);
+// 応募に関する通知のうち、案件投稿者宛て（応募者管理画面を開く）と応募者宛て（応募履歴を開く）のもの
+const CLIENT_APPLICATION_NOTIFICATIONS = [
+  NOTIFICATION_TYPES.JOB_APPLICATION,
+  NOTIFICATION_TYPES.OFFER_ACCEPTED,
+  NOTIFICATION_TYPES.OFFER_DECLINED,
+  NOTIFICATION_TYPES.APPLICATION_WITHDRAWN
+];
+const APPLICANT_APPLICATION_NOTIFICATIONS = [
+  NOTIFICATION_TYPES.APPLICATION_APPROVED,
+  NOTIFICATION_TYPES.APPLICATION_REJECTED,
+  NOTIFICATION_TYPES.APPLICATION_SHORTLISTED,
+  NOTIFICATION_TYPES.INTERVIEW_REQUESTED,
+  NOTIFICATION_TYPES.OFFER_SENT
+];
 
-    if (error) {
-      return { success: false, error: error.message };
-    }
-
-    return { success: true, count: count || 0 };
-
-  } catch (error) {
-    console.error('Get unread count error:', error);
-    return { success: false, error: error.message };
+/**
+ * 通知から開く画面のパス（メール・プッシュ通知のリンク先）
+ * @param {object} notification - { type, data }
+ * @returns {string}
+ */
+function getNotificationLink({ type, data = {} }) {
+  if (data.matchId) {
+    return `/messages?match=${encodeURIComponent(data.matchId)}`;
+  }
+  if (type === NOTIFICATION_TYPES.NEW_MESSAGE && data.jobId && data.applicationId) {
+    return `/inbox?jobId=${encodeURIComponent(data.jobId)}&applicationId=${encodeURIComponent(data.applicationId)}`;
+  }
+  if (CLIENT_APPLICATION_NOTIFICATIONS.includes(type) && data.jobId) {
+    return `/job/${encodeURIComponent(data.jobId)}/applicants`;
+  }
+  if (APPLICANT_APPLICATION_NOTIFICATIONS.includes(type)) {
+    return '/my-applications';
+  }
+  if (data.jobId) {
+    return `/job/${encodeURIComponent(data.jobId)}`;
   }
+  return '/';
 }
 
 // エクスポート
 module.exports = {
-  createNotification,
-  getUserNotifications,
-  getUnreadNotificationCount,
-  NOTIFICATION_TYPES
+  renderNotification,
+  getNotificationLink,
+  NOTIFICATION_TYPES,
+  NOTIFICATION_TEMPLATES,
+  NOTIFICATION_TYPE_LABELS,
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_CHANNEL_LABELS,
+  DEFAULT_CHANNEL_PREFERENCES,
+  DEFAULT_QUIET_HOURS
 };
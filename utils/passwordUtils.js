@@ -1,12 +1,12 @@
 // utils/passwordUtils.js - パスワードハッシュ化ユーティリティ
-import bcrypt from 'bcryptjs'
+const bcrypt = require('bcryptjs')
 
 /**
  * パスワードをハッシュ化する
  * @param {string} password - 平文パスワード
  * @returns {Promise<string>} - ハッシュ化されたパスワード
  */
-export const hashPassword = async (password) => {
+const hashPassword = async (password) => {
   try {
     // saltRounds: 12 (セキュリティレベル高)
     const saltRounds = 12
@@ -25,7 +25,7 @@ export const hashPassword = async (password) => {
  * @param {string} hashedPassword - 保存されているハッシュ化パスワード
  * @returns {Promise<boolean>} - パスワードが一致するかどうか
  */
-export const verifyPassword = async (password, hashedPassword) => {
+const verifyPassword = async (password, hashedPassword) => {
   try {
     const isMatch = await bcrypt.compare(password, hashedPassword)
     console.log('パスワード照合結果:', isMatch ? '一致' : '不一致')
@@ -41,7 +41,7 @@ export const verifyPassword = async (password, hashedPassword) => {
  * @param {string} password - チェックするパスワード
  * @returns {object} - 強度チェック結果
  */
-export const checkPasswordStrength = (password) => {
+const checkPasswordStrength = (password) => {
   const result = {
     isValid: false,
     strength: 'weak',
@@ -83,7 +83,7 @@ export const checkPasswordStrength = (password) => {
  * @param {number} length - パスワードの長さ（デフォルト: 12）
  * @returns {string} - 生成されたパスワード
  */
-export const generateSecurePassword = (length = 12) => {
+const generateSecurePassword = (length = 12) => {
   const charset = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!@#$%^&*'
   let password = ''
   
@@ -93,4 +93,12 @@ export const generateSecurePassword = (length = 12) => {
   }
   
   return password
-}
\ No newline at end of file
+}
+
+// サーバー（server/routes/auth.js）からも利用するため CommonJS でエクスポート
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  checkPasswordStrength,
+  generateSecurePassword
+}
@@ -32,6 +32,7 @@ export const initializeSampleData = () => {
           budget: "80000",
           deadline: "2024-11-20",
           category: "写真・動画",
+          headcount: 3,
           clientId: "2", 
           clientName: "ファッション株式会社",
           status: "募集中",